@@ -5,8 +5,95 @@ import {
   TIMING,
   DATA,
   ERROR_MESSAGES,
-  CONTENT_ANALYSIS
+  CONTENT_ANALYSIS,
+  DWELL,
+  SESSIONS,
+  DEFAULT_CONFIG,
+  STORAGE_KEYS,
+  STORAGE_QUOTA,
+  SCHEMA,
+  NODE_STORE,
+  RECOVERY,
+  REDACTION,
+  INCOGNITO,
+  FEATURES
 } from './src/constants.js';
+import {
+  NodeStore,
+  nodeToRecord,
+  treeToRecords,
+  recordsToTree
+} from './src/node-store.js';
+import {
+  shouldStartNewRoot,
+  classifyTabNavigation,
+  isFragmentOnlyChange,
+  matchesDomainList
+} from './src/navigation-utils.js';
+import { visitDuration } from './src/dwell-utils.js';
+import { getTabContext, diffContext } from './src/context-utils.js';
+import {
+  createSessionId,
+  segmentRootsByGap,
+  summarizeSessions,
+  resolveSessionScope,
+  filterTreeBySessions,
+  describeSession
+} from './src/session-utils.js';
+import { normalizeAnnotations, normalizeTreeAnnotations } from './src/annotation-utils.js';
+import { SearchIndex, parseSearchQuery, buildAncestorPath } from './src/search-index.js';
+import {
+  normalizeRetentionPolicy,
+  planRetention,
+  summarizeRetentionPlan
+} from './src/retention.js';
+import {
+  exportKey,
+  importKey,
+  createPassphraseKey,
+  unlockPassphraseKey,
+  sealRecord,
+  openRecord,
+  encryptBytes,
+  decryptBytes,
+  encryptJson,
+  decryptJson,
+  encryptExport,
+  decryptExport
+} from './src/encryption.js';
+import {
+  summarizeUsage,
+  isQuotaError,
+  selectArchiveRoots,
+  createArchive,
+  readArchive,
+  compressJson,
+  decompressJson,
+  summarizeArchive
+} from './src/storage-quota.js';
+import { migrateTree, migrateExport, normalizeSchemaVersion } from './src/schema-migrations.js';
+import {
+  createSnapshot,
+  attachSnapshotVisits,
+  readSnapshotVisits,
+  createTrashEntry,
+  readRecoveryTree,
+  selectExcessSnapshots,
+  selectExpiredTrash,
+  summarizeRecoveryEntry,
+  findBranchRoots
+} from './src/recovery.js';
+import { planMerge } from './src/tree-merge.js';
+import { normalizeBackfillRange, fetchHistoryVisits, buildHistoryTree } from './src/history-backfill.js';
+import {
+  normalizeSanitizerRules,
+  compileSanitizer,
+  applySanitizer,
+  createUrlSanitizer,
+  sanitizeTreeUrls
+} from './src/url-sanitizer.js';
+import { normalizeExclusionConfig, createUrlPolicy, importExclusionRules } from './src/exclusion-rules.js';
+import { normalizeIncognitoPolicy, IncognitoTree } from './src/incognito-tree.js';
 
 // =============================================================================
 // State Management
@@ -14,15 +101,31 @@ import {
 const State = {
   tabTree: {},
   tabHistory: {},
-  excludedDomains: [],
+  exclusionMode: 'exclude',
+  exclusionRules: [],
+  urlPolicy: createUrlPolicy(null), // url -> { track, analyzeContent, redactTitle }
   userTimeZone: 'UTC',
   isTracking: false,
   enableContentAnalysis: false,
+  typedNavigationStartsRoot: false,
+  fragmentNavigationDomains: [],
+  lastTransitions: new Map(), // tabId -> last committed top-frame transition
+  tabGroups: new Map(), // groupId -> { title, color }
   extensionInitialized: false,
   trackingCheckInterval: null,
   viewerPort: null,
   contentAnalysisCache: new Map(),
   lastCleanup: Date.now(),
+  nodeStore: new NodeStore(),
+  pendingNodeWrites: new Map(), // nodeId -> node awaiting persistence
+  pendingNodeDeletes: new Set(), // nodeIds awaiting deletion
+  nodeIndex: new Map(), // nodeId -> node
+  parentIndex: new Map(), // nodeId -> parent node (null for roots)
+  searchIndex: new SearchIndex(), // full-text index kept in step with nodeIndex
+  retentionPolicy: normalizeRetentionPolicy(DEFAULT_CONFIG),
+  retentionFloor: 0, // node count the last size pass could not get below
+  urlSanitizerRules: normalizeSanitizerRules(DEFAULT_CONFIG.urlSanitizer).rules,
+  urlSanitizer: createUrlSanitizer(DEFAULT_CONFIG.urlSanitizer),
 
   // Update node in both tree and history
   updateNode: function(node, updates) {
@@ -30,6 +133,7 @@ const State = {
     const treeNode = this.findNodeInTree(node.id);
     if (treeNode) {
       Object.assign(treeNode, updates);
+      this.markNodeDirty(treeNode);
     }
 
     // Find and update in history
@@ -47,30 +151,234 @@ const State = {
 
   // Find node in tree structure
   findNodeInTree: function(nodeId) {
-    const searchNode = (node) => {
-      if (node.id === nodeId) return node;
-      if (node.children) {
-        for (const child of node.children) {
-          const found = searchNode(child);
-          if (found) return found;
-        }
+    return this.nodeIndex.get(nodeId) || null;
+  },
+
+  // Find the parent of a node (null for roots and unknown nodes)
+  getParentNode: function(nodeId) {
+    return this.parentIndex.get(nodeId) || null;
+  },
+
+  // Add a node and its subtree to the id and parent indexes
+  indexNode: function(node, parent = null) {
+    this.nodeIndex.set(node.id, node);
+    this.parentIndex.set(node.id, parent);
+    this.searchIndex.addNode(node);
+    if (node.children) {
+      node.children.forEach(child => this.indexNode(child, node));
+    }
+  },
+
+  // Rebuild both indexes from the current tree
+  rebuildNodeIndex: function() {
+    this.nodeIndex.clear();
+    this.parentIndex.clear();
+    this.searchIndex.clear();
+    Object.values(this.tabTree).forEach(rootNode => this.indexNode(rootNode));
+  },
+
+  // Replace the in-memory tree and re-index it
+  setTabTree: function(tabTree) {
+    this.tabTree = tabTree;
+    this.rebuildNodeIndex();
+  },
+
+  // Queue a node for the next incremental write to the node store
+  // and refresh its search entry
+  markNodeDirty: function(node) {
+    this.pendingNodeDeletes.delete(node.id);
+    this.pendingNodeWrites.set(node.id, node);
+    this.searchIndex.addNode(node);
+  },
+
+  // Unindex a node and its subtree and queue their deletion from the node store
+  // Returns the number of nodes dropped
+  dropSubtree: function(node) {
+    let dropped = 1;
+    this.nodeIndex.delete(node.id);
+    this.parentIndex.delete(node.id);
+    this.searchIndex.removeNode(node.id);
+    this.pendingNodeWrites.delete(node.id);
+    this.pendingNodeDeletes.add(node.id);
+    if (node.children) {
+      node.children.forEach(child => {
+        dropped += this.dropSubtree(child);
+      });
+    }
+    return dropped;
+  },
+
+  // Drop tab history entries whose nodes are no longer in the tree
+  pruneTabHistory: function() {
+    for (const [tabId, history] of Object.entries(this.tabHistory)) {
+      const indexedHistory = history.filter(node => this.nodeIndex.has(node.id));
+      if (indexedHistory.length === 0) {
+        delete this.tabHistory[tabId];
+      } else {
+        this.tabHistory[tabId] = indexedHistory;
       }
-      return null;
-    };
+    }
+  },
 
-    for (const rootId in this.tabTree) {
-      const found = searchNode(this.tabTree[rootId]);
-      if (found) return found;
+  // Write queued node changes to the node store
+  flushNodeWrites: async function() {
+    if (this.pendingNodeWrites.size === 0 && this.pendingNodeDeletes.size === 0) {
+      return;
     }
-    return null;
+
+    const writes = Array.from(this.pendingNodeWrites.values());
+    const deletes = Array.from(this.pendingNodeDeletes);
+    this.pendingNodeWrites.clear();
+    this.pendingNodeDeletes.clear();
+
+    try {
+      await this.nodeStore.deleteNodes(deletes);
+      await this.nodeStore.putNodes(await Encryption.sealRecords(
+        writes
+          .filter(node => this.nodeIndex.has(node.id))
+          .map(node => nodeToRecord(node, this.getParentNode(node.id)?.id ?? null))
+      ));
+    } catch (error) {
+      if (!isQuotaError(error)) {
+        console.error(ERROR_MESSAGES.SAVE_FAILED, error);
+        return;
+      }
+      // Keep the failed changes queued (unless newer ones replaced them)
+      // and make room for them
+      writes.forEach(node => {
+        if (!this.pendingNodeWrites.has(node.id)) this.pendingNodeWrites.set(node.id, node);
+      });
+      deletes.forEach(nodeId => this.pendingNodeDeletes.add(nodeId));
+      StorageMonitor.handleQuotaExceeded();
+    }
+  },
+
+  // Load the tree from the node store, including any queued changes
+  loadTabTree: async function() {
+    await this.flushNodeWrites();
+    return recordsToTree(await Encryption.openRecords(await this.nodeStore.getAllNodes()));
+  },
+
+  // Replace the whole tree in memory and in the node store
+  replaceTabTree: async function(tabTree) {
+    this.pendingNodeWrites.clear();
+    this.pendingNodeDeletes.clear();
+    const records = treeToRecords(tabTree);
+    this.setTabTree(tabTree);
+    await this.nodeStore.replaceAll(await Encryption.sealRecords(records));
   },
 
   // Save state to storage (immediate)
   saveState: function() {
     chrome.storage.local.set({
-      tabTree: this.tabTree,
+      tabHistory: this.serializeTabHistory(),
       isTracking: this.isTracking
+    }).catch(error => {
+      if (isQuotaError(error)) {
+        StorageMonitor.handleQuotaExceeded();
+      } else {
+        console.error(ERROR_MESSAGES.SAVE_FAILED, error);
+      }
     });
+    this.flushNodeWrites();
+  },
+
+  // Store tab history as node id stacks; the nodes themselves live in tabTree
+  serializeTabHistory: function() {
+    const serialized = {};
+    for (const [tabId, history] of Object.entries(this.tabHistory)) {
+      serialized[tabId] = history.map(node => node.id);
+    }
+    return serialized;
+  },
+
+  // Restore tab history from stored id stacks, or rebuild it from the tree
+  restoreTabHistory: function(storedHistory) {
+    if (!storedHistory || typeof storedHistory !== 'object') {
+      this.rebuildTabHistory();
+      return;
+    }
+
+    this.tabHistory = {};
+    for (const [tabId, nodeIds] of Object.entries(storedHistory)) {
+      const history = nodeIds
+        .map(nodeId => this.findNodeInTree(nodeId))
+        .filter(Boolean);
+      if (history.length > 0) {
+        this.tabHistory[tabId] = history;
+      }
+    }
+  },
+
+  // Rebuild tab history from the open nodes of each tab, oldest first
+  rebuildTabHistory: function() {
+    this.tabHistory = {};
+    const collectOpenNodes = (node) => {
+      if (node.tabId && !node.closedAt) {
+        if (!this.tabHistory[node.tabId]) {
+          this.tabHistory[node.tabId] = [];
+        }
+        this.tabHistory[node.tabId].push(node);
+      }
+      if (node.children) {
+        node.children.forEach(collectOpenNodes);
+      }
+    };
+
+    Object.values(this.tabTree).forEach(collectOpenNodes);
+    for (const history of Object.values(this.tabHistory)) {
+      history.sort((a, b) => a.createdAt - b.createdAt);
+    }
+  },
+
+  // Reattach live tabs to their last open node and close nodes of tabs that
+  // no longer exist (e.g. after a browser restart reused the tab ids)
+  reconcileTabHistory: async function() {
+    const tabs = await chrome.tabs.query({});
+    const liveTabs = new Map(tabs.map(tab => [String(tab.id), tab]));
+    const timestamp = Date.now();
+    let changed = false;
+
+    for (const [tabId, history] of Object.entries(this.tabHistory)) {
+      const tab = liveTabs.get(tabId);
+      const openHistory = history.filter(node => !node.closedAt);
+      let keepCount = 0;
+
+      if (tab && isExcluded(tab.url)) {
+        // Tab is parked on an untracked page, keep its branch as-is
+        keepCount = openHistory.length;
+      } else if (tab) {
+        const currentUrl = sanitizeUrl(tab.url);
+        for (let i = openHistory.length - 1; i >= 0; i--) {
+          if (openHistory[i].url === currentUrl) {
+            keepCount = i + 1;
+            break;
+          }
+        }
+      }
+
+      openHistory.slice(keepCount).forEach(node => {
+        Object.assign(node, {
+          closedAt: timestamp,
+          closedAtHuman: getHumanReadableTime(timestamp)
+        });
+        this.markNodeDirty(node);
+      });
+
+      if (keepCount === 0) {
+        delete this.tabHistory[tabId];
+      } else {
+        this.tabHistory[tabId] = openHistory.slice(0, keepCount);
+      }
+
+      if (keepCount !== history.length) {
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this.saveState();
+    }
   },
 
   // Debounced save to reduce storage operations
@@ -89,150 +397,87 @@ const State = {
 
   // Clear all state
   clearState: function() {
-    this.tabTree = {};
+    this.setTabTree({});
     this.tabHistory = {};
+    this.pendingNodeWrites.clear();
+    this.pendingNodeDeletes.clear();
+    this.nodeStore.clear().catch(error => {
+      console.error(ERROR_MESSAGES.CLEAR_FAILED, error);
+    });
     this.saveState();
   },
 
-  // Prune old data based on retention period
-  pruneOldData: function() {
-    const retentionPeriod = DATA.DEFAULT_RETENTION_DAYS * 24 * 60 * 60 * 1000; // Convert to milliseconds
-    const cutoffTime = Date.now() - retentionPeriod;
-    let prunedCount = 0;
-
-    // Helper function to recursively prune nodes
-    const pruneNode = (node) => {
-      if (!node) return null;
-
-      // Remove old children first
-      if (node.children) {
-        node.children = node.children
-          .map(child => pruneNode(child))
-          .filter(child => child !== null);
-      }
-
-      // Remove node if it's too old and closed
-      if (node.closedAt && node.closedAt < cutoffTime) {
-        prunedCount++;
-        return null;
-      }
-
-      return node;
-    };
-
-    // Prune tree structure
-    const newTree = {};
-    for (const [rootId, rootNode] of Object.entries(this.tabTree)) {
-      const prunedRoot = pruneNode(rootNode);
-      if (prunedRoot) {
-        newTree[rootId] = prunedRoot;
-      } else {
-        prunedCount++;
-      }
-    }
-
-    this.tabTree = newTree;
-
-    // Prune tab history
-    for (const [tabId, history] of Object.entries(this.tabHistory)) {
-      const filteredHistory = history.filter(node =>
-        !node.closedAt || node.closedAt >= cutoffTime
-      );
-
-      if (filteredHistory.length === 0) {
-        delete this.tabHistory[tabId];
-      } else {
-        this.tabHistory[tabId] = filteredHistory;
-      }
+  // Apply the retention policy: expired closed nodes first, then the oldest
+  // subtrees while the tree is over the node limit. Deleted branches go to
+  // the trash, and large passes snapshot the whole tree first.
+  // Returns the number of nodes removed
+  applyRetentionPolicy: function() {
+    const plan = planRetention(this.tabTree, this.retentionPolicy, Date.now(), this.getLiveNodeIds());
+    this.retentionFloor = plan.remainingNodes > this.retentionPolicy.maxTreeSize ? plan.remainingNodes : 0;
+    const deletions = [...plan.expired, ...plan.excess];
+    if (deletions.length === 0) return 0;
+
+    if (plan.totalNodes - plan.remainingNodes >= RECOVERY.LARGE_PRUNE_NODES) {
+      Recovery.takeSnapshot('prune').catch(error => console.error(ERROR_MESSAGES.SNAPSHOT_FAILED, error));
     }
+    Recovery.trashBranches(deletions).catch(error => console.error(ERROR_MESSAGES.TRASH_FAILED, error));
+    const removedCount = this.removeNodes(deletions.map(entry => entry.id));
 
-    if (prunedCount > 0) {
-      console.log(`Pruned ${prunedCount} old nodes`);
-      this.saveState();
+    if (removedCount > 0) {
+      console.log(`Retention removed ${removedCount} nodes (${plan.expired.length} expired, ${plan.excess.length} over the size limit)`);
     }
 
-    return prunedCount;
+    return removedCount;
   },
 
   // Check if tree size exceeds limits
+  // Once a pass could not get under the limit (open or exempt nodes), wait
+  // for the tree to grow past what it left before planning again
   checkTreeSize: function() {
     const nodeCount = this.countNodes();
-    if (nodeCount > DATA.MAX_TREE_SIZE) {
-      console.warn(`Tree size (${nodeCount}) exceeds maximum (${DATA.MAX_TREE_SIZE})`);
-      // Prune oldest nodes first
-      this.pruneOldData();
-
-      // If still too large, prune more aggressively
-      const newNodeCount = this.countNodes();
-      if (newNodeCount > DATA.MAX_TREE_SIZE) {
-        this.pruneExcessNodes(newNodeCount - DATA.MAX_TREE_SIZE);
-      }
+    if (nodeCount > this.retentionPolicy.maxTreeSize && nodeCount > this.retentionFloor) {
+      console.warn(`Tree size (${nodeCount}) exceeds maximum (${this.retentionPolicy.maxTreeSize})`);
+      this.applyRetentionPolicy();
     }
   },
 
+  // Nodes still in an open tab's history; other unclosed nodes are stale
+  getLiveNodeIds: function() {
+    return new Set(Object.values(this.tabHistory).flatMap(history => history.map(node => node.id)));
+  },
+
   // Count total nodes in tree
   countNodes: function() {
-    let count = 0;
-    const countInNode = (node) => {
-      count++;
-      if (node.children) {
-        node.children.forEach(countInNode);
-      }
-    };
-
-    Object.values(this.tabTree).forEach(countInNode);
-    return count;
+    return this.nodeIndex.size;
   },
 
-  // Prune excess nodes (oldest first)
-  pruneExcessNodes: function(excessCount) {
-    const allNodes = [];
-
-    // Collect all nodes with timestamps
-    const collectNodes = (node, path = []) => {
-      allNodes.push({ node, path });
-      if (node.children) {
-        node.children.forEach((child, index) =>
-          collectNodes(child, [...path, 'children', index])
-        );
-      }
-    };
-
-    Object.entries(this.tabTree).forEach(([rootId, rootNode]) =>
-      collectNodes(rootNode, [rootId])
-    );
-
-    // Sort by creation time (oldest first)
-    allNodes.sort((a, b) => a.node.createdAt - b.node.createdAt);
-
-    // Remove oldest nodes
+  // Remove nodes along with their subtrees
+  // Returns the number of nodes removed
+  removeNodes: function(nodeIds) {
     let removedCount = 0;
-    for (let i = 0; i < allNodes.length && removedCount < excessCount; i++) {
-      const { path } = allNodes[i];
-
-      if (path.length === 1) {
-        // Root node
-        delete this.tabTree[path[0]];
-      } else {
-        // Child node - remove from parent's children array
-        const parentPath = path.slice(0, -2);
-        const childIndex = path[path.length - 1];
-
-        let parent = this.tabTree;
-        for (const segment of parentPath) {
-          parent = parent[segment];
-        }
-
-        if (parent.children && parent.children[childIndex]) {
+    for (const nodeId of nodeIds) {
+      const node = this.nodeIndex.get(nodeId);
+      // Already removed as part of an ancestor's subtree
+      if (!node) continue;
+
+      const parent = this.getParentNode(node.id);
+      if (parent) {
+        const childIndex = parent.children.indexOf(node);
+        if (childIndex !== -1) {
           parent.children.splice(childIndex, 1);
         }
+      } else {
+        delete this.tabTree[node.id];
       }
 
-      removedCount++;
+      removedCount += this.dropSubtree(node);
     }
 
-    console.log(`Pruned ${removedCount} excess nodes`);
-    this.saveState();
+    if (removedCount > 0) {
+      this.pruneTabHistory();
+      this.saveState();
+    }
+    return removedCount;
   },
 
   
@@ -295,26 +540,677 @@ chrome.runtime.onConnect.addListener(port => {
   }
 });
 
+// =============================================================================
+// Dwell Time Tracking
+// =============================================================================
+const DwellTracker = {
+  activeTabId: null,
+  windowFocused: true,
+  idleState: 'active',
+  current: null, // { nodeId, startedAt } for the node in the foreground
+
+  // Node that should be accumulating foreground time right now
+  getForegroundNode: function() {
+    if (!State.isTracking || !this.windowFocused || this.idleState !== 'active') return null;
+    const history = State.tabHistory[this.activeTabId];
+    const node = history?.[history.length - 1];
+    return node && !node.closedAt ? node : null;
+  },
+
+  // End the running visit if the foreground node changed and start the next one
+  sync: function(timestamp = Date.now()) {
+    const node = this.getForegroundNode();
+    if ((this.current?.nodeId ?? null) === (node?.id ?? null)) return;
+
+    this.stop(timestamp);
+    if (node) {
+      this.current = { nodeId: node.id, startedAt: timestamp };
+      this.persist();
+    }
+  },
+
+  // Credit the running visit to its node and store a visit record
+  stop: function(endedAt = Date.now()) {
+    const visit = this.current;
+    if (!visit) return;
+    this.current = null;
+    this.persist();
+
+    const node = State.findNodeInTree(visit.nodeId);
+    const duration = visitDuration(visit.startedAt, endedAt);
+    if (!node || duration === 0) return;
+
+    State.updateNode(node, {
+      timeSpent: (node.timeSpent || 0) + duration,
+      visitCount: (node.visitCount || 0) + 1,
+      lastVisitedAt: endedAt
+    });
+    State.nodeStore.addVisit({ nodeId: node.id, timestamp: visit.startedAt, timeSpent: duration })
+      .catch(error => console.error(ERROR_MESSAGES.SAVE_FAILED, error));
+  },
+
+  // Drop the running visit without crediting it (tree cleared or replaced)
+  discard: function() {
+    this.current = null;
+    this.persist();
+  },
+
+  // Session storage survives service worker restarts but not browser restarts
+  persist: function() {
+    chrome.storage.session.set({ activeVisit: this.current });
+  },
+
+  // Pick up the running visit and the current focus state after a restart
+  restore: async function() {
+    const { activeVisit } = await chrome.storage.session.get('activeVisit');
+    const node = activeVisit && State.findNodeInTree(activeVisit.nodeId);
+    this.current = node && !node.closedAt ? activeVisit : null;
+
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const focusedWindow = await chrome.windows.getLastFocused();
+    this.activeTabId = activeTab?.id ?? null;
+    this.windowFocused = Boolean(focusedWindow?.focused);
+
+    chrome.idle.setDetectionInterval(DWELL.IDLE_DETECTION_INTERVAL);
+    this.idleState = await chrome.idle.queryState(DWELL.IDLE_DETECTION_INTERVAL);
+    this.sync();
+  },
+
+  onTabActivated({ tabId }) {
+    DwellTracker.activeTabId = tabId;
+    DwellTracker.sync();
+  },
+
+  async onWindowFocusChanged(windowId) {
+    if (windowId === chrome.windows.WINDOW_ID_NONE) {
+      DwellTracker.windowFocused = false;
+    } else {
+      DwellTracker.windowFocused = true;
+      const [activeTab] = await chrome.tabs.query({ active: true, windowId });
+      DwellTracker.activeTabId = activeTab?.id ?? null;
+    }
+    DwellTracker.sync();
+  },
+
+  onIdleStateChanged(newState) {
+    // 'idle' is reported a full detection interval after the last input
+    const endedAt = newState === 'idle'
+      ? Date.now() - DWELL.IDLE_DETECTION_INTERVAL * 1000
+      : Date.now();
+    DwellTracker.idleState = newState;
+    if (newState !== 'active') {
+      DwellTracker.stop(Math.max(endedAt, DwellTracker.current?.startedAt ?? 0));
+    }
+    DwellTracker.sync();
+  }
+};
+
+// =============================================================================
+// Browsing Sessions
+// =============================================================================
+const SessionManager = {
+  sessions: [], // [{ id, startedAt, endedAt, reason }] oldest first
+  currentSessionId: null,
+  idleSince: null, // when the user went idle, null while active
+  idleGapMinutes: DEFAULT_CONFIG.sessionIdleGapMinutes,
+
+  // Continue the running session, or start one after a browser restart
+  restore: async function() {
+    const { sessions } = await chrome.storage.local.get('sessions');
+    this.sessions = sessions || [];
+    this.assignMissingSessions();
+
+    // Session storage is emptied when the browser restarts
+    const stored = await chrome.storage.session.get(['currentSessionId', 'idleSince']);
+    const current = this.sessions.find(session => session.id === stored.currentSessionId);
+    if (current && !current.endedAt) {
+      this.currentSessionId = current.id;
+      this.idleSince = stored.idleSince ?? null;
+    } else {
+      const previous = this.getOpenSession();
+      const lastActivity = previous && summarizeSessions(State.tabTree, [previous])[0]?.lastActivityAt;
+      this.startSession('startup', Date.now(), lastActivity || previous?.startedAt);
+    }
+  },
+
+  getOpenSession: function() {
+    const last = this.sessions[this.sessions.length - 1];
+    return last && !last.endedAt ? last : null;
+  },
+
+  // End the open session (if any) and start a new one
+  startSession: function(reason, timestamp = Date.now(), previousEndedAt = timestamp) {
+    const previous = this.getOpenSession();
+    if (previous) {
+      previous.endedAt = Math.max(previous.startedAt, previousEndedAt);
+    }
+
+    const session = { id: createSessionId(timestamp), startedAt: timestamp, endedAt: null, reason };
+    this.sessions.push(session);
+    this.currentSessionId = session.id;
+    this.idleSince = null;
+    this.persist();
+    console.log('Started browsing session:', session.id, reason);
+  },
+
+  persist: function() {
+    chrome.storage.local.set({ sessions: this.sessions });
+    chrome.storage.session.set({
+      currentSessionId: this.currentSessionId,
+      idleSince: this.idleSince
+    });
+  },
+
+  // Give roots saved before sessions existed (or imported) a session by idle gaps
+  assignMissingSessions: function() {
+    const roots = Object.values(State.tabTree).filter(rootNode => !rootNode.sessionId);
+    if (roots.length === 0) return;
+
+    segmentRootsByGap(roots, this.idleGapMinutes * 60 * 1000).forEach(segment => {
+      const id = createSessionId(segment.startedAt);
+      if (!this.sessions.some(session => session.id === id)) {
+        this.sessions.push({ id, startedAt: segment.startedAt, endedAt: segment.endedAt, reason: 'backfill' });
+      }
+      segment.roots.forEach(rootNode => {
+        rootNode.sessionId = id;
+        State.markNodeDirty(rootNode);
+      });
+    });
+
+    this.sessions.sort((a, b) => a.startedAt - b.startedAt);
+    this.persist();
+    State.saveState();
+  },
+
+  // Forget sessions whose nodes have all been pruned
+  pruneEmptySessions: function() {
+    const live = new Set(summarizeSessions(State.tabTree, this.sessions).map(session => session.id));
+    const before = this.sessions.length;
+    this.sessions = this.sessions.filter(session =>
+      live.has(session.id) || session.id === this.currentSessionId
+    );
+    if (this.sessions.length !== before) {
+      this.persist();
+    }
+  },
+
+  // Summaries plus the running session id, for the popup and viewer
+  getSummary: function() {
+    return {
+      sessions: summarizeSessions(State.tabTree, this.sessions)
+        .map(session => ({ ...session, label: describeSession(session) })),
+      currentSessionId: this.currentSessionId
+    };
+  },
+
+  // Limit a tree to the sessions selected by a scope such as 'yesterday'
+  scopeTree: function(tabTree, scope) {
+    const sessionIds = resolveSessionScope(
+      scope,
+      summarizeSessions(tabTree, this.sessions),
+      this.currentSessionId
+    );
+    return filterTreeBySessions(tabTree, sessionIds);
+  },
+
+  // A long enough idle period ends the session; the next one starts on return
+  onIdleStateChanged(newState) {
+    const now = Date.now();
+    if (newState !== 'active') {
+      if (SessionManager.idleSince === null) {
+        SessionManager.idleSince = newState === 'idle'
+          ? now - DWELL.IDLE_DETECTION_INTERVAL * 1000
+          : now;
+        SessionManager.persist();
+      }
+      return;
+    }
+
+    const idleSince = SessionManager.idleSince;
+    if (idleSince !== null && now - idleSince >= SessionManager.idleGapMinutes * 60 * 1000) {
+      SessionManager.startSession('idle', now, idleSince);
+    } else {
+      SessionManager.idleSince = null;
+      SessionManager.persist();
+    }
+  }
+};
+
+// =============================================================================
+// Encryption at Rest
+// =============================================================================
+const Encryption = {
+  settings: null, // { salt, iterations, check } while encryption is on
+  key: null, // AES-GCM key while unlocked, never written to disk
+
+  isEnabled: function() {
+    return Boolean(this.settings);
+  },
+
+  isLocked: function() {
+    return this.isEnabled() && !this.key;
+  },
+
+  // Read the settings and the key unlocked earlier in this browser session
+  restore: async function() {
+    const stored = await chrome.storage.local.get(STORAGE_KEYS.ENCRYPTION);
+    this.settings = stored[STORAGE_KEYS.ENCRYPTION] || null;
+    this.key = null;
+    if (!this.settings) return;
+
+    const session = await chrome.storage.session.get(STORAGE_KEYS.ENCRYPTION_KEY);
+    if (session[STORAGE_KEYS.ENCRYPTION_KEY]) {
+      this.key = await importKey(session[STORAGE_KEYS.ENCRYPTION_KEY]);
+    }
+  },
+
+  // Session storage is held in memory, so the key survives service worker
+  // restarts but not a browser restart
+  persistKey: async function() {
+    if (this.key) {
+      await chrome.storage.session.set({ [STORAGE_KEYS.ENCRYPTION_KEY]: await exportKey(this.key) });
+    } else {
+      await chrome.storage.session.remove(STORAGE_KEYS.ENCRYPTION_KEY);
+    }
+  },
+
+  persistSettings: async function() {
+    if (this.settings) {
+      await chrome.storage.local.set({ [STORAGE_KEYS.ENCRYPTION]: this.settings });
+    } else {
+      await chrome.storage.local.remove(STORAGE_KEYS.ENCRYPTION);
+    }
+    // Mirror the switch in the config read by the options page
+    const { config } = await chrome.storage.local.get('config');
+    await chrome.storage.local.set({ config: { ...config, enableDataEncryption: this.isEnabled() } });
+  },
+
+  // Encrypt node records before they are written, if encryption is on
+  sealRecords: async function(records) {
+    if (!this.isEnabled()) return records;
+    if (!this.key) throw new Error(ERROR_MESSAGES.STORAGE_LOCKED);
+    return Promise.all(records.map(record => sealRecord(this.key, record)));
+  },
+
+  openRecords: async function(records) {
+    if (!records.some(record => record.encrypted)) return records;
+    if (!this.key) throw new Error(ERROR_MESSAGES.STORAGE_LOCKED);
+    return Promise.all(records.map(record => openRecord(this.key, record)));
+  },
+
+  // Compressed trees (archives, snapshots, trash) keep only counts and
+  // times readable; the title and URL of a trashed branch are sealed apart
+  // from its payload so that listings don't have to decrypt whole trees
+  sealTreeEntry: async function(entry) {
+    if (!this.isEnabled()) return entry;
+    if (!this.key) throw new Error(ERROR_MESSAGES.STORAGE_LOCKED);
+    const { data, visitData, title, url, ...fields } = entry;
+    const sealed = { ...fields, encrypted: await encryptBytes(this.key, data) };
+    if (visitData) {
+      sealed.encryptedVisits = await encryptBytes(this.key, visitData);
+    }
+    if (title !== undefined) {
+      sealed.encryptedLabel = await encryptJson(this.key, { title, url });
+    }
+    return sealed;
+  },
+
+  // Decrypt a compressed tree entry; without the payload for listings
+  openTreeEntry: async function(entry, includeData = true) {
+    if (!entry.encrypted) return entry;
+    if (!this.key) throw new Error(ERROR_MESSAGES.STORAGE_LOCKED);
+    const { encrypted, encryptedLabel, encryptedVisits, ...fields } = entry;
+    const opened = encryptedLabel ? { ...fields, ...await decryptJson(this.key, encryptedLabel) } : fields;
+    if (includeData) {
+      opened.data = await decryptBytes(this.key, encrypted);
+      if (encryptedVisits) opened.visitData = await decryptBytes(this.key, encryptedVisits);
+    }
+    return opened;
+  },
+
+  // Rewrite every stored node and compressed tree under a new key, or in plaintext for null.
+  // The new key is used from the start so concurrent writes match it.
+  switchKey: async function(key, settings) {
+    const previous = { key: this.key, settings: this.settings };
+    await State.flushNodeWrites();
+    await IncognitoTracking.save();
+    const incognitoRecords = await IncognitoTracking.readStore();
+    const treeStores = [NODE_STORE.ARCHIVES, NODE_STORE.SNAPSHOTS, NODE_STORE.TRASH];
+    const entries = await Promise.all(treeStores.map(async storeName => Promise.all(
+      (await State.nodeStore.getEntries(storeName)).map(entry => this.openTreeEntry(entry))
+    )));
+    this.key = key;
+    this.settings = settings;
+    try {
+      await State.nodeStore.putNodes(await this.sealRecords(treeToRecords(State.tabTree)));
+      await IncognitoTracking.store?.putNodes(await this.sealRecords(incognitoRecords));
+      for (const [index, storeName] of treeStores.entries()) {
+        await State.nodeStore.putEntries(storeName, await Promise.all(entries[index].map(entry => this.sealTreeEntry(entry))));
+      }
+      await this.persistSettings();
+      await this.persistKey();
+    } catch (error) {
+      Object.assign(this, previous);
+      throw error;
+    }
+  },
+
+  enable: async function(passphrase) {
+    if (!FEATURES.ENABLE_DATA_ENCRYPTION) throw new Error(ERROR_MESSAGES.ENCRYPTION_UNAVAILABLE);
+    if (this.isEnabled()) throw new Error('Encryption is already on');
+    const { key, settings } = await createPassphraseKey(passphrase);
+    await this.switchKey(key, settings);
+  },
+
+  changePassphrase: async function(currentPassphrase, newPassphrase) {
+    await unlockPassphraseKey(currentPassphrase, this.settings);
+    const { key, settings } = await createPassphraseKey(newPassphrase);
+    await this.switchKey(key, settings);
+  },
+
+  disable: async function(passphrase) {
+    await unlockPassphraseKey(passphrase, this.settings);
+    await this.switchKey(null, null);
+  },
+
+  unlock: async function(passphrase) {
+    if (!this.isLocked()) return;
+    this.key = await unlockPassphraseKey(passphrase, this.settings);
+    await this.persistKey();
+    await loadTrackedState(await chrome.storage.local.get([
+      'tabTree', 'tabHistory', 'isTracking', STORAGE_KEYS.SCHEMA_VERSION
+    ]));
+  },
+
+  // Forget the key and the decrypted tree; tracking pauses until unlocked
+  lock: async function() {
+    if (!this.isEnabled() || !this.key) return;
+    DwellTracker.stop();
+    await State.flushNodeWrites();
+    this.key = null;
+    await this.persistKey();
+    State.setTabTree({});
+    State.tabHistory = {};
+    State.isTracking = false; // in memory only, the stored switch is kept
+    IncognitoTracking.lock();
+    updateIcon(false);
+  },
+
+  // Forgotten passphrase: delete the encrypted history and turn encryption off
+  erase: async function() {
+    const { isTracking } = await chrome.storage.local.get('isTracking');
+    this.key = null;
+    this.settings = null;
+    await State.nodeStore.clear();
+    await State.nodeStore.clearArchives();
+    await State.nodeStore.clearRecovery();
+    await IncognitoTracking.store?.clear();
+    IncognitoTracking.lock();
+    await this.persistSettings();
+    await this.persistKey();
+    await loadTrackedState({ isTracking });
+    State.saveState();
+  },
+
+  // Encrypt an export file with the stored passphrase, if encryption is on
+  encryptExport: async function(data) {
+    if (!this.isEnabled()) return null;
+    if (!this.key) throw new Error(ERROR_MESSAGES.STORAGE_LOCKED);
+    return encryptExport(this.key, this.settings, data);
+  }
+};
+
+// =============================================================================
+// Storage Quota Monitoring
+// =============================================================================
+const StorageMonitor = {
+  usage: null, // last report from summarizeUsage
+  archiving: null, // running archive pass, so quota errors don't start several
+
+  // Measure chrome.storage.local and the extension's IndexedDB against their
+  // quotas and flag the toolbar badge when either is nearly full
+  check: async function() {
+    const localBytes = await chrome.storage.local.getBytesInUse(null);
+    const estimate = await navigator.storage?.estimate?.() || {};
+    this.usage = summarizeUsage({
+      localBytes,
+      localQuota: chrome.storage.local.QUOTA_BYTES || STORAGE_QUOTA.LOCAL_QUOTA_BYTES,
+      originBytes: estimate.usage,
+      originQuota: estimate.quota
+    });
+    updateStorageBadge(this.usage.warning);
+    if (this.usage.warning) {
+      console.warn(`Storage is ${Math.round(this.usage.ratio * 100)}% full`);
+    }
+    return this.usage;
+  },
+
+  // Move the oldest fully closed trees into a gzip archive
+  // Returns the number of nodes archived
+  archiveOldest: async function(minNodes = STORAGE_QUOTA.ARCHIVE_BATCH_NODES) {
+    if (Encryption.isLocked()) return 0;
+    const roots = selectArchiveRoots(State.tabTree, minNodes);
+    if (roots.length === 0) return 0;
+
+    await State.flushNodeWrites();
+    const archive = await createArchive(roots);
+    const nodeIds = [];
+    const collectIds = node => {
+      nodeIds.push(node.id);
+      (node.children || []).forEach(collectIds);
+    };
+    roots.forEach(collectIds);
+
+    await State.nodeStore.archiveNodes(await Encryption.sealTreeEntry(archive), nodeIds);
+    State.removeNodes(roots.map(root => root.id));
+    SessionManager.pruneEmptySessions();
+    console.log(`Archived ${archive.nodeCount} nodes from ${archive.rootCount} trees (${archive.bytes} bytes compressed)`);
+    return archive.nodeCount;
+  },
+
+  // A write ran out of space: archive old trees instead of dropping it.
+  // Archiving saves the state again, which retries the failed write.
+  handleQuotaExceeded: function() {
+    if (this.archiving) return this.archiving;
+    if (!FEATURES.ENABLE_STORAGE_ARCHIVING) {
+      console.error(ERROR_MESSAGES.STORAGE_QUOTA_EXCEEDED);
+      return Promise.resolve(0);
+    }
+
+    this.archiving = this.archiveOldest()
+      .then(archivedCount => {
+        if (archivedCount === 0) {
+          console.error(`${ERROR_MESSAGES.STORAGE_QUOTA_EXCEEDED}, and there are no closed trees left to archive`);
+        }
+        return archivedCount;
+      })
+      .catch(error => {
+        console.error(`${ERROR_MESSAGES.STORAGE_QUOTA_EXCEEDED}, archiving failed:`, error);
+        return 0;
+      })
+      .finally(() => {
+        this.archiving = null;
+        this.check().catch(error => console.error('Failed to measure storage usage:', error));
+      });
+    return this.archiving;
+  },
+
+  // Archive metadata, newest first
+  listArchives: async function() {
+    const archives = await State.nodeStore.getArchives();
+    return archives.map(summarizeArchive).sort((a, b) => b.archivedAt - a.archivedAt);
+  },
+
+  // Delete one archive for good; clearing the tree keeps archives
+  deleteArchive: async function(archiveId) {
+    await State.nodeStore.deleteArchive(archiveId);
+    await this.check();
+  },
+
+  // Decompress one archive for the viewer
+  loadArchive: async function(archiveId) {
+    const archive = await State.nodeStore.getArchive(archiveId);
+    if (!archive) throw new Error('Archive not found');
+    const tabTree = await readArchive(await Encryption.openTreeEntry(archive));
+    return migrateTree(tabTree, archive.schemaVersion).tabTree;
+  }
+};
+
+// =============================================================================
+// Snapshots and Trash
+// =============================================================================
+const Recovery = {
+  trashRetentionDays: DEFAULT_CONFIG.trashRetentionDays,
+
+  // Compress the whole tree before a destructive operation, keeping the
+  // newest RECOVERY.MAX_SNAPSHOTS snapshots
+  // The tree is captured before the first await, so callers may change it
+  // as soon as this is called. With includeVisits the visit records are
+  // kept too, for operations that delete them; callers must wait for those.
+  takeSnapshot: async function(reason, options = {}) {
+    if (State.nodeIndex.size === 0) return null;
+    const pending = createSnapshot(State.tabTree, reason);
+    const visits = options.includeVisits ? await State.nodeStore.getVisits() : [];
+    const snapshot = await attachSnapshotVisits(await pending, visits);
+    await State.nodeStore.putEntries(NODE_STORE.SNAPSHOTS, [await Encryption.sealTreeEntry(snapshot)]);
+
+    const excess = selectExcessSnapshots(await State.nodeStore.getEntries(NODE_STORE.SNAPSHOTS));
+    await State.nodeStore.deleteEntries(NODE_STORE.SNAPSHOTS, excess);
+    return snapshot;
+  },
+
+  // Keep the branches a retention pass is about to delete
+  // Must be called before the nodes are removed; they are captured right away
+  trashBranches: async function(deletions) {
+    const reasons = new Map(deletions.map(entry => [entry.id, entry.reason]));
+    const getParentId = nodeId => State.getParentNode(nodeId)?.id ?? null;
+    const createdAt = Date.now();
+    const pending = findBranchRoots([...reasons.keys()], getParentId)
+      .filter(nodeId => State.nodeIndex.has(nodeId))
+      .map(nodeId => createTrashEntry(State.nodeIndex.get(nodeId), getParentId(nodeId), reasons.get(nodeId), createdAt));
+
+    const entries = await Promise.all(pending);
+    await State.nodeStore.putEntries(NODE_STORE.TRASH, await Promise.all(entries.map(entry => Encryption.sealTreeEntry(entry))));
+    return entries.length;
+  },
+
+  // Snapshot and trash metadata, newest first
+  listEntries: async function() {
+    const summarize = async storeName => {
+      const entries = await State.nodeStore.getEntries(storeName);
+      const opened = await Promise.all(entries.map(entry => Encryption.openTreeEntry(entry, false)));
+      return opened.map(summarizeRecoveryEntry).sort((a, b) => b.createdAt - a.createdAt);
+    };
+    const [snapshots, trash] = await Promise.all([summarize(NODE_STORE.SNAPSHOTS), summarize(NODE_STORE.TRASH)]);
+    return { snapshots, trash };
+  },
+
+  // Read one stored entry
+  getEntry: async function(kind, id) {
+    const storeName = kind === 'snapshot' ? NODE_STORE.SNAPSHOTS : NODE_STORE.TRASH;
+    const entry = await State.nodeStore.getEntry(storeName, id);
+    if (!entry) throw new Error(kind === 'snapshot' ? 'Snapshot not found' : 'Trash entry not found');
+    return entry;
+  },
+
+  // Decompress a snapshot or trashed branch, upgraded to the current schema
+  loadTree: async function(kind, id) {
+    return this.openTree(await this.getEntry(kind, id));
+  },
+
+  openTree: async function(entry) {
+    const tabTree = await readRecoveryTree(await Encryption.openTreeEntry(entry));
+    return migrateTree(tabTree, entry.schemaVersion).tabTree;
+  },
+
+  // Replace the tree with a snapshot, after snapshotting the current tree
+  // so the restore itself can be undone. Visit records kept with the
+  // snapshot come back with it.
+  restoreSnapshot: async function(snapshotId) {
+    if (Encryption.isLocked()) throw new Error(ERROR_MESSAGES.STORAGE_LOCKED);
+    const entry = await Encryption.openTreeEntry(await this.getEntry('snapshot', snapshotId));
+    const tabTree = await this.openTree(entry);
+    const visits = await readSnapshotVisits(entry);
+    await this.takeSnapshot('restore', { includeVisits: true });
+    DwellTracker.discard();
+    await importTree(tabTree);
+    await State.nodeStore.addVisits(visits);
+    await State.reconcileTabHistory();
+    console.log(`Restored snapshot ${snapshotId}`);
+  },
+
+  // Put a trashed branch back under its old parent, or as a root if the
+  // parent is gone
+  // Returns the number of nodes restored
+  restoreTrash: async function(entryId) {
+    if (Encryption.isLocked()) throw new Error(ERROR_MESSAGES.STORAGE_LOCKED);
+    const entry = await this.getEntry('trash', entryId);
+    const branch = Object.values(await this.openTree(entry))[0];
+    if (!branch) throw new Error('Trash entry is empty');
+    if (State.nodeIndex.has(branch.id)) throw new Error('This branch is already in the tree');
+
+    const parent = State.nodeIndex.get(entry.parentId) || null;
+    if (parent) {
+      parent.children.push(branch);
+    } else {
+      State.tabTree[branch.id] = branch;
+    }
+    State.indexNode(branch, parent);
+
+    let nodeCount = 0;
+    const markRestored = node => {
+      nodeCount++;
+      State.markNodeDirty(node);
+      (node.children || []).forEach(markRestored);
+    };
+    markRestored(branch);
+    SessionManager.assignMissingSessions();
+    State.saveState();
+
+    await State.nodeStore.deleteEntries(NODE_STORE.TRASH, [entryId]);
+    return nodeCount;
+  },
+
+  // Drop trashed branches older than the trash period
+  purgeExpiredTrash: async function() {
+    const entries = await State.nodeStore.getEntries(NODE_STORE.TRASH);
+    const expired = selectExpiredTrash(entries, this.trashRetentionDays);
+    await State.nodeStore.deleteEntries(NODE_STORE.TRASH, expired);
+    if (expired.length > 0) {
+      console.log(`Purged ${expired.length} branches from the trash`);
+    }
+    return expired.length;
+  }
+};
+
 // =============================================================================
 // Tab Management
 // =============================================================================
 const TabManager = {
   async createNode(tab, _parentId = null) {
     const timestamp = Date.now();
+    const transition = State.lastTransitions.get(tab.id);
     const node = {
       id: `${tab.id}-${timestamp}`,
       tabId: tab.id,
       url: sanitizeUrl(tab.url),
-      title: tab.title,
+      title: getTrackedTitle(tab.url, tab.title),
       createdAt: timestamp,
       createdAtHuman: getHumanReadableTime(timestamp),
       closedAt: null,
       closedAtHuman: null,
       children: [],
-      topWords: null
+      topWords: null,
+      timeSpent: 0,
+      visitCount: 0,
+      transitionType: transition?.transitionType ?? null,
+      transitionQualifiers: transition?.transitionQualifiers ?? [],
+      sessionId: SessionManager.currentSessionId,
+      ...getTabContext(tab, await this.getTabGroup(tab.groupId))
     };
 
-    // Analyze content if possible
+    // Analyze content if possible; incognito pages never are
+    if (tab.incognito) return node;
     try {
       node.topWords = await analyzePageContent(tab.id);
     } catch (error) {
@@ -336,74 +1232,321 @@ const TabManager = {
         if (!parentNode.children) parentNode.children = [];
         if (!this.isDuplicateNode(newNode, parentNode.children)) {
           parentNode.children.push(newNode);
+          State.indexNode(newNode, parentNode);
+          State.markNodeDirty(newNode);
         }
       }
     } else {
       // Add as root
       if (!this.isDuplicateNode(newNode, Object.values(State.tabTree))) {
         State.tabTree[newNode.id] = newNode;
+        State.indexNode(newNode);
+        State.markNodeDirty(newNode);
+      }
+    }
+
+    // Update history
+    if (!State.tabHistory[tab.id]) {
+      State.tabHistory[tab.id] = [];
+    }
+    if (!this.isDuplicateNode(newNode, State.tabHistory[tab.id])) {
+      State.tabHistory[tab.id].push(newNode);
+    }
+    DwellTracker.sync();
+
+    State.debouncedSave();
+    State.checkTreeSize();
+    return newNode;
+  },
+
+  // Title and color of a tab group, cached until the group changes
+  async getTabGroup(groupId) {
+    if (groupId === undefined || groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) return null;
+    if (!State.tabGroups.has(groupId)) {
+      try {
+        const group = await chrome.tabGroups.get(groupId);
+        State.tabGroups.set(groupId, { title: group.title, color: group.color });
+      } catch (error) {
+        console.error('Failed to read tab group:', error);
+        return null;
+      }
+    }
+    return State.tabGroups.get(groupId);
+  },
+
+  // Record where the tab's current node now lives (window, position, group)
+  async refreshTabContext(tab) {
+    const history = State.tabHistory[tab.id];
+    const currentNode = history?.[history.length - 1];
+    if (!currentNode) return;
+
+    const changes = diffContext(currentNode, getTabContext(tab, await this.getTabGroup(tab.groupId)));
+    if (changes) {
+      State.updateNode(currentNode, changes);
+    }
+  },
+
+  // Moving one tab shifts the index of its neighbours, so refresh the whole window
+  async refreshWindowContext(windowId) {
+    try {
+      const tabs = await chrome.tabs.query({ windowId });
+      for (const tab of tabs) {
+        await this.refreshTabContext(tab);
+      }
+    } catch (error) {
+      console.error('Failed to refresh window context:', error);
+    }
+  },
+
+  isDuplicateNode(newNode, nodes) {
+    return nodes.some(existing =>
+      existing.url === newNode.url &&
+      Math.abs(existing.createdAt - newNode.createdAt) < TIMING.DUPLICATE_NODE_THRESHOLD
+    );
+  },
+
+  updateTabTitle(tab) {
+    const history = State.tabHistory[tab.id];
+    if (history?.length > 0) {
+      const currentNode = history[history.length - 1];
+      // Skip titles of a page that has not become a node yet
+      if (currentNode.url !== sanitizeUrl(tab.url)) return;
+      const title = getTrackedTitle(tab.url, tab.title);
+      if (currentNode.title !== title) {
+        State.updateNode(currentNode, { title });
+      }
+    }
+  },
+
+  // Add, or walk back to, the node for the tab's current URL
+  async navigateTab(tab) {
+    const tabId = tab.id;
+    const history = State.tabHistory[tabId];
+    if (!history?.length) {
+      await TabManager.addTab(tab);
+      return;
+    }
+
+    // Stored URLs are sanitized, so compare the tab's URL sanitized too
+    const currentNode = history[history.length - 1];
+    const url = sanitizeUrl(tab.url);
+    const navigation = classifyTabNavigation(history, url);
+    if (navigation.type !== 'same') {
+      // Fragment-only changes create nodes only on opted-in domains
+      if (isFragmentOnlyChange(currentNode.url, url) &&
+          !matchesDomainList(tab.url, State.fragmentNavigationDomains)) {
+        return;
+      }
+
+      // Check if we're navigating back
+      if (navigation.type === 'back') {
+        // Mark nodes after this point as closed
+        const timestamp = Date.now();
+        for (let i = navigation.index + 1; i < history.length; i++) {
+          State.updateNode(history[i], {
+            closedAt: timestamp,
+            closedAtHuman: getHumanReadableTime(timestamp)
+          });
+        }
+        State.tabHistory[tabId] = history.slice(0, navigation.index + 1);
+        DwellTracker.sync(timestamp);
+        State.debouncedSave();
+        TabManager.updateTabTitle(tab);
+      } else {
+        // New navigation; typed URLs and bookmarks may start their own root
+        await TabManager.addTab(tab, startsNewRoot(tabId) ? null : currentNode.id);
+      }
+    }
+  },
+
+  handleTabClose(tabId) {
+    const timestamp = Date.now();
+    if (DwellTracker.activeTabId === tabId) {
+      DwellTracker.stop(timestamp);
+    }
+    // Earlier pages of the tab stay open for back navigation; close them all
+    const history = State.tabHistory[tabId] || [];
+    history.filter(node => !node.closedAt).forEach(openNode => {
+      State.updateNode(openNode, {
+        closedAt: timestamp,
+        closedAtHuman: getHumanReadableTime(timestamp)
+      });
+    });
+
+    delete State.tabHistory[tabId];
+    State.debouncedSave();
+  }
+};
+
+// =============================================================================
+// Incognito Tracking
+// =============================================================================
+// Incognito tabs never enter the main tree. Depending on config.incognitoPolicy
+// they are ignored, kept in an in-memory tree until the last incognito window
+// closes (mirrored to chrome.storage.session so worker restarts keep it), or
+// kept in a node store of their own.
+const IncognitoTracking = {
+  policy: INCOGNITO.POLICIES[0],
+  tree: new IncognitoTree({ formatTime: getHumanReadableTime }),
+  store: null, // NodeStore for the 'separate' policy
+  loaded: false, // whether the tree was read back from storage
+
+  isEnabled: function() {
+    return this.policy !== 'never';
+  },
+
+  // Policy read at startup; the stored tree is read back on first use
+  restorePolicy: function(policy) {
+    this.policy = policy;
+    this.store = policy === 'separate' ? new NodeStore({ dbName: INCOGNITO.DB_NAME }) : null;
+  },
+
+  // Switching policy starts over: leaving 'separate' deletes its store
+  setPolicy: async function(policy) {
+    if (policy === this.policy) return;
+    const previousStore = this.store;
+    this.tree.clear();
+    this.loaded = false;
+    this.restorePolicy(policy);
+    await chrome.storage.session.remove(STORAGE_KEYS.INCOGNITO_TREE);
+    if (previousStore) await previousStore.clear();
+  },
+
+  // Read the tree back once: from session storage for 'ephemeral', from the
+  // node store for 'separate'. Without incognito windows the ephemeral tree
+  // has ended and the separate tree's tabs are closed.
+  ensureLoaded: async function() {
+    if (this.loaded || !this.isEnabled()) return;
+    if (this.store) {
+      if (Encryption.isLocked()) throw new Error(ERROR_MESSAGES.STORAGE_LOCKED);
+      this.tree.load(recordsToTree(await Encryption.openRecords(await this.store.getAllNodes())));
+    } else {
+      const stored = await chrome.storage.session.get(STORAGE_KEYS.INCOGNITO_TREE);
+      this.tree.load(recordsToTree(stored[STORAGE_KEYS.INCOGNITO_TREE] || []));
+    }
+    this.loaded = true;
+    if (await hasIncognitoWindow()) return;
+    if (this.store) {
+      this.tree.closeAllTabs();
+      await this.save();
+    } else if (this.tree.nodeCount > 0) {
+      await this.discard();
+    }
+  },
+
+  save: async function() {
+    if (!this.loaded) return;
+    try {
+      if (this.store) {
+        await this.store.putNodes(await Encryption.sealRecords(this.tree.takeDirtyRecords()));
+      } else {
+        this.tree.takeDirtyRecords();
+        await chrome.storage.session.set({ [STORAGE_KEYS.INCOGNITO_TREE]: treeToRecords(this.tree.tabTree) });
       }
+    } catch (error) {
+      console.error(ERROR_MESSAGES.SAVE_FAILED, error);
     }
+  },
 
-    // Update history
-    if (!State.tabHistory[tab.id]) {
-      State.tabHistory[tab.id] = [];
+  // Add, or walk back to, the node for an incognito tab's current URL
+  navigate: async function(tab) {
+    if (!this.isEnabled() || isExcluded(tab.url)) return;
+    await this.ensureLoaded();
+    const currentNode = this.tree.getCurrentNode(tab.id);
+    if (currentNode && isFragmentOnlyChange(currentNode.url, sanitizeUrl(tab.url)) &&
+        !matchesDomainList(tab.url, State.fragmentNavigationDomains)) {
+      return;
     }
-    if (!this.isDuplicateNode(newNode, State.tabHistory[tab.id])) {
-      State.tabHistory[tab.id].push(newNode);
+    const node = await TabManager.createNode(tab);
+    if (this.tree.navigate(node, { newRoot: Boolean(currentNode) && startsNewRoot(tab.id) })) {
+      await this.save();
     }
+  },
 
-    State.debouncedSave();
-    State.checkTreeSize();
-    return newNode;
+  onTabUpdated: async function(changeInfo, tab) {
+    if (!this.isEnabled() || isExcluded(tab.url)) return;
+    await this.ensureLoaded();
+    if (changeInfo.title && this.tree.getCurrentNode(tab.id)?.url === sanitizeUrl(tab.url) &&
+        this.tree.updateCurrentNode(tab.id, { title: getTrackedTitle(tab.url, tab.title) })) {
+      await this.save();
+    }
+    if (changeInfo.status === 'complete') {
+      await this.navigate(tab);
+    }
   },
 
-  isDuplicateNode(newNode, nodes) {
-    return nodes.some(existing =>
-      existing.url === newNode.url &&
-      Math.abs(existing.createdAt - newNode.createdAt) < TIMING.DUPLICATE_NODE_THRESHOLD
-    );
+  onTabRemoved: async function(tabId) {
+    if (!this.isEnabled()) return;
+    await this.ensureLoaded();
+    if (this.tree.closeTab(tabId)) await this.save();
   },
 
-  updateTabTitle(tab) {
-    const history = State.tabHistory[tab.id];
-    if (history?.length > 0) {
-      const currentNode = history[history.length - 1];
-      if (currentNode.title !== tab.title) {
-        State.updateNode(currentNode, { title: tab.title });
-      }
-    }
+  // Run the current sanitizer rules over the incognito tree
+  // Returns the number of nodes changed
+  reapplySanitizer: async function() {
+    if (!this.isEnabled()) return 0;
+    await this.ensureLoaded();
+    const changedCount = this.tree.rewriteUrls(sanitizeUrl);
+    if (changedCount > 0) await this.save();
+    return changedCount;
   },
 
-  handleTabClose(tabId) {
-    const timestamp = Date.now();
-    const closeNode = (node) => {
-      if (node.tabId === tabId && !node.closedAt) {
-        State.updateNode(node, {
-          closedAt: timestamp,
-          closedAtHuman: getHumanReadableTime(timestamp)
-        });
-        return true;
-      }
-      if (node.children) {
-        for (const child of node.children) {
-          if (closeNode(child)) return true;
-        }
-      }
-      return false;
-    };
+  // Decrypted records of the separate store, read before the key changes
+  readStore: async function() {
+    return this.store ? Encryption.openRecords(await this.store.getAllNodes()) : [];
+  },
 
-    Object.values(State.tabTree).forEach(closeNode);
-    delete State.tabHistory[tabId];
+  // Forget the decrypted separate tree when history is locked
+  lock: function() {
+    if (!this.store) return;
+    this.tree.clear();
+    this.loaded = false;
+  },
+
+  // The ephemeral tree ends with the last incognito window
+  onWindowRemoved: async function() {
+    if (this.policy !== 'ephemeral' || await hasIncognitoWindow()) return;
+    await this.discard();
+  },
+
+  // Forget the tree, and delete the separate store's copy
+  discard: async function() {
+    this.tree.clear();
+    await chrome.storage.session.remove(STORAGE_KEYS.INCOGNITO_TREE);
+    if (this.store) await this.store.clear();
+    chrome.runtime.sendMessage({ action: 'incognitoTreeDiscarded' }).catch(() => {
+      // No viewer open
+    });
+  },
+
+  getStatus: async function() {
+    if (this.isEnabled() && !Encryption.isLocked()) await this.ensureLoaded();
+    return { policy: this.policy, nodeCount: this.tree.nodeCount };
+  },
+
+  getTree: async function() {
+    if (!this.isEnabled()) throw new Error(ERROR_MESSAGES.NO_INCOGNITO_TREE);
+    await this.ensureLoaded();
+    return { tabTree: this.tree.tabTree };
   }
 };
 
+async function hasIncognitoWindow() {
+  const windows = await chrome.windows.getAll();
+  return windows.some(window => window.incognito);
+}
+
 // =============================================================================
 // Event Handlers
 // =============================================================================
 const EventHandlers = {
   async onTabCreated(tab) {
     if (!State.isTracking || State.isViewerTab(tab.id)) return;
+    if (tab.incognito) {
+      // Kept in memory: the opener would otherwise reach chrome.storage.local
+      IncognitoTracking.tree.setOpener(tab.id, tab.openerTabId);
+      return;
+    }
 
     const openerKey = `opener_${tab.id}`;
     await chrome.storage.local.set({ [openerKey]: tab.openerTabId });
@@ -414,17 +1557,17 @@ const EventHandlers = {
         const result = await chrome.storage.local.get(openerKey);
         const openerTabId = result[openerKey];
 
-        if (openerTabId) {
+        if (openerTabId && !startsNewRoot(tabId)) {
           const parentHistory = State.tabHistory[openerTabId];
           if (parentHistory?.length > 0) {
             await TabManager.addTab(updatedTab, parentHistory[parentHistory.length - 1].id);
           } else {
             await TabManager.addTab(updatedTab);
           }
-          chrome.storage.local.remove(openerKey);
         } else {
           await TabManager.addTab(updatedTab);
         }
+        chrome.storage.local.remove(openerKey);
 
         chrome.tabs.onUpdated.removeListener(updateListener);
       }
@@ -434,69 +1577,151 @@ const EventHandlers = {
   },
 
   async onTabUpdated(tabId, changeInfo, tab) {
-    if (!State.isTracking || State.isViewerTab(tabId) ||
-        changeInfo.status !== 'complete' || isExcluded(tab.url)) return;
-    // Always update title if it has changed
+    if (!State.isTracking || State.isViewerTab(tabId)) return;
+    if (tab.incognito) {
+      await IncognitoTracking.onTabUpdated(changeInfo, tab);
+      return;
+    }
+    if (isExcluded(tab.url)) return;
+    // Always update title if it has changed (SPAs often retitle after loading)
     if (changeInfo.title) {
       TabManager.updateTabTitle(tab);
     }
-
-    const history = State.tabHistory[tabId];
-    if (!history?.length) {
-      await TabManager.addTab(tab);
-      return;
+    if (changeInfo.pinned !== undefined || changeInfo.groupId !== undefined) {
+      await TabManager.refreshTabContext(tab);
     }
+    if (changeInfo.status !== 'complete') return;
 
-    const currentNode = history[history.length - 1];
-    if (currentNode.url !== tab.url) {
-      // Check if we're navigating back
-      const existingIndex = history.findIndex(node => node.url === tab.url);
-      if (existingIndex !== -1) {
-        // Mark nodes after this point as closed
-        const timestamp = Date.now();
-        for (let i = existingIndex + 1; i < history.length; i++) {
-          State.updateNode(history[i], {
-            closedAt: timestamp,
-            closedAtHuman: getHumanReadableTime(timestamp)
-          });
-        }
-        State.tabHistory[tabId] = history.slice(0, existingIndex + 1);
-        TabManager.updateTabTitle(tab);
+    await TabManager.navigateTab(tab);
+  },
+
+  // Remember how the top frame of each tab was reached
+  onNavigationCommitted(details) {
+    if (details.frameId !== 0) return;
+    State.lastTransitions.set(details.tabId, {
+      url: details.url,
+      transitionType: details.transitionType,
+      transitionQualifiers: details.transitionQualifiers || [],
+      timestamp: details.timeStamp
+    });
+  },
+
+  // Single-page-app route changes (history.pushState/replaceState)
+  async onHistoryStateUpdated(details) {
+    EventHandlers.onNavigationCommitted(details);
+    await EventHandlers.onInPageNavigation(details);
+  },
+
+  // Fragment (#...) changes within the same document
+  async onReferenceFragmentUpdated(details) {
+    EventHandlers.onNavigationCommitted(details);
+    await EventHandlers.onInPageNavigation(details);
+  },
+
+  // Treat in-page navigations as child navigations of the tab's current node
+  async onInPageNavigation(details) {
+    if (details.frameId !== 0 || !State.isTracking ||
+        State.isViewerTab(details.tabId) || isExcluded(details.url)) return;
+
+    try {
+      const tab = await chrome.tabs.get(details.tabId);
+      if (tab.incognito) {
+        await IncognitoTracking.navigate({ ...tab, url: details.url });
       } else {
-        // New navigation
-        await TabManager.addTab(tab, currentNode.id);
+        await TabManager.navigateTab({ ...tab, url: details.url });
       }
+    } catch (error) {
+      console.error('Failed to track in-page navigation:', error);
     }
   },
 
+  async onTabMoved(_tabId, moveInfo) {
+    if (!State.isTracking) return;
+    await TabManager.refreshWindowContext(moveInfo.windowId);
+  },
+
+  async onTabAttached(_tabId, attachInfo) {
+    if (!State.isTracking) return;
+    await TabManager.refreshWindowContext(attachInfo.newWindowId);
+  },
+
+  async onTabDetached(_tabId, detachInfo) {
+    if (!State.isTracking) return;
+    await TabManager.refreshWindowContext(detachInfo.oldWindowId);
+  },
+
+  // Renamed or recoloured groups update the nodes currently shown in them
+  onTabGroupUpdated(group) {
+    State.tabGroups.set(group.id, { title: group.title, color: group.color });
+    if (!State.isTracking) return;
+
+    Object.values(State.tabHistory).forEach(history => {
+      const currentNode = history[history.length - 1];
+      if (currentNode?.groupId !== group.id) return;
+      const changes = diffContext(currentNode, { groupTitle: group.title, groupColor: group.color });
+      if (changes) {
+        State.updateNode(currentNode, changes);
+      }
+    });
+  },
+
+  onTabGroupRemoved(group) {
+    State.tabGroups.delete(group.id);
+  },
+
   onTabRemoved(tabId) {
+    State.lastTransitions.delete(tabId);
     if (!State.isTracking) return;
     if (State.isViewerTab(tabId)) {
       State.unregisterViewerTab(tabId);
       return;
     }
     TabManager.handleTabClose(tabId);
+    IncognitoTracking.onTabRemoved(tabId).catch(error => console.error('Failed to close incognito tab:', error));
   }
 };
 
+// Whether the tab's last committed navigation should start a new root
+function startsNewRoot(tabId) {
+  return shouldStartNewRoot(
+    State.lastTransitions.get(tabId),
+    State.typedNavigationStartsRoot
+  );
+}
+
 // =============================================================================
 // Initialization and Setup
 // =============================================================================
 async function initializeExtension() {
   try {
     const result = await chrome.storage.local.get([
-      'config', 'tabTree', 'userTimeZone', 'isTracking'
+      'config', 'tabTree', 'tabHistory', 'userTimeZone', 'isTracking', STORAGE_KEYS.SCHEMA_VERSION
     ]);
 
     // Initialize state
-    State.excludedDomains = result.config?.excludedDomains || [];
+    setExclusionRules(result.config);
     State.enableContentAnalysis = result.config?.enableContentAnalysis || false;
-    State.tabTree = result.tabTree || {};
+    State.typedNavigationStartsRoot = result.config?.typedNavigationStartsRoot || false;
+    State.fragmentNavigationDomains = result.config?.fragmentNavigationDomains || [];
+    SessionManager.idleGapMinutes = getSessionIdleGap(result.config);
+    State.retentionPolicy = normalizeRetentionPolicy(result.config);
+    Recovery.trashRetentionDays = getTrashRetentionDays(result.config);
+    setUrlSanitizerRules(result.config?.urlSanitizer);
+    IncognitoTracking.restorePolicy(normalizeIncognitoPolicy(result.config));
     State.userTimeZone = result.userTimeZone || 'UTC';
-    State.isTracking = result.isTracking || false;
 
-    // Setup icon and tracking check
-    updateIcon(State.isTracking);
+    // Encrypted history stays locked (and tracking paused) until unlocked
+    await Encryption.restore();
+    if (Encryption.isLocked()) {
+      console.log('Stored history is encrypted and locked');
+      updateIcon(false);
+    } else {
+      await loadTrackedState(result);
+    }
+
+    StorageMonitor.check().catch(error => console.error('Failed to measure storage usage:', error));
+
+    // Setup tracking check
     initTrackingCheck();
 
     // Schedule periodic cleanup
@@ -512,7 +1737,7 @@ async function initializeExtension() {
 
     console.log('Extension initialized:', {
       isTracking: State.isTracking,
-      domainsCount: State.excludedDomains.length,
+      exclusionRuleCount: State.exclusionRules.length,
       treeSize: Object.keys(State.tabTree).length
     });
   } catch (error) {
@@ -520,11 +1745,236 @@ async function initializeExtension() {
   }
 }
 
+// Load the tree and everything that refers to its nodes
+async function loadTrackedState(stored) {
+  // Move trees saved by older versions into the node store
+  if (stored.tabTree) {
+    await migrateLegacyTabTree(stored.tabTree);
+  }
+
+  State.setTabTree(await State.loadTabTree());
+  await migrateStoredTree(stored[STORAGE_KEYS.SCHEMA_VERSION]);
+  State.restoreTabHistory(stored.tabHistory);
+  State.isTracking = stored.isTracking || false;
+
+  // Reattach open tabs to their branches after a service worker restart
+  await State.reconcileTabHistory();
+  await SessionManager.restore();
+  await DwellTracker.restore();
+  updateIcon(State.isTracking);
+}
+
+// Upgrade the loaded tree to the current schema, one step at a time, and
+// write the changed nodes back (visit records are kept)
+async function migrateStoredTree(storedVersion) {
+  // A store that was never written is already current
+  const isEmpty = State.nodeIndex.size === 0;
+  const version = storedVersion === undefined && isEmpty ? SCHEMA.VERSION : normalizeSchemaVersion(storedVersion);
+
+  if (version > SCHEMA.VERSION) {
+    console.warn(`Stored data uses schema ${version}, newer than ${SCHEMA.VERSION}; leaving it unchanged`);
+    return;
+  }
+  if (version < SCHEMA.VERSION) {
+    const { tabTree, applied } = migrateTree(State.tabTree, version);
+    await State.nodeStore.putNodes(await Encryption.sealRecords(treeToRecords(tabTree)));
+    State.setTabTree(tabTree);
+    console.log(`Migrated stored tree from schema ${version} to ${applied.join(', ')}`);
+  }
+  await chrome.storage.local.set({ [STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA.VERSION });
+}
+
+// Idle gap that separates sessions, never shorter than the minimum
+function getSessionIdleGap(config) {
+  const minutes = Number(config?.sessionIdleGapMinutes) || DEFAULT_CONFIG.sessionIdleGapMinutes;
+  return Math.max(minutes, SESSIONS.MIN_IDLE_GAP_MINUTES);
+}
+
+// Rebuild the URL policy from config.exclusionRules (or the old excludedDomains)
+function setExclusionRules(config) {
+  const { mode, rules } = normalizeExclusionConfig(config);
+  State.exclusionMode = mode;
+  State.exclusionRules = rules;
+  State.urlPolicy = createUrlPolicy(config);
+}
+
+// Rebuild the URL sanitizer from config.urlSanitizer (defaults when missing)
+function setUrlSanitizerRules(rules) {
+  State.urlSanitizerRules = normalizeSanitizerRules(rules).rules;
+  State.urlSanitizer = createUrlSanitizer(State.urlSanitizerRules);
+}
+
+// Days trashed branches are kept, within the allowed range
+function getTrashRetentionDays(config) {
+  const days = Number(config?.trashRetentionDays) || DEFAULT_CONFIG.trashRetentionDays;
+  return Math.min(Math.max(days, 1), RECOVERY.MAX_TRASH_DAYS);
+}
+
+// Replace the tree with an imported or restored one and rebuild what
+// refers to its nodes
+async function importTree(tabTree) {
+  // Keep notes, tags and stars from the file, in a form we can store
+  normalizeTreeAnnotations(tabTree);
+  await State.replaceTabTree(tabTree);
+
+  // Rebuild tab history from tree data
+  State.tabHistory = {};
+  const rebuildHistory = (node) => {
+    if (node.tabId) {
+      if (!State.tabHistory[node.tabId]) {
+        State.tabHistory[node.tabId] = [];
+      }
+      State.tabHistory[node.tabId].push(node);
+    }
+    if (node.children) {
+      node.children.forEach(rebuildHistory);
+    }
+  };
+
+  Object.values(State.tabTree).forEach(rebuildHistory);
+  SessionManager.assignMissingSessions();
+
+  // Save the imported data
+  State.saveState();
+}
+
+// Merge an imported tree into the current one, keeping existing nodes
+// Returns the merge summary: { added, skipped, conflicts }
+async function mergeTree(tabTree) {
+  normalizeTreeAnnotations(tabTree);
+  const { additions, summary } = planMerge(State.tabTree, tabTree);
+  const knownSessions = new Set(SessionManager.sessions.map(session => session.id));
+  const addedNodes = [];
+  const collectAdded = node => {
+    addedNodes.push(node);
+    State.markNodeDirty(node);
+    node.children.forEach(collectAdded);
+  };
+
+  additions.forEach(({ parentId, node }) => {
+    const parent = parentId ? State.nodeIndex.get(parentId) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      // Sessions from another profile are not known here; backfill them
+      if (node.sessionId && !knownSessions.has(node.sessionId)) delete node.sessionId;
+      State.tabTree[node.id] = node;
+    }
+    State.indexNode(node, parent);
+    collectAdded(node);
+  });
+
+  // Open nodes join their tab's history once; reconciling closes those whose
+  // tab is not open here
+  addedNodes
+    .filter(node => node.tabId && !node.closedAt)
+    .forEach(node => {
+      const history = State.tabHistory[node.tabId] || [];
+      if (!history.some(entry => entry.id === node.id)) history.push(node);
+      State.tabHistory[node.tabId] = history.sort((a, b) => a.createdAt - b.createdAt);
+    });
+  await State.reconcileTabHistory();
+
+  SessionManager.assignMissingSessions();
+  State.saveState();
+  return summary;
+}
+
+// Rebuild navigation trees for a date range from chrome.history (an
+// optional permission) and merge them in as historical roots
+async function backfillHistory(startTime, endTime) {
+  if (!chrome.history) throw new Error(ERROR_MESSAGES.HISTORY_PERMISSION_MISSING);
+  if (Encryption.isLocked()) throw new Error(ERROR_MESSAGES.STORAGE_LOCKED);
+
+  const range = normalizeBackfillRange(startTime, endTime);
+  const visits = await fetchHistoryVisits(chrome.history, range);
+  const { tabTree, skippedCount } = buildHistoryTree(visits, {
+    isExcluded,
+    sanitizeUrl,
+    formatTitle: getTrackedTitle,
+    formatTime: getHumanReadableTime
+  });
+
+  await Recovery.takeSnapshot('backfill');
+  const summary = await mergeTree(tabTree);
+  console.log(`Backfilled ${summary.added} nodes from ${visits.length} history visits`);
+  return { ...summary, visitCount: visits.length, excludedCount: skippedCount };
+}
+
+// Run the current sanitizer rules over every stored node: the live tree,
+// archives, snapshots, trash and the incognito tree. No snapshot is taken,
+// since it would keep the removed parts; this cannot be undone.
+async function reapplyUrlSanitizer() {
+  if (Encryption.isLocked()) throw new Error(ERROR_MESSAGES.STORAGE_LOCKED);
+
+  const changes = [...State.nodeIndex.values()]
+    .map(node => ({ node, url: sanitizeUrl(node.url) }))
+    .filter(change => change.url !== change.node.url);
+  changes.forEach(({ node, url }) => {
+    node.url = url;
+    State.markNodeDirty(node);
+  });
+  Object.values(State.tabHistory).forEach(history => history.forEach(entry => {
+    entry.url = sanitizeUrl(entry.url);
+  }));
+  if (changes.length > 0) State.saveState();
+
+  let storedCount = 0;
+  for (const storeName of [NODE_STORE.ARCHIVES, NODE_STORE.SNAPSHOTS, NODE_STORE.TRASH]) {
+    storedCount += await sanitizeTreeEntries(storeName);
+  }
+  storedCount += await IncognitoTracking.reapplySanitizer();
+  return { changedCount: changes.length, nodeCount: State.nodeIndex.size, storedCount };
+}
+
+// Sanitize the trees inside one store of compressed entries, rewriting only
+// the entries that change
+// Returns the number of nodes changed
+async function sanitizeTreeEntries(storeName) {
+  let changedCount = 0;
+  const rewritten = [];
+  for (const stored of await State.nodeStore.getEntries(storeName)) {
+    const entry = await Encryption.openTreeEntry(stored);
+    const tabTree = await decompressJson(entry.data);
+    const changed = sanitizeTreeUrls(tabTree, sanitizeUrl);
+    if (changed.length === 0) continue;
+    const data = await compressJson(tabTree);
+    const updated = { ...entry, data, bytes: data.byteLength };
+    if (entry.url) updated.url = sanitizeUrl(entry.url);
+    rewritten.push(await Encryption.sealTreeEntry(updated));
+    changedCount += changed.length;
+  }
+  await State.nodeStore.putEntries(storeName, rewritten);
+  return changedCount;
+}
+
+// Copy a whole-tree chrome.storage.local save into the node store, then drop it
+async function migrateLegacyTabTree(legacyTree) {
+  await State.nodeStore.putNodes(await Encryption.sealRecords(treeToRecords(legacyTree)));
+  await chrome.storage.local.remove('tabTree');
+  console.log('Migrated stored tab tree to IndexedDB');
+}
+
 // Initialize event listeners
 function initializeEventListeners() {
   chrome.tabs.onCreated.addListener(EventHandlers.onTabCreated);
   chrome.tabs.onUpdated.addListener(EventHandlers.onTabUpdated);
   chrome.tabs.onRemoved.addListener(EventHandlers.onTabRemoved);
+  chrome.tabs.onMoved.addListener(EventHandlers.onTabMoved);
+  chrome.tabs.onAttached.addListener(EventHandlers.onTabAttached);
+  chrome.tabs.onDetached.addListener(EventHandlers.onTabDetached);
+  chrome.tabGroups.onUpdated.addListener(EventHandlers.onTabGroupUpdated);
+  chrome.tabGroups.onRemoved.addListener(EventHandlers.onTabGroupRemoved);
+  chrome.webNavigation.onCommitted.addListener(EventHandlers.onNavigationCommitted);
+  chrome.webNavigation.onHistoryStateUpdated.addListener(EventHandlers.onHistoryStateUpdated);
+  chrome.webNavigation.onReferenceFragmentUpdated.addListener(EventHandlers.onReferenceFragmentUpdated);
+  chrome.tabs.onActivated.addListener(DwellTracker.onTabActivated);
+  chrome.windows.onFocusChanged.addListener(DwellTracker.onWindowFocusChanged);
+  chrome.windows.onRemoved.addListener(() => {
+    IncognitoTracking.onWindowRemoved().catch(error => console.error('Failed to discard incognito tree:', error));
+  });
+  chrome.idle.onStateChanged.addListener(DwellTracker.onIdleStateChanged);
+  chrome.idle.onStateChanged.addListener(SessionManager.onIdleStateChanged);
   
   // Set up message handling
   chrome.runtime.onMessage.addListener(handleMessages);
@@ -538,49 +1988,22 @@ initializeExtension().then(() => {
 // =============================================================================
 // Utility Functions
 // =============================================================================
+// Remove sensitive query parameters and path parts by the user's rules
+// (see src/url-sanitizer.js)
 function sanitizeUrl(url) {
   if (!url) return url;
-
-  try {
-    const urlObj = new URL(url);
-
-    // List of sensitive query parameters to remove
-    const sensitiveParams = [
-      'token', 'access_token', 'auth_token', 'api_key', 'apikey',
-      'password', 'pwd', 'pass', 'secret', 'key',
-      'session', 'sessionid', 'session_id', 'sid',
-      'csrf', 'csrf_token', 'xsrf', 'xsrf_token',
-      'oauth', 'oauth_token', 'oauth_signature',
-      'jwt', 'bearer', 'authorization',
-      'email', 'phone', 'ssn', 'credit_card',
-      'user_id', 'userid', 'uid'
-    ];
-
-    // Remove sensitive parameters
-    sensitiveParams.forEach(param => {
-      urlObj.searchParams.delete(param);
-    });
-
-    // Remove parameters that look like tokens (long random strings)
-    for (const [key, value] of urlObj.searchParams.entries()) {
-      // Remove parameters with long random-looking values (likely tokens)
-      if (value.length > 20 && /^[a-zA-Z0-9+/=_-]+$/.test(value)) {
-        urlObj.searchParams.delete(key);
-      }
-    }
-
-    return urlObj.toString();
-  } catch (error) {
-    // If URL parsing fails, return original URL
-    console.warn('Failed to sanitize URL:', url, error);
-    return url;
-  }
+  return State.urlSanitizer(url);
 }
 
 function isExcluded(url) {
   if (!url) return true;
   if (url.startsWith(chrome.runtime.getURL('viewer/'))) return true;
-  return State.excludedDomains.some(domain => url.includes(domain));
+  return !State.urlPolicy(url).track;
+}
+
+// Title to record for a page; exclusion rules can redact it
+function getTrackedTitle(url, title) {
+  return title && State.urlPolicy(url).redactTitle ? REDACTION.REDACTED_TITLE : title;
 }
 
 function getHumanReadableTime(timestamp) {
@@ -615,6 +2038,14 @@ function updateIcon(tracking) {
     
   chrome.action.setIcon({ path: iconPath });
 }
+
+// Flag the toolbar icon while storage is nearly full
+function updateStorageBadge(warning) {
+  chrome.action.setBadgeText({ text: warning ? STORAGE_QUOTA.BADGE_TEXT : '' });
+  if (warning) {
+    chrome.action.setBadgeBackgroundColor({ color: STORAGE_QUOTA.BADGE_COLOR });
+  }
+}
   
 function initTrackingCheck() {
   if (State.trackingCheckInterval) {
@@ -643,13 +2074,17 @@ function schedulePeriodicCleanup() {
 
 // Perform maintenance cleanup
 function performMaintenanceCleanup() {
+  // Nothing is loaded while locked, so every session would look empty
+  if (Encryption.isLocked()) return;
   console.log('Performing maintenance cleanup...');
 
-  // Prune old data
-  const prunedCount = State.pruneOldData();
+  // Apply the retention policy
+  const prunedCount = State.applyRetentionPolicy();
+  Recovery.purgeExpiredTrash().catch(error => console.error('Failed to purge the trash:', error));
 
   // Clean content analysis cache
   cleanContentAnalysisCache();
+  SessionManager.pruneEmptySessions();
 
   // Clean throttle map
   const now = Date.now();
@@ -663,6 +2098,8 @@ function performMaintenanceCleanup() {
   State.lastCleanup = now;
   chrome.storage.local.set({ lastCleanup: now });
 
+  StorageMonitor.check().catch(error => console.error('Failed to measure storage usage:', error));
+
   console.log(`Maintenance cleanup completed. Pruned ${prunedCount} nodes.`);
 }
 
@@ -682,8 +2119,17 @@ function handleMessages(request, _sender, sendResponse) {
 
   switch (request.action) {
     case 'getTabTree':
-      sendResponse({ tabTree: State.tabTree || {} });
-      return false;
+      if (Encryption.isLocked()) {
+        sendResponse({ tabTree: {}, locked: true });
+        return false;
+      }
+      State.loadTabTree()
+        .then(tabTree => sendResponse({ tabTree: SessionManager.scopeTree(tabTree, request.scope) }))
+        .catch(error => {
+          console.error(ERROR_MESSAGES.TREE_LOAD_FAILED, error);
+          sendResponse({ error: error.message });
+        });
+      return true; // Asynchronous response
 
     case 'registerViewer':
       State.registerViewerTab(request.tabId);
@@ -696,65 +2142,244 @@ function handleMessages(request, _sender, sendResponse) {
       return false; // Synchronous response
 
     case 'toggleTracking':
+      if (Encryption.isLocked()) {
+        sendResponse({ error: ERROR_MESSAGES.STORAGE_LOCKED });
+        return false;
+      }
       State.isTracking = !State.isTracking;
       updateIcon(State.isTracking);
       chrome.storage.local.set({ isTracking: State.isTracking });
+      DwellTracker.sync();
       console.log('Tracking toggled:', State.isTracking);
       sendResponse({ isTracking: State.isTracking });
       return false;
 
     case 'getTrackingStatus':
-      sendResponse({ isTracking: State.isTracking });
+      sendResponse({ isTracking: State.isTracking, locked: Encryption.isLocked() });
       return false; // Changed to false since we're sending synchronously
     case 'clearTabTree':
-      State.clearState();
-      sendResponse({ success: true });
-      return false; // Synchronous response
+      if (Encryption.isLocked()) {
+        sendResponse({ error: ERROR_MESSAGES.STORAGE_LOCKED });
+        return false;
+      }
+      // Keep a snapshot, visits included, so the clear can be undone
+      return respondWith(Recovery.takeSnapshot('clear', { includeVisits: true }).then(() => {
+        DwellTracker.discard();
+        State.clearState();
+        SessionManager.pruneEmptySessions();
+      }), sendResponse);
 
     case 'importTabTree':
-      try {
-        if (!request.tabTree || typeof request.tabTree !== 'object') {
-          throw new Error('Invalid tree data provided');
-        }
+      if (!request.tabTree || typeof request.tabTree !== 'object') {
+        console.error('Failed to import tree data: invalid tree data provided');
+        sendResponse({ error: 'Invalid tree data provided' });
+        return false;
+      }
+      if (Encryption.isLocked()) {
+        sendResponse({ error: ERROR_MESSAGES.STORAGE_LOCKED });
+        return false;
+      }
+
+      // Replacing or merging into the tree can be undone from the snapshot
+      // Replacing drops visit records, so the snapshot keeps them
+      Recovery.takeSnapshot('import', { includeVisits: request.mode !== 'merge' })
+        .then(() => (request.mode === 'merge' ? mergeTree(request.tabTree) : importTree(request.tabTree)))
+        .then(summary => {
+          console.log('Successfully imported tree data', summary || '');
+          sendResponse({ success: true, summary });
+        })
+        .catch(error => {
+          console.error('Failed to import tree data:', error);
+          sendResponse({ error: error.message });
+        });
+      return true; // Asynchronous response
 
-        // Clear existing data first
-        State.tabTree = {};
-        State.tabHistory = {};
+    case 'previewImport': {
+      // What a merge would add, skip and rename, without changing anything
+      if (!request.tabTree || typeof request.tabTree !== 'object') {
+        sendResponse({ error: 'Invalid tree data provided' });
+        return false;
+      }
+      if (Encryption.isLocked()) {
+        sendResponse({ error: ERROR_MESSAGES.STORAGE_LOCKED });
+        return false;
+      }
+      const { summary } = planMerge(State.tabTree, request.tabTree);
+      sendResponse({ summary, existingCount: State.nodeIndex.size });
+      return false;
+    }
 
-        // Import the new tree data
-        State.tabTree = request.tabTree;
+    case 'backfillHistory':
+      return respondWith(backfillHistory(request.startTime, request.endTime), sendResponse);
 
-        // Rebuild tab history from tree data
-        const rebuildHistory = (node) => {
-          if (node.tabId) {
-            if (!State.tabHistory[node.tabId]) {
-              State.tabHistory[node.tabId] = [];
-            }
-            State.tabHistory[node.tabId].push(node);
-          }
-          if (node.children) {
-            node.children.forEach(rebuildHistory);
-          }
+    case 'getExclusionRules':
+      sendResponse({ mode: State.exclusionMode, rules: State.exclusionRules });
+      return false;
+
+    case 'importExclusionRules':
+      sendResponse(importExclusionRules(request.text));
+      return false;
+
+    case 'getUrlSanitizer':
+      sendResponse({ rules: State.urlSanitizerRules });
+      return false;
+
+    case 'testUrlSanitizer': {
+      // Try rules from the options form before they are saved
+      const { rules, errors } = normalizeSanitizerRules(request.rules);
+      sendResponse({ ...applySanitizer(request.url, compileSanitizer(rules)), errors });
+      return false;
+    }
+
+    case 'reapplyUrlSanitizer':
+      return respondWith(reapplyUrlSanitizer(), sendResponse);
+
+    case 'getSessions':
+      sendResponse(SessionManager.getSummary());
+      return false; // Synchronous response
+
+    case 'getVisits':
+      State.nodeStore.getVisits(request.nodeId)
+        .then(visits => sendResponse({ visits }))
+        .catch(error => {
+          console.error('Failed to load visit records:', error);
+          sendResponse({ error: error.message });
+        });
+      return true; // Asynchronous response
+
+    case 'searchTree': {
+      const query = parseSearchQuery(request.query);
+      const results = State.searchIndex.search(query, request.limit).map(({ id, score }) => {
+        const node = State.nodeIndex.get(id);
+        return {
+          id,
+          score,
+          title: node.title || '',
+          url: node.url || '',
+          createdAt: node.createdAt,
+          closedAt: node.closedAt || null,
+          starred: Boolean(node.starred),
+          path: buildAncestorPath(id, nodeId => State.getParentNode(nodeId))
         };
+      });
+      sendResponse({ results, invalid: query.invalid });
+      return false; // Synchronous response
+    }
+
+    case 'updateNodeAnnotations': {
+      const node = State.nodeIndex.get(request.nodeId);
+      if (!node) {
+        sendResponse({ error: 'Node not found' });
+        return false;
+      }
+      const annotations = normalizeAnnotations(request.annotations);
+      State.updateNode(node, annotations);
+      sendResponse({ success: true, annotations });
+      return false;
+    }
 
-        Object.values(State.tabTree).forEach(rebuildHistory);
+    case 'previewRetention': {
+      // Dry run of the next maintenance cleanup, optionally with unsaved settings
+      const policy = request.config ? normalizeRetentionPolicy(request.config) : State.retentionPolicy;
+      const preview = summarizeRetentionPlan(planRetention(State.tabTree, policy, Date.now(), State.getLiveNodeIds()));
+      sendResponse({ preview, policy });
+      return false;
+    }
+
+    case 'getEncryptionStatus':
+      sendResponse({
+        available: FEATURES.ENABLE_DATA_ENCRYPTION,
+        enabled: Encryption.isEnabled(),
+        locked: Encryption.isLocked()
+      });
+      return false;
+
+    case 'unlockStorage':
+      return respondWith(Encryption.unlock(request.passphrase), sendResponse);
+
+    case 'lockStorage':
+      return respondWith(Encryption.lock(), sendResponse);
+
+    case 'enableEncryption':
+      return respondWith(Encryption.enable(request.passphrase), sendResponse);
 
-        // Save the imported data
-        State.saveState();
+    case 'changePassphrase':
+      return respondWith(Encryption.changePassphrase(request.currentPassphrase, request.newPassphrase), sendResponse);
 
-        console.log('Successfully imported tree data');
-        sendResponse({ success: true });
+    case 'disableEncryption':
+      return respondWith(Encryption.disable(request.passphrase), sendResponse);
+
+    case 'eraseEncryptedData':
+      return respondWith(Encryption.erase(), sendResponse);
+
+    case 'encryptExport':
+      return respondWith(Encryption.encryptExport(request.data).then(envelope => ({ envelope })), sendResponse);
+
+    case 'decryptExport':
+      return respondWith(decryptExport(request.passphrase, request.envelope).then(data => ({ data })), sendResponse);
+
+    case 'migrateExport':
+      // Upgrade a file written by an older version before it is imported
+      try {
+        sendResponse({ data: migrateExport(request.data) });
       } catch (error) {
-        console.error('Failed to import tree data:', error);
         sendResponse({ error: error.message });
       }
-      return false; // Synchronous response
+      return false;
+
+    case 'getStorageUsage':
+      return respondWith(
+        Promise.all([StorageMonitor.check(), StorageMonitor.listArchives()])
+          .then(([usage, archives]) => ({ usage, archives })),
+        sendResponse
+      );
+
+    case 'archiveOldTrees':
+      return respondWith(StorageMonitor.archiveOldest().then(archivedCount => ({ archivedCount })), sendResponse);
+
+    case 'getIncognitoStatus':
+      return respondWith(IncognitoTracking.getStatus(), sendResponse);
+
+    case 'getIncognitoTree':
+      return respondWith(IncognitoTracking.getTree(), sendResponse);
+
+    case 'discardIncognitoTree':
+      return respondWith(IncognitoTracking.discard(), sendResponse);
+
+    case 'getArchives':
+      return respondWith(StorageMonitor.listArchives().then(archives => ({ archives })), sendResponse);
+
+    case 'getArchive':
+      return respondWith(StorageMonitor.loadArchive(request.archiveId).then(tabTree => ({ tabTree })), sendResponse);
+
+    case 'deleteArchive':
+      return respondWith(StorageMonitor.deleteArchive(request.archiveId), sendResponse);
+
+    case 'getRecoveryEntries':
+      return respondWith(Recovery.listEntries(), sendResponse);
+
+    case 'getRecoveryTree':
+      return respondWith(Recovery.loadTree(request.kind, request.id).then(tabTree => ({ tabTree })), sendResponse);
+
+    case 'restoreSnapshot':
+      return respondWith(Recovery.restoreSnapshot(request.snapshotId), sendResponse);
+
+    case 'restoreTrash':
+      return respondWith(Recovery.restoreTrash(request.entryId).then(nodeCount => ({ nodeCount })), sendResponse);
 
     case 'updateConfig':
       chrome.storage.local.set({ config: request.config })
-        .then(() => {
-          State.excludedDomains = request.config.excludedDomains || [];
+        .then(async () => {
+          setExclusionRules(request.config);
           State.enableContentAnalysis = request.config.enableContentAnalysis || false;
+          State.typedNavigationStartsRoot = request.config.typedNavigationStartsRoot || false;
+          State.fragmentNavigationDomains = request.config.fragmentNavigationDomains || [];
+          SessionManager.idleGapMinutes = getSessionIdleGap(request.config);
+          State.retentionPolicy = normalizeRetentionPolicy(request.config);
+          State.retentionFloor = 0;
+          Recovery.trashRetentionDays = getTrashRetentionDays(request.config);
+          setUrlSanitizerRules(request.config.urlSanitizer);
+          await IncognitoTracking.setPolicy(normalizeIncognitoPolicy(request.config));
           sendResponse({ success: true });
         })
         .catch(error => {
@@ -781,6 +2406,17 @@ function handleMessages(request, _sender, sendResponse) {
   }
 }
 
+// Answer a message once an operation finishes: { success, ...result } or { error }
+function respondWith(promise, sendResponse) {
+  promise
+    .then(result => sendResponse({ success: true, ...result }))
+    .catch(error => {
+      console.error('Request failed:', error.message);
+      sendResponse({ error: error.message });
+    });
+  return true; // Asynchronous response
+}
+
 //
 // Content analysis throttling and caching
 const contentAnalysisThrottle = new Map(); // tabId -> timestamp
@@ -801,8 +2437,8 @@ async function analyzePageContent(tabId) {
     const tab = await chrome.tabs.get(tabId);
     if (!tab || !tab.url) return null;
 
-    // Skip analysis for excluded domains
-    if (isExcluded(tab.url)) return null;
+    // Skip analysis for excluded pages and rules that turn it off
+    if (isExcluded(tab.url) || !State.urlPolicy(tab.url).analyzeContent) return null;
 
     // Skip analysis for non-http(s) URLs
     if (!tab.url.startsWith('http://') && !tab.url.startsWith('https://')) return null;
@@ -7,6 +7,27 @@ Intl.supportedValuesOf('timeZone').forEach(tz => {
   timeZoneSelect.appendChild(option);
 });
 
+const MIN_PASSPHRASE_LENGTH = 8; // matches ENCRYPTION.MIN_PASSPHRASE_LENGTH
+const BACKFILL_DEFAULT_DAYS = 7; // matches HISTORY_BACKFILL.DEFAULT_DAYS
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SANITIZER_REPLACEMENT = ':redacted'; // matches SANITIZER.DEFAULT_REPLACEMENT
+const CONFIRM_TIMEOUT = 4000; // matches RECOVERY.CONFIRM_TIMEOUT
+// matches EXCLUSION.TYPE_LABELS and EXCLUSION.SCOPE_LABELS
+const EXCLUSION_TYPES = {
+  host: 'Exact host',
+  suffix: 'Host and subdomains',
+  glob: 'URL glob (* and ?)',
+  regex: 'URL regex'
+};
+const EXCLUSION_SCOPES = {
+  'no-track': 'Do not track',
+  'no-content': 'Track, skip content analysis',
+  'redact-title': 'Track, redact the title',
+  track: 'Track (allowlist entry)'
+};
+const EXCLUSION_EXPORT_FORMAT = 'tab-tree-exclusion-rules'; // matches EXCLUSION.EXPORT_FORMAT
+let encryptionEnabled = false; // mirrored into config.enableDataEncryption on save
+
 // Validate domain format
 function isValidDomain(domain) {
   const domainPattern = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
@@ -24,22 +45,405 @@ function showStatus(message, isError = false) {
   }, 3000);
 }
 
-// Saves options to chrome.storage
-function save_options() {
-  const excludedDomainsText = document.getElementById('excludedDomains').value;
-  const timeZone = document.getElementById('timeZone').value;
+// Parse per-domain retention rules written one per line as "domain days"
+function parseRetentionRules(text) {
+  const rules = [];
+  const invalidLines = [];
+  text.split('\n').map(s => s.trim()).filter(Boolean).forEach(line => {
+    const [domain, days, ...rest] = line.split(/\s+/);
+    const dayCount = Number(days);
+    if (rest.length === 0 && isValidDomain(domain) && Number.isInteger(dayCount) && dayCount > 0) {
+      rules.push({ domain: domain.toLowerCase(), days: dayCount });
+    } else {
+      invalidLines.push(line);
+    }
+  });
+  return { rules, invalidLines };
+}
+
+// Build a select from { value: label } options
+function createSelect(options, value) {
+  const select = document.createElement('select');
+  Object.entries(options).forEach(([optionValue, label]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+// Add one editable row to the exclusion rule table
+function addExclusionRuleRow(rule = { type: 'suffix', pattern: '', scope: 'no-track' }) {
+  const row = document.createElement('tr');
+  const type = createSelect(EXCLUSION_TYPES, rule.type);
+  type.className = 'exclusion-type';
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'exclusion-pattern';
+  pattern.style.width = '100%';
+  pattern.value = rule.pattern;
+  const scope = createSelect(EXCLUSION_SCOPES, rule.scope);
+  scope.className = 'exclusion-scope';
+  const remove = document.createElement('button');
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => row.remove());
+
+  [type, pattern, scope, remove].forEach(control => {
+    const cell = document.createElement('td');
+    cell.appendChild(control);
+    row.appendChild(cell);
+  });
+  document.querySelector('#exclusionRules tbody').appendChild(row);
+}
+
+function renderExclusionRules(mode, rules) {
+  document.getElementById('exclusionMode').value = mode;
+  document.querySelector('#exclusionRules tbody').textContent = '';
+  rules.forEach(rule => addExclusionRuleRow(rule));
+}
+
+// Check a rule's pattern the way the background page will
+function isValidExclusionPattern(type, pattern) {
+  if (type === 'host' || type === 'suffix') return isValidDomain(pattern.replace(/^\*?\./, ''));
+  if (type !== 'regex') return true;
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Read the exclusion rule table; empty rows are skipped
+// Returns { mode, rules } or { error } with a message for the status line
+function readExclusionRules() {
+  const rules = [];
+  const invalidPatterns = [];
+  document.querySelectorAll('#exclusionRules tbody tr').forEach(row => {
+    const rule = {
+      type: row.querySelector('.exclusion-type').value,
+      pattern: row.querySelector('.exclusion-pattern').value.trim(),
+      scope: row.querySelector('.exclusion-scope').value
+    };
+    if (!rule.pattern) return;
+    if (isValidExclusionPattern(rule.type, rule.pattern)) rules.push(rule);
+    else invalidPatterns.push(rule.pattern);
+  });
+  if (invalidPatterns.length > 0) {
+    return { error: `Invalid exclusion patterns: ${invalidPatterns.join(', ')}` };
+  }
+  return { mode: document.getElementById('exclusionMode').value, rules };
+}
+
+function load_exclusion_rules() {
+  chrome.runtime.sendMessage({ action: 'getExclusionRules' }, (response) => {
+    if (chrome.runtime.lastError || !response?.rules) return;
+    renderExclusionRules(response.mode, response.rules);
+  });
+}
+
+// Download the rules in the table as a JSON file
+function export_exclusion_rules() {
+  const { mode, rules, error } = readExclusionRules();
+  if (error) {
+    showStatus(error, true);
+    return;
+  }
+  const json = JSON.stringify({ format: EXCLUSION_EXPORT_FORMAT, mode, rules }, null, 2);
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  link.download = `${EXCLUSION_EXPORT_FORMAT}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Add the rules from a chosen file to the table (save to apply them)
+async function import_exclusion_rules(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  const text = await file.text();
+  chrome.runtime.sendMessage({ action: 'importExclusionRules', text }, (response) => {
+    if (chrome.runtime.lastError || !response) {
+      showStatus('Import failed: background page not available', true);
+      return;
+    }
+    const current = readExclusionRules().rules || [];
+    const key = rule => `${rule.type} ${rule.pattern} ${rule.scope}`;
+    const known = new Set(current.map(key));
+    const added = response.rules.filter(rule => !known.has(key(rule)));
+    added.forEach(rule => addExclusionRuleRow(rule));
+    if (response.mode) document.getElementById('exclusionMode').value = response.mode;
+    const skipped = response.errors.length > 0 ? ` Skipped: ${response.errors.join('; ')}` : '';
+    showStatus(`Imported ${added.length} rules. Save to apply them.${skipped}`, response.errors.length > 0);
+  });
+}
+
+function load_incognito_status() {
+  chrome.runtime.sendMessage({ action: 'getIncognitoStatus' }, (response) => {
+    const status = document.getElementById('incognitoStatus');
+    if (chrome.runtime.lastError || !response || response.error) {
+      status.textContent = response?.error || '';
+      return;
+    }
+    status.textContent = response.policy === 'never' ? '' : `The incognito tree has ${response.nodeCount} nodes.`;
+  });
+}
+
+function discard_incognito_tree() {
+  chrome.runtime.sendMessage({ action: 'discardIncognitoTree' }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      showStatus(response?.error || 'Background page not available', true);
+      return;
+    }
+    showStatus('Incognito tree discarded');
+    load_incognito_status();
+  });
+}
+
+// Split a list of parameter names written one per line or comma separated
+function parseParamList(text) {
+  return text.split(/[\s,]+/).map(s => s.trim()).filter(Boolean);
+}
+
+// Parse per-domain sanitizer rules written one per line as
+// "domain allow=a,b deny=c tokens=on|off"
+function parseSanitizerDomainRules(text) {
+  const rules = [];
+  const invalidLines = [];
+  text.split('\n').map(s => s.trim()).filter(Boolean).forEach(line => {
+    const [domain, ...options] = line.split(/\s+/);
+    const rule = { domain: domain.toLowerCase(), allowedParams: [], deniedParams: [] };
+    const valid = isValidDomain(domain) && options.every(option => {
+      const [key, value = ''] = option.split('=');
+      if (key === 'allow') rule.allowedParams = parseParamList(value);
+      else if (key === 'deny') rule.deniedParams = parseParamList(value);
+      else if (key === 'tokens' && ['on', 'off'].includes(value)) rule.stripTokenLikeValues = value === 'on';
+      else return false;
+      return true;
+    });
+    if (valid) rules.push(rule);
+    else invalidLines.push(line);
+  });
+  return { rules, invalidLines };
+}
+
+// Parse path scrubs written one per line as "[domain] /pattern/flags => replacement"
+function parseSanitizerPathScrubs(text) {
+  const scrubs = [];
+  const invalidLines = [];
+  text.split('\n').map(s => s.trim()).filter(Boolean).forEach(line => {
+    const match = line.match(/^(?:([^\s/]\S*)\s+)?\/(.+?)\/([a-z]*)(?:\s+=>\s?(.*))?$/);
+    try {
+      if (!match || (match[1] && !isValidDomain(match[1]))) throw new Error('bad line');
+      new RegExp(match[2], match[3]);
+      scrubs.push({
+        domain: (match[1] || '').toLowerCase(),
+        pattern: match[2],
+        flags: match[3],
+        replacement: match[4] ?? SANITIZER_REPLACEMENT
+      });
+    } catch {
+      invalidLines.push(line);
+    }
+  });
+  return { scrubs, invalidLines };
+}
+
+// Read the URL sanitizer section
+// Returns { rules } or { error } with a message for the status line
+function readSanitizerRules() {
+  const domainRules = parseSanitizerDomainRules(document.getElementById('sanitizerDomainRules').value);
+  const pathScrubs = parseSanitizerPathScrubs(document.getElementById('sanitizerPathScrubs').value);
+  if (domainRules.invalidLines.length > 0) {
+    return { error: `Invalid sanitizer domain rules: ${domainRules.invalidLines.join(', ')}` };
+  }
+  if (pathScrubs.invalidLines.length > 0) {
+    return { error: `Invalid path scrubs: ${pathScrubs.invalidLines.join(', ')}` };
+  }
+  return {
+    rules: {
+      deniedParams: parseParamList(document.getElementById('sanitizerDeniedParams').value),
+      allowedParams: parseParamList(document.getElementById('sanitizerAllowedParams').value),
+      stripTokenLikeValues: document.getElementById('sanitizerStripTokens').checked,
+      domainRules: domainRules.rules,
+      pathScrubs: pathScrubs.scrubs
+    }
+  };
+}
+
+// Fill the URL sanitizer section from rules
+function renderSanitizerRules(rules) {
+  document.getElementById('sanitizerStripTokens').checked = rules.stripTokenLikeValues;
+  document.getElementById('sanitizerDeniedParams').value = rules.deniedParams.join('\n');
+  document.getElementById('sanitizerAllowedParams').value = rules.allowedParams.join('\n');
+  document.getElementById('sanitizerDomainRules').value = rules.domainRules.map(rule => [
+    rule.domain,
+    rule.allowedParams.length > 0 ? `allow=${rule.allowedParams.join(',')}` : '',
+    rule.deniedParams.length > 0 ? `deny=${rule.deniedParams.join(',')}` : '',
+    typeof rule.stripTokenLikeValues === 'boolean' ? `tokens=${rule.stripTokenLikeValues ? 'on' : 'off'}` : ''
+  ].filter(Boolean).join(' ')).join('\n');
+  document.getElementById('sanitizerPathScrubs').value = rules.pathScrubs
+    .map(scrub => `${scrub.domain ? `${scrub.domain} ` : ''}/${scrub.pattern}/${scrub.flags} => ${scrub.replacement}`)
+    .join('\n');
+}
+
+// Rules come from the background page, which fills in the defaults
+function load_sanitizer_rules() {
+  chrome.runtime.sendMessage({ action: 'getUrlSanitizer' }, (response) => {
+    if (chrome.runtime.lastError || !response?.rules) return;
+    renderSanitizerRules(response.rules);
+  });
+}
+
+// Show the test URL before and after the rules in the form
+function test_sanitizer() {
+  const container = document.getElementById('sanitizerTestResult');
+  const url = document.getElementById('sanitizerTestUrl').value.trim();
+  if (!url) {
+    container.textContent = '';
+    return;
+  }
+  const { rules, error } = readSanitizerRules();
+  if (error) {
+    container.textContent = error;
+    return;
+  }
+  chrome.runtime.sendMessage({ action: 'testUrlSanitizer', url, rules }, (response) => {
+    if (chrome.runtime.lastError || !response) {
+      container.textContent = 'Test failed: background page not available';
+      return;
+    }
+    renderSanitizerTest(container, url, response);
+  });
+}
+
+function renderSanitizerTest(container, url, result) {
+  container.textContent = '';
+  const lines = [
+    `Before: ${url}`,
+    `After: ${result.url}`,
+    ...result.removed.map(removal => `Removed ${removal.param} (${removal.reason})`),
+    ...result.scrubbed.map(pattern => `Path scrubbed by ${pattern}`),
+    ...result.errors
+  ];
+  if (result.url === url) lines.push('Nothing would be removed');
+  lines.forEach(text => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    container.appendChild(line);
+  });
+}
+
+// Run the saved rules over every stored node
+// It cannot be undone, so it needs a second click within a few seconds
+let reapplyArmTimer = null;
+function reapply_sanitizer() {
+  const button = document.getElementById('reapplySanitizer');
+  if (!reapplyArmTimer) {
+    button.textContent = 'Click again to re-apply (cannot be undone)';
+    reapplyArmTimer = setTimeout(disarm_reapply_sanitizer, CONFIRM_TIMEOUT);
+    return;
+  }
+  disarm_reapply_sanitizer();
+  const result = document.getElementById('reapplySanitizerResult');
+  result.textContent = 'Sanitizing stored URLs...';
+  chrome.runtime.sendMessage({ action: 'reapplyUrlSanitizer' }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      result.textContent = '';
+      showStatus(response?.error || 'Background page not available', true);
+      return;
+    }
+    result.textContent = `${response.changedCount} of ${response.nodeCount} URLs in the tree changed, ` +
+      `${response.storedCount} in archives, snapshots, trash and the incognito tree.`;
+  });
+}
+
+function disarm_reapply_sanitizer() {
+  clearTimeout(reapplyArmTimer);
+  reapplyArmTimer = null;
+  document.getElementById('reapplySanitizer').textContent = 'Re-apply saved rules to stored history';
+}
+
+// Read and validate the form
+// Returns { config } or { error } with a message for the status line
+function readConfig() {
+  const exclusion = readExclusionRules();
   const enableContentAnalysis = document.getElementById('enableContentAnalysis').checked;
+  const typedNavigationStartsRoot = document.getElementById('typedNavigationStartsRoot').checked;
+  const fragmentNavigationDomainsText = document.getElementById('fragmentNavigationDomains').value;
+  const sessionIdleGapMinutes = Number(document.getElementById('sessionIdleGapMinutes').value);
+  const dataRetentionDays = Number(document.getElementById('dataRetentionDays').value);
+  const maxTreeSize = Number(document.getElementById('maxTreeSize').value);
+  const trashRetentionDays = Number(document.getElementById('trashRetentionDays').value);
+  const retentionRules = parseRetentionRules(document.getElementById('retentionDomainRules').value);
+  const urlSanitizer = readSanitizerRules();
 
-  // Validate and process excluded domains
-  const excludedDomains = excludedDomainsText
+  if (exclusion.error) {
+    return { error: exclusion.error };
+  }
+  const fragmentNavigationDomains = fragmentNavigationDomainsText
     .split('\n')
     .map(s => s.trim())
     .filter(Boolean);
 
   // Validate each domain
-  const invalidDomains = excludedDomains.filter(domain => !isValidDomain(domain));
+  const invalidDomains = fragmentNavigationDomains.filter(domain => !isValidDomain(domain));
   if (invalidDomains.length > 0) {
-    showStatus(`Invalid domains: ${invalidDomains.join(', ')}`, true);
+    return { error: `Invalid domains: ${invalidDomains.join(', ')}` };
+  }
+
+  // Validate session idle gap
+  if (!Number.isInteger(sessionIdleGapMinutes) || sessionIdleGapMinutes < 5 || sessionIdleGapMinutes > 1440) {
+    return { error: 'Session idle gap must be between 5 and 1440 minutes' };
+  }
+
+  // Validate retention settings
+  if (!Number.isInteger(dataRetentionDays) || dataRetentionDays < 1 || dataRetentionDays > 3650) {
+    return { error: 'Retention period must be between 1 and 3650 days' };
+  }
+  if (!Number.isInteger(maxTreeSize) || maxTreeSize < 100 || maxTreeSize > 100000) {
+    return { error: 'Maximum tree size must be between 100 and 100000 nodes' };
+  }
+  if (!Number.isInteger(trashRetentionDays) || trashRetentionDays < 1 || trashRetentionDays > 365) {
+    return { error: 'Trash period must be between 1 and 365 days' };
+  }
+  if (retentionRules.invalidLines.length > 0) {
+    return { error: `Invalid retention rules: ${retentionRules.invalidLines.join(', ')}` };
+  }
+  if (urlSanitizer.error) {
+    return { error: urlSanitizer.error };
+  }
+
+  return {
+    config: {
+      incognitoPolicy: document.getElementById('incognitoPolicy').value,
+      exclusionMode: exclusion.mode,
+      exclusionRules: exclusion.rules,
+      enableContentAnalysis: enableContentAnalysis,
+      typedNavigationStartsRoot: typedNavigationStartsRoot,
+      fragmentNavigationDomains: fragmentNavigationDomains,
+      sessionIdleGapMinutes: sessionIdleGapMinutes,
+      dataRetentionDays: dataRetentionDays,
+      maxTreeSize: maxTreeSize,
+      retentionDomainRules: retentionRules.rules,
+      retentionExemptStarred: document.getElementById('retentionExemptStarred').checked,
+      retentionExemptAnnotated: document.getElementById('retentionExemptAnnotated').checked,
+      trashRetentionDays: trashRetentionDays,
+      urlSanitizer: urlSanitizer.rules,
+      enableDataEncryption: encryptionEnabled
+    }
+  };
+}
+
+// Saves options to chrome.storage
+function save_options() {
+  const timeZone = document.getElementById('timeZone').value;
+  const { config, error } = readConfig();
+  if (error) {
+    showStatus(error, true);
     return;
   }
 
@@ -50,10 +454,7 @@ function save_options() {
   }
   // Save to storage
   chrome.storage.local.set({
-    config: {
-      excludedDomains: excludedDomains,
-      enableContentAnalysis: enableContentAnalysis
-    },
+    config: config,
     userTimeZone: timeZone
   }, () => {
     if (chrome.runtime.lastError) {
@@ -64,10 +465,7 @@ function save_options() {
     showStatus('Options saved successfully');
 
     // Send message to background script to update config and time zone
-    chrome.runtime.sendMessage({ action: 'updateConfig', config: {
-      excludedDomains: excludedDomains,
-      enableContentAnalysis: enableContentAnalysis
-    } }, () => {
+    chrome.runtime.sendMessage({ action: 'updateConfig', config: config }, () => {
       if (chrome.runtime.lastError) {
         console.error('Failed to update config:', chrome.runtime.lastError);
       }
@@ -81,21 +479,240 @@ function save_options() {
   });
 }
 
+// Show what the next maintenance cleanup would delete with the current form
+function preview_retention() {
+  const { config, error } = readConfig();
+  if (error) {
+    showStatus(error, true);
+    return;
+  }
+
+  const container = document.getElementById('retentionPreview');
+  chrome.runtime.sendMessage({ action: 'previewRetention', config: config }, (response) => {
+    if (chrome.runtime.lastError || !response?.preview) {
+      container.textContent = 'Preview failed: background page not available';
+      return;
+    }
+    renderRetentionPreview(container, response.preview);
+  });
+}
+
+// Render a retention preview as a summary line, top domains and example nodes
+function renderRetentionPreview(container, preview) {
+  container.textContent = '';
+
+  const summary = document.createElement('p');
+  summary.textContent = preview.deletedNodeCount === 0
+    ? `Nothing would be deleted. ${preview.totalNodes} nodes, ${preview.exemptCount} exempt.`
+    : `${preview.deletedNodeCount} of ${preview.totalNodes} nodes would be deleted ` +
+      `(${preview.expiredCount} expired, ${preview.excessCount} branches over the size limit). ` +
+      `${preview.exemptCount} nodes are exempt.`;
+  container.appendChild(summary);
+
+  if (preview.topDomains.length > 0) {
+    const domains = document.createElement('p');
+    domains.textContent = 'Top domains: ' +
+      preview.topDomains.map(entry => `${entry.domain} (${entry.count})`).join(', ');
+    container.appendChild(domains);
+  }
+
+  if (preview.samples.length > 0) {
+    const list = document.createElement('ul');
+    preview.samples.forEach(sample => {
+      const item = document.createElement('li');
+      const reason = sample.reason === 'size' ? 'size limit'
+        : sample.ruleDomain ? `rule for ${sample.ruleDomain}` : 'expired';
+      item.textContent = `${sample.title || sample.url} (${reason})`;
+      item.title = sample.url;
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+}
+
+// Ask for the history permission, then backfill the chosen days
+function backfill_history() {
+  const start = document.getElementById('backfillStart').valueAsNumber;
+  const end = document.getElementById('backfillEnd').valueAsNumber;
+  if (Number.isNaN(start) || Number.isNaN(end) || start > end) {
+    showStatus('Choose a start date on or before the end date', true);
+    return;
+  }
+
+  const result = document.getElementById('backfillResult');
+  // Requested here because permissions need a click
+  chrome.permissions.request({ permissions: ['history'] }, (granted) => {
+    if (!granted) {
+      showStatus('Reading browser history was not allowed', true);
+      return;
+    }
+    result.textContent = 'Reading history...';
+    // Date inputs are UTC midnight; include the whole end day
+    const request = { action: 'backfillHistory', startTime: start, endTime: end + DAY_MS - 1 };
+    chrome.runtime.sendMessage(request, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        result.textContent = '';
+        showStatus(response?.error || 'Background page not available', true);
+        return;
+      }
+      result.textContent = `${response.visitCount} visits read: ${response.added} pages added, ` +
+        `${response.skipped} already in the tree, ${response.excludedCount} excluded or embedded.`;
+    });
+  });
+}
+
+// Show the encryption controls that apply to the current state
+function renderEncryptionStatus(status) {
+  encryptionEnabled = Boolean(status?.enabled);
+  let state = !status ? 'unavailable' : !status.enabled ? 'off' : status.locked ? 'locked' : 'on';
+  if (state === 'off' && !status.available) state = 'disabled';
+  document.getElementById('encryptionState').textContent = {
+    unavailable: 'Encryption status unavailable: background page not available',
+    disabled: 'Stored history is not encrypted. Encryption is turned off in this build.',
+    off: 'Stored history is not encrypted.',
+    on: 'Stored history is encrypted and unlocked until the browser closes.',
+    locked: 'Stored history is encrypted and locked. Unlock it from the popup or viewer.'
+  }[state];
+  document.querySelectorAll('[data-encryption]').forEach(element => {
+    element.hidden = !element.dataset.encryption.split(' ').includes(state);
+  });
+}
+
+function load_encryption_status() {
+  chrome.runtime.sendMessage({ action: 'getEncryptionStatus' }, (response) => {
+    renderEncryptionStatus(chrome.runtime.lastError ? null : response);
+  });
+}
+
+// Send an encryption request, then clear the passphrase fields and refresh the status
+function send_encryption_request(request, successMessage) {
+  chrome.runtime.sendMessage(request, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      showStatus(response?.error || 'Background page not available', true);
+    } else {
+      showStatus(successMessage);
+    }
+    ['currentPassphrase', 'newPassphrase', 'confirmPassphrase'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    load_encryption_status();
+  });
+}
+
+// Read the new passphrase fields, or report why they cannot be used
+function readNewPassphrase() {
+  const passphrase = document.getElementById('newPassphrase').value;
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    showStatus(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, true);
+    return null;
+  }
+  if (passphrase !== document.getElementById('confirmPassphrase').value) {
+    showStatus('Passphrases do not match', true);
+    return null;
+  }
+  return passphrase;
+}
+
+function enable_encryption() {
+  const passphrase = readNewPassphrase();
+  if (passphrase === null) return;
+  showStatus('Encrypting stored history...');
+  send_encryption_request({ action: 'enableEncryption', passphrase }, 'Stored history is now encrypted');
+}
+
+// Re-encrypts the stored history under the new passphrase
+function change_passphrase() {
+  const newPassphrase = readNewPassphrase();
+  if (newPassphrase === null) return;
+  showStatus('Re-encrypting stored history...');
+  send_encryption_request({
+    action: 'changePassphrase',
+    currentPassphrase: document.getElementById('currentPassphrase').value,
+    newPassphrase
+  }, 'Passphrase changed');
+}
+
+function disable_encryption() {
+  send_encryption_request({
+    action: 'disableEncryption',
+    passphrase: document.getElementById('currentPassphrase').value
+  }, 'Encryption turned off');
+}
+
+function lock_storage() {
+  send_encryption_request({ action: 'lockStorage' }, 'Stored history locked');
+}
+
+function erase_encrypted_data() {
+  if (!document.getElementById('confirmErase').checked) {
+    showStatus('Tick the box to confirm erasing your history', true);
+    return;
+  }
+  send_encryption_request({ action: 'eraseEncryptedData' }, 'Encrypted history erased');
+}
+
 // Restores select box and checkbox state using the preferences
 // stored in chrome.storage.
 function restore_options() {
   chrome.storage.local.get({
     config: {
-      excludedDomains: [],
-      enableContentAnalysis: false // Default to false for privacy
+      enableContentAnalysis: false, // Default to false for privacy
+      incognitoPolicy: 'never',
+      typedNavigationStartsRoot: false,
+      fragmentNavigationDomains: [],
+      sessionIdleGapMinutes: 30,
+      dataRetentionDays: 30,
+      maxTreeSize: 10000,
+      retentionDomainRules: [],
+      retentionExemptStarred: true,
+      retentionExemptAnnotated: true,
+      trashRetentionDays: 7
     },
     userTimeZone: 'UTC'
   }, (items) => {
-    document.getElementById('excludedDomains').value = items.config.excludedDomains.join('\n');
     document.getElementById('timeZone').value = items.userTimeZone;
     document.getElementById('enableContentAnalysis').checked = items.config.enableContentAnalysis || false;
+    document.getElementById('incognitoPolicy').value = items.config.incognitoPolicy || 'never';
+    document.getElementById('typedNavigationStartsRoot').checked = items.config.typedNavigationStartsRoot || false;
+    document.getElementById('fragmentNavigationDomains').value = (items.config.fragmentNavigationDomains || []).join('\n');
+    document.getElementById('sessionIdleGapMinutes').value = items.config.sessionIdleGapMinutes || 30;
+    document.getElementById('dataRetentionDays').value = items.config.dataRetentionDays || 30;
+    document.getElementById('maxTreeSize').value = items.config.maxTreeSize || 10000;
+    document.getElementById('retentionDomainRules').value = (items.config.retentionDomainRules || [])
+      .map(rule => `${rule.domain} ${rule.days}`)
+      .join('\n');
+    document.getElementById('retentionExemptStarred').checked = items.config.retentionExemptStarred !== false;
+    document.getElementById('retentionExemptAnnotated').checked = items.config.retentionExemptAnnotated !== false;
+    document.getElementById('trashRetentionDays').value = items.config.trashRetentionDays || 7;
   });
+
+  const today = Date.now();
+  document.getElementById('backfillEnd').valueAsNumber = today;
+  document.getElementById('backfillStart').valueAsNumber = today - BACKFILL_DEFAULT_DAYS * DAY_MS;
 }
 
 document.addEventListener('DOMContentLoaded', restore_options);
-document.getElementById('save').addEventListener('click', save_options);
\ No newline at end of file
+document.getElementById('save').addEventListener('click', save_options);
+document.getElementById('previewRetention').addEventListener('click', preview_retention);
+document.getElementById('backfillHistory').addEventListener('click', backfill_history);
+document.addEventListener('DOMContentLoaded', load_exclusion_rules);
+document.addEventListener('DOMContentLoaded', load_incognito_status);
+document.getElementById('discardIncognitoTree').addEventListener('click', discard_incognito_tree);
+document.getElementById('addExclusionRule').addEventListener('click', () => addExclusionRuleRow());
+document.getElementById('exportExclusionRules').addEventListener('click', export_exclusion_rules);
+document.getElementById('importExclusionRules').addEventListener('click', () => {
+  document.getElementById('exclusionRulesFile').click();
+});
+document.getElementById('exclusionRulesFile').addEventListener('change', import_exclusion_rules);
+document.addEventListener('DOMContentLoaded', load_sanitizer_rules);
+['sanitizerTestUrl', 'sanitizerStripTokens', 'sanitizerDeniedParams', 'sanitizerAllowedParams',
+  'sanitizerDomainRules', 'sanitizerPathScrubs'].forEach(id => {
+  document.getElementById(id).addEventListener('input', test_sanitizer);
+});
+document.getElementById('reapplySanitizer').addEventListener('click', reapply_sanitizer);
+document.addEventListener('DOMContentLoaded', load_encryption_status);
+document.getElementById('enableEncryption').addEventListener('click', enable_encryption);
+document.getElementById('changePassphrase').addEventListener('click', change_passphrase);
+document.getElementById('disableEncryption').addEventListener('click', disable_encryption);
+document.getElementById('lockStorage').addEventListener('click', lock_storage);
+document.getElementById('eraseEncryptedData').addEventListener('click', erase_encrypted_data);
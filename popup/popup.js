@@ -1,7 +1,15 @@
+import { IMPORTERS, SEARCH, ENCRYPTION, SCHEMA } from '../src/constants.js';
+import { importFile } from '../src/importers.js';
+import { describeMergeSummary } from '../src/tree-merge.js';
+
 // State management
 const currentState = {
   isTracking: false,
-  tree: null
+  tree: null,
+  sessionScope: 'all',
+  sessions: [],
+  searchTimer: null,
+  searchRequestId: 0 // ignore responses to queries that were replaced
 };
 
 // UI Elements
@@ -16,7 +24,21 @@ const elements = {
   fileInput: null,
   helpButton: null,
   tutorialOverlay: null,
-  closeTutorial: null
+  closeTutorial: null,
+  sessionScope: null,
+  searchInput: null,
+  searchResults: null,
+  passphrasePanel: null,
+  passphraseMessage: null,
+  passphraseInput: null,
+  passphraseCancel: null,
+  importPanel: null,
+  importSummary: null,
+  importReplace: null,
+  importCancel: null,
+  storageBanner: null,
+  storageMessage: null,
+  archiveButton: null
 };
 
 // Initialize popup
@@ -34,9 +56,24 @@ document.addEventListener('DOMContentLoaded', async () => {
   elements.clearButton = document.getElementById('clearButton');
   elements.viewerButton = document.getElementById('openViewer');
   elements.fileInput = document.getElementById('fileInput');
+  elements.fileInput.accept = IMPORTERS.FILE_TYPES;
   elements.helpButton = document.getElementById('helpButton');
   elements.tutorialOverlay = document.getElementById('tutorialOverlay');
   elements.closeTutorial = document.getElementById('closeTutorial');
+  elements.sessionScope = document.getElementById('sessionScope');
+  elements.searchInput = document.getElementById('searchInput');
+  elements.searchResults = document.getElementById('searchResults');
+  elements.passphrasePanel = document.getElementById('passphrasePanel');
+  elements.passphraseMessage = document.getElementById('passphraseMessage');
+  elements.passphraseInput = document.getElementById('passphraseInput');
+  elements.passphraseCancel = document.getElementById('passphraseCancel');
+  elements.importPanel = document.getElementById('importPanel');
+  elements.importSummary = document.getElementById('importSummary');
+  elements.importReplace = document.getElementById('importReplace');
+  elements.importCancel = document.getElementById('importCancel');
+  elements.storageBanner = document.getElementById('storageBanner');
+  elements.storageMessage = document.getElementById('storageMessage');
+  elements.archiveButton = document.getElementById('archiveButton');
 
   setupEventListeners();
   await initializeState();
@@ -67,25 +104,32 @@ function setupEventListeners() {
   // Save button
   elements.saveButton.addEventListener('click', async () => {
     try {
-      const treeData = await sendMessage('getTabTree');
+      const treeData = await sendMessage('getTabTree', { scope: currentState.sessionScope });
       if (treeData.error) throw new Error(treeData.error);
 
       // Create enhanced export data with metadata
       const exportData = {
         metadata: {
           version: '1.0',
+          schemaVersion: SCHEMA.VERSION,
           exportDate: new Date().toISOString(),
           exportTimestamp: Date.now(),
           nodeCount: countNodes(treeData.tabTree),
           extensionVersion: chrome.runtime.getManifest().version,
           userAgent: navigator.userAgent,
-          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          sessionScope: currentState.sessionScope,
+          sessions: getSessionsInTree(treeData.tabTree)
         },
         tabTree: treeData.tabTree,
         exportedBy: 'TabTreeTracker'
       };
 
-      const blob = new Blob([JSON.stringify(exportData, null, 2)], {
+      // Encrypted history is exported encrypted, under the same passphrase
+      const encrypted = await sendMessage('encryptExport', { data: exportData });
+      if (encrypted.error) throw new Error(encrypted.error);
+
+      const blob = new Blob([JSON.stringify(encrypted.envelope || exportData, null, 2)], {
         type: 'application/json'
       });
 
@@ -118,29 +162,45 @@ function setupEventListeners() {
 
     try {
       const text = await file.text();
-      const data = JSON.parse(text);
+      const converted = importFile(text, { fileName: file.name, fileTime: file.lastModified });
+      const data = converted ? null : await openExportFile(JSON.parse(text));
 
       // Validate the imported data
       let treeData;
-      if (data.tabTree && data.metadata) {
+      let imported;
+      if (converted) {
+        // Another tool's export, read by a registered importer
+        treeData = converted.tabTree;
+        imported = `${converted.nodeCount} entries from a ${converted.importer.label} file`;
+      } else if (data.tabTree && data.metadata) {
         // New format with metadata
         treeData = data.tabTree;
         console.log('Imported tree with metadata:', data.metadata);
-        showSuccess(`Imported tree from ${new Date(data.metadata.exportDate).toLocaleDateString()}`);
+        imported = `tree from ${new Date(data.metadata.exportDate).toLocaleDateString()}`;
       } else if (typeof data === 'object') {
         // Legacy format - assume it's the tree data directly
         treeData = data;
-        showSuccess('Imported tree data (legacy format)');
+        imported = 'tree data (legacy format)';
       } else {
         throw new Error('Invalid file format');
       }
 
-      // Send the tree data to background script
-      const response = await sendMessage('importTabTree', { tabTree: treeData });
-      if (response.error) throw new Error(response.error);
-
-      // Update the display
-      updateTreeDisplay(treeData);
+      // Show what a merge would do and let the user merge or replace
+      const preview = await sendMessage('previewImport', { tabTree: treeData });
+      if (preview.error) throw new Error(preview.error);
+      const mode = await askImportMode(preview.summary, preview.existingCount);
+      if (mode !== null) {
+        const response = await sendMessage('importTabTree', { tabTree: treeData, mode });
+        if (response.error) throw new Error(response.error);
+
+        if (mode === 'merge') {
+          showSuccess(`Merged ${imported}: ${describeMergeSummary(response.summary)}`);
+          await loadTreeDataLazy();
+        } else {
+          showSuccess(`Imported ${imported}`);
+          updateTreeDisplay(treeData);
+        }
+      }
 
     } catch (error) {
       console.error('Failed to load tree:', error);
@@ -153,18 +213,58 @@ function setupEventListeners() {
 
   // Clear button
   elements.clearButton.addEventListener('click', async () => {
-    if (!confirm('Are you sure you want to clear the tree?')) return;
+    if (!confirm('Are you sure you want to clear the tree? You can undo this from the viewer\'s Restore menu.')) return;
     
     try {
       const response = await sendMessage('clearTabTree');
       if (response.error) throw new Error(response.error);
       updateTreeDisplay({});
+      showSuccess('Tree cleared. A snapshot was kept for restoring.');
     } catch (error) {
       console.error('Failed to clear tree:', error);
       showError('Failed to clear tree');
     }
   });
 
+  // Storage banner: free space by archiving the oldest closed trees
+  elements.archiveButton.addEventListener('click', async () => {
+    try {
+      const response = await sendMessage('archiveOldTrees');
+      if (response.error) throw new Error(response.error);
+      if (response.archivedCount > 0) {
+        showSuccess(`Archived ${response.archivedCount} nodes. Browse them from the viewer.`);
+      } else {
+        showError('There are no closed trees to archive');
+      }
+      loadTreeDataLazy();
+      loadStorageUsage();
+    } catch (error) {
+      console.error('Failed to archive trees:', error);
+      showError('Failed to archive trees');
+    }
+  });
+
+  // Session scope selector
+  elements.sessionScope.addEventListener('change', () => {
+    currentState.sessionScope = elements.sessionScope.value;
+    loadTreeDataLazy();
+  });
+
+  // Search box
+  elements.searchInput.addEventListener('input', () => {
+    clearTimeout(currentState.searchTimer);
+    currentState.searchTimer = setTimeout(() => runSearch(elements.searchInput.value), SEARCH.DEBOUNCE_DELAY);
+  });
+  elements.searchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && elements.searchInput.value) {
+      event.preventDefault();
+      elements.searchInput.value = '';
+      // Drop the pending query and any response still on its way
+      clearTimeout(currentState.searchTimer);
+      runSearch('');
+    }
+  });
+
   // Viewer button
   elements.viewerButton.addEventListener('click', () => {
     chrome.tabs.create({
@@ -202,15 +302,26 @@ async function initializeState() {
   while (retryCount < maxRetries) {
     try {
       // Get tracking status first (faster)
-      const trackingResponse = await sendMessage('getTrackingStatus');
+      let trackingResponse = await sendMessage('getTrackingStatus');
       if (!trackingResponse) {
         throw new Error('Invalid tracking status response');
       }
 
+      // Encrypted history has to be unlocked before anything can be shown
+      if (trackingResponse.locked) {
+        if (!(await unlockStorage())) {
+          updateTrackingUI(false);
+          elements.treeContainer.innerHTML = '<div class="error">History is locked</div>';
+          return;
+        }
+        trackingResponse = await sendMessage('getTrackingStatus');
+      }
+
       updateTrackingUI(trackingResponse.isTracking);
 
       // Lazy load tree data
       loadTreeDataLazy();
+      loadStorageUsage();
       break;
 
     } catch (error) {
@@ -229,11 +340,85 @@ async function initializeState() {
   }
 }
 
+// Show the passphrase form and wait for a passphrase, or null if cancelled
+function askPassphrase(message) {
+  return new Promise(resolve => {
+    const finish = (passphrase) => {
+      elements.passphrasePanel.hidden = true;
+      elements.passphrasePanel.onsubmit = null;
+      elements.passphraseCancel.onclick = null;
+      elements.passphraseInput.value = '';
+      resolve(passphrase);
+    };
+
+    elements.passphraseMessage.textContent = message;
+    elements.passphrasePanel.hidden = false;
+    elements.passphrasePanel.onsubmit = (event) => {
+      event.preventDefault();
+      finish(elements.passphraseInput.value);
+    };
+    elements.passphraseCancel.onclick = () => finish(null);
+    elements.passphraseInput.focus();
+  });
+}
+
+// Show what merging a file would do and wait for 'merge', 'replace', or
+// null if cancelled
+function askImportMode(summary, existingCount) {
+  return new Promise(resolve => {
+    const finish = (mode) => {
+      elements.importPanel.hidden = true;
+      elements.importPanel.onsubmit = null;
+      elements.importReplace.onclick = null;
+      elements.importCancel.onclick = null;
+      resolve(mode);
+    };
+
+    elements.importSummary.textContent = existingCount > 0
+      ? `Merging keeps your ${existingCount} nodes: ${describeMergeSummary(summary)}. Replacing discards them (a snapshot is kept).`
+      : `The file has ${summary.added + summary.skipped} nodes.`;
+    elements.importPanel.hidden = false;
+    elements.importPanel.onsubmit = (event) => {
+      event.preventDefault();
+      finish('merge');
+    };
+    elements.importReplace.onclick = () => finish('replace');
+    elements.importCancel.onclick = () => finish(null);
+  });
+}
+
+// Ask for the passphrase until the stored history unlocks or the user gives up
+async function unlockStorage(message = 'Your history is encrypted. Enter your passphrase to unlock it.') {
+  const passphrase = await askPassphrase(message);
+  if (passphrase === null) return false;
+
+  const response = await sendMessage('unlockStorage', { passphrase });
+  return response.error ? unlockStorage(`${response.error}. Try again.`) : true;
+}
+
+// Decrypt an encrypted export with a passphrase typed by the user, then
+// upgrade files written by older versions to the current schema
+async function openExportFile(data) {
+  let fileData = data;
+  if (data?.format === ENCRYPTION.EXPORT_FORMAT) {
+    const passphrase = await askPassphrase('This file is encrypted. Enter the passphrase it was exported with.');
+    if (passphrase === null) throw new Error('No passphrase entered');
+    const response = await sendMessage('decryptExport', { envelope: data, passphrase });
+    if (response.error) throw new Error(response.error);
+    fileData = response.data;
+  }
+
+  const migrated = await sendMessage('migrateExport', { data: fileData });
+  if (migrated.error) throw new Error(migrated.error);
+  return migrated.data;
+}
+
 // Lazy load tree data to improve popup responsiveness
 async function loadTreeDataLazy() {
   try {
     console.log('Requesting tab tree...'); // For debugging
-    const treeResponse = await sendMessage('getTabTree');
+    const treeResponse = await sendMessage('getTabTree', { scope: currentState.sessionScope });
+    loadSessions();
 
     console.log('Received tree response:', treeResponse); // For debugging
 
@@ -248,6 +433,145 @@ async function loadTreeDataLazy() {
   }
 }
 
+// Show a banner while storage is nearly full
+async function loadStorageUsage() {
+  try {
+    const response = await sendMessage('getStorageUsage');
+    if (response.error) throw new Error(response.error);
+
+    const { usage, archives } = response;
+    elements.storageBanner.hidden = !usage.warning;
+    if (!usage.warning) return;
+
+    const archivedNodes = archives.reduce((count, archive) => count + archive.nodeCount, 0);
+    elements.storageMessage.textContent = `Storage is ${Math.round(usage.ratio * 100)}% full.` +
+      (archives.length > 0 ? ` ${archivedNodes} older nodes are already archived.` : '');
+  } catch (error) {
+    console.error('Failed to check storage usage:', error);
+  }
+}
+
+// Add the recorded sessions to the scope selector
+async function loadSessions() {
+  try {
+    const response = await sendMessage('getSessions');
+    if (response.error) throw new Error(response.error);
+    currentState.sessions = response.sessions || [];
+
+    elements.sessionScope.querySelectorAll('option[data-session]').forEach(option => option.remove());
+    currentState.sessions.forEach(session => {
+      const option = document.createElement('option');
+      option.value = `session:${session.id}`;
+      option.textContent = session.label;
+      option.dataset.session = 'true';
+      elements.sessionScope.appendChild(option);
+    });
+    elements.sessionScope.value = currentState.sessionScope;
+  } catch (error) {
+    console.error('Failed to load sessions:', error);
+  }
+}
+
+// Search the whole tree through the background index
+async function runSearch(query) {
+  const requestId = ++currentState.searchRequestId;
+  if (!query.trim()) {
+    renderSearchResults([], []);
+    return;
+  }
+
+  try {
+    const response = await sendMessage('searchTree', { query });
+    if (requestId !== currentState.searchRequestId) return;
+    if (response.error) throw new Error(response.error);
+    renderSearchResults(response.results || [], response.invalid || []);
+  } catch (error) {
+    console.error('Search failed:', error);
+    showError(`Search failed: ${error.message}`);
+  }
+}
+
+// Show ranked search results with their ancestor path
+function renderSearchResults(results, invalid) {
+  elements.searchResults.innerHTML = '';
+
+  if (invalid.length > 0) {
+    const warning = document.createElement('li');
+    warning.className = 'search-note';
+    warning.textContent = `Ignored: ${invalid.join(' ')}`;
+    elements.searchResults.appendChild(warning);
+  }
+  if (results.length === 0 && elements.searchInput.value.trim()) {
+    const empty = document.createElement('li');
+    empty.className = 'search-note';
+    empty.textContent = 'No matching pages';
+    elements.searchResults.appendChild(empty);
+  }
+
+  results.forEach(result => {
+    const item = document.createElement('li');
+    item.className = 'search-result';
+    item.tabIndex = 0;
+    item.title = result.url;
+
+    const title = document.createElement('div');
+    title.className = 'node-title';
+    title.textContent = `${result.starred ? '★ ' : ''}${result.title || result.url || 'Untitled'}`;
+    item.appendChild(title);
+
+    const path = document.createElement('div');
+    path.className = 'node-url';
+    const ancestors = result.path.map(ancestor => ancestor.title).join(' › ') || 'Root page';
+    path.textContent = `${ancestors} · ${result.closedAt ? 'closed' : 'open'}`;
+    item.appendChild(path);
+
+    const viewerLink = document.createElement('button');
+    viewerLink.className = 'search-viewer-link';
+    viewerLink.textContent = 'Show in viewer';
+    viewerLink.addEventListener('click', (event) => {
+      event.stopPropagation();
+      chrome.tabs.create({
+        url: chrome.runtime.getURL(`viewer/viewer.html?focus=${encodeURIComponent(result.id)}`)
+      });
+    });
+    item.appendChild(viewerLink);
+
+    item.addEventListener('click', () => jumpToNode(result.id));
+    item.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') jumpToNode(result.id);
+    });
+    elements.searchResults.appendChild(item);
+  });
+}
+
+// Scroll the popup tree to a node and highlight it, showing all sessions if needed
+async function jumpToNode(nodeId) {
+  const selector = `[data-node-id="${CSS.escape(nodeId)}"]`;
+  let nodeElement = elements.treeContainer.querySelector(selector);
+  if (!nodeElement && currentState.sessionScope !== 'all') {
+    currentState.sessionScope = 'all';
+    elements.sessionScope.value = 'all';
+    await loadTreeDataLazy();
+    nodeElement = elements.treeContainer.querySelector(selector);
+  }
+  if (!nodeElement) return;
+
+  elements.treeContainer.querySelectorAll('.search-focus').forEach(el => el.classList.remove('search-focus'));
+  nodeElement.classList.add('search-focus');
+  nodeElement.scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+// Sessions that have nodes in an exported tree, for export metadata
+function getSessionsInTree(tree) {
+  const sessionIds = new Set();
+  const collect = (node) => {
+    if (node.sessionId) sessionIds.add(node.sessionId);
+    if (node.children) node.children.forEach(collect);
+  };
+  Object.values(tree || {}).forEach(collect);
+  return currentState.sessions.filter(session => sessionIds.has(session.id));
+}
+
 // Setup keyboard navigation
 function setupKeyboardNavigation() {
   // Handle keyboard events for toggle switch
@@ -329,6 +653,7 @@ function updateTreeDisplay(tree) {
   function createNodeElement(node) {
     const div = document.createElement('div');
     div.className = `node ${node.closedAt ? 'closed' : ''}`;
+    if (node.id) div.dataset.nodeId = node.id;
 
     const title = document.createElement('div');
     title.className = 'node-title';
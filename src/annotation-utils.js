@@ -0,0 +1,159 @@
+// =============================================================================
+// Annotation Utilities - notes, tags and stars on tree nodes
+// =============================================================================
+
+import { ANNOTATIONS } from './constants.js';
+
+/**
+ * Split a tag field into tags
+ * @param {string|Array} input - "research, to-read #ml" or an array of tags
+ * @returns {Array} - Cleaned tags without duplicates, in input order
+ */
+export function parseTags(input) {
+  const raw = Array.isArray(input) ? input : String(input || '').split(/[,\n]|\s+(?=#)/);
+  const seen = new Set();
+  const tags = [];
+
+  raw.forEach(value => {
+    const tag = String(value ?? '')
+      .trim()
+      .replace(/^#+/, '')
+      .replace(/\s+/g, '-')
+      .slice(0, ANNOTATIONS.MAX_TAG_LENGTH);
+    const key = tag.toLowerCase();
+    if (tag && !seen.has(key) && tags.length < ANNOTATIONS.MAX_TAGS) {
+      seen.add(key);
+      tags.push(tag);
+    }
+  });
+
+  return tags;
+}
+
+/**
+ * Clean user or file supplied annotations before they are stored
+ * @param {Object} annotations - { notes, tags, starred }, any field may be missing
+ * @returns {Object} - { notes, tags, starred } with valid types and limits
+ */
+export function normalizeAnnotations(annotations = {}) {
+  const notes = typeof annotations.notes === 'string' ? annotations.notes.trim() : '';
+  return {
+    notes: notes.slice(0, ANNOTATIONS.MAX_NOTES_LENGTH),
+    tags: parseTags(annotations.tags),
+    starred: annotations.starred === true
+  };
+}
+
+/**
+ * Check whether a node carries any user annotations
+ * @param {Object} node - Tree node
+ * @returns {boolean} - True if the node is starred, has notes or has tags
+ */
+export function hasAnnotations(node) {
+  return Boolean(node?.starred || node?.notes || node?.tags?.length > 0);
+}
+
+/**
+ * Normalize the annotations of every annotated node in a tree, in place
+ * Used on import so that hand-edited files cannot store malformed values.
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @returns {number} - Number of annotated nodes
+ */
+export function normalizeTreeAnnotations(tabTree) {
+  let annotatedCount = 0;
+  const visit = node => {
+    if (!node) return;
+    if ('notes' in node || 'tags' in node || 'starred' in node) {
+      Object.assign(node, normalizeAnnotations(node));
+      if (hasAnnotations(node)) annotatedCount++;
+    }
+    (node.children || []).forEach(visit);
+  };
+  Object.values(tabTree || {}).forEach(visit);
+  return annotatedCount;
+}
+
+/**
+ * Short badges shown next to a rendered node
+ * @param {Object} node - Tree node
+ * @returns {Array} - e.g. ['★', '✎', '#research +2'], empty for plain nodes
+ */
+export function getAnnotationBadges(node) {
+  const badges = [];
+  if (!node) return badges;
+  if (node.starred) badges.push(ANNOTATIONS.STAR_BADGE);
+  if (node.notes) badges.push(ANNOTATIONS.NOTES_BADGE);
+  if (node.tags?.length > 0) {
+    const more = node.tags.length > 1 ? ` +${node.tags.length - 1}` : '';
+    badges.push(`#${node.tags[0]}${more}`);
+  }
+  return badges;
+}
+
+/**
+ * Escape text for use inside HTML
+ * @param {string} text - Untrusted text
+ * @returns {string} - Text with HTML special characters escaped
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render inline markdown (code, bold, italics, http links) in escaped text
+ * @param {string} text - Already escaped line of text
+ * @returns {string} - HTML
+ */
+function renderInline(text) {
+  return text
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g,
+      '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+}
+
+/**
+ * Render the markdown subset used for notes: paragraphs, headings,
+ * bullet lists and inline formatting. Everything else stays plain text.
+ * @param {string} markdown - Notes written by the user
+ * @returns {string} - Safe HTML
+ */
+export function renderNotes(markdown) {
+  const blocks = [];
+  let listItems = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+    if (listItems.length > 0) blocks.push(`<ul>${listItems.join('')}</ul>`);
+    paragraph = [];
+    listItems = [];
+  };
+
+  escapeHtml(markdown).split('\n').forEach(line => {
+    const trimmed = line.trim();
+    const heading = trimmed.match(/^#{1,6}\s+(.*)$/);
+    const bullet = trimmed.match(/^[-*]\s+(.*)$/);
+    if (!trimmed) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push(`<p><strong>${renderInline(heading[1])}</strong></p>`);
+    } else if (bullet) {
+      if (paragraph.length > 0) flush();
+      listItems.push(`<li>${renderInline(bullet[1])}</li>`);
+    } else {
+      if (listItems.length > 0) flush();
+      paragraph.push(renderInline(trimmed));
+    }
+  });
+  flush();
+
+  return blocks.join('');
+}
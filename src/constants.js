@@ -45,21 +45,101 @@ export const UI = {
   ERROR_DISPLAY_DURATION: 5000 // ms
 };
 
+// URL Sanitizer
+export const SANITIZER = {
+  // Query parameters removed from every recorded URL unless allowed
+  SENSITIVE_PARAMS: [
+    'token', 'access_token', 'auth_token', 'api_key', 'apikey',
+    'password', 'pwd', 'pass', 'secret', 'key',
+    'session', 'sessionid', 'session_id', 'sid',
+    'csrf', 'csrf_token', 'xsrf', 'xsrf_token',
+    'oauth', 'oauth_token', 'oauth_signature',
+    'jwt', 'bearer', 'authorization',
+    'email', 'phone', 'ssn', 'credit_card',
+    'user_id', 'userid', 'uid'
+  ],
+  TOKEN_MIN_LENGTH: 20, // longer values of only these characters look like tokens
+  TOKEN_PATTERN: /^[a-zA-Z0-9+/=_-]+$/,
+  DEFAULT_REPLACEMENT: ':redacted' // path scrubs without a replacement
+};
+
+// Exclusion Rules
+export const EXCLUSION = {
+  MODES: ['exclude', 'allowlist'], // allowlist: only URLs matched by a tracking rule are tracked
+  TYPES: ['host', 'suffix', 'glob', 'regex'],
+  TYPE_LABELS: {
+    host: 'Exact host',
+    suffix: 'Host and subdomains',
+    glob: 'URL glob (* and ?)',
+    regex: 'URL regex'
+  },
+  SCOPES: ['no-track', 'no-content', 'redact-title', 'track'],
+  SCOPE_LABELS: {
+    'no-track': 'Do not track',
+    'no-content': 'Track, skip content analysis',
+    'redact-title': 'Track, redact the title',
+    track: 'Track (allowlist entry)'
+  },
+  EXPORT_FORMAT: 'tab-tree-exclusion-rules',
+  FILE_NAME: 'tab-tree-exclusion-rules.json'
+};
+
 // Default Configuration
 export const DEFAULT_CONFIG = {
-  excludedDomains: [
-    'mendeley.com',
-    'google.com',
-    'chrome://',
-    'chrome-extension://',
-    'chrome://newtab/'
+  incognitoPolicy: 'never',
+  exclusionMode: 'exclude',
+  exclusionRules: [
+    { type: 'suffix', pattern: 'mendeley.com', scope: 'no-track' },
+    { type: 'suffix', pattern: 'google.com', scope: 'no-track' },
+    { type: 'glob', pattern: 'chrome://*', scope: 'no-track' },
+    { type: 'glob', pattern: 'chrome-extension://*', scope: 'no-track' }
   ],
   userTimeZone: 'UTC',
   isTracking: false,
   enableContentAnalysis: false, // opt-in for privacy
   enableDataEncryption: false,
   dataRetentionDays: DATA.DEFAULT_RETENTION_DAYS,
-  maxTreeSize: DATA.MAX_TREE_SIZE
+  maxTreeSize: DATA.MAX_TREE_SIZE,
+  typedNavigationStartsRoot: false, // typed URLs and bookmarks start a new root
+  fragmentNavigationDomains: [], // domains where #fragment changes create nodes
+  sessionIdleGapMinutes: 30, // idle time that ends a browsing session
+  retentionDomainRules: [], // [{ domain, days }] overriding dataRetentionDays
+  retentionExemptStarred: true, // never prune starred nodes
+  retentionExemptAnnotated: true, // never prune nodes with notes or tags
+  trashRetentionDays: 7, // days pruned branches stay restorable
+  // Query parameters and path parts removed from recorded URLs
+  urlSanitizer: {
+    deniedParams: SANITIZER.SENSITIVE_PARAMS,
+    allowedParams: [],
+    stripTokenLikeValues: true,
+    domainRules: [], // [{ domain, allowedParams, deniedParams, stripTokenLikeValues }]
+    pathScrubs: [] // [{ domain, pattern, flags, replacement }]
+  }
+};
+
+// Navigation Transitions (chrome.webNavigation)
+export const NAVIGATION = {
+  NEW_ROOT_TRANSITIONS: ['typed', 'auto_bookmark'],
+  TRANSITION_LABELS: {
+    link: 'Link',
+    typed: 'Typed URL',
+    auto_bookmark: 'Bookmark',
+    auto_subframe: 'Subframe',
+    manual_subframe: 'Subframe (manual)',
+    generated: 'Omnibox suggestion',
+    auto_toplevel: 'Automatic',
+    form_submit: 'Form submit',
+    reload: 'Reload',
+    keyword: 'Search keyword',
+    keyword_generated: 'Search keyword',
+    start_page: 'Start page'
+  },
+  QUALIFIER_LABELS: {
+    client_redirect: 'client redirect',
+    server_redirect: 'server redirect',
+    forward_back: 'back/forward',
+    from_address_bar: 'address bar'
+  }
 };
 
 // Error Messages
@@ -78,7 +158,16 @@ export const ERROR_MESSAGES = {
   PERMISSION_DENIED: 'Permission denied',
   TAB_ID_NOT_FOUND: 'Failed to get tab ID',
   NETWORK_ERROR: 'Network error occurred',
-  UNKNOWN_ACTION: 'Unknown action requested'
+  UNKNOWN_ACTION: 'Unknown action requested',
+  STORAGE_LOCKED: 'Stored history is locked - unlock it with your passphrase',
+  WRONG_PASSPHRASE: 'Wrong passphrase',
+  WEAK_PASSPHRASE: 'Passphrase is too short',
+  ENCRYPTION_UNAVAILABLE: 'Encryption is turned off in this build',
+  SCHEMA_TOO_NEW: 'Data was saved by a newer version of TabTreeTracker',
+  SNAPSHOT_FAILED: 'Failed to save a recovery snapshot',
+  HISTORY_PERMISSION_MISSING: 'Reading browser history was not allowed',
+  TRASH_FAILED: 'Failed to move deleted branches to the trash',
+  NO_INCOGNITO_TREE: 'No incognito tree is being kept'
 };
 
 // Success Messages
@@ -95,12 +184,230 @@ export const SUCCESS_MESSAGES = {
 // Storage Keys
 export const STORAGE_KEYS = {
   TAB_TREE: 'tabTree',
+  TAB_HISTORY: 'tabHistory',
   CONFIG: 'config',
   USER_TIMEZONE: 'userTimeZone',
   IS_TRACKING: 'isTracking',
+  ACTIVE_VISIT: 'activeVisit',
   LAST_CLEANUP: 'lastCleanup',
-  ENCRYPTION_KEY: 'encryptionKey',
-  USER_PREFERENCES: 'userPreferences'
+  ENCRYPTION_KEY: 'encryptionKey', // chrome.storage.session only
+  ENCRYPTION: 'encryption', // salt, iterations and key check
+  USER_PREFERENCES: 'userPreferences',
+  NODE_VISIBILITY: 'nodeVisibility',
+  SCHEMA_VERSION: 'schemaVersion',
+  REDACTION_PROFILES: 'redactionProfiles', // saved by the viewer's Redact panel
+  INCOGNITO_TREE: 'incognitoTree' // chrome.storage.session only
+};
+
+// Storage and Export Schema
+export const SCHEMA = {
+  VERSION: 3, // bump together with a new step in src/schema-migrations.js
+  UNVERSIONED: 1 // data written before schema versions were recorded
+};
+
+// IndexedDB Node Store
+export const NODE_STORE = {
+  DB_NAME: 'tabTreeTracker',
+  DB_VERSION: 4,
+  NODES: 'nodes',
+  INDEXES: ['tabId', 'createdAt', 'domain', 'parentId'],
+  VISITS: 'visits',
+  VISIT_INDEXES: ['nodeId', 'timestamp'],
+  ARCHIVES: 'archives',
+  SNAPSHOTS: 'snapshots',
+  TRASH: 'trash'
+};
+
+// Incognito Tracking
+export const INCOGNITO = {
+  // never: incognito tabs are ignored; ephemeral: kept in memory until the
+  // last incognito window closes; separate: kept in their own node store
+  POLICIES: ['never', 'ephemeral', 'separate'],
+  DB_NAME: 'tabTreeTrackerIncognito',
+  SOURCE: 'incognito' // viewer tree source
+};
+
+// Storage Quota Monitoring and Archives
+export const STORAGE_QUOTA = {
+  LOCAL_QUOTA_BYTES: 10485760, // chrome.storage.local.QUOTA_BYTES without unlimitedStorage
+  ARCHIVE_BATCH_NODES: 500, // nodes moved per archive pass, whole trees at a time
+  BADGE_TEXT: '!',
+  BADGE_COLOR: '#f44336'
+};
+
+// Retention Policy
+export const RETENTION = {
+  PREVIEW_SAMPLE_SIZE: 10
+};
+
+// Snapshots and Trash
+export const RECOVERY = {
+  MAX_SNAPSHOTS: 10, // oldest snapshots are dropped beyond this
+  LARGE_PRUNE_NODES: 100, // prune passes removing this many nodes take a snapshot first
+  MAX_TRASH_DAYS: 365,
+  CONFIRM_TIMEOUT: 4000, // ms a restore button waits for the confirming click
+  REASON_LABELS: {
+    clear: 'Before clearing the tree',
+    import: 'Before importing a file',
+    prune: 'Before a large cleanup',
+    restore: 'Before restoring a snapshot',
+    backfill: 'Before importing browser history'
+  }
+};
+
+// Merge-mode Import
+export const MERGE = {
+  CREATED_AT_TOLERANCE_MS: 2000 // same URL opened this close together is one visit
+};
+
+// Backfill from chrome.history
+export const HISTORY_BACKFILL = {
+  SOURCE: 'history', // node.source of backfilled nodes
+  DEFAULT_DAYS: 7,
+  MAX_DAYS: 90,
+  MAX_RESULTS: 10000, // URLs read per backfill
+  SKIPPED_TRANSITIONS: ['auto_subframe', 'manual_subframe']
+};
+
+// Importers for other tools' exports
+export const IMPORTERS = {
+  FILE_TYPES: '.json,.txt,.html,.htm,.har', // accept list of the viewer's file input
+  MAX_FILE_CHARS: 50000000 // larger files are not inspected
+};
+
+// Outline and graph exports
+export const EXPORT = {
+  SCOPES: ['all', 'view'], // plus root:<id> for one tree
+  SCOPE_LABELS: {
+    all: 'All trees',
+    view: 'Current view'
+  },
+  FILE_PREFIX: 'tab-tree',
+  MAX_LABEL_CHARS: 80 // DOT and Mermaid labels are cut to this length
+};
+
+// Picture exports of the tree and cluster views
+export const IMAGE_EXPORT = {
+  FORMATS: [
+    { value: 'svg', label: 'SVG image' },
+    { value: 'png:1', label: 'PNG image' },
+    { value: 'png:2', label: 'PNG image (2x)' },
+    { value: 'png:4', label: 'PNG image (4x)' },
+    { value: 'pdf:2', label: 'PDF (tiled pages)' }
+  ],
+  PADDING: 40, // px around the content
+  BACKGROUND: '#ffffff',
+  // Computed styles copied inline so the file looks the same outside the viewer
+  STYLE_PROPERTIES: [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'display', 'visibility', 'font-family', 'font-size', 'font-weight',
+    'font-style', 'text-anchor', 'dominant-baseline', 'paint-order'
+  ],
+  LEGEND_LINE_HEIGHT: 18,
+  LEGEND_MAX_ITEMS: 12,
+  MAX_CANVAS_SIDE: 16384, // browsers refuse larger canvases
+  MAX_CANVAS_PIXELS: 120000000,
+  JPEG_QUALITY: 0.92,
+  PDF_PAGE: { WIDTH: 841.89, HEIGHT: 595.28, MARGIN: 28 }, // A4 landscape, in points
+  POINTS_PER_PIXEL: 0.75 // 96 CSS px per inch
+};
+
+// Redaction profiles for exports that will be shared
+export const REDACTION = {
+  // Rules: stripQuery, domainOnly, hashUrls, dropTopWords, dropNotes,
+  // redactTitles, redactTitleDomains (titles on these domains only)
+  PROFILES: [
+    { id: 'none', label: 'No redaction', rules: {} },
+    { id: 'no-query', label: 'Strip query strings', rules: { stripQuery: true } },
+    {
+      id: 'sharing',
+      label: 'Sharing-safe',
+      rules: { stripQuery: true, dropTopWords: true, dropNotes: true, redactTitleDomains: [] }
+    },
+    {
+      id: 'domains-only',
+      label: 'Domains only',
+      rules: { domainOnly: true, redactTitles: true, dropTopWords: true, dropNotes: true }
+    },
+    {
+      id: 'hashed',
+      label: 'Hashed URLs',
+      rules: { hashUrls: true, redactTitles: true, dropTopWords: true, dropNotes: true }
+    }
+  ],
+  REDACTED_TITLE: '[redacted]',
+  HASH_PREFIX: 'sha256:',
+  HASH_LENGTH: 16, // hex characters kept from each URL hash
+  PREVIEW_LIMIT: 100 // changes listed in the preview
+};
+
+// Encryption at Rest
+export const ENCRYPTION = {
+  PBKDF2_ITERATIONS: 310000, // OWASP recommendation for PBKDF2-HMAC-SHA256
+  SALT_BYTES: 16,
+  IV_BYTES: 12, // AES-GCM nonce
+  KEY_BITS: 256,
+  MIN_PASSPHRASE_LENGTH: 8,
+  KEY_CHECK_TEXT: 'TabTreeTracker key check',
+  EXPORT_FORMAT: 'tabtree-encrypted',
+  EXPORT_VERSION: 1,
+  PLAINTEXT_FIELDS: ['id', 'parentId', 'createdAt', 'tabId'] // left readable for the node store indexes
+};
+
+// Tree Search
+export const SEARCH = {
+  MAX_RESULTS: 50,
+  MIN_TOKEN_LENGTH: 2,
+  MIN_PREFIX_LENGTH: 3, // shorter terms only match whole tokens
+  PREFIX_MATCH_FACTOR: 0.5, // weight of a prefix match relative to a whole token
+  PHRASE_WEIGHT: 5,
+  DEBOUNCE_DELAY: 200, // ms between keystrokes and a search request
+  FIELD_WEIGHTS: {
+    title: 3,
+    tags: 3,
+    domain: 2,
+    notes: 2,
+    topWords: 1,
+    url: 1
+  },
+  IGNORED_TOKENS: new Set(['http', 'https', 'www'])
+};
+
+// Node Annotations
+export const ANNOTATIONS = {
+  MAX_NOTES_LENGTH: 10000, // characters of markdown per node
+  MAX_TAGS: 20,
+  MAX_TAG_LENGTH: 40,
+  STAR_BADGE: '★',
+  NOTES_BADGE: '✎'
+};
+
+// Browsing Sessions
+export const SESSIONS = {
+  MIN_IDLE_GAP_MINUTES: 5,
+  DOMINANT_DOMAIN_COUNT: 3, // domains listed per session summary
+  SCOPES: ['all', 'current', 'today', 'yesterday', 'last7days'],
+  SCOPE_LABELS: {
+    all: 'All sessions',
+    current: 'This session',
+    today: "Today's sessions",
+    yesterday: "Yesterday's sessions",
+    last7days: 'Last 7 days'
+  }
+};
+
+// Window and Tab Group Context
+export const TAB_CONTEXT = {
+  NO_GROUP: -1, // chrome.tabGroups.TAB_GROUP_ID_NONE
+  LANE_MODES: ['none', 'window', 'group']
+};
+
+// Foreground Dwell Time Tracking
+export const DWELL = {
+  MIN_VISIT_DURATION: 1000, // ms - shorter foreground stints are not recorded
+  MAX_VISIT_DURATION: 4 * 60 * 60 * 1000, // ms - cap for visits left open across restarts
+  IDLE_DETECTION_INTERVAL: 60, // seconds - chrome.idle detection interval
+  MAX_SIZE_FACTOR: 2.5 // largest node size multiplier when sizing by time spent
 };
 
 // Chrome Extension Specific
@@ -189,10 +496,13 @@ export const PERFORMANCE = {
 export const FEATURES = {
   ENABLE_CONTENT_ANALYSIS: true,
   ENABLE_WORD_FREQUENCY: true,
-  ENABLE_TREE_SEARCH: false, // TODO: implement
-  ENABLE_NODE_HIDING: false, // TODO: implement
+  ENABLE_TREE_SEARCH: true,
+  ENABLE_NODE_HIDING: true,
   ENABLE_AXIS_ZOOM: false, // TODO: implement
-  ENABLE_DATA_ENCRYPTION: false, // TODO: implement
+  ENABLE_DATA_ENCRYPTION: true, // gates turning encryption on; encrypted history stays readable
+  ENABLE_STORAGE_ARCHIVING: true,
+  ENABLE_RECOVERY: true,
+  ENABLE_REDACTION: true,
   ENABLE_PERFORMANCE_MONITORING: true,
   ENABLE_DEBUG_LOGGING: false
 };
@@ -0,0 +1,170 @@
+// =============================================================================
+// Context Utilities - window and tab group context of tree nodes
+// =============================================================================
+
+import { TAB_CONTEXT } from './constants.js';
+
+/**
+ * Pick the browser context fields recorded on a node from a tab
+ * @param {Object} tab - chrome.tabs.Tab
+ * @param {Object|null} group - chrome.tabGroups.TabGroup the tab belongs to
+ * @returns {Object} - windowId, index, pinned, incognito and group fields
+ */
+export function getTabContext(tab, group = null) {
+  const groupId = tab.groupId ?? TAB_CONTEXT.NO_GROUP;
+  const groupInfo = groupId !== TAB_CONTEXT.NO_GROUP
+    ? { groupTitle: group?.title || '', groupColor: group?.color || null }
+    : { groupTitle: null, groupColor: null };
+  return {
+    windowId: tab.windowId ?? null,
+    index: tab.index ?? null,
+    pinned: Boolean(tab.pinned),
+    incognito: Boolean(tab.incognito),
+    groupId,
+    ...groupInfo
+  };
+}
+
+/**
+ * Return only the context fields that differ from what the node records
+ * @param {Object} node - Tree node
+ * @param {Object} context - Fields from getTabContext
+ * @returns {Object|null} - Changed fields, or null when nothing changed
+ */
+export function diffContext(node, context) {
+  const changes = {};
+  Object.entries(context).forEach(([key, value]) => {
+    if (node[key] !== value) changes[key] = value;
+  });
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Key identifying the window or tab group a node belongs to
+ * @param {Object} node - Tree node
+ * @param {string} by - 'window' or 'group'
+ * @returns {string} - e.g. "window:12", "group:4" or "group:none"
+ */
+export function getContextKey(node, by) {
+  if (by === 'window') {
+    return `window:${node.windowId ?? 'unknown'}`;
+  }
+  const hasGroup = node.groupId !== undefined && node.groupId !== null &&
+    node.groupId !== TAB_CONTEXT.NO_GROUP;
+  return hasGroup ? `group:${node.groupId}` : 'group:none';
+}
+
+/**
+ * List the windows and tab groups present in a tree, for filter menus
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @returns {Array} - [{ key, by, label, color, count }] windows first, then groups
+ */
+export function collectContexts(tabTree) {
+  const windows = new Map();
+  const groups = new Map();
+  const nodes = [];
+
+  const visit = node => {
+    if (!node) return;
+    nodes.push(node);
+    (node.children || []).forEach(visit);
+  };
+  Object.values(tabTree || {}).forEach(visit);
+  nodes.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+  nodes.forEach(node => {
+    if (node.windowId !== undefined && node.windowId !== null) {
+      const key = getContextKey(node, 'window');
+      if (!windows.has(key)) {
+        windows.set(key, { key, by: 'window', label: `Window ${node.windowId}`, color: null, count: 0 });
+      }
+      windows.get(key).count++;
+    }
+
+    const groupKey = getContextKey(node, 'group');
+    if (groupKey !== 'group:none') {
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { key: groupKey, by: 'group', label: '', color: null, count: 0 });
+      }
+      const entry = groups.get(groupKey);
+      // Later nodes carry the group's most recent title and color
+      entry.label = node.groupTitle || 'Unnamed group';
+      entry.color = node.groupColor || null;
+      entry.count++;
+    }
+  });
+
+  return [...windows.values(), ...groups.values()];
+}
+
+/**
+ * Check whether a node or any of its descendants belongs to a context
+ * @param {Object} node - Tree node
+ * @param {string} key - Context key from getContextKey
+ * @returns {boolean} - True if the subtree touches the context
+ */
+export function subtreeMatchesContext(node, key) {
+  const by = key.split(':')[0];
+  if (getContextKey(node, by) === key) return true;
+  return (node.children || []).some(child => subtreeMatchesContext(child, key));
+}
+
+/**
+ * Keep only the trees that touch a window or tab group
+ * Whole trees are kept so that parent-child structure stays intact.
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {string} key - Context key, or 'all' for no filtering
+ * @returns {Object} - Filtered tab tree
+ */
+export function filterTreeByContext(tabTree, key) {
+  if (!tabTree || key === 'all') return tabTree;
+  const filtered = {};
+  Object.entries(tabTree).forEach(([rootId, rootNode]) => {
+    if (rootNode && subtreeMatchesContext(rootNode, key)) {
+      filtered[rootId] = rootNode;
+    }
+  });
+  return filtered;
+}
+
+/**
+ * Split root trees into lanes by the window or group of their root node
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {string} by - 'window' or 'group'
+ * @returns {Array} - [{ key, label, roots }] in order of first appearance
+ */
+export function groupRootsByContext(tabTree, by) {
+  const labels = new Map(collectContexts(tabTree).map(context => [context.key, context.label]));
+  const lanes = new Map();
+
+  Object.values(tabTree || {})
+    .filter(Boolean)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    .forEach(rootNode => {
+      const key = getContextKey(rootNode, by);
+      if (!lanes.has(key)) {
+        const fallback = by === 'window' ? 'Unknown window' : 'No group';
+        lanes.set(key, { key, label: labels.get(key) || fallback, roots: [] });
+      }
+      lanes.get(key).roots.push(rootNode);
+    });
+
+  return [...lanes.values()];
+}
+
+/**
+ * Describe a node's context for details panels
+ * @param {Object} node - Tree node
+ * @returns {string} - e.g. "Window 12, tab 3, pinned, group Research", empty if unknown
+ */
+export function describeContext(node) {
+  if (node.windowId === undefined || node.windowId === null) return '';
+  const parts = [`Window ${node.windowId}`];
+  if (node.index !== undefined && node.index !== null) parts.push(`tab ${node.index + 1}`);
+  if (node.pinned) parts.push('pinned');
+  if (node.incognito) parts.push('incognito');
+  if (getContextKey(node, 'group') !== 'group:none') {
+    parts.push(`group "${node.groupTitle || 'Unnamed group'}"`);
+  }
+  return parts.join(', ');
+}
@@ -0,0 +1,61 @@
+// =============================================================================
+// Dwell Utilities - foreground time helpers shared by background and viewer
+// =============================================================================
+
+import { DWELL } from './constants.js';
+
+/**
+ * Length of a foreground visit, clamped to the recordable range
+ * @param {number} startedAt - Timestamp the node came to the foreground
+ * @param {number} endedAt - Timestamp it left the foreground
+ * @returns {number} - Duration in ms, 0 if too short to record
+ */
+export function visitDuration(startedAt, endedAt) {
+  const duration = Math.min(endedAt - startedAt, DWELL.MAX_VISIT_DURATION);
+  return duration >= DWELL.MIN_VISIT_DURATION ? duration : 0;
+}
+
+/**
+ * Format a duration for details panels
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "45s", "3m 20s", "1h 05m"
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.round((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Find the largest timeSpent in a tab tree
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @returns {number} - Largest timeSpent in ms, 0 for an empty tree
+ */
+export function getMaxTimeSpent(tabTree) {
+  let max = 0;
+  const visit = node => {
+    if (!node) return;
+    max = Math.max(max, node.timeSpent || 0);
+    (node.children || []).forEach(visit);
+  };
+  Object.values(tabTree || {}).forEach(visit);
+  return max;
+}
+
+/**
+ * Size factor for a node based on its share of the longest dwell time
+ * Uses a square-root scale so the node area grows with time spent.
+ * @param {number} timeSpent - Node time spent in ms
+ * @param {number} maxTimeSpent - Largest time spent in the tree
+ * @returns {number} - Factor between 1 and DWELL.MAX_SIZE_FACTOR
+ */
+export function dwellSizeFactor(timeSpent, maxTimeSpent) {
+  if (!timeSpent || !maxTimeSpent) return 1;
+  const share = Math.min(timeSpent / maxTimeSpent, 1);
+  return 1 + (DWELL.MAX_SIZE_FACTOR - 1) * Math.sqrt(share);
+}
@@ -0,0 +1,233 @@
+// =============================================================================
+// Encryption - AES-GCM with PBKDF2 passphrase keys for stored nodes and exports
+// =============================================================================
+
+import { ENCRYPTION, ERROR_MESSAGES } from './constants.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 text
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * The key is extractable so that it can be kept in chrome.storage.session.
+ * @param {string} passphrase - User passphrase
+ * @param {string} salt - Base64 salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} - AES-GCM key
+ */
+export async function deriveKey(passphrase, salt, iterations = ENCRYPTION.PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(salt), iterations },
+    material,
+    { name: 'AES-GCM', length: ENCRYPTION.KEY_BITS },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Export a key as base64 raw bytes
+ * @param {CryptoKey} key - Key from deriveKey
+ * @returns {Promise<string>} - Base64 key bytes
+ */
+export async function exportKey(key) {
+  return bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+}
+
+/**
+ * Import a key exported with exportKey
+ * @param {string} raw - Base64 key bytes
+ * @returns {Promise<CryptoKey>} - AES-GCM key
+ */
+export function importKey(raw) {
+  return crypto.subtle.importKey('raw', base64ToBytes(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt raw bytes
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Uint8Array} bytes - Bytes to encrypt
+ * @returns {Promise<Object>} - { iv, data } in base64
+ */
+export async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION.IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt bytes encrypted with encryptBytes
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} payload - { iv, data } in base64
+ * @returns {Promise<Uint8Array>} - Decrypted bytes
+ * @throws {Error} - ERROR_MESSAGES.WRONG_PASSPHRASE if the key does not match
+ */
+export async function decryptBytes(key, payload) {
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+      key,
+      base64ToBytes(payload.data)
+    ));
+  } catch {
+    throw new Error(ERROR_MESSAGES.WRONG_PASSPHRASE);
+  }
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} - { iv, data } in base64
+ */
+export function encryptJson(key, value) {
+  return encryptBytes(key, encoder.encode(JSON.stringify(value)));
+}
+
+/**
+ * Decrypt a value encrypted with encryptJson
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} payload - { iv, data } in base64
+ * @returns {Promise<*>} - Decrypted value
+ * @throws {Error} - ERROR_MESSAGES.WRONG_PASSPHRASE if the key does not match
+ */
+export async function decryptJson(key, payload) {
+  return JSON.parse(decoder.decode(await decryptBytes(key, payload)));
+}
+
+/**
+ * Check whether a passphrase is long enough to use
+ * @param {string} passphrase - Candidate passphrase
+ * @returns {boolean} - True if usable
+ */
+export function isValidPassphrase(passphrase) {
+  return typeof passphrase === 'string' && passphrase.length >= ENCRYPTION.MIN_PASSPHRASE_LENGTH;
+}
+
+/**
+ * Set up a key for a new passphrase
+ * @param {string} passphrase - New passphrase
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} - { key, settings: { salt, iterations, check } } to store
+ */
+export async function createPassphraseKey(passphrase, iterations = ENCRYPTION.PBKDF2_ITERATIONS) {
+  if (!isValidPassphrase(passphrase)) {
+    throw new Error(ERROR_MESSAGES.WEAK_PASSPHRASE);
+  }
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(ENCRYPTION.SALT_BYTES)));
+  const key = await deriveKey(passphrase, salt, iterations);
+  const check = await encryptJson(key, ENCRYPTION.KEY_CHECK_TEXT);
+  return { key, settings: { salt, iterations, check } };
+}
+
+/**
+ * Derive the key for stored settings and make sure the passphrase is right
+ * @param {string} passphrase - Passphrase typed by the user
+ * @param {Object} settings - { salt, iterations, check } from createPassphraseKey
+ * @returns {Promise<CryptoKey>} - AES-GCM key
+ * @throws {Error} - ERROR_MESSAGES.WRONG_PASSPHRASE if the check does not decrypt
+ */
+export async function unlockPassphraseKey(passphrase, settings) {
+  const key = await deriveKey(String(passphrase || ''), settings.salt, settings.iterations);
+  if (await decryptJson(key, settings.check) !== ENCRYPTION.KEY_CHECK_TEXT) {
+    throw new Error(ERROR_MESSAGES.WRONG_PASSPHRASE);
+  }
+  return key;
+}
+
+/**
+ * Encrypt a node store record, leaving the indexed fields readable
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} record - Record from nodeToRecord
+ * @returns {Promise<Object>} - { ...PLAINTEXT_FIELDS, encrypted: { iv, data } }
+ */
+export async function sealRecord(key, record) {
+  const sealed = {};
+  const secret = { ...record };
+  ENCRYPTION.PLAINTEXT_FIELDS.forEach(field => {
+    if (field in record) sealed[field] = record[field];
+    delete secret[field];
+  });
+  // The domain index would reveal where the user browsed
+  delete secret.domain;
+  sealed.encrypted = await encryptJson(key, secret);
+  return sealed;
+}
+
+/**
+ * Decrypt a node store record sealed with sealRecord
+ * Plaintext records are returned unchanged.
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} record - Stored record
+ * @returns {Promise<Object>} - Plain record
+ */
+export async function openRecord(key, record) {
+  if (!record.encrypted) return record;
+  const { encrypted, ...fields } = record;
+  return { ...fields, ...await decryptJson(key, encrypted) };
+}
+
+/**
+ * Check whether parsed file contents are an encrypted export
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} - True for files written by encryptExport
+ */
+export function isEncryptedExport(data) {
+  return data?.format === ENCRYPTION.EXPORT_FORMAT && Boolean(data.kdf?.salt && data.cipher?.iv && data.data);
+}
+
+/**
+ * Wrap export data in an encrypted file envelope
+ * The key and settings come from the stored passphrase, so the file opens
+ * with the passphrase that was current when it was exported.
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} settings - { salt, iterations } the key was derived with
+ * @param {Object} data - Export data
+ * @returns {Promise<Object>} - Envelope to write as JSON
+ */
+export async function encryptExport(key, settings, data) {
+  const { iv, data: ciphertext } = await encryptJson(key, data);
+  return {
+    format: ENCRYPTION.EXPORT_FORMAT,
+    version: ENCRYPTION.EXPORT_VERSION,
+    exportedBy: 'TabTreeTracker',
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: settings.salt, iterations: settings.iterations },
+    cipher: { name: 'AES-GCM', iv },
+    data: ciphertext
+  };
+}
+
+/**
+ * Open an encrypted export file
+ * @param {string} passphrase - Passphrase typed by the user
+ * @param {Object} envelope - Parsed file from encryptExport
+ * @returns {Promise<Object>} - Original export data
+ * @throws {Error} - ERROR_MESSAGES.WRONG_PASSPHRASE if it does not decrypt
+ */
+export async function decryptExport(passphrase, envelope) {
+  const key = await deriveKey(String(passphrase || ''), envelope.kdf.salt, envelope.kdf.iterations);
+  return decryptJson(key, { iv: envelope.cipher.iv, data: envelope.data });
+}
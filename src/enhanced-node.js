@@ -52,12 +52,12 @@ export function createEnhancedNode(originalNode, options = {}) {
       totalConnections: 0
     } : null,
     
-    // Visit metrics
+    // Visit metrics, seeded from the dwell time recorded by the background
     visitMetrics: calculateVisitMetrics ? {
-      visitCount: 1,
-      totalTimeSpent: 0,
-      averageTimeSpent: 0,
-      lastVisitTime: originalNode.createdAt || Date.now(),
+      visitCount: originalNode.visitCount || 1,
+      totalTimeSpent: originalNode.timeSpent || 0,
+      averageTimeSpent: (originalNode.timeSpent || 0) / (originalNode.visitCount || 1),
+      lastVisitTime: originalNode.lastVisitedAt || originalNode.createdAt || Date.now(),
       firstVisitTime: originalNode.createdAt || Date.now(),
       visitFrequency: 0
     } : null,
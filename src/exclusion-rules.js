@@ -0,0 +1,164 @@
+// =============================================================================
+// Exclusion Rules - which URLs are tracked, analyzed and titled
+// =============================================================================
+
+import { EXCLUSION } from './constants.js';
+
+const normalizeHost = pattern => String(pattern || '').trim().toLowerCase().replace(/^\*?\./, '');
+
+/**
+ * Turn the old excludedDomains list into rules
+ * Entries used to match anywhere in the URL; domains now match the host and
+ * its subdomains, and scheme prefixes such as chrome:// become globs.
+ * @param {Array<string>} domains - config.excludedDomains
+ * @returns {Array} - Rules that do not track the listed domains
+ */
+export function migrateExcludedDomains(domains) {
+  return (Array.isArray(domains) ? domains : [])
+    .map(entry => String(entry).trim())
+    .filter(Boolean)
+    .map(entry => (entry.includes('://')
+      ? { type: 'glob', pattern: `${entry.replace(/\*+$/, '')}*`, scope: 'no-track' }
+      : { type: 'suffix', pattern: normalizeHost(entry), scope: 'no-track' }));
+}
+
+/**
+ * Compile a glob matched against the whole URL: * is any run of characters, ? is one
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} - Case-insensitive regex
+ */
+export function globToRegExp(glob) {
+  const source = glob.split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check a rule's pattern for its type
+ * @param {string} type - Rule type
+ * @param {*} pattern - Pattern as stored
+ * @returns {Object} - { pattern } or { error }
+ */
+function normalizePattern(type, pattern) {
+  const isHost = type === 'host' || type === 'suffix';
+  const normalized = isHost ? normalizeHost(pattern) : String(pattern ?? '').trim();
+  if (!normalized) return { error: `A ${type} rule has no pattern` };
+  if (type !== 'regex') return { pattern: normalized };
+  try {
+    new RegExp(normalized, 'i');
+    return { pattern: normalized };
+  } catch (error) {
+    return { error: `Invalid regex ${normalized}: ${error.message}` };
+  }
+}
+
+/**
+ * Check one rule and fill in its defaults
+ * @param {Object} rule - { type, pattern, scope }
+ * @returns {Object} - { rule } or { error }
+ */
+function normalizeRule(rule) {
+  if (!EXCLUSION.TYPES.includes(rule?.type)) return { error: `Unknown rule type: ${rule?.type}` };
+  const { pattern, error } = normalizePattern(rule.type, rule.pattern);
+  if (error) return { error };
+  const scope = EXCLUSION.SCOPES.includes(rule.scope) ? rule.scope : 'no-track';
+  return { rule: { type: rule.type, pattern, scope } };
+}
+
+/**
+ * Read the exclusion settings from config
+ * Configs from before exclusion rules are migrated from excludedDomains.
+ * Invalid rules are dropped and reported.
+ * @param {Object} config - Extension config
+ * @returns {Object} - { mode, rules, errors }
+ */
+export function normalizeExclusionConfig(config) {
+  const source = Array.isArray(config?.exclusionRules)
+    ? config.exclusionRules
+    : migrateExcludedDomains(config?.excludedDomains);
+  const rules = [];
+  const errors = [];
+  source.forEach(entry => {
+    const { rule, error } = normalizeRule(entry);
+    if (rule) rules.push(rule);
+    else errors.push(error);
+  });
+  const mode = EXCLUSION.MODES.includes(config?.exclusionMode) ? config.exclusionMode : EXCLUSION.MODES[0];
+  return { mode, rules, errors };
+}
+
+// Tests for each rule type, given the URL and its lowercase host
+const RULE_MATCHERS = {
+  host: rule => ({ host }) => host === rule.pattern,
+  suffix: rule => ({ host }) => host === rule.pattern || host.endsWith(`.${rule.pattern}`),
+  glob: rule => {
+    const regex = globToRegExp(rule.pattern);
+    return ({ url }) => regex.test(url);
+  },
+  regex: rule => {
+    const regex = new RegExp(rule.pattern, 'i');
+    return ({ url }) => regex.test(url);
+  }
+};
+
+/**
+ * Build the policy lookup used for every tracked URL
+ * A "no-track" match always wins. In allowlist mode a URL must also match a
+ * rule with another scope; "track" rules only serve that purpose.
+ * @param {Object} config - Extension config (exclusionMode, exclusionRules)
+ * @returns {Function} - (url) => { track, analyzeContent, redactTitle, matched }
+ */
+export function createUrlPolicy(config) {
+  const { mode, rules } = normalizeExclusionConfig(config);
+  const compiled = rules.map(rule => ({ rule, test: RULE_MATCHERS[rule.type](rule) }));
+
+  return url => {
+    let host = '';
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch {
+      // Not a URL: only glob and regex rules can match
+    }
+    const matched = compiled.filter(entry => entry.test({ url: String(url), host })).map(entry => entry.rule);
+    const scopes = new Set(matched.map(rule => rule.scope));
+    const allowed = mode === 'exclude' || matched.some(rule => rule.scope !== 'no-track');
+    const track = allowed && !scopes.has('no-track');
+    return {
+      track,
+      analyzeContent: track && !scopes.has('no-content'),
+      redactTitle: scopes.has('redact-title'),
+      matched
+    };
+  };
+}
+
+/**
+ * Read an imported rule list
+ * Accepts an exported file, a bare JSON array of rules, or plain text with
+ * one domain per line (imported as "do not track" host-and-subdomain rules).
+ * @param {string} text - File contents
+ * @returns {Object} - { mode, rules, errors }; mode is null when the file has none
+ */
+export function importExclusionRules(text) {
+  const trimmed = String(text || '').trim();
+  let parsed = null;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      return { mode: null, rules: [], errors: [`Not valid JSON: ${error.message}`] };
+    }
+  }
+
+  if (parsed === null) {
+    const lines = trimmed.split('\n').map(line => line.replace(/#.*$/, '').trim()).filter(Boolean);
+    return { mode: null, ...normalizeExclusionConfig({ exclusionRules: migrateExcludedDomains(lines) }) };
+  }
+  const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+  if (!Array.isArray(rules)) return { mode: null, rules: [], errors: ['No rules found in the file'] };
+  const normalized = normalizeExclusionConfig({ exclusionRules: rules, exclusionMode: parsed.mode });
+  return { ...normalized, mode: EXCLUSION.MODES.includes(parsed.mode) ? parsed.mode : null };
+}
@@ -0,0 +1,324 @@
+// =============================================================================
+// Exporters - outline, spreadsheet and graph formats for tab trees
+// =============================================================================
+
+import { EXPORT } from './constants.js';
+import { extractDomain } from './domain-utils.js';
+
+/**
+ * Find a node anywhere in a tab tree
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {string} nodeId - Node id
+ * @returns {Object|null} - The node, or null if it is not in the tree
+ */
+function findNode(tabTree, nodeId) {
+  const visit = node => {
+    if (!node) return null;
+    if (node.id === nodeId) return node;
+    for (const child of node.children || []) {
+      const found = visit(child);
+      if (found) return found;
+    }
+    return null;
+  };
+  for (const root of Object.values(tabTree || {})) {
+    const found = visit(root);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Pick the part of a tab tree to export
+ * Hidden branches are left out; the input is not modified.
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {Object} options - { rootId (export only this node and its subtree), hiddenIds (Set of ids to leave out) }
+ * @returns {Object} - Tab tree keyed by root id (empty if rootId is not found)
+ */
+export function selectExportTree(tabTree, options = {}) {
+  const hiddenIds = options.hiddenIds || new Set();
+  let roots = Object.values(tabTree || {}).filter(Boolean);
+  if (options.rootId) {
+    const root = findNode(tabTree, options.rootId);
+    roots = root ? [root] : [];
+  }
+
+  const copy = node => ({
+    ...node,
+    children: (node.children || []).filter(child => child && !hiddenIds.has(child.id)).map(copy)
+  });
+  return Object.fromEntries(roots
+    .filter(root => !hiddenIds.has(root.id))
+    .map(root => [root.id, copy(root)]));
+}
+
+/**
+ * List every node in depth-first order with its parent and depth
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @returns {Array} - [{ node, parentId, depth }]
+ */
+export function flattenTree(tabTree) {
+  const rows = [];
+  const visit = (node, parentId, depth) => {
+    rows.push({ node, parentId, depth });
+    (node.children || []).forEach(child => visit(child, node.id, depth + 1));
+  };
+  Object.values(tabTree || {}).filter(Boolean).forEach(root => visit(root, null, 0));
+  return rows;
+}
+
+const nodeLabel = node => node.title || node.url || node.id || 'Untitled';
+const nodeDomain = node => extractDomain(node.url, { fallback: '' });
+const isoTime = time => (Number.isFinite(time) && time > 0 ? new Date(time).toISOString() : '');
+const rfc822Time = time => (Number.isFinite(time) && time > 0 ? new Date(time).toUTCString() : '');
+
+/**
+ * Shorten a label for graph formats that draw it in a box
+ * @param {string} text - Label
+ * @returns {string} - Label of at most EXPORT.MAX_LABEL_CHARS characters
+ */
+function shortLabel(text) {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  return clean.length > EXPORT.MAX_LABEL_CHARS ? `${clean.slice(0, EXPORT.MAX_LABEL_CHARS - 1)}…` : clean;
+}
+
+// Control characters XML 1.0 forbids: everything below a space except tab, LF and CR
+const isXmlChar = char => char.charCodeAt(0) >= 0x20 || char === '\t' || char === '\n' || char === '\r';
+
+/**
+ * Escape text for an XML attribute or element
+ * @param {*} value - Text
+ * @returns {string} - Escaped text without characters XML 1.0 forbids
+ */
+export function escapeXml(value) {
+  return [...String(value ?? '')].filter(isXmlChar).join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/\n/g, '&#10;');
+}
+
+/**
+ * Quote a CSV field when needed
+ * Text starting with a formula character is prefixed with an apostrophe so
+ * spreadsheets show page titles instead of running them.
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+export function escapeCsv(value) {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// OPML 2.0 outline, readable by outliners and feed readers
+function toOpml(tabTree, options) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(options.title)}</title>`,
+    `    <dateCreated>${rfc822Time(options.exportTime)}</dateCreated>`,
+    '  </head>',
+    '  <body>'
+  ];
+  const visit = (node, depth) => {
+    const indent = '  '.repeat(depth + 2);
+    const attributes = [`text="${escapeXml(nodeLabel(node))}"`];
+    if (node.url) attributes.push('type="link"', `url="${escapeXml(node.url)}"`);
+    if (node.createdAt) attributes.push(`created="${rfc822Time(node.createdAt)}"`);
+    const children = node.children || [];
+    if (children.length === 0) {
+      lines.push(`${indent}<outline ${attributes.join(' ')}/>`);
+      return;
+    }
+    lines.push(`${indent}<outline ${attributes.join(' ')}>`);
+    children.forEach(child => visit(child, depth + 1));
+    lines.push(`${indent}</outline>`);
+  };
+  Object.values(tabTree).forEach(root => visit(root, 0));
+  lines.push('  </body>', '</opml>');
+  return lines.join('\n') + '\n';
+}
+
+// Nested Markdown list of links
+function toMarkdown(tabTree, options) {
+  const escapeText = text => String(text).replace(/\s+/g, ' ').replace(/([\\[\]*_`<>])/g, '\\$1');
+  const escapeUrl = url => url.replace(/[ ()<>]/g, character =>
+    `%${character.charCodeAt(0).toString(16).toUpperCase()}`);
+  const lines = [`# ${escapeText(options.title)}`, ''];
+  flattenTree(tabTree).forEach(({ node, depth }) => {
+    const label = escapeText(nodeLabel(node));
+    lines.push(`${'  '.repeat(depth)}- ${node.url ? `[${label}](${escapeUrl(node.url)})` : label}`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+// One row per node, for spreadsheets and scripts
+function toCsv(tabTree) {
+  const columns = ['id', 'parentId', 'depth', 'title', 'url', 'domain', 'createdAt', 'closedAt', 'timeSpent', 'visitCount'];
+  const rows = flattenTree(tabTree).map(({ node, parentId, depth }) => [
+    node.id,
+    parentId || '',
+    depth,
+    node.title || '',
+    node.url || '',
+    nodeDomain(node),
+    isoTime(node.createdAt),
+    isoTime(node.closedAt),
+    node.timeSpent || 0,
+    node.visitCount || 0
+  ].map(escapeCsv).join(','));
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Attributes shared by the GraphML and GEXF exports
+const GRAPH_ATTRIBUTES = [
+  { id: 'title', type: 'string', value: node => node.title || '' },
+  { id: 'url', type: 'string', value: node => node.url || '' },
+  { id: 'domain', type: 'string', value: nodeDomain },
+  { id: 'createdAt', type: 'string', value: node => isoTime(node.createdAt) },
+  { id: 'closedAt', type: 'string', value: node => isoTime(node.closedAt) },
+  { id: 'timeSpent', type: 'long', value: node => node.timeSpent || 0 },
+  { id: 'depth', type: 'int', value: (_node, depth) => depth }
+];
+
+// GraphML, read by Gephi, yEd and NetworkX
+function toGraphml(tabTree) {
+  const rows = flattenTree(tabTree);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...GRAPH_ATTRIBUTES.map(attribute =>
+      `  <key id="${attribute.id}" for="node" attr.name="${attribute.id}" attr.type="${attribute.type}"/>`),
+    '  <graph id="tabTree" edgedefault="directed">'
+  ];
+  rows.forEach(({ node, depth }) => {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    GRAPH_ATTRIBUTES.forEach(attribute => {
+      lines.push(`      <data key="${attribute.id}">${escapeXml(attribute.value(node, depth))}</data>`);
+    });
+    lines.push('    </node>');
+  });
+  rows.filter(row => row.parentId).forEach(({ node, parentId }) => {
+    lines.push(`    <edge source="${escapeXml(parentId)}" target="${escapeXml(node.id)}"/>`);
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+// GEXF 1.3, Gephi's own format
+function toGexf(tabTree, options) {
+  const rows = flattenTree(tabTree);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${isoTime(options.exportTime).slice(0, 10)}">`,
+    '    <creator>TabTreeTracker</creator>',
+    `    <description>${escapeXml(options.title)}</description>`,
+    '  </meta>',
+    '  <graph defaultedgetype="directed" mode="static">',
+    '    <attributes class="node">',
+    ...GRAPH_ATTRIBUTES.map((attribute, index) =>
+      `      <attribute id="${index}" title="${attribute.id}" type="${attribute.type}"/>`),
+    '    </attributes>',
+    '    <nodes>'
+  ];
+  rows.forEach(({ node, depth }) => {
+    lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(nodeLabel(node))}">`);
+    lines.push('        <attvalues>');
+    GRAPH_ATTRIBUTES.forEach((attribute, index) => {
+      lines.push(`          <attvalue for="${index}" value="${escapeXml(attribute.value(node, depth))}"/>`);
+    });
+    lines.push('        </attvalues>', '      </node>');
+  });
+  lines.push('    </nodes>', '    <edges>');
+  rows.filter(row => row.parentId).forEach(({ node, parentId }, index) => {
+    lines.push(`      <edge id="${index}" source="${escapeXml(parentId)}" target="${escapeXml(node.id)}"/>`);
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n') + '\n';
+}
+
+// Graphviz DOT; nodes link to their pages in SVG output
+function toDot(tabTree, options) {
+  const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, ' ')}"`;
+  const rows = flattenTree(tabTree);
+  const lines = [
+    `digraph ${quote(options.title)} {`,
+    '  rankdir=LR;',
+    '  node [shape=box, style=rounded, fontname="Helvetica"];'
+  ];
+  rows.forEach(({ node }) => {
+    const attributes = [`label=${quote(shortLabel(nodeLabel(node)))}`];
+    if (node.url) attributes.push(`URL=${quote(node.url)}`, `tooltip=${quote(node.url)}`);
+    lines.push(`  ${quote(node.id)} [${attributes.join(', ')}];`);
+  });
+  rows.filter(row => row.parentId).forEach(({ node, parentId }) => {
+    lines.push(`  ${quote(parentId)} -> ${quote(node.id)};`);
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// Mermaid flowchart, for Markdown renderers that draw Mermaid blocks.
+// Node ids are replaced with n1, n2, ... since Mermaid ids are restricted.
+function toMermaid(tabTree) {
+  const escapeLabel = text => shortLabel(text).replace(/"/g, '#quot;');
+  const rows = flattenTree(tabTree);
+  const shortIds = new Map(rows.map(({ node }, index) => [node, `n${index + 1}`]));
+  const parents = new Map(rows.map(({ node }) => [node.id, node]));
+  const lines = ['flowchart LR'];
+  rows.forEach(({ node }) => {
+    lines.push(`  ${shortIds.get(node)}["${escapeLabel(nodeLabel(node))}"]`);
+  });
+  rows.filter(row => row.parentId).forEach(({ node, parentId }) => {
+    lines.push(`  ${shortIds.get(parents.get(parentId))} --> ${shortIds.get(node)}`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/** @type {Array<Object>} */
+const exportFormats = [
+  { id: 'opml', label: 'OPML outline', extension: 'opml', mimeType: 'text/x-opml', serialize: toOpml },
+  { id: 'markdown', label: 'Markdown outline', extension: 'md', mimeType: 'text/markdown', serialize: toMarkdown },
+  { id: 'csv', label: 'CSV table', extension: 'csv', mimeType: 'text/csv', serialize: toCsv },
+  { id: 'graphml', label: 'GraphML (Gephi, yEd)', extension: 'graphml', mimeType: 'application/graphml+xml', serialize: toGraphml },
+  { id: 'gexf', label: 'GEXF (Gephi)', extension: 'gexf', mimeType: 'application/xml', serialize: toGexf },
+  { id: 'dot', label: 'Graphviz DOT', extension: 'dot', mimeType: 'text/vnd.graphviz', serialize: toDot },
+  { id: 'mermaid', label: 'Mermaid flowchart', extension: 'mmd', mimeType: 'text/plain', serialize: toMermaid }
+];
+
+/**
+ * List the export formats
+ * @returns {Array} - [{ id, label, extension }]
+ */
+export function listExportFormats() {
+  return exportFormats.map(({ id, label, extension }) => ({ id, label, extension }));
+}
+
+/**
+ * Serialize a tab tree in one of the export formats
+ * @param {Object} tabTree - Tab tree keyed by root id (see selectExportTree)
+ * @param {string} formatId - Format id from listExportFormats
+ * @param {Object} options - { title, exportTime }
+ * @returns {Object} - { content, mimeType, fileName, nodeCount }
+ * @throws {Error} - For an unknown format
+ */
+export function exportTree(tabTree, formatId, options = {}) {
+  const format = exportFormats.find(candidate => candidate.id === formatId);
+  if (!format) throw new Error(`Unknown export format: ${formatId}`);
+
+  const exportTime = options.exportTime || Date.now();
+  const title = options.title || 'Tab Tree';
+  const content = format.serialize(tabTree || {}, { title, exportTime });
+  const stamp = new Date(exportTime).toISOString().replace(/[:.]/g, '-');
+  return {
+    content,
+    mimeType: format.mimeType,
+    fileName: `${EXPORT.FILE_PREFIX}-${stamp}.${format.extension}`,
+    nodeCount: flattenTree(tabTree).length
+  };
+}
@@ -0,0 +1,125 @@
+// =============================================================================
+// History Backfill - rebuild navigation trees from chrome.history visits
+// =============================================================================
+
+import { HISTORY_BACKFILL } from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a backfill date range and fill in its defaults
+ * @param {number} startTime - Range start, ms since epoch
+ * @param {number} endTime - Range end, ms since epoch (now by default)
+ * @param {number} now - Reference time
+ * @returns {Object} - { startTime, endTime }
+ * @throws {Error} - For an empty, reversed or too long range
+ */
+export function normalizeBackfillRange(startTime, endTime, now = Date.now()) {
+  const end = Number(endTime) > 0 ? Math.min(Number(endTime), now) : now;
+  const start = Number(startTime) > 0 ? Number(startTime) : end - HISTORY_BACKFILL.DEFAULT_DAYS * DAY_MS;
+  if (start >= end) throw new Error('The start of the range must be before its end');
+  if (end - start > HISTORY_BACKFILL.MAX_DAYS * DAY_MS) {
+    throw new Error(`Backfill at most ${HISTORY_BACKFILL.MAX_DAYS} days at a time`);
+  }
+  return { startTime: start, endTime: end };
+}
+
+/**
+ * Read every visit in a time range from the history API
+ * @param {Object} historyApi - chrome.history, or a stand-in with search and getVisits
+ * @param {Object} range - { startTime, endTime }
+ * @param {number} maxResults - Most URLs to read
+ * @returns {Promise<Array>} - [{ visitId, referringVisitId, visitTime, transition, url, title }]
+ */
+export async function fetchHistoryVisits(historyApi, range, maxResults = HISTORY_BACKFILL.MAX_RESULTS) {
+  const items = await historyApi.search({ text: '', startTime: range.startTime, endTime: range.endTime, maxResults });
+  const visits = [];
+  for (const item of items) {
+    const itemVisits = await historyApi.getVisits({ url: item.url });
+    itemVisits
+      .filter(visit => visit.visitTime >= range.startTime && visit.visitTime <= range.endTime)
+      .forEach(visit => visits.push({
+        visitId: String(visit.visitId),
+        referringVisitId: String(visit.referringVisitId || '0'),
+        visitTime: Math.round(visit.visitTime),
+        transition: visit.transition || null,
+        url: item.url,
+        title: item.title || ''
+      }));
+  }
+  return visits;
+}
+
+/**
+ * Build navigation trees from history visits
+ * A visit becomes a child of the visit that referred to it; visits without
+ * a known referrer start a root. Excluded and subframe visits are dropped and
+ * their children move up to the nearest kept ancestor.
+ * @param {Array} visits - Visits from fetchHistoryVisits
+ * @param {Object} options - { isExcluded(url), sanitizeUrl(url), formatTitle(url, title), formatTime(ms) }
+ * @returns {Object} - { tabTree, nodeCount, skippedCount }
+ */
+export function buildHistoryTree(visits, options = {}) {
+  const isExcluded = options.isExcluded || (() => false);
+  const sanitizeUrl = options.sanitizeUrl || (url => url);
+  const formatTitle = options.formatTitle || ((_url, title) => title);
+  const formatTime = options.formatTime || (() => null);
+
+  const ordered = [...visits].sort((a, b) => a.visitTime - b.visitTime);
+  const visitsById = new Map(ordered.map(visit => [visit.visitId, visit]));
+  const nodesByVisitId = new Map();
+  const tabTree = {};
+  let skippedCount = 0;
+
+  const isKept = visit => /^https?:/.test(visit.url) &&
+    !HISTORY_BACKFILL.SKIPPED_TRANSITIONS.includes(visit.transition) &&
+    !isExcluded(visit.url);
+
+  // Nearest earlier kept visit along the referrer chain
+  const findParent = visit => {
+    const seen = new Set();
+    let referrer = visitsById.get(visit.referringVisitId);
+    while (referrer && !seen.has(referrer.visitId) && referrer.visitTime <= visit.visitTime) {
+      if (nodesByVisitId.has(referrer.visitId)) return nodesByVisitId.get(referrer.visitId);
+      seen.add(referrer.visitId);
+      referrer = visitsById.get(referrer.referringVisitId);
+    }
+    return null;
+  };
+
+  ordered.forEach(visit => {
+    if (!isKept(visit)) {
+      skippedCount++;
+      return;
+    }
+
+    const node = {
+      id: `${HISTORY_BACKFILL.SOURCE}-${visit.visitId}`,
+      tabId: null,
+      url: sanitizeUrl(visit.url),
+      title: formatTitle(visit.url, visit.title),
+      createdAt: visit.visitTime,
+      createdAtHuman: formatTime(visit.visitTime),
+      // How long the page stayed open is not recorded
+      closedAt: visit.visitTime,
+      closedAtHuman: formatTime(visit.visitTime),
+      children: [],
+      topWords: null,
+      timeSpent: 0,
+      visitCount: 0,
+      transitionType: visit.transition,
+      transitionQualifiers: [],
+      source: HISTORY_BACKFILL.SOURCE
+    };
+
+    const parent = findParent(visit);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      tabTree[node.id] = node;
+    }
+    nodesByVisitId.set(visit.visitId, node);
+  });
+
+  return { tabTree, nodeCount: nodesByVisitId.size, skippedCount };
+}
@@ -0,0 +1,328 @@
+// =============================================================================
+// Image Export - SVG, PNG and tiled PDF pictures of the tree and cluster views
+// =============================================================================
+
+import { IMAGE_EXPORT } from './constants.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Copy the computed styles of an SVG onto its clone
+ * Stylesheet rules do not travel with an exported file, so each element of
+ * the clone gets the values the viewer actually drew it with.
+ * @param {Element} source - Element in the page
+ * @param {Element} clone - Deep clone of the source
+ * @param {Function} getStyle - window.getComputedStyle or a stand-in
+ */
+export function inlineStyles(source, clone, getStyle) {
+  const sources = [source, ...source.querySelectorAll('*')];
+  const clones = [clone, ...clone.querySelectorAll('*')];
+  sources.forEach((element, index) => {
+    const target = /** @type {SVGElement} */ (clones[index]);
+    if (!target?.style) return;
+    const computed = getStyle(element);
+    IMAGE_EXPORT.STYLE_PROPERTIES.forEach(property => {
+      const value = computed?.getPropertyValue(property);
+      if (value) target.style.setProperty(property, value);
+    });
+  });
+}
+
+/**
+ * Draw a legend: a title, text lines and color swatches
+ * @param {Document} doc - Document to create the elements in
+ * @param {Object} legend - { title, lines, items: [{ color, label }] }
+ * @returns {Object} - { group, width, height }
+ */
+function buildLegend(doc, legend) {
+  const lineHeight = IMAGE_EXPORT.LEGEND_LINE_HEIGHT;
+  const group = doc.createElementNS(SVG_NS, 'g');
+  group.setAttribute('class', 'export-legend');
+  group.setAttribute('font-family', 'Arial, sans-serif');
+  group.setAttribute('font-size', '12');
+
+  let y = 0;
+  let longest = 0;
+  const addText = (text, x, bold = false) => {
+    const element = doc.createElementNS(SVG_NS, 'text');
+    element.setAttribute('x', String(x));
+    element.setAttribute('y', String(y + 12));
+    element.setAttribute('fill', '#333');
+    if (bold) element.setAttribute('font-weight', 'bold');
+    element.textContent = text;
+    group.appendChild(element);
+    longest = Math.max(longest, x + text.length * 7);
+    y += lineHeight;
+  };
+
+  if (legend.title) addText(legend.title, 0, true);
+  (legend.lines || []).forEach(line => addText(line, 0));
+  (legend.items || []).slice(0, IMAGE_EXPORT.LEGEND_MAX_ITEMS).forEach(item => {
+    const swatch = doc.createElementNS(SVG_NS, 'rect');
+    swatch.setAttribute('x', '0');
+    swatch.setAttribute('y', String(y + 2));
+    swatch.setAttribute('width', '12');
+    swatch.setAttribute('height', '12');
+    swatch.setAttribute('fill', item.color);
+    swatch.setAttribute('stroke', '#999');
+    group.appendChild(swatch);
+    addText(item.label, 20);
+  });
+
+  return { group, width: longest, height: y };
+}
+
+/**
+ * Serialize a visualization to a standalone SVG file
+ * The whole content is drawn, not just the part in view: the zoom group is
+ * re-positioned over the content bounds at the current zoom scale, so text
+ * keeps the size it has on screen.
+ * @param {SVGSVGElement} svg - The visualizer's svg element (with a .main-group)
+ * @param {Object} options - { scale (current zoom), bounds ({ x, y, width, height } of the content; read with getBBox by default), legend ({ title, lines, items } or null), getStyle }
+ * @returns {Object} - { svgText, width, height }
+ */
+export function serializeVisualization(svg, options = {}) {
+  const mainGroup = /** @type {SVGGraphicsElement} */ (svg.querySelector('.main-group'));
+  const bounds = options.bounds || mainGroup.getBBox();
+  const scale = options.scale || 1;
+  const padding = IMAGE_EXPORT.PADDING;
+
+  const clone = /** @type {SVGSVGElement} */ (svg.cloneNode(true));
+  if (options.getStyle) inlineStyles(svg, clone, options.getStyle);
+  const doc = clone.ownerDocument;
+
+  clone.querySelector('.main-group')?.setAttribute('transform',
+    `translate(${padding - bounds.x * scale},${padding - bounds.y * scale}) scale(${scale})`);
+
+  let width = bounds.width * scale + padding * 2;
+  let height = bounds.height * scale + padding * 2;
+  if (options.legend) {
+    const legend = buildLegend(doc, options.legend);
+    legend.group.setAttribute('transform', `translate(${padding},${height - padding / 2})`);
+    clone.appendChild(legend.group);
+    width = Math.max(width, legend.width + padding * 2);
+    height += legend.height;
+  }
+  width = Math.ceil(width);
+  height = Math.ceil(height);
+
+  const background = doc.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', IMAGE_EXPORT.BACKGROUND);
+  clone.insertBefore(background, clone.firstChild);
+
+  clone.setAttribute('width', String(width));
+  clone.setAttribute('height', String(height));
+  clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  clone.removeAttribute('style');
+
+  // XMLSerializer declares the SVG namespace itself
+  const svgText = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+  return { svgText, width, height };
+}
+
+/**
+ * Lower a raster scale until the canvas fits the browser's limits
+ * @param {number} width - Image width in px at scale 1
+ * @param {number} height - Image height in px at scale 1
+ * @param {number} scale - Wanted scale
+ * @returns {number} - Scale to use (at most the wanted one)
+ */
+export function fitCanvasScale(width, height, scale) {
+  const bySide = IMAGE_EXPORT.MAX_CANVAS_SIDE / Math.max(width, height, 1);
+  const byArea = Math.sqrt(IMAGE_EXPORT.MAX_CANVAS_PIXELS / Math.max(width * height, 1));
+  return Math.min(scale, bySide, byArea);
+}
+
+/**
+ * Draw a serialized SVG onto a canvas
+ * @param {Object} image - Result of serializeVisualization
+ * @param {number} scale - Wanted scale (lowered for very large trees)
+ * @returns {Promise<Object>} - { canvas, scale }
+ */
+export async function rasterizeSvg(image, scale = 1) {
+  const factor = fitCanvasScale(image.width, image.height, scale);
+  const url = URL.createObjectURL(new Blob([image.svgText], { type: 'image/svg+xml' }));
+  try {
+    const picture = new Image();
+    await new Promise((resolve, reject) => {
+      picture.onload = resolve;
+      picture.onerror = () => reject(new Error('The picture could not be drawn'));
+      picture.src = url;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * factor);
+    canvas.height = Math.round(image.height * factor);
+    canvas.getContext('2d').drawImage(picture, 0, 0, canvas.width, canvas.height);
+    return { canvas, scale: factor };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Encode a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - MIME type
+ * @param {number} quality - JPEG quality
+ * @returns {Promise<Blob>} - Encoded image
+ */
+export function canvasToBlob(canvas, type = 'image/png', quality = undefined) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The picture is too large to encode'))), type, quality);
+  });
+}
+
+/**
+ * Split an image into pieces that each fill one PDF page
+ * @param {number} imageWidth - Image width in px
+ * @param {number} imageHeight - Image height in px
+ * @param {Object} options - { pageWidth, pageHeight, margin (points), pointsPerPixel }
+ * @returns {Array} - Tiles in reading order: [{ x, y, width, height, row, column }]
+ */
+export function planPdfPages(imageWidth, imageHeight, options) {
+  const tileWidth = Math.floor((options.pageWidth - options.margin * 2) / options.pointsPerPixel);
+  const tileHeight = Math.floor((options.pageHeight - options.margin * 2) / options.pointsPerPixel);
+  const tiles = [];
+  for (let y = 0, row = 1; y < imageHeight; y += tileHeight, row++) {
+    for (let x = 0, column = 1; x < imageWidth; x += tileWidth, column++) {
+      tiles.push({
+        x,
+        y,
+        width: Math.min(tileWidth, imageWidth - x),
+        height: Math.min(tileHeight, imageHeight - y),
+        row,
+        column
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Collect the numbered objects of a PDF and lay out its cross-reference table
+ * @returns {Object} - { write(part), object(id, parts), finish() => Uint8Array }
+ */
+function createPdfWriter() {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = part => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, parts) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    parts.forEach(write);
+    write('\nendobj\n');
+  };
+  const finish = () => {
+    const xrefOffset = length;
+    write(`xref\n0 ${offsets.length}\n0000000000 65535 f \n`);
+    offsets.slice(1).forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    write(`trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    const file = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(bytes => {
+      file.set(bytes, position);
+      position += bytes.length;
+    });
+    return file;
+  };
+
+  write('%PDF-1.4\n');
+  // Binary comment so tools treat the file as binary
+  write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+  return { write, object, finish };
+}
+
+/**
+ * Write a PDF with one JPEG picture per page
+ * Each page shows its picture from the top-left of the margin, with a page
+ * label below it.
+ * @param {Array} pages - [{ jpeg (Uint8Array), pixelWidth, pixelHeight, drawWidth, drawHeight (points), label }]
+ * @param {Object} page - { width, height, margin } in points
+ * @returns {Uint8Array} - PDF file
+ */
+export function buildPdf(pages, page) {
+  const pdf = createPdfWriter();
+  const number = value => Number(value.toFixed(2));
+  const pdfText = text => String(text).replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7E]/g, '?');
+
+  // Objects 1-3 are shared; each page then takes three: page, contents, picture
+  const pageIds = pages.map((_entry, index) => 4 + index * 3);
+  pdf.object(1, ['<< /Type /Catalog /Pages 2 0 R >>']);
+  pdf.object(2, [`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`]);
+  pdf.object(3, ['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>']);
+
+  pages.forEach((entry, index) => {
+    const [pageId, contentsId, imageId] = [pageIds[index], pageIds[index] + 1, pageIds[index] + 2];
+    const top = page.height - page.margin;
+    const contents = [
+      `q ${number(entry.drawWidth)} 0 0 ${number(entry.drawHeight)} ${page.margin} ${number(top - entry.drawHeight)} cm /Im0 Do Q`,
+      `BT /F1 8 Tf ${page.margin} ${number(page.margin / 2)} Td (${pdfText(entry.label || '')}) Tj ET`
+    ].join('\n');
+
+    pdf.object(pageId, [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] ` +
+      `/Resources << /XObject << /Im0 ${imageId} 0 R >> /Font << /F1 3 0 R >> >> /Contents ${contentsId} 0 R >>`
+    ]);
+    // The contents are plain ASCII, so their length in characters is in bytes
+    pdf.object(contentsId, [`<< /Length ${contents.length} >>\nstream\n${contents}\nendstream`]);
+    pdf.object(imageId, [
+      `<< /Type /XObject /Subtype /Image /Width ${entry.pixelWidth} /Height ${entry.pixelHeight} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${entry.jpeg.length} >>\nstream\n`,
+      entry.jpeg,
+      '\nendstream'
+    ]);
+  });
+
+  return pdf.finish();
+}
+
+/**
+ * Cut a canvas into page-sized tiles and write them as a PDF
+ * @param {HTMLCanvasElement} canvas - Rasterized picture
+ * @param {number} scale - Scale the canvas was drawn at (to keep 96 px per inch on paper)
+ * @returns {Promise<Object>} - { blob, pageCount }
+ */
+export async function canvasToPdf(canvas, scale = 1) {
+  const { WIDTH, HEIGHT, MARGIN } = IMAGE_EXPORT.PDF_PAGE;
+  const pointsPerPixel = IMAGE_EXPORT.POINTS_PER_PIXEL / scale;
+  const tiles = planPdfPages(canvas.width, canvas.height, {
+    pageWidth: WIDTH,
+    pageHeight: HEIGHT,
+    margin: MARGIN,
+    pointsPerPixel
+  });
+  const columns = Math.max(...tiles.map(tile => tile.column));
+
+  const pages = [];
+  for (const [index, tile] of tiles.entries()) {
+    const piece = document.createElement('canvas');
+    piece.width = tile.width;
+    piece.height = tile.height;
+    piece.getContext('2d').drawImage(canvas, tile.x, tile.y, tile.width, tile.height, 0, 0, tile.width, tile.height);
+    const jpeg = new Uint8Array(await (await canvasToBlob(piece, 'image/jpeg', IMAGE_EXPORT.JPEG_QUALITY)).arrayBuffer());
+    pages.push({
+      jpeg,
+      pixelWidth: tile.width,
+      pixelHeight: tile.height,
+      drawWidth: tile.width * pointsPerPixel,
+      drawHeight: tile.height * pointsPerPixel,
+      label: tiles.length > 1
+        ? `Page ${index + 1} of ${tiles.length} - row ${tile.row}, column ${tile.column} of ${columns}`
+        : ''
+    });
+  }
+
+  const pdf = buildPdf(pages, { width: WIDTH, height: HEIGHT, margin: MARGIN });
+  return { blob: new Blob([pdf], { type: 'application/pdf' }), pageCount: pages.length };
+}
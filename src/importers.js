@@ -0,0 +1,284 @@
+// =============================================================================
+// Importers - turn other tools' exports into tab-tree roots
+// =============================================================================
+
+import { IMPORTERS } from './constants.js';
+
+/**
+ * Parse JSON without throwing
+ * @param {string} text - File contents
+ * @returns {*} - Parsed value, or null if the text is not JSON
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a timestamp from a number (ms or s) or a date string
+ * @param {*} value - Stored time
+ * @param {number} fallback - Time to use when the value is missing
+ * @returns {number} - ms since epoch
+ */
+function toTime(value, fallback) {
+  const time = typeof value === 'number' || /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time) || time <= 0) return fallback;
+  // Netscape bookmark files use seconds
+  return time < 1e11 ? time * 1000 : time;
+}
+
+/**
+ * Short title for a page without one
+ * @param {string} url - Page URL
+ * @returns {string} - Last path segment, or the host
+ */
+function titleFromUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const segment = parsed.pathname.split('/').filter(Boolean).pop();
+    return segment ? decodeURIComponent(segment) : parsed.hostname;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Create node factories for one import: ids are numbered in file order, so
+ * importing the same file again yields the same ids
+ * @param {string} source - Importer id, stored as node.source
+ * @returns {Function} - (fields) => node
+ */
+function nodeFactory(source) {
+  let count = 0;
+  return ({ url = '', title = '', createdAt, children = [] }) => ({
+    id: `${source}-${++count}`,
+    tabId: null,
+    url,
+    title: title || (url ? titleFromUrl(url) : ''),
+    createdAt,
+    createdAtHuman: null,
+    closedAt: createdAt,
+    closedAtHuman: null,
+    children,
+    topWords: null,
+    timeSpent: 0,
+    visitCount: 0,
+    transitionType: null,
+    transitionQualifiers: [],
+    source
+  });
+}
+
+const isWebUrl = url => /^https?:\/\//i.test(url || '');
+const keyById = nodes => Object.fromEntries(nodes.map(node => [node.id, node]));
+
+// OneTab "Export URLs": one "url | title" line per tab, groups separated by
+// blank lines. The file has no dates, so its modification time is used.
+const oneTabImporter = {
+  id: 'onetab',
+  label: 'OneTab',
+  detect(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    return lines.length > 0 && lines.filter(isWebUrl).length / lines.length >= 0.5 && !parseJson(text);
+  },
+  parse(text, options) {
+    const createNode = nodeFactory(this.id);
+    const groups = text.split(/\r?\n\s*\r?\n/)
+      .map(block => block.split(/\r?\n/).map(line => line.trim()).filter(isWebUrl))
+      .filter(lines => lines.length > 0);
+
+    return keyById(groups.map((lines, index) => createNode({
+      title: `OneTab group ${index + 1}`,
+      createdAt: options.fileTime,
+      children: lines.map(line => {
+        const separator = line.indexOf(' | ');
+        return createNode({
+          url: separator === -1 ? line : line.slice(0, separator),
+          title: separator === -1 ? '' : line.slice(separator + 3),
+          createdAt: options.fileTime
+        });
+      })
+    })));
+  }
+};
+
+// Session Buddy JSON: sessions of windows of tabs, or (newer versions)
+// collections of folders of links
+const sessionBuddyImporter = {
+  id: 'sessionbuddy',
+  label: 'Session Buddy',
+  detect(text) {
+    const data = parseJson(text);
+    const sessions = data?.sessions || data?.collections;
+    return Array.isArray(sessions) && sessions.some(session => Array.isArray(session?.windows || session?.folders));
+  },
+  parse(text, options) {
+    const data = parseJson(text);
+    const createNode = nodeFactory(this.id);
+    const roots = (data.sessions || data.collections).map((session, index) => {
+      const createdAt = toTime(session.created ?? session.generated ?? session.modified, options.fileTime);
+      const windows = (session.windows || session.folders || []).map((group, groupIndex) => createNode({
+        title: group.title || group.name || `Window ${groupIndex + 1}`,
+        createdAt,
+        children: (group.tabs || group.links || [])
+          .filter(tab => isWebUrl(tab?.url))
+          .map(tab => createNode({ url: tab.url, title: tab.title, createdAt: toTime(tab.created, createdAt) }))
+      }));
+      return createNode({
+        title: session.name || session.title || `Session ${index + 1}`,
+        createdAt,
+        children: windows
+      });
+    });
+    return keyById(roots);
+  }
+};
+
+// Netscape bookmark HTML, as exported by every browser: folders (H3 followed
+// by a DL) become subtrees of their bookmarks
+const netscapeBookmarksImporter = {
+  id: 'bookmarks',
+  label: 'Bookmark HTML',
+  detect(text) {
+    return /<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text) || /<DT>\s*<A\s[^>]*HREF=/i.test(text);
+  },
+  parse(text, options) {
+    const createNode = nodeFactory(this.id);
+    const html = new DOMParser().parseFromString(text, 'text/html');
+
+    const readList = list => Array.from(list?.children || [])
+      .filter(element => element.tagName === 'DT')
+      .map(item => {
+        const folder = item.querySelector(':scope > h3');
+        const link = item.querySelector(':scope > a');
+        if (folder) {
+          return createNode({
+            title: folder.textContent.trim(),
+            createdAt: toTime(folder.getAttribute('add_date'), options.fileTime),
+            children: readList(item.querySelector(':scope > dl'))
+          });
+        }
+        if (link && isWebUrl(link.getAttribute('href'))) {
+          return createNode({
+            url: link.getAttribute('href'),
+            title: link.textContent.trim(),
+            createdAt: toTime(link.getAttribute('add_date'), options.fileTime)
+          });
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    return keyById(readList(html.querySelector('dl')));
+  }
+};
+
+// HAR (HTTP Archive): one root per page, with each request under the
+// request that initiated it
+const harImporter = {
+  id: 'har',
+  label: 'HAR',
+  detect(text) {
+    return Array.isArray(parseJson(text)?.log?.entries);
+  },
+  parse(text, options) {
+    const { log } = parseJson(text);
+    const createNode = nodeFactory(this.id);
+    const pages = new Map();
+    const getPage = pageId => {
+      if (!pages.has(pageId)) {
+        const page = (log.pages || []).find(candidate => candidate.id === pageId);
+        pages.set(pageId, {
+          root: createNode({
+            title: page?.title || (pageId ? `Page ${pageId}` : 'Requests without a page'),
+            url: isWebUrl(page?.title) ? page.title : '',
+            createdAt: toTime(page?.startedDateTime, options.fileTime)
+          }),
+          nodesByUrl: new Map()
+        });
+      }
+      return pages.get(pageId);
+    };
+
+    [...log.entries]
+      .sort((a, b) => toTime(a.startedDateTime, 0) - toTime(b.startedDateTime, 0))
+      .forEach(entry => {
+        const url = entry.request?.url;
+        if (!isWebUrl(url)) return;
+        const page = getPage(entry.pageref || null);
+
+        // The page's own document (its first request unless the page title
+        // names it) is the root
+        if (!page.root.url) page.root.url = url;
+        if (page.root.url === url && !page.nodesByUrl.has(url)) {
+          page.nodesByUrl.set(url, page.root);
+          return;
+        }
+        const initiator = entry._initiator?.url || entry._initiator?.stack?.callFrames?.[0]?.url;
+        const parent = page.nodesByUrl.get(initiator) || page.root;
+        const node = createNode({ url, createdAt: toTime(entry.startedDateTime, page.root.createdAt) });
+        parent.children.push(node);
+        if (!page.nodesByUrl.has(url)) page.nodesByUrl.set(url, node);
+      });
+
+    return keyById([...pages.values()].map(page => page.root));
+  }
+};
+
+// Tried in order; formats with a clear signature come first
+/** @type {Array<Object>} */
+const importers = [harImporter, sessionBuddyImporter, netscapeBookmarksImporter, oneTabImporter];
+
+/**
+ * Add an importer, tried before the built-in ones
+ * @param {Object} importer - { id, label, detect(text, fileName), parse(text, options) }
+ */
+export function registerImporter(importer) {
+  if (!importer?.id || typeof importer.detect !== 'function' || typeof importer.parse !== 'function') {
+    throw new Error('An importer needs an id, detect() and parse()');
+  }
+  importers.unshift(importer);
+}
+
+/**
+ * List the registered importers
+ * @returns {Array} - [{ id, label }]
+ */
+export function listImporters() {
+  return importers.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Find the importer for a file
+ * Our own JSON exports are not matched; callers read those themselves.
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, for importers that check the extension
+ * @returns {Object|null} - Importer, or null if none recognizes the file
+ */
+export function detectImporter(text, fileName = '') {
+  if (typeof text !== 'string' || text.length > IMPORTERS.MAX_FILE_CHARS) return null;
+  return importers.find(importer => importer.detect(text, fileName)) || null;
+}
+
+/**
+ * Convert a file from another tool into a tab tree
+ * @param {string} text - File contents
+ * @param {Object} options - { fileName, fileTime } (fileTime dates undated entries)
+ * @returns {Object|null} - { importer, tabTree, nodeCount }, or null if the format is unknown
+ */
+export function importFile(text, options = {}) {
+  const importer = detectImporter(text, options.fileName);
+  if (!importer) return null;
+
+  const tabTree = importer.parse(text, { fileName: options.fileName || '', fileTime: options.fileTime || Date.now() });
+  let nodeCount = 0;
+  const count = node => {
+    nodeCount++;
+    (node.children || []).forEach(count);
+  };
+  Object.values(tabTree).forEach(count);
+  return { importer: { id: importer.id, label: importer.label }, tabTree, nodeCount };
+}
@@ -0,0 +1,191 @@
+// =============================================================================
+// Incognito Tree - navigation tree of incognito tabs, kept apart from history
+// =============================================================================
+
+import { INCOGNITO } from './constants.js';
+import { nodeToRecord } from './node-store.js';
+
+/**
+ * Read the incognito policy from config
+ * @param {Object} config - Extension config
+ * @returns {string} - One of INCOGNITO.POLICIES ('never' when missing or unknown)
+ */
+export function normalizeIncognitoPolicy(config) {
+  return INCOGNITO.POLICIES.includes(config?.incognitoPolicy) ? config.incognitoPolicy : INCOGNITO.POLICIES[0];
+}
+
+/**
+ * Tree of incognito tabs with its own indexes and tab history
+ * Follows the main tracker's rules in a simpler form: a tab's first page is
+ * a child of its opener's current page, later pages are children of the
+ * tab's current page, and going back to a page closes the ones after it.
+ */
+export class IncognitoTree {
+  /**
+   * @param {Object} options - { formatTime(ms) } for the *Human time fields
+   */
+  constructor(options = {}) {
+    this.formatTime = options.formatTime || (() => null);
+    this.clear();
+  }
+
+  // Forget every node and tab
+  clear() {
+    this.tabTree = {};
+    this.tabHistory = {}; // tabId -> nodes, oldest first
+    this.nodeIndex = new Map();
+    this.parentIndex = new Map();
+    this.openers = new Map(); // tabId -> opener tabId, until the tab's first page
+    this.dirtyIds = new Set();
+  }
+
+  get nodeCount() {
+    return this.nodeIndex.size;
+  }
+
+  /**
+   * Replace the tree, e.g. with one read back from storage
+   * Open nodes are put back in their tab's history.
+   * @param {Object} tabTree - Tab tree keyed by root id
+   */
+  load(tabTree) {
+    this.clear();
+    this.tabTree = tabTree || {};
+    const visit = (node, parent) => {
+      this.nodeIndex.set(node.id, node);
+      this.parentIndex.set(node.id, parent);
+      if (node.tabId !== null && node.tabId !== undefined && !node.closedAt) {
+        if (!this.tabHistory[node.tabId]) this.tabHistory[node.tabId] = [];
+        this.tabHistory[node.tabId].push(node);
+      }
+      (node.children || []).forEach(child => visit(child, node));
+    };
+    Object.values(this.tabTree).forEach(root => visit(root, null));
+    Object.values(this.tabHistory).forEach(history => history.sort((a, b) => a.createdAt - b.createdAt));
+  }
+
+  /**
+   * Remember which tab opened a new tab
+   * @param {number} tabId - New tab
+   * @param {number} openerTabId - Opening tab, if any
+   */
+  setOpener(tabId, openerTabId) {
+    if (openerTabId !== undefined && openerTabId !== null) this.openers.set(tabId, openerTabId);
+  }
+
+  /**
+   * The page a tab currently shows
+   * @param {number} tabId - Tab id
+   * @returns {Object|null} - Node, or null for unknown tabs
+   */
+  getCurrentNode(tabId) {
+    const history = this.tabHistory[tabId];
+    return history?.[history.length - 1] || null;
+  }
+
+  /**
+   * Record a page shown in a tab
+   * @param {Object} node - New node for the tab's page (url already sanitized)
+   * @param {Object} options - { newRoot } to start a root instead of a child
+   * @returns {Object|null} - The added node, the earlier node walked back to,
+   *   or null if the tab already shows this page
+   */
+  navigate(node, options = {}) {
+    const history = this.tabHistory[node.tabId] || [];
+    if (history[history.length - 1]?.url === node.url) return null;
+
+    const existingIndex = history.findIndex(entry => entry.url === node.url);
+    if (existingIndex !== -1) {
+      history.slice(existingIndex + 1).forEach(entry => this.closeNode(entry, node.createdAt));
+      this.tabHistory[node.tabId] = history.slice(0, existingIndex + 1);
+      return history[existingIndex];
+    }
+
+    const opener = history.length === 0 ? this.getCurrentNode(this.openers.get(node.tabId)) : null;
+    const parent = options.newRoot ? null : history[history.length - 1] || opener;
+    this.openers.delete(node.tabId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      this.tabTree[node.id] = node;
+    }
+    this.nodeIndex.set(node.id, node);
+    this.parentIndex.set(node.id, parent);
+    this.dirtyIds.add(node.id);
+    this.tabHistory[node.tabId] = [...history, node];
+    return node;
+  }
+
+  /**
+   * Change fields of the page a tab currently shows
+   * @param {number} tabId - Tab id
+   * @param {Object} updates - Fields to set
+   * @returns {boolean} - True if anything changed
+   */
+  updateCurrentNode(tabId, updates) {
+    const node = this.getCurrentNode(tabId);
+    if (!node || Object.entries(updates).every(([key, value]) => node[key] === value)) return false;
+    Object.assign(node, updates);
+    this.dirtyIds.add(node.id);
+    return true;
+  }
+
+  /**
+   * Rewrite every node's URL, e.g. after the sanitizer rules changed
+   * @param {Function} sanitize - (url) => sanitized url
+   * @returns {number} - Nodes changed
+   */
+  rewriteUrls(sanitize) {
+    let changedCount = 0;
+    this.nodeIndex.forEach(node => {
+      const url = sanitize(node.url);
+      if (url === node.url) return;
+      node.url = url;
+      this.dirtyIds.add(node.id);
+      changedCount++;
+    });
+    return changedCount;
+  }
+
+  closeNode(node, timestamp) {
+    if (node.closedAt) return;
+    node.closedAt = timestamp;
+    node.closedAtHuman = this.formatTime(timestamp);
+    this.dirtyIds.add(node.id);
+  }
+
+  /**
+   * Close a tab's open pages and forget the tab
+   * @param {number|string} tabId - Tab id (a tabHistory key)
+   * @param {number} timestamp - Close time
+   * @returns {boolean} - True if the tab was known
+   */
+  closeTab(tabId, timestamp = Date.now()) {
+    this.openers.delete(tabId);
+    const history = this.tabHistory[tabId];
+    if (!history) return false;
+    history.forEach(node => this.closeNode(node, timestamp));
+    delete this.tabHistory[tabId];
+    return true;
+  }
+
+  /**
+   * Close every open page, e.g. for tabs of an earlier browser run
+   * @param {number} timestamp - Close time
+   */
+  closeAllTabs(timestamp = Date.now()) {
+    Object.keys(this.tabHistory).forEach(tabId => this.closeTab(tabId, timestamp));
+  }
+
+  /**
+   * Take the records changed since the last call, for the node store
+   * @returns {Array} - Node records
+   */
+  takeDirtyRecords() {
+    const records = [...this.dirtyIds]
+      .filter(nodeId => this.nodeIndex.has(nodeId))
+      .map(nodeId => nodeToRecord(this.nodeIndex.get(nodeId), this.parentIndex.get(nodeId)?.id ?? null));
+    this.dirtyIds.clear();
+    return records;
+  }
+}
@@ -0,0 +1,88 @@
+// =============================================================================
+// Navigation Utilities - webNavigation transition helpers
+// =============================================================================
+
+import { NAVIGATION } from './constants.js';
+
+/**
+ * Describe how a node was reached, for details panels
+ * @param {string|null} transitionType - webNavigation transition type
+ * @param {Array} transitionQualifiers - webNavigation transition qualifiers
+ * @returns {string} - Human readable description
+ */
+export function describeTransition(transitionType, transitionQualifiers = []) {
+  if (!transitionType) return 'Unknown';
+
+  const label = NAVIGATION.TRANSITION_LABELS[transitionType] || transitionType;
+  const qualifiers = (transitionQualifiers || [])
+    .map(qualifier => NAVIGATION.QUALIFIER_LABELS[qualifier] || qualifier);
+
+  return qualifiers.length > 0 ? `${label} (${qualifiers.join(', ')})` : label;
+}
+
+/**
+ * Decide whether a navigation should start a new root instead of becoming a
+ * child of whatever the tab showed before
+ * @param {Object|null} transition - Last committed transition for the tab
+ * @param {boolean} enabled - Whether typed/bookmark navigations start roots
+ * @returns {boolean} - True if the node should be a new root
+ */
+export function shouldStartNewRoot(transition, enabled) {
+  if (!enabled || !transition) return false;
+  if ((transition.transitionQualifiers || []).includes('forward_back')) return false;
+  return NAVIGATION.NEW_ROOT_TRANSITIONS.includes(transition.transitionType);
+}
+
+/**
+ * Decide what a tab's new URL does to its history
+ * Stored URLs are sanitized, so the new URL must be sanitized the same way
+ * before it is compared.
+ * @param {Array} history - The tab's nodes, oldest first
+ * @param {string} url - Sanitized URL the tab now shows
+ * @returns {Object} - { type: 'same' } for the current page, { type: 'back', index }
+ *   for an earlier page, or { type: 'new' }
+ */
+export function classifyTabNavigation(history, url) {
+  if (history[history.length - 1]?.url === url) return { type: 'same' };
+  const index = history.findIndex(node => node.url === url);
+  return index === -1 ? { type: 'new' } : { type: 'back', index };
+}
+
+/**
+ * Check whether two URLs differ only in their fragment (#...)
+ * @param {string} fromUrl - Previous URL
+ * @param {string} toUrl - New URL
+ * @returns {boolean} - True if only the hash changed
+ */
+export function isFragmentOnlyChange(fromUrl, toUrl) {
+  try {
+    const from = new URL(fromUrl);
+    const to = new URL(toUrl);
+    if (from.hash === to.hash) return false;
+    from.hash = '';
+    to.hash = '';
+    return from.toString() === to.toString();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a URL's host is one of the listed domains or a subdomain of one
+ * @param {string} url - URL to check
+ * @param {Array} domains - Domain list, e.g. ['mail.google.com', 'example.org']
+ * @returns {boolean} - True if the host matches
+ */
+export function matchesDomainList(url, domains = []) {
+  if (!url || domains.length === 0) return false;
+
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return domains.some(domain => {
+      const normalized = domain.trim().toLowerCase();
+      return hostname === normalized || hostname.endsWith(`.${normalized}`);
+    });
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,414 @@
+// =============================================================================
+// Node Store - IndexedDB persistence with one record per tree node
+// =============================================================================
+
+import { NODE_STORE } from './constants.js';
+import { extractDomain } from './domain-utils.js';
+
+/**
+ * Convert a tree node into a flat storage record
+ * @param {Object} node - Tree node (children are not stored)
+ * @param {string|null} parentId - Id of the parent node, null for roots
+ * @returns {Object} - Record with parentId and domain for indexing
+ */
+export function nodeToRecord(node, parentId = null) {
+  const { children: _children, ...fields } = node;
+  return {
+    ...fields,
+    parentId,
+    domain: extractDomain(node.url)
+  };
+}
+
+/**
+ * Flatten a tab tree into storage records
+ * Nodes without an id (hand-written or very old files) are given one.
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @returns {Array} - Array of node records
+ */
+export function treeToRecords(tabTree) {
+  const records = [];
+  let generatedIds = 0;
+
+  const collect = (node, parentId) => {
+    if (!node || typeof node !== 'object') return;
+    if (!node.id) {
+      node.id = `${node.tabId ?? 'imported'}-${node.createdAt ?? Date.now()}-${generatedIds++}`;
+    }
+    records.push(nodeToRecord(node, parentId));
+    if (Array.isArray(node.children)) {
+      node.children.forEach(child => collect(child, node.id));
+    }
+  };
+
+  if (tabTree && typeof tabTree === 'object') {
+    Object.values(tabTree).forEach(rootNode => collect(rootNode, null));
+  }
+  return records;
+}
+
+/**
+ * Rebuild a nested tab tree from storage records
+ * Children are ordered by creation time; records whose parent is missing
+ * become roots so that no stored node is lost.
+ * @param {Array} records - Node records from the store
+ * @returns {Object} - Tab tree keyed by root id
+ */
+export function recordsToTree(records) {
+  const nodes = new Map();
+  const sorted = [...records].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+  sorted.forEach(record => {
+    const { parentId: _parentId, domain: _domain, ...fields } = record;
+    nodes.set(record.id, { ...fields, children: [] });
+  });
+
+  const tabTree = {};
+  sorted.forEach(record => {
+    const node = nodes.get(record.id);
+    const parent = record.parentId ? nodes.get(record.parentId) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      tabTree[node.id] = node;
+    }
+  });
+
+  return tabTree;
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} - Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wrap an IndexedDB transaction in a promise
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise} - Resolves when the transaction commits
+ */
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * IndexedDB-backed store holding one record per tree node
+ */
+export class NodeStore {
+  constructor(options = {}) {
+    this.options = {
+      dbName: NODE_STORE.DB_NAME,
+      dbVersion: NODE_STORE.DB_VERSION,
+      ...options
+    };
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the node store and its indexes if needed
+   * @returns {Promise<IDBDatabase>} - Open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(this.options.dbName, this.options.dbVersion);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(NODE_STORE.NODES)) {
+          const store = db.createObjectStore(NODE_STORE.NODES, { keyPath: 'id' });
+          NODE_STORE.INDEXES.forEach(index => store.createIndex(index, index));
+        }
+        if (!db.objectStoreNames.contains(NODE_STORE.VISITS)) {
+          const store = db.createObjectStore(NODE_STORE.VISITS, { autoIncrement: true });
+          NODE_STORE.VISIT_INDEXES.forEach(index => store.createIndex(index, index));
+        }
+        // Compressed trees: archives, snapshots and trashed branches
+        [NODE_STORE.ARCHIVES, NODE_STORE.SNAPSHOTS, NODE_STORE.TRASH].forEach(storeName => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, { keyPath: 'id' });
+          }
+        });
+      };
+      this.dbPromise = promisifyRequest(request).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback against one object store inside one transaction
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the object store
+   * @param {string} storeName - Object store to open, nodes by default
+   * @returns {Promise} - Resolves with the callback result once committed
+   */
+  async withStore(mode, callback, storeName = NODE_STORE.NODES) {
+    const db = await this.open();
+    const transaction = db.transaction(storeName, mode);
+    const result = callback(transaction.objectStore(storeName));
+    await promisifyTransaction(transaction);
+    return result instanceof IDBRequest ? result.result : result;
+  }
+
+  /**
+   * Insert or update node records
+   * @param {Array} records - Records from nodeToRecord
+   * @returns {Promise}
+   */
+  putNodes(records) {
+    if (records.length === 0) return Promise.resolve();
+    return this.withStore('readwrite', store => {
+      records.forEach(record => store.put(record));
+    });
+  }
+
+  /**
+   * Delete node records by id, along with their visit records
+   * @param {Array} nodeIds - Ids of nodes to delete
+   * @returns {Promise}
+   */
+  async deleteNodes(nodeIds) {
+    if (nodeIds.length === 0) return;
+    await this.withStore('readwrite', store => {
+      nodeIds.forEach(nodeId => store.delete(nodeId));
+    });
+    await this.withStore('readwrite', store => {
+      const index = store.index('nodeId');
+      nodeIds.forEach(nodeId => {
+        const request = index.getAllKeys(nodeId);
+        request.onsuccess = () => request.result.forEach(key => store.delete(key));
+      });
+    }, NODE_STORE.VISITS);
+  }
+
+  /**
+   * Replace every stored record in a single transaction
+   * Visit records of the old tree are dropped.
+   * @param {Array} records - New records
+   * @returns {Promise}
+   */
+  async replaceAll(records) {
+    await this.withStore('readwrite', store => {
+      store.clear();
+      records.forEach(record => store.put(record));
+    });
+    await this.withStore('readwrite', store => {
+      store.clear();
+    }, NODE_STORE.VISITS);
+  }
+
+  /**
+   * Record one foreground visit of a node
+   * @param {Object} visit - { nodeId, timestamp, timeSpent }
+   * @returns {Promise}
+   */
+  addVisit(visit) {
+    return this.withStore('readwrite', store => {
+      store.add(visit);
+    }, NODE_STORE.VISITS);
+  }
+
+  /**
+   * Record several visits in one transaction, e.g. when a snapshot is restored
+   * @param {Array} visits - Visit records
+   * @returns {Promise}
+   */
+  addVisits(visits) {
+    if (visits.length === 0) return Promise.resolve();
+    return this.withStore('readwrite', store => {
+      visits.forEach(visit => store.add(visit));
+    }, NODE_STORE.VISITS);
+  }
+
+  /**
+   * Get visit records, for one node or for all nodes
+   * @param {string} [nodeId] - Node id to filter by
+   * @returns {Promise<Array>} - Visit records
+   */
+  getVisits(nodeId) {
+    return this.withStore('readonly', store => (
+      nodeId === undefined ? store.getAll() : store.index('nodeId').getAll(nodeId)
+    ), NODE_STORE.VISITS);
+  }
+
+  /**
+   * Get a single node record
+   * @param {string} nodeId - Node id
+   * @returns {Promise<Object|undefined>} - Stored record
+   */
+  getNode(nodeId) {
+    return this.withStore('readonly', store => store.get(nodeId));
+  }
+
+  /**
+   * Get every stored node record
+   * @returns {Promise<Array>} - All records
+   */
+  getAllNodes() {
+    return this.withStore('readonly', store => store.getAll());
+  }
+
+  /**
+   * Query records through one of the secondary indexes
+   * @param {string} indexName - 'tabId', 'createdAt', 'domain' or 'parentId'
+   * @param {*} query - Key or IDBKeyRange
+   * @returns {Promise<Array>} - Matching records
+   */
+  getByIndex(indexName, query) {
+    return this.withStore('readonly', store => store.index(indexName).getAll(query));
+  }
+
+  /**
+   * Count stored records
+   * @returns {Promise<number>} - Number of records
+   */
+  count() {
+    return this.withStore('readonly', store => store.count());
+  }
+
+  /**
+   * Store an archive and delete the archived node records in one transaction,
+   * so the nodes are never lost and never kept twice
+   * @param {Object} archive - Archive record with a compressed payload
+   * @param {Array} nodeIds - Ids of the archived nodes
+   * @returns {Promise}
+   */
+  async archiveNodes(archive, nodeIds) {
+    const db = await this.open();
+    const transaction = db.transaction([NODE_STORE.NODES, NODE_STORE.ARCHIVES], 'readwrite');
+    transaction.objectStore(NODE_STORE.ARCHIVES).put(archive);
+    const nodes = transaction.objectStore(NODE_STORE.NODES);
+    nodeIds.forEach(nodeId => nodes.delete(nodeId));
+    await promisifyTransaction(transaction);
+  }
+
+  /**
+   * Insert or update records in one of the compressed tree stores
+   * @param {string} storeName - NODE_STORE.ARCHIVES, SNAPSHOTS or TRASH
+   * @param {Array} entries - Records keyed by id
+   * @returns {Promise}
+   */
+  putEntries(storeName, entries) {
+    if (entries.length === 0) return Promise.resolve();
+    return this.withStore('readwrite', store => {
+      entries.forEach(entry => store.put(entry));
+    }, storeName);
+  }
+
+  /**
+   * Get every record of a compressed tree store, payloads included
+   * @param {string} storeName - NODE_STORE.ARCHIVES, SNAPSHOTS or TRASH
+   * @returns {Promise<Array>} - Stored records
+   */
+  getEntries(storeName) {
+    return this.withStore('readonly', store => store.getAll(), storeName);
+  }
+
+  /**
+   * Get one record of a compressed tree store
+   * @param {string} storeName - NODE_STORE.ARCHIVES, SNAPSHOTS or TRASH
+   * @param {string} entryId - Record id
+   * @returns {Promise<Object|undefined>} - Stored record
+   */
+  getEntry(storeName, entryId) {
+    return this.withStore('readonly', store => store.get(entryId), storeName);
+  }
+
+  /**
+   * Delete records of a compressed tree store by id
+   * @param {string} storeName - NODE_STORE.ARCHIVES, SNAPSHOTS or TRASH
+   * @param {Array} entryIds - Record ids
+   * @returns {Promise}
+   */
+  deleteEntries(storeName, entryIds) {
+    if (entryIds.length === 0) return Promise.resolve();
+    return this.withStore('readwrite', store => {
+      entryIds.forEach(entryId => store.delete(entryId));
+    }, storeName);
+  }
+
+  /**
+   * Insert or update archive records
+   * @param {Array} archives - Archive records
+   * @returns {Promise}
+   */
+  putArchives(archives) {
+    return this.putEntries(NODE_STORE.ARCHIVES, archives);
+  }
+
+  /**
+   * Get every archive record, payloads included
+   * @returns {Promise<Array>} - Archive records
+   */
+  getArchives() {
+    return this.getEntries(NODE_STORE.ARCHIVES);
+  }
+
+  /**
+   * Get a single archive record
+   * @param {string} archiveId - Archive id
+   * @returns {Promise<Object|undefined>} - Stored archive
+   */
+  getArchive(archiveId) {
+    return this.getEntry(NODE_STORE.ARCHIVES, archiveId);
+  }
+
+  /**
+   * Remove every stored node and visit record
+   * Archives are kept, and so are snapshots and trash so that clearing can
+   * be undone.
+   * @returns {Promise}
+   */
+  async clear() {
+    await this.withStore('readwrite', store => {
+      store.clear();
+    });
+    await this.withStore('readwrite', store => {
+      store.clear();
+    }, NODE_STORE.VISITS);
+  }
+
+  /**
+   * Delete one archive record
+   * @param {string} archiveId - Archive id
+   * @returns {Promise}
+   */
+  deleteArchive(archiveId) {
+    return this.deleteEntries(NODE_STORE.ARCHIVES, [archiveId]);
+  }
+
+  /**
+   * Remove every archive record
+   * @returns {Promise}
+   */
+  async clearArchives() {
+    await this.withStore('readwrite', store => {
+      store.clear();
+    }, NODE_STORE.ARCHIVES);
+  }
+
+  /**
+   * Remove every snapshot and trash record
+   * @returns {Promise}
+   */
+  async clearRecovery() {
+    await this.withStore('readwrite', store => {
+      store.clear();
+    }, NODE_STORE.SNAPSHOTS);
+    await this.withStore('readwrite', store => {
+      store.clear();
+    }, NODE_STORE.TRASH);
+  }
+}
@@ -0,0 +1,118 @@
+// =============================================================================
+// Node Visibility - collapsed, hidden and focused branches of the tree view
+// =============================================================================
+
+/**
+ * Build the runtime visibility state from its stored form
+ * @param {Object} stored - { collapsed, hidden, focusedId } as saved by serializeVisibilityState
+ * @returns {Object} - { collapsed: Set, hidden: Set, focusedId }
+ */
+export function createVisibilityState(stored = {}) {
+  const ids = value => new Set(Array.isArray(value) ? value.filter(id => typeof id === 'string') : []);
+  return {
+    collapsed: ids(stored?.collapsed),
+    hidden: ids(stored?.hidden),
+    focusedId: typeof stored?.focusedId === 'string' ? stored.focusedId : null
+  };
+}
+
+/**
+ * Convert a visibility state to a form chrome.storage can hold
+ * @param {Object} state - State from createVisibilityState
+ * @returns {Object} - { collapsed: Array, hidden: Array, focusedId }
+ */
+export function serializeVisibilityState(state) {
+  return {
+    collapsed: [...state.collapsed],
+    hidden: [...state.hidden],
+    focusedId: state.focusedId
+  };
+}
+
+/**
+ * Count all descendants of a node
+ * @param {Object} node - Node with optional children
+ * @returns {number} - Number of nodes below it
+ */
+export function countDescendants(node) {
+  return (node?.children || []).reduce((count, child) => count + 1 + countDescendants(child), 0);
+}
+
+/**
+ * Find the chain of nodes from the root down to a node
+ * @param {Object} root - Viewer hierarchy ({ name, url, data, children })
+ * @param {string} nodeId - Id of the tab tree node (data.id)
+ * @returns {Array|null} - Nodes from the root to the target, or null if not found
+ */
+export function findNodePath(root, nodeId) {
+  if (!root) return null;
+  if (root.data?.id === nodeId) return [root];
+  for (const child of root.children || []) {
+    const path = findNodePath(child, nodeId);
+    if (path) return [root, ...path];
+  }
+  return null;
+}
+
+/**
+ * Apply collapsed, hidden and focused branches to a viewer hierarchy
+ * Returns copies of the visible nodes; the input is not modified. Every
+ * copy gets childCount (children before collapsing or hiding) and
+ * collapsedCount (descendants folded away, 0 unless collapsed).
+ * @param {Object} root - Viewer hierarchy ({ name, url, data, children })
+ * @param {Object} state - State from createVisibilityState
+ * @returns {Object} - { root, hiddenCount, collapsedNodes, focused }
+ */
+export function applyNodeVisibility(root, state) {
+  const result = { root, hiddenCount: 0, collapsedNodes: 0, focused: null };
+  if (!root) return result;
+
+  // A focused node missing from this tree (e.g. filtered out) shows everything
+  const focusPath = state.focusedId ? findNodePath(root, state.focusedId) : null;
+  if (focusPath) result.focused = focusPath[focusPath.length - 1];
+
+  const visit = node => {
+    const children = node.children || [];
+    const id = node.data?.id;
+    if (id && state.collapsed.has(id) && children.length > 0) {
+      result.collapsedNodes++;
+      return { ...node, children: [], childCount: children.length, collapsedCount: countDescendants(node) };
+    }
+
+    const visible = children.filter(child => {
+      if (!child.data?.id || !state.hidden.has(child.data.id)) return true;
+      result.hiddenCount += 1 + countDescendants(child);
+      return false;
+    });
+    return { ...node, children: visible.map(visit), childCount: children.length, collapsedCount: 0 };
+  };
+
+  result.root = visit(result.focused || root);
+  return result;
+}
+
+/**
+ * Expand, unhide and unfocus whatever keeps a node out of view
+ * @param {Object} root - Viewer hierarchy ({ name, url, data, children })
+ * @param {Object} state - State from createVisibilityState, updated in place
+ * @param {string} nodeId - Id of the node to reveal
+ * @returns {boolean} - True if the state changed
+ */
+export function revealNode(root, state, nodeId) {
+  const path = findNodePath(root, nodeId);
+  if (!path) return false;
+
+  let changed = false;
+  if (state.focusedId && !path.some(node => node.data?.id === state.focusedId)) {
+    state.focusedId = null;
+    changed = true;
+  }
+  path.forEach((node, index) => {
+    const id = node.data?.id;
+    if (!id) return;
+    // The node itself may stay collapsed; its ancestors may not
+    if (index < path.length - 1 && state.collapsed.delete(id)) changed = true;
+    if (state.hidden.delete(id)) changed = true;
+  });
+  return changed;
+}
@@ -0,0 +1,150 @@
+// =============================================================================
+// Recovery - snapshots of the whole tree and a trash for deleted branches
+// =============================================================================
+
+import { RECOVERY, SCHEMA } from './constants.js';
+import { compressJson, decompressJson, describeTree } from './storage-quota.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compress a copy of the whole tree before a destructive operation
+ * The tree is serialized before this returns, so the caller may change it
+ * right away without waiting for the compression.
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {string} reason - 'clear', 'import', 'prune' or 'restore'
+ * @param {number} createdAt - Time of the snapshot
+ * @returns {Promise<Object>} - { id, kind, createdAt, reason, rootCount, nodeCount, bytes, schemaVersion, data }
+ */
+export async function createSnapshot(tabTree, reason, createdAt = Date.now()) {
+  const roots = Object.values(tabTree || {});
+  const nodeCount = roots.reduce((count, root) => count + describeTree(root).nodeCount, 0);
+  const data = await compressJson(tabTree || {});
+  return {
+    id: `snapshot-${createdAt}`,
+    kind: 'snapshot',
+    createdAt,
+    reason,
+    rootCount: roots.length,
+    nodeCount,
+    bytes: data.byteLength,
+    schemaVersion: SCHEMA.VERSION,
+    data
+  };
+}
+
+/**
+ * Add the visit records of the snapshotted tree, for operations that also
+ * delete them (clearing or replacing the tree)
+ * @param {Object} snapshot - Entry from createSnapshot
+ * @param {Array} visits - Visit records { nodeId, timestamp, timeSpent }
+ * @returns {Promise<Object>} - Snapshot with { visitCount, visitData } when there are visits
+ */
+export async function attachSnapshotVisits(snapshot, visits) {
+  if (!visits?.length) return snapshot;
+  const visitData = await compressJson(visits);
+  return { ...snapshot, visitCount: visits.length, bytes: snapshot.bytes + visitData.byteLength, visitData };
+}
+
+/**
+ * Unpack the visit records kept with a snapshot
+ * @param {Object} entry - Entry from attachSnapshotVisits
+ * @returns {Promise<Array>} - Visit records, empty for snapshots without any
+ */
+export async function readSnapshotVisits(entry) {
+  return entry.visitData ? decompressJson(entry.visitData) : [];
+}
+
+/**
+ * Compress a deleted branch into a trash entry
+ * Like createSnapshot, the branch is serialized before this returns.
+ * @param {Object} node - Root of the deleted branch, with its children
+ * @param {string|null} parentId - Parent it was removed from, null for roots
+ * @param {string} reason - Why it was deleted, e.g. 'age' or 'size'
+ * @param {number} createdAt - Time of deletion
+ * @returns {Promise<Object>} - { id, kind, createdAt, reason, nodeId, parentId, title, url, nodeCount, bytes, schemaVersion, data }
+ */
+export async function createTrashEntry(node, parentId, reason, createdAt = Date.now()) {
+  const nodeCount = describeTree(node).nodeCount;
+  const data = await compressJson({ [node.id]: node });
+  return {
+    id: `trash-${node.id}-${createdAt}`,
+    kind: 'trash',
+    createdAt,
+    reason,
+    nodeId: node.id,
+    parentId,
+    title: node.title || '',
+    url: node.url || '',
+    nodeCount,
+    bytes: data.byteLength,
+    schemaVersion: SCHEMA.VERSION,
+    data
+  };
+}
+
+/**
+ * Unpack the tree held by a snapshot or trash entry
+ * @param {Object} entry - Entry from createSnapshot or createTrashEntry
+ * @returns {Promise<Object>} - Tab tree keyed by root id
+ */
+export function readRecoveryTree(entry) {
+  return decompressJson(entry.data);
+}
+
+/**
+ * Find snapshots beyond the number kept
+ * @param {Array} snapshots - Snapshot entries or summaries
+ * @param {number} maxCount - Snapshots to keep
+ * @returns {Array} - Ids of the oldest snapshots to delete
+ */
+export function selectExcessSnapshots(snapshots, maxCount = RECOVERY.MAX_SNAPSHOTS) {
+  return [...snapshots]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(maxCount)
+    .map(snapshot => snapshot.id);
+}
+
+/**
+ * Find trash entries older than the trash period
+ * @param {Array} entries - Trash entries or summaries
+ * @param {number} retentionDays - Days entries are kept
+ * @param {number} now - Reference time
+ * @returns {Array} - Ids of the entries to purge
+ */
+export function selectExpiredTrash(entries, retentionDays, now = Date.now()) {
+  const cutoff = now - retentionDays * DAY_MS;
+  return entries.filter(entry => entry.createdAt < cutoff).map(entry => entry.id);
+}
+
+/**
+ * Describe a snapshot or trash entry for the restore browser
+ * @param {Object} entry - Stored entry
+ * @returns {Object} - Entry without its payload, plus a readable label
+ */
+export function summarizeRecoveryEntry(entry) {
+  const {
+    data: _data,
+    visitData: _visitData,
+    encrypted: _encrypted,
+    encryptedLabel: _encryptedLabel,
+    encryptedVisits: _encryptedVisits,
+    ...summary
+  } = entry;
+  const label = entry.kind === 'snapshot'
+    ? RECOVERY.REASON_LABELS[entry.reason] || 'Snapshot'
+    : entry.title || entry.url || 'Untitled';
+  return { ...summary, label };
+}
+
+/**
+ * Reduce a set of deleted nodes to the roots of the deleted branches
+ * A node whose parent is deleted too is part of its parent's branch.
+ * @param {Array} nodeIds - Ids of deleted nodes
+ * @param {Function} getParentId - Returns a node's parent id, or null
+ * @returns {Array} - Ids of the branch roots, in input order
+ */
+export function findBranchRoots(nodeIds, getParentId) {
+  const deleted = new Set(nodeIds);
+  return nodeIds.filter(nodeId => !deleted.has(getParentId(nodeId)));
+}
@@ -0,0 +1,220 @@
+// =============================================================================
+// Redaction - strip or mask URLs, titles and page content in shared exports
+// =============================================================================
+
+import { REDACTION } from './constants.js';
+import { bytesToBase64 } from './encryption.js';
+
+const RULE_FLAGS = ['stripQuery', 'domainOnly', 'hashUrls', 'dropTopWords', 'dropNotes', 'redactTitles'];
+
+/**
+ * Check a profile (built-in or saved by the user) and fill in its defaults
+ * @param {Object} profile - { id, label, rules }
+ * @returns {Object|null} - Profile with every rule present, or null if it has no id
+ */
+export function normalizeRedactionProfile(profile) {
+  if (!profile || typeof profile.id !== 'string' || !profile.id) return null;
+  const rules = profile.rules || {};
+  const normalized = Object.fromEntries(RULE_FLAGS.map(flag => [flag, rules[flag] === true]));
+  normalized.redactTitleDomains = Array.isArray(rules.redactTitleDomains)
+    ? rules.redactTitleDomains
+      .map(domain => String(domain).trim().toLowerCase().replace(/^\*?\./, ''))
+      .filter(Boolean)
+    : [];
+  return { id: profile.id, label: String(profile.label || profile.id), rules: normalized };
+}
+
+/**
+ * List the built-in profiles followed by the user's saved ones
+ * @param {Array} saved - Profiles saved in chrome.storage
+ * @returns {Array} - Normalized profiles; saved ones cannot replace a built-in id
+ */
+export function listRedactionProfiles(saved = []) {
+  const builtIn = REDACTION.PROFILES.map(normalizeRedactionProfile);
+  const builtInIds = new Set(builtIn.map(profile => profile.id));
+  const custom = (Array.isArray(saved) ? saved : [])
+    .map(normalizeRedactionProfile)
+    .filter(profile => profile && !builtInIds.has(profile.id));
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Check whether a profile changes anything
+ * @param {Object} profile - Normalized profile
+ * @returns {boolean} - True if at least one rule is on
+ */
+export function isRedacting(profile) {
+  const rules = profile?.rules || {};
+  return RULE_FLAGS.some(flag => rules[flag]) || rules.redactTitleDomains?.length > 0;
+}
+
+/**
+ * Describe a profile for export metadata (the hashing salt is never included)
+ * @param {Object} profile - Normalized profile
+ * @returns {Object} - { id, label, rules }
+ */
+export function describeRedaction(profile) {
+  return { id: profile.id, label: profile.label, rules: JSON.parse(JSON.stringify(profile.rules)) };
+}
+
+/**
+ * Create a random salt for hashing URLs
+ * @returns {string} - Base64 salt
+ */
+export function createRedactionSalt() {
+  return bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Hash a URL with a salt
+ * The same URL and salt always give the same hash, so shared trees still
+ * show repeat visits without revealing the pages.
+ * @param {string} url - URL
+ * @param {string} salt - Salt
+ * @returns {Promise<string>} - REDACTION.HASH_PREFIX followed by hex digits
+ */
+async function hashUrl(url, salt) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}\n${url}`));
+  const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${REDACTION.HASH_PREFIX}${hex.slice(0, REDACTION.HASH_LENGTH)}`;
+}
+
+/**
+ * Check whether a URL's host is one of the listed domains or below one
+ * @param {string} url - URL
+ * @param {Array<string>} domains - Lowercase domains
+ * @returns {boolean} - True if the host matches
+ */
+function isOnDomain(url, domains) {
+  if (domains.length === 0) return false;
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Rewrite a URL by the profile's URL rules
+ * @param {string} url - URL
+ * @param {Object} rules - Normalized rules
+ * @param {string} salt - Salt for hashUrls
+ * @returns {Promise<string>} - Redacted URL
+ */
+async function redactUrl(url, rules, salt) {
+  if (!url) return url;
+  if (rules.hashUrls) return hashUrl(url, salt);
+  try {
+    const parsed = new URL(url);
+    if (rules.domainOnly) return parsed.host ? `${parsed.protocol}//${parsed.host}/` : `${parsed.protocol}`;
+    if (rules.stripQuery) {
+      parsed.search = '';
+      parsed.hash = '';
+      return parsed.toString();
+    }
+  } catch {
+    // Not a URL: keep it unless the profile hides URLs entirely
+    if (rules.domainOnly) return '';
+  }
+  return url;
+}
+
+/**
+ * Work out the titles a node keeps
+ * @param {Object} node - Tree node
+ * @param {Object} rules - Normalized rules
+ * @returns {Object} - Title fields to replace on the copy
+ */
+function redactTitles(node, rules) {
+  const fields = {};
+  if (!rules.redactTitles && !isOnDomain(node.url, rules.redactTitleDomains || [])) return fields;
+  if (node.title) fields.title = REDACTION.REDACTED_TITLE;
+  if (node.groupTitle) fields.groupTitle = REDACTION.REDACTED_TITLE;
+  return fields;
+}
+
+/**
+ * Work out the page content and annotations a node keeps
+ * @param {Object} node - Tree node
+ * @param {Object} rules - Normalized rules
+ * @returns {Object} - Content fields to replace on the copy
+ */
+function redactContent(node, rules) {
+  const fields = {};
+  if (rules.dropTopWords && node.topWords) fields.topWords = null;
+  if (!rules.dropNotes) return fields;
+  if (node.notes) fields.notes = '';
+  if (node.tags?.length > 0) fields.tags = [];
+  return fields;
+}
+
+/**
+ * Apply a redaction profile to a copy of a tab tree
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {Object} profile - Normalized profile
+ * @param {Object} options - { salt } for hashUrls (a random one is made if missing)
+ * @returns {Promise<Object>} - { tabTree, redactedCount } (nodes with at least one change)
+ */
+export async function redactTree(tabTree, profile, options = {}) {
+  const rules = normalizeRedactionProfile(profile)?.rules || {};
+  const salt = rules.hashUrls ? options.salt || createRedactionSalt() : null;
+  let redactedCount = 0;
+
+  const redactNode = async node => {
+    const copy = {
+      ...node,
+      ...redactTitles(node, rules),
+      ...redactContent(node, rules),
+      url: await redactUrl(node.url, rules, salt)
+    };
+    if (['title', 'groupTitle', 'url', 'topWords', 'notes', 'tags'].some(field => copy[field] !== node[field])) {
+      redactedCount++;
+    }
+
+    copy.children = [];
+    for (const child of node.children || []) {
+      if (child) copy.children.push(await redactNode(child));
+    }
+    return copy;
+  };
+
+  const redacted = {};
+  for (const [id, root] of Object.entries(tabTree || {})) {
+    if (root) redacted[id] = await redactNode(root);
+  }
+  return { tabTree: redacted, redactedCount };
+}
+
+/**
+ * List what a redaction changed, for the preview
+ * @param {Object} original - Tab tree before redaction
+ * @param {Object} redacted - The same tree after redactTree
+ * @param {number} limit - Most changes to list
+ * @returns {Object} - { changes: [{ id, field, before, after }], counts: { field: n }, total }
+ */
+export function diffRedaction(original, redacted, limit = REDACTION.PREVIEW_LIMIT) {
+  const fields = ['url', 'title', 'groupTitle', 'topWords', 'notes', 'tags'];
+  // topWords are { word, count } entries
+  const show = value => (Array.isArray(value)
+    ? value.map(item => (typeof item === 'object' ? item?.word : item)).join(', ')
+    : value ?? '');
+  const changes = [];
+  const counts = {};
+  let total = 0;
+
+  const visit = (before, after) => {
+    if (!before || !after) return;
+    fields.forEach(field => {
+      if (JSON.stringify(before[field] ?? null) === JSON.stringify(after[field] ?? null)) return;
+      counts[field] = (counts[field] || 0) + 1;
+      total++;
+      if (changes.length < limit) {
+        changes.push({ id: before.id, field, before: show(before[field]), after: show(after[field]) });
+      }
+    });
+    (before.children || []).forEach((child, index) => visit(child, after.children?.[index]));
+  };
+  Object.keys(original || {}).forEach(id => visit(original[id], redacted?.[id]));
+  return { changes, counts, total };
+}
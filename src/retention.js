@@ -0,0 +1,213 @@
+// =============================================================================
+// Retention Policy - decide which nodes a maintenance pass deletes
+// =============================================================================
+
+import { DATA, RETENTION } from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a retention policy from the stored config, filling in defaults
+ * @param {Object} config - Extension config from chrome.storage.local
+ * @returns {Object} - { retentionDays, maxTreeSize, domainRules, exemptStarred, exemptAnnotated }
+ */
+export function normalizeRetentionPolicy(config = {}) {
+  const retentionDays = Number(config.dataRetentionDays);
+  const maxTreeSize = Number(config.maxTreeSize);
+  const domainRules = Array.isArray(config.retentionDomainRules) ? config.retentionDomainRules : [];
+
+  return {
+    retentionDays: retentionDays > 0 ? retentionDays : DATA.DEFAULT_RETENTION_DAYS,
+    maxTreeSize: maxTreeSize > 0 ? maxTreeSize : DATA.MAX_TREE_SIZE,
+    domainRules: domainRules
+      .filter(rule => rule && rule.domain && Number(rule.days) > 0)
+      .map(rule => ({ domain: String(rule.domain).trim().toLowerCase(), days: Number(rule.days) })),
+    exemptStarred: config.retentionExemptStarred !== false,
+    exemptAnnotated: config.retentionExemptAnnotated !== false
+  };
+}
+
+/**
+ * Find the most specific per-domain rule for a URL
+ * @param {string} url - Node URL
+ * @param {Array} domainRules - Rules from normalizeRetentionPolicy
+ * @returns {Object|null} - Matching rule, the longest domain wins
+ */
+export function findDomainRule(url, domainRules) {
+  if (!url || domainRules.length === 0) return null;
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  return domainRules
+    .filter(rule => hostname === rule.domain || hostname.endsWith(`.${rule.domain}`))
+    .sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+}
+
+/**
+ * Check whether a node is exempt from deletion
+ * @param {Object} node - Tree node
+ * @param {Object} policy - Policy from normalizeRetentionPolicy
+ * @returns {boolean} - True for starred or annotated nodes when exempted
+ */
+export function isExemptNode(node, policy) {
+  if (policy.exemptStarred && node.starred) return true;
+  if (policy.exemptAnnotated && (node.notes?.trim() || node.tags?.length > 0)) return true;
+  return false;
+}
+
+/**
+ * Describe a node selected for deletion, for previews and logs
+ * @param {Object} node - Tree node
+ * @param {string} reason - 'age', 'domainRule' or 'size'
+ * @param {Object|null} rule - Domain rule that applied
+ * @returns {Object} - Plain summary of the node
+ */
+function describeDeletion(node, reason, rule = null) {
+  return {
+    id: node.id,
+    title: node.title || '',
+    url: node.url || '',
+    closedAt: node.closedAt || null,
+    createdAt: node.createdAt || null,
+    reason,
+    ruleDomain: rule?.domain ?? null
+  };
+}
+
+/**
+ * Check whether a closed node is past its retention period
+ * @param {Object} node - Tree node
+ * @param {Object} policy - Policy from normalizeRetentionPolicy
+ * @param {number} now - Reference time
+ * @returns {Object|null} - Deletion entry, or null if the node is kept
+ */
+function checkExpiry(node, policy, now) {
+  if (!node.closedAt) return null;
+  const rule = findDomainRule(node.url, policy.domainRules);
+  const days = rule ? rule.days : policy.retentionDays;
+  if (node.closedAt >= now - days * DAY_MS) return null;
+  return describeDeletion(node, rule ? 'domainRule' : 'age', rule);
+}
+
+/**
+ * Walk the forest children first, expiring closed nodes whose children are
+ * all expired and protecting open or exempt nodes and their ancestors
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {Object} policy - Policy from normalizeRetentionPolicy
+ * @param {number} now - Reference time
+ * @param {Set|null} liveNodeIds - Nodes still in an open tab's history
+ * @returns {Object} - { allNodes, expired, expiredIds, protectedIds, exemptCount }
+ */
+function markExpired(tabTree, policy, now, liveNodeIds) {
+  const result = { allNodes: [], expired: [], expiredIds: new Set(), protectedIds: new Set(), exemptCount: 0 };
+  const isOpen = node => !node.closedAt && (!liveNodeIds || liveNodeIds.has(node.id));
+
+  const visit = node => {
+    result.allNodes.push(node);
+    const children = node.children || [];
+    children.forEach(visit);
+    const allChildrenExpired = children.every(child => result.expiredIds.has(child.id));
+    const hasProtectedChild = children.some(child => result.protectedIds.has(child.id));
+
+    const exempt = isExemptNode(node, policy);
+    if (exempt) result.exemptCount++;
+    if (exempt || isOpen(node) || hasProtectedChild) result.protectedIds.add(node.id);
+
+    const entry = !exempt && allChildrenExpired ? checkExpiry(node, policy, now) : null;
+    if (entry) {
+      result.expiredIds.add(node.id);
+      result.expired.push(entry);
+    }
+  };
+  Object.values(tabTree || {}).filter(Boolean).forEach(visit);
+
+  return result;
+}
+
+/**
+ * Plan a retention pass without changing the tree
+ * Closed nodes older than their retention period are deleted once all of
+ * their children are deleted too, so a long-kept page never loses its place
+ * in the tree. If the tree is still over the node limit, the oldest
+ * subtrees without open or exempt nodes are deleted next.
+ * A node without closedAt counts as open only while it is in liveNodeIds,
+ * when given: nodes left unclosed by an earlier run are not protected.
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {Object} policy - Policy from normalizeRetentionPolicy
+ * @param {number} now - Reference time
+ * @param {Set|null} liveNodeIds - Nodes still in an open tab's history
+ * @returns {Object} - { expired, excess, exemptCount, totalNodes, remainingNodes }
+ */
+export function planRetention(tabTree, policy, now = Date.now(), liveNodeIds = null) {
+  const { allNodes, expired, expiredIds, protectedIds, exemptCount } = markExpired(tabTree, policy, now, liveNodeIds);
+
+  // Enforce the node limit on what is left, oldest subtrees first
+  const excess = [];
+  const excessIds = new Set();
+  let remainingNodes = allNodes.length - expired.length;
+
+  // Count only nodes not already deleted by an earlier step
+  const markSubtree = node => {
+    if (excessIds.has(node.id) || expiredIds.has(node.id)) return 0;
+    excessIds.add(node.id);
+    return (node.children || []).reduce((count, child) => count + markSubtree(child), 1);
+  };
+
+  const oldestFirst = allNodes
+    .filter(node => !expiredIds.has(node.id) && !protectedIds.has(node.id))
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+  for (const node of oldestFirst) {
+    if (remainingNodes <= policy.maxTreeSize) break;
+    if (excessIds.has(node.id)) continue;
+    remainingNodes -= markSubtree(node);
+    excess.push(describeDeletion(node, 'size'));
+  }
+
+  return {
+    expired,
+    excess,
+    exemptCount,
+    totalNodes: allNodes.length,
+    remainingNodes
+  };
+}
+
+/**
+ * Summarize a plan for the dry-run preview
+ * @param {Object} plan - Plan from planRetention
+ * @param {number} sampleSize - Number of example nodes to include
+ * @returns {Object} - Counts, top domains and example nodes
+ */
+export function summarizeRetentionPlan(plan, sampleSize = RETENTION.PREVIEW_SAMPLE_SIZE) {
+  const deletions = [...plan.expired, ...plan.excess];
+  const domainCounts = new Map();
+  deletions.forEach(entry => {
+    let domain = 'unknown';
+    try {
+      domain = new URL(entry.url).hostname;
+    } catch {
+      // keep 'unknown'
+    }
+    domainCounts.set(domain, (domainCounts.get(domain) || 0) + 1);
+  });
+
+  return {
+    expiredCount: plan.expired.length,
+    excessCount: plan.excess.length,
+    deletedNodeCount: plan.totalNodes - plan.remainingNodes,
+    exemptCount: plan.exemptCount,
+    totalNodes: plan.totalNodes,
+    remainingNodes: plan.remainingNodes,
+    topDomains: [...domainCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, sampleSize)
+      .map(([domain, count]) => ({ domain, count })),
+    samples: deletions.slice(0, sampleSize)
+  };
+}
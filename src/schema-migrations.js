@@ -0,0 +1,136 @@
+// =============================================================================
+// Schema Migrations - step-wise upgrades of stored trees and export files
+// =============================================================================
+
+import { SCHEMA, ERROR_MESSAGES } from './constants.js';
+
+/**
+ * Visit every node of a tab tree, parents before children
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {Function} callback - Called with each node
+ */
+function forEachNode(tabTree, callback) {
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    callback(node);
+    (node.children || []).forEach(visit);
+  };
+  Object.values(tabTree || {}).forEach(visit);
+}
+
+/**
+ * Bring one topWords entry to { word, count }
+ * Older versions stored [word, count] pairs or bare words.
+ * @param {*} entry - Stored entry
+ * @returns {Object|null} - { word, count }, or null if unusable
+ */
+function normalizeTopWord(entry) {
+  if (Array.isArray(entry)) {
+    return typeof entry[0] === 'string' ? { word: entry[0], count: Number(entry[1]) || 1 } : null;
+  }
+  if (typeof entry === 'string') return { word: entry, count: 1 };
+  if (entry && typeof entry.word === 'string') return { word: entry.word, count: Number(entry.count) || 1 };
+  return null;
+}
+
+// Fields added to nodes between 1.0 and schema 2
+const V2_NODE_DEFAULTS = {
+  closedAt: null,
+  closedAtHuman: null,
+  timeSpent: 0,
+  visitCount: 0,
+  transitionType: null
+};
+
+/**
+ * Upgrade steps, oldest first. Each step takes a tree written with the
+ * previous version and returns it in the shape of its own version; nodes
+ * may be changed in place.
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Node ids, children arrays and the dwell and navigation fields',
+    migrate(tabTree) {
+      let generatedIds = 0;
+      forEachNode(tabTree, node => {
+        if (!node.id) {
+          node.id = `${node.tabId ?? 'migrated'}-${node.createdAt ?? 0}-${generatedIds++}`;
+        }
+        if (!Array.isArray(node.children)) node.children = [];
+        if (!Array.isArray(node.transitionQualifiers)) node.transitionQualifiers = [];
+        Object.entries(V2_NODE_DEFAULTS).forEach(([field, value]) => {
+          if (node[field] === undefined) node[field] = value;
+        });
+      });
+      // Roots are keyed by their id
+      return Object.fromEntries(Object.values(tabTree).filter(Boolean).map(root => [root.id, root]));
+    }
+  },
+  {
+    version: 3,
+    description: 'Top words as { word, count } entries',
+    migrate(tabTree) {
+      forEachNode(tabTree, node => {
+        if (!Array.isArray(node.topWords)) {
+          node.topWords = null;
+          return;
+        }
+        node.topWords = node.topWords.map(normalizeTopWord).filter(Boolean);
+      });
+      return tabTree;
+    }
+  }
+];
+
+/**
+ * Read the schema version of stored data or an export file
+ * @param {*} version - Recorded version, missing for data older than versioning
+ * @returns {number} - Version, SCHEMA.UNVERSIONED if none was recorded
+ */
+export function normalizeSchemaVersion(version) {
+  const number = Number(version);
+  return Number.isInteger(number) && number > 0 ? number : SCHEMA.UNVERSIONED;
+}
+
+/**
+ * Run every migration step between two versions
+ * @param {Object} tabTree - Tab tree keyed by root id, changed in place
+ * @param {number} fromVersion - Version the tree was written with
+ * @param {Array} migrations - Steps to choose from (MIGRATIONS by default)
+ * @returns {Object} - { tabTree, applied } with the versions that ran
+ * @throws {Error} - ERROR_MESSAGES.SCHEMA_TOO_NEW for data from a newer version
+ */
+export function migrateTree(tabTree, fromVersion, migrations = MIGRATIONS) {
+  const version = normalizeSchemaVersion(fromVersion);
+  const targetVersion = migrations.reduce((latest, step) => Math.max(latest, step.version), SCHEMA.UNVERSIONED);
+  if (version > targetVersion) {
+    throw new Error(`${ERROR_MESSAGES.SCHEMA_TOO_NEW} (schema ${version})`);
+  }
+
+  let migrated = tabTree || {};
+  const applied = [];
+  migrations
+    .filter(step => step.version > version)
+    .sort((a, b) => a.version - b.version)
+    .forEach(step => {
+      migrated = step.migrate(migrated);
+      applied.push(step.version);
+    });
+  return { tabTree: migrated, applied };
+}
+
+/**
+ * Upgrade a parsed export file to the current schema
+ * Files with metadata keep their shape and record the new version; bare
+ * legacy trees are returned as bare trees.
+ * @param {Object} data - Parsed (and decrypted) file contents
+ * @returns {Object} - Upgraded file contents
+ */
+export function migrateExport(data) {
+  if (data && typeof data === 'object' && data.tabTree && data.metadata) {
+    const { tabTree } = migrateTree(data.tabTree, data.metadata.schemaVersion);
+    return { ...data, metadata: { ...data.metadata, schemaVersion: SCHEMA.VERSION }, tabTree };
+  }
+  return migrateTree(data, SCHEMA.UNVERSIONED).tabTree;
+}
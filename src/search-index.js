@@ -0,0 +1,283 @@
+// =============================================================================
+// Search Index - inverted index and query language for tree search
+// =============================================================================
+
+import { SEARCH } from './constants.js';
+import { extractDomain } from './domain-utils.js';
+
+const QUERY_TOKEN_PATTERN = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Split text into lowercase search tokens
+ * @param {string} text - Any text
+ * @returns {Array} - Tokens of at least SEARCH.MIN_TOKEN_LENGTH characters
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length >= SEARCH.MIN_TOKEN_LENGTH && !SEARCH.IGNORED_TOKENS.has(token));
+}
+
+/**
+ * Parse a YYYY-MM-DD date as local midnight
+ * @param {string} value - Date text
+ * @returns {number|null} - Timestamp, or null if the date is invalid
+ */
+function parseDate(value) {
+  const match = value.match(DATE_PATTERN);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? date.getTime() : null;
+}
+
+/**
+ * Apply one operator:value pair to a parsed query
+ * @param {Object} query - Query being built by parseSearchQuery
+ * @param {string} operator - Operator name, lowercase
+ * @param {string} value - Operator value without quotes
+ * @returns {boolean} - False if the operator or value is not understood
+ */
+function applyOperator(query, operator, value) {
+  const lowered = value.toLowerCase();
+  if (operator === 'domain' && lowered) {
+    query.domains.push(lowered.replace(/^www\./, ''));
+    return true;
+  }
+  if (operator === 'before' || operator === 'after') {
+    const timestamp = parseDate(value);
+    if (timestamp === null) return false;
+    query[operator] = timestamp;
+    return true;
+  }
+  if (operator === 'is' && (lowered === 'open' || lowered === 'closed')) {
+    query.status = lowered;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Parse a search query
+ * Supports free terms, "quoted phrases", domain:, before:/after: (YYYY-MM-DD,
+ * before is exclusive and after inclusive of the day) and is:open / is:closed.
+ * @param {string} text - Query typed by the user
+ * @returns {Object} - { terms, phrases, domains, before, after, status, invalid }
+ */
+export function parseSearchQuery(text) {
+  const query = { terms: [], phrases: [], domains: [], before: null, after: null, status: null, invalid: [] };
+
+  for (const match of String(text || '').matchAll(QUERY_TOKEN_PATTERN)) {
+    const [whole, operator, operatorValue, phrase, word] = match;
+    if (operator) {
+      const value = operatorValue.replace(/^"|"$/g, '');
+      if (!applyOperator(query, operator.toLowerCase(), value)) {
+        query.invalid.push(whole);
+      }
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) query.phrases.push(phrase.trim().toLowerCase());
+    } else {
+      query.terms.push(...tokenize(word));
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Check whether a parsed query would match anything at all
+ * @param {Object} query - Query from parseSearchQuery
+ * @returns {boolean} - True if the query has terms, phrases or filters
+ */
+export function isEmptyQuery(query) {
+  return query.terms.length === 0 && query.phrases.length === 0 && query.domains.length === 0 &&
+    query.before === null && query.after === null && query.status === null;
+}
+
+/**
+ * Build the indexed form of a node
+ * @param {Object} node - Tree node
+ * @returns {Object} - { tokens: Map(token -> weight), text, domain, createdAt, closedAt }
+ */
+export function buildSearchDocument(node) {
+  const fields = {
+    title: node.title,
+    url: node.url,
+    domain: extractDomain(node.url, { fallback: '' }),
+    topWords: (node.topWords || []).map(entry => entry.word).join(' '),
+    notes: node.notes,
+    tags: (node.tags || []).join(' ')
+  };
+
+  const tokens = new Map();
+  Object.entries(fields).forEach(([field, value]) => {
+    tokenize(value).forEach(token => {
+      tokens.set(token, Math.max(tokens.get(token) || 0, SEARCH.FIELD_WEIGHTS[field]));
+    });
+  });
+
+  return {
+    tokens,
+    text: [fields.title, fields.url, fields.notes, fields.tags].filter(Boolean).join('\n').toLowerCase(),
+    domain: fields.domain || '',
+    createdAt: node.createdAt || 0,
+    closedAt: node.closedAt || null
+  };
+}
+
+/**
+ * Check a document against the date and open/closed filters of a query
+ * @param {Object} doc - Document from buildSearchDocument
+ * @param {Object} query - Query from parseSearchQuery
+ * @returns {boolean} - True if the document passes
+ */
+function matchesTimeAndStatus(doc, query) {
+  if (query.before !== null && doc.createdAt >= query.before) return false;
+  if (query.after !== null && doc.createdAt < query.after) return false;
+  if (query.status === 'open') return !doc.closedAt;
+  if (query.status === 'closed') return Boolean(doc.closedAt);
+  return true;
+}
+
+/**
+ * Check a document against the filters and phrases of a query
+ * @param {Object} doc - Document from buildSearchDocument
+ * @param {Object} query - Query from parseSearchQuery
+ * @returns {boolean} - True if all filters and phrases match
+ */
+function matchesFilters(doc, query) {
+  if (query.domains.length > 0 &&
+    !query.domains.some(domain => doc.domain === domain || doc.domain.endsWith(`.${domain}`))) {
+    return false;
+  }
+  return matchesTimeAndStatus(doc, query) && query.phrases.every(phrase => doc.text.includes(phrase));
+}
+
+/**
+ * Inverted index over node titles, URLs, domains, top words, notes and tags
+ */
+export class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // nodeId -> document
+    this.postings = new Map(); // token -> Map(nodeId -> weight)
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+  }
+
+  /**
+   * Index a node, replacing what was indexed for it before
+   * @param {Object} node - Tree node with an id
+   */
+  addNode(node) {
+    if (!node?.id) return;
+    this.removeNode(node.id);
+
+    const doc = buildSearchDocument(node);
+    this.documents.set(node.id, doc);
+    doc.tokens.forEach((weight, token) => {
+      if (!this.postings.has(token)) this.postings.set(token, new Map());
+      this.postings.get(token).set(node.id, weight);
+    });
+  }
+
+  /**
+   * Remove a node from the index
+   * @param {string} nodeId - Node id
+   */
+  removeNode(nodeId) {
+    const doc = this.documents.get(nodeId);
+    if (!doc) return;
+    doc.tokens.forEach((_weight, token) => {
+      const posting = this.postings.get(token);
+      posting?.delete(nodeId);
+      if (posting?.size === 0) this.postings.delete(token);
+    });
+    this.documents.delete(nodeId);
+  }
+
+  /**
+   * Score every node containing a term, as a whole token or a prefix
+   * @param {string} term - Search term
+   * @returns {Map} - nodeId -> score
+   */
+  scoreTerm(term) {
+    const scores = new Map();
+    const add = (posting, factor) => {
+      posting.forEach((weight, nodeId) => {
+        scores.set(nodeId, Math.max(scores.get(nodeId) || 0, weight * factor));
+      });
+    };
+
+    if (this.postings.has(term)) add(this.postings.get(term), 1);
+    if (term.length >= SEARCH.MIN_PREFIX_LENGTH) {
+      this.postings.forEach((posting, token) => {
+        if (token !== term && token.startsWith(term)) add(posting, SEARCH.PREFIX_MATCH_FACTOR);
+      });
+    }
+    return scores;
+  }
+
+  /**
+   * Find nodes matching a query, best matches first
+   * All terms must match. Ties are broken by recency.
+   * @param {Object} query - Query from parseSearchQuery
+   * @param {number} limit - Maximum number of results
+   * @returns {Array} - [{ id, score }]
+   */
+  search(query, limit = SEARCH.MAX_RESULTS) {
+    if (isEmptyQuery(query)) return [];
+
+    // All terms must match; scores add up across terms
+    const candidates = query.terms.length === 0 ? null : query.terms
+      .map(term => this.scoreTerm(term))
+      .reduce((combined, termScores) => {
+        const next = new Map();
+        combined.forEach((score, nodeId) => {
+          if (termScores.has(nodeId)) next.set(nodeId, score + termScores.get(nodeId));
+        });
+        return next;
+      });
+
+    const scored = [];
+    const consider = (nodeId, score) => {
+      const doc = this.documents.get(nodeId);
+      if (doc && matchesFilters(doc, query)) {
+        scored.push({ id: nodeId, score: score + query.phrases.length * SEARCH.PHRASE_WEIGHT, createdAt: doc.createdAt });
+      }
+    };
+    if (candidates === null) {
+      this.documents.forEach((_doc, nodeId) => consider(nodeId, 0));
+    } else {
+      candidates.forEach((score, nodeId) => consider(nodeId, score));
+    }
+
+    return scored
+      .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map(({ id, score }) => ({ id, score }));
+  }
+}
+
+/**
+ * Titles of a node's ancestors, root first
+ * @param {string} nodeId - Node id
+ * @param {Function} getParent - nodeId -> parent node or null
+ * @returns {Array} - [{ id, title }] from the root down to the parent
+ */
+export function buildAncestorPath(nodeId, getParent) {
+  const path = [];
+  let parent = getParent(nodeId);
+  while (parent) {
+    path.unshift({ id: parent.id, title: parent.title || parent.url || 'Untitled' });
+    parent = getParent(parent.id);
+  }
+  return path;
+}
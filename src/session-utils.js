@@ -0,0 +1,199 @@
+// =============================================================================
+// Session Utilities - idle-gap browsing sessions over the tab forest
+// =============================================================================
+
+import { SESSIONS } from './constants.js';
+import { extractDomain } from './domain-utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the id of a session from its start time
+ * @param {number} startedAt - Session start timestamp
+ * @returns {string} - Session id
+ */
+export function createSessionId(startedAt) {
+  return `session-${startedAt}`;
+}
+
+/**
+ * Latest activity recorded on a node
+ * @param {Object} node - Tree node
+ * @returns {number} - Largest of createdAt, closedAt and lastVisitedAt
+ */
+function getNodeActivity(node) {
+  return Math.max(node.createdAt || 0, node.closedAt || 0, node.lastVisitedAt || 0);
+}
+
+/**
+ * Split roots into sessions wherever creation times are further apart than
+ * the idle gap. Used to give sessions to roots saved before sessions existed.
+ * @param {Array} roots - Root nodes
+ * @param {number} gapMs - Idle gap that separates two sessions
+ * @returns {Array} - [{ startedAt, endedAt, roots }] oldest first
+ */
+export function segmentRootsByGap(roots, gapMs) {
+  const sorted = [...roots].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  const segments = [];
+
+  sorted.forEach(root => {
+    const createdAt = root.createdAt || 0;
+    const last = segments[segments.length - 1];
+    if (last && createdAt - last.endedAt < gapMs) {
+      last.roots.push(root);
+      last.endedAt = Math.max(last.endedAt, createdAt);
+    } else {
+      segments.push({ startedAt: createdAt, endedAt: createdAt, roots: [root] });
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Summarize sessions with their node counts and dominant domains
+ * Nodes without a sessionId belong to the session of their closest ancestor
+ * that has one.
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {Array} sessions - Session records { id, startedAt, endedAt, reason }
+ * @returns {Array} - Summaries, newest first, for sessions that still have nodes
+ */
+export function summarizeSessions(tabTree, sessions = []) {
+  const stats = new Map();
+
+  const visit = (node, inheritedSessionId) => {
+    if (!node) return;
+    const sessionId = node.sessionId || inheritedSessionId;
+    if (sessionId) {
+      if (!stats.has(sessionId)) {
+        stats.set(sessionId, { nodeCount: 0, rootCount: 0, domains: new Map(), lastActivityAt: 0 });
+      }
+      const entry = stats.get(sessionId);
+      entry.nodeCount++;
+      if (!inheritedSessionId) entry.rootCount++;
+      const domain = extractDomain(node.url);
+      if (domain) entry.domains.set(domain, (entry.domains.get(domain) || 0) + 1);
+      entry.lastActivityAt = Math.max(entry.lastActivityAt, getNodeActivity(node));
+    }
+    (node.children || []).forEach(child => visit(child, sessionId));
+  };
+  Object.values(tabTree || {}).forEach(rootNode => visit(rootNode, null));
+
+  return sessions
+    .filter(session => stats.has(session.id))
+    .map(session => {
+      const entry = stats.get(session.id);
+      const dominantDomains = [...entry.domains.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, SESSIONS.DOMINANT_DOMAIN_COUNT)
+        .map(([domain, count]) => ({ domain, count }));
+      return {
+        ...session,
+        nodeCount: entry.nodeCount,
+        rootCount: entry.rootCount,
+        lastActivityAt: entry.lastActivityAt,
+        dominantDomains
+      };
+    })
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Local midnight at the start of the day containing a timestamp
+ * @param {number} timestamp - Any time of the day
+ * @returns {number} - Timestamp of 00:00 local time
+ */
+function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Resolve a scope such as "current" or "yesterday" to session ids
+ * @param {string} scope - 'all', 'current', 'today', 'yesterday', 'last7days' or 'session:<id>'
+ * @param {Array} sessions - Session records or summaries
+ * @param {string|null} currentSessionId - Id of the running session
+ * @param {number} now - Reference time
+ * @returns {Set|null} - Session ids in scope, or null for no scoping
+ */
+export function resolveSessionScope(scope, sessions, currentSessionId, now = Date.now()) {
+  if (!scope || scope === 'all') return null;
+  if (scope === 'current') return new Set(currentSessionId ? [currentSessionId] : []);
+  if (scope.startsWith('session:')) return new Set([scope.slice('session:'.length)]);
+
+  const today = startOfDay(now);
+  const ranges = {
+    today: [today, Infinity],
+    yesterday: [startOfDay(today - 1), today],
+    last7days: [today - 6 * DAY_MS, Infinity]
+  };
+  const range = ranges[scope];
+  if (!range) return null;
+
+  // A session belongs to a day if any part of it falls on that day
+  return new Set(sessions
+    .filter(session => {
+      const end = session.endedAt ?? session.lastActivityAt ?? now;
+      return session.startedAt < range[1] && end >= range[0];
+    })
+    .map(session => session.id));
+}
+
+/**
+ * Keep the trees that have at least one node in the given sessions
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {Set|null} sessionIds - Session ids from resolveSessionScope
+ * @returns {Object} - Scoped tab tree
+ */
+export function filterTreeBySessions(tabTree, sessionIds) {
+  if (!tabTree || !sessionIds) return tabTree;
+
+  const touches = (node, inheritedSessionId) => {
+    const sessionId = node.sessionId || inheritedSessionId;
+    if (sessionIds.has(sessionId)) return true;
+    return (node.children || []).some(child => touches(child, sessionId));
+  };
+
+  const filtered = {};
+  Object.entries(tabTree).forEach(([rootId, rootNode]) => {
+    if (rootNode && touches(rootNode, null)) {
+      filtered[rootId] = rootNode;
+    }
+  });
+  return filtered;
+}
+
+/**
+ * Collect the session ids used anywhere in a tree
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @returns {Set} - Session ids
+ */
+export function getSessionIds(tabTree) {
+  const sessionIds = new Set();
+  const visit = node => {
+    if (!node) return;
+    if (node.sessionId) sessionIds.add(node.sessionId);
+    (node.children || []).forEach(visit);
+  };
+  Object.values(tabTree || {}).forEach(visit);
+  return sessionIds;
+}
+
+/**
+ * Describe a session for scope menus
+ * @param {Object} summary - Summary from summarizeSessions
+ * @returns {string} - e.g. "Mar 3, 09:12 · 42 nodes · github.com, docs.python.org"
+ */
+export function describeSession(summary) {
+  const start = new Date(summary.startedAt).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  const domains = summary.dominantDomains.map(entry => entry.domain).join(', ');
+  const parts = [start, `${summary.nodeCount} ${summary.nodeCount === 1 ? 'node' : 'nodes'}`];
+  if (domains) parts.push(domains);
+  return parts.join(' · ');
+}
@@ -0,0 +1,160 @@
+// =============================================================================
+// Storage Quota - usage tracking and gzip archives of old trees
+// =============================================================================
+
+import { DATA, SCHEMA } from './constants.js';
+
+/**
+ * Combine chrome.storage.local and IndexedDB usage into one report
+ * @param {Object} measured - { localBytes, localQuota, originBytes, originQuota }
+ * @param {number} threshold - Fraction of a quota that triggers the warning
+ * @returns {Object} - Measured values plus ratio (fullest of the two) and warning
+ */
+export function summarizeUsage(measured, threshold = DATA.STORAGE_QUOTA_WARNING_THRESHOLD) {
+  const fraction = (bytes, quota) => (quota > 0 ? (bytes || 0) / quota : 0);
+  const localRatio = fraction(measured.localBytes, measured.localQuota);
+  const originRatio = fraction(measured.originBytes, measured.originQuota);
+  const ratio = Math.max(localRatio, originRatio);
+
+  return {
+    localBytes: measured.localBytes || 0,
+    localQuota: measured.localQuota || 0,
+    originBytes: measured.originBytes || 0,
+    originQuota: measured.originQuota || 0,
+    ratio,
+    warning: ratio >= threshold
+  };
+}
+
+/**
+ * Check whether a failed write ran out of space
+ * Covers IndexedDB's QuotaExceededError and chrome.storage's QUOTA_BYTES message.
+ * @param {*} error - Error from a storage write
+ * @returns {boolean} - True for quota errors
+ */
+export function isQuotaError(error) {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError' || /quota/i.test(String(error.message || error));
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} - e.g. '812 B', '4.2 KB', '9.8 MB'
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} ${units[0]}` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Gzip a JSON-serializable value
+ * @param {*} value - Value to compress
+ * @returns {Promise<Uint8Array>} - Gzip bytes
+ */
+export async function compressJson(value) {
+  const stream = new Response(JSON.stringify(value)).body.pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read a value compressed with compressJson
+ * @param {Uint8Array} bytes - Gzip bytes
+ * @returns {Promise<*>} - Decompressed value
+ */
+export function decompressJson(bytes) {
+  const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).json();
+}
+
+/**
+ * Walk a tree and collect what archiving needs to know about it
+ * @param {Object} node - Root node
+ * @returns {Object} - { nodeCount, closed, firstCreatedAt, lastActivityAt }
+ */
+export function describeTree(node) {
+  const summary = { nodeCount: 0, closed: true, firstCreatedAt: Infinity, lastActivityAt: 0 };
+  const visit = current => {
+    summary.nodeCount++;
+    if (!current.closedAt) summary.closed = false;
+    summary.firstCreatedAt = Math.min(summary.firstCreatedAt, current.createdAt || Infinity);
+    summary.lastActivityAt = Math.max(summary.lastActivityAt, current.closedAt || 0, current.createdAt || 0);
+    (current.children || []).forEach(visit);
+  };
+  visit(node);
+  if (summary.firstCreatedAt === Infinity) summary.firstCreatedAt = null;
+  return summary;
+}
+
+/**
+ * Pick the oldest trees that are fully closed, enough to free some nodes
+ * Trees with an open tab are never archived.
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {number} minNodes - Stop once this many nodes are selected
+ * @returns {Array} - Root nodes, least recently active first
+ */
+export function selectArchiveRoots(tabTree, minNodes) {
+  const candidates = Object.values(tabTree || {})
+    .map(root => ({ root, summary: describeTree(root) }))
+    .filter(candidate => candidate.summary.closed)
+    .sort((a, b) => a.summary.lastActivityAt - b.summary.lastActivityAt);
+
+  const selected = [];
+  let nodeCount = 0;
+  for (const candidate of candidates) {
+    if (nodeCount >= minNodes) break;
+    selected.push(candidate.root);
+    nodeCount += candidate.summary.nodeCount;
+  }
+  return selected;
+}
+
+/**
+ * Compress whole trees into an archive record
+ * @param {Array} roots - Root nodes with their children
+ * @param {number} archivedAt - Time of archiving
+ * @returns {Promise<Object>} - { id, archivedAt, rootCount, nodeCount, firstCreatedAt, lastActivityAt, bytes, schemaVersion, data }
+ */
+export async function createArchive(roots, archivedAt = Date.now()) {
+  const summaries = roots.map(describeTree);
+  const createdTimes = summaries.map(summary => summary.firstCreatedAt).filter(Boolean);
+  const tabTree = Object.fromEntries(roots.map(root => [root.id, root]));
+  const data = await compressJson(tabTree);
+
+  return {
+    id: `archive-${archivedAt}`,
+    archivedAt,
+    rootCount: roots.length,
+    nodeCount: summaries.reduce((count, summary) => count + summary.nodeCount, 0),
+    firstCreatedAt: createdTimes.length > 0 ? Math.min(...createdTimes) : null,
+    lastActivityAt: Math.max(0, ...summaries.map(summary => summary.lastActivityAt)),
+    bytes: data.byteLength,
+    schemaVersion: SCHEMA.VERSION,
+    data
+  };
+}
+
+/**
+ * Unpack the trees stored in an archive record
+ * @param {Object} archive - Record from createArchive
+ * @returns {Promise<Object>} - Tab tree keyed by root id
+ */
+export function readArchive(archive) {
+  return decompressJson(archive.data);
+}
+
+/**
+ * Strip the compressed payload from an archive record, for listings
+ * @param {Object} archive - Stored archive record
+ * @returns {Object} - Archive metadata
+ */
+export function summarizeArchive(archive) {
+  const { data: _data, encrypted: _encrypted, ...summary } = archive;
+  return summary;
+}
@@ -0,0 +1,111 @@
+// =============================================================================
+// Tree Merge - combine an imported tree with the stored history
+// =============================================================================
+
+import { MERGE } from './constants.js';
+
+/**
+ * Check whether two nodes record the same page visit
+ * @param {Object} a - Tree node
+ * @param {Object} b - Tree node
+ * @param {number} tolerance - Largest createdAt difference in ms
+ * @returns {boolean} - True for the same URL opened at (nearly) the same time
+ */
+export function isSameVisit(a, b, tolerance = MERGE.CREATED_AT_TOLERANCE_MS) {
+  if ((a.url || '') !== (b.url || '')) return false;
+  if (a.createdAt === b.createdAt) return true;
+  // Missing times give NaN and never match
+  return Math.abs(a.createdAt - b.createdAt) <= tolerance;
+}
+
+/**
+ * Plan how an imported tree merges into the existing one
+ * Imported nodes that duplicate an existing node, by id or by URL and
+ * createdAt, are skipped and their children are merged under the existing
+ * node. Other nodes are added; ids taken by a different node are renamed.
+ * Neither tree is changed: added nodes are copies.
+ * @param {Object} existingTree - Current tab tree keyed by root id
+ * @param {Object} incomingTree - Imported tab tree keyed by root id
+ * @param {number} tolerance - Largest createdAt difference for duplicates, in ms
+ * @returns {Object} - { additions: [{ parentId, node }], summary: { added, skipped, conflicts }, remappedIds }
+ */
+export function planMerge(existingTree, incomingTree, tolerance = MERGE.CREATED_AT_TOLERANCE_MS) {
+  const nodesById = new Map();
+  const nodesByUrl = new Map();
+  const remember = node => {
+    nodesById.set(node.id, node);
+    if (!node.url) return;
+    if (!nodesByUrl.has(node.url)) nodesByUrl.set(node.url, []);
+    nodesByUrl.get(node.url).push(node);
+  };
+  const indexExisting = node => {
+    remember(node);
+    (node.children || []).forEach(indexExisting);
+  };
+  Object.values(existingTree || {}).forEach(indexExisting);
+
+  const findDuplicate = node => {
+    const sameId = nodesById.get(node.id);
+    if (sameId && isSameVisit(sameId, node, tolerance)) return sameId;
+    if (!node.url) return null;
+    return (nodesByUrl.get(node.url) || []).find(candidate => isSameVisit(candidate, node, tolerance)) || null;
+  };
+
+  let generated = 0;
+  const freeId = base => {
+    let id;
+    do {
+      id = `${base}-merged-${++generated}`;
+    } while (nodesById.has(id));
+    return id;
+  };
+
+  const additions = [];
+  const summary = { added: 0, skipped: 0, conflicts: 0 };
+  const remappedIds = {};
+
+  // parent: { node, added } for the node the children go under, null for roots
+  const visit = (node, parent) => {
+    if (!node || typeof node !== 'object') return;
+    const children = Array.isArray(node.children) ? node.children : [];
+
+    const duplicate = findDuplicate(node);
+    if (duplicate) {
+      summary.skipped++;
+      children.forEach(child => visit(child, { node: duplicate, added: false }));
+      return;
+    }
+
+    let id = node.id;
+    if (!id) {
+      id = freeId(`${node.tabId ?? 'imported'}-${node.createdAt ?? 0}`);
+    } else if (nodesById.has(id)) {
+      id = freeId(node.id);
+      remappedIds[node.id] = id;
+      summary.conflicts++;
+    }
+
+    const copy = { ...node, id, children: [] };
+    remember(copy);
+    summary.added++;
+    if (parent?.added) {
+      parent.node.children.push(copy);
+    } else {
+      additions.push({ parentId: parent ? parent.node.id : null, node: copy });
+    }
+    children.forEach(child => visit(child, { node: copy, added: true }));
+  };
+  Object.values(incomingTree || {}).forEach(root => visit(root, null));
+
+  return { additions, summary, remappedIds };
+}
+
+/**
+ * Describe a merge summary for the popup and viewer
+ * @param {Object} summary - Summary from planMerge
+ * @returns {string} - e.g. '12 added, 3 skipped as duplicates, 1 conflicting id renamed'
+ */
+export function describeMergeSummary(summary) {
+  const conflicts = summary.conflicts === 1 ? '1 conflicting id renamed' : `${summary.conflicts} conflicting ids renamed`;
+  return `${summary.added} added, ${summary.skipped} skipped as duplicates, ${conflicts}`;
+}
@@ -0,0 +1,196 @@
+// =============================================================================
+// URL Sanitizer - user rules for query parameters and path parts to remove
+// =============================================================================
+
+import { SANITIZER, DEFAULT_CONFIG } from './constants.js';
+
+const REGEX_FLAGS = /^[gimsuy]*$/;
+
+const normalizeParams = list => [...new Set((Array.isArray(list) ? list : [])
+  .map(param => String(param).trim().toLowerCase())
+  .filter(Boolean))];
+
+const normalizeDomain = domain => String(domain || '').trim().toLowerCase().replace(/^\*?\./, '');
+
+/**
+ * Check sanitizer rules and fill in their defaults
+ * Missing rules give the built-in defaults. Domain rules without a domain
+ * and path scrubs with an invalid regex are dropped and reported.
+ * @param {Object} rules - config.urlSanitizer
+ * @returns {Object} - { rules, errors }
+ */
+export function normalizeSanitizerRules(rules) {
+  const source = rules && typeof rules === 'object' ? rules : DEFAULT_CONFIG.urlSanitizer;
+  const errors = [];
+
+  const domainRules = (Array.isArray(source.domainRules) ? source.domainRules : [])
+    .filter(rule => {
+      if (normalizeDomain(rule?.domain)) return true;
+      errors.push('A domain rule has no domain');
+      return false;
+    })
+    .map(rule => ({
+      domain: normalizeDomain(rule.domain),
+      allowedParams: normalizeParams(rule.allowedParams),
+      deniedParams: normalizeParams(rule.deniedParams),
+      stripTokenLikeValues: typeof rule.stripTokenLikeValues === 'boolean' ? rule.stripTokenLikeValues : null
+    }));
+
+  const pathScrubs = (Array.isArray(source.pathScrubs) ? source.pathScrubs : [])
+    .map(scrub => ({
+      domain: normalizeDomain(scrub?.domain),
+      pattern: String(scrub?.pattern ?? ''),
+      flags: String(scrub?.flags ?? 'g'),
+      replacement: typeof scrub?.replacement === 'string' ? scrub.replacement : SANITIZER.DEFAULT_REPLACEMENT
+    }))
+    .filter(scrub => {
+      try {
+        if (!scrub.pattern || !REGEX_FLAGS.test(scrub.flags)) throw new Error('empty pattern or unknown flags');
+        new RegExp(scrub.pattern, scrub.flags);
+        return true;
+      } catch (error) {
+        errors.push(`Invalid path pattern /${scrub.pattern}/${scrub.flags}: ${error.message}`);
+        return false;
+      }
+    });
+
+  return {
+    rules: {
+      deniedParams: normalizeParams(source.deniedParams),
+      allowedParams: normalizeParams(source.allowedParams),
+      stripTokenLikeValues: source.stripTokenLikeValues !== false,
+      domainRules,
+      pathScrubs
+    },
+    errors
+  };
+}
+
+/**
+ * Prepare rules for repeated use: sets for the lists, compiled regexes
+ * @param {Object} rules - config.urlSanitizer (normalized here)
+ * @returns {Object} - Compiled rules for applySanitizer
+ */
+export function compileSanitizer(rules) {
+  const normalized = normalizeSanitizerRules(rules).rules;
+  return {
+    deniedParams: new Set(normalized.deniedParams),
+    allowedParams: new Set(normalized.allowedParams),
+    stripTokenLikeValues: normalized.stripTokenLikeValues,
+    // Most specific domain first
+    domainRules: [...normalized.domainRules]
+      .sort((a, b) => b.domain.length - a.domain.length)
+      .map(rule => ({ ...rule, allowedParams: new Set(rule.allowedParams), deniedParams: new Set(rule.deniedParams) })),
+    pathScrubs: normalized.pathScrubs.map(scrub => ({ ...scrub, regex: new RegExp(scrub.pattern, scrub.flags) }))
+  };
+}
+
+const onDomain = (host, domain) => !domain || host === domain || host.endsWith(`.${domain}`);
+
+/**
+ * Check a parameter against a deny and an allow list
+ * @param {string} key - Lowercase parameter name
+ * @param {Object} lists - { deniedParams, allowedParams } sets
+ * @returns {boolean|null} - True to remove, false to keep, null if neither list has it
+ */
+function checkLists(key, lists) {
+  if (lists.deniedParams.has(key)) return true;
+  if (lists.allowedParams.has(key)) return false;
+  return null;
+}
+
+// Long runs of letters, digits and base64 symbols look like session tokens
+const isTokenLike = value => value.length > SANITIZER.TOKEN_MIN_LENGTH && SANITIZER.TOKEN_PATTERN.test(value);
+
+/**
+ * Decide whether a query parameter is removed
+ * A domain rule's lists beat the global lists, and either list beats the
+ * token heuristic.
+ * @param {string} name - Parameter name
+ * @param {string} value - Parameter value
+ * @param {Object} compiled - Compiled rules
+ * @param {Object|null} domainRule - Most specific matching domain rule
+ * @returns {string|null} - Why it is removed, or null to keep it
+ */
+function getRemovalReason(name, value, compiled, domainRule) {
+  const key = name.toLowerCase();
+  const byDomain = domainRule ? checkLists(key, domainRule) : null;
+  if (byDomain !== null) return byDomain ? `denied on ${domainRule.domain}` : null;
+  const byGlobal = checkLists(key, compiled);
+  if (byGlobal !== null) return byGlobal ? 'denied' : null;
+
+  const stripTokens = domainRule?.stripTokenLikeValues ?? compiled.stripTokenLikeValues;
+  return stripTokens && isTokenLike(value) ? 'token-like value' : null;
+}
+
+/**
+ * Sanitize a URL and report what was removed
+ * @param {string} url - URL
+ * @param {Object} compiled - Rules from compileSanitizer
+ * @returns {Object} - { url, removed: [{ param, reason }], scrubbed: [pattern] }
+ */
+export function applySanitizer(url, compiled) {
+  const result = { url, removed: [], scrubbed: [] };
+  if (!url) return result;
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return result;
+  }
+  const host = urlObj.hostname.toLowerCase();
+  const domainRule = compiled.domainRules.find(rule => onDomain(host, rule.domain)) || null;
+
+  // Collect first: deleting while iterating searchParams skips entries
+  const removals = [...urlObj.searchParams.entries()]
+    .map(([param, value]) => ({ param, reason: getRemovalReason(param, value, compiled, domainRule) }))
+    .filter(removal => removal.reason);
+  removals.forEach(({ param }) => urlObj.searchParams.delete(param));
+  result.removed = removals.filter((removal, index) =>
+    removals.findIndex(other => other.param === removal.param) === index);
+
+  compiled.pathScrubs
+    .filter(scrub => onDomain(host, scrub.domain))
+    .forEach(scrub => {
+      scrub.regex.lastIndex = 0;
+      const pathname = urlObj.pathname.replace(scrub.regex, scrub.replacement);
+      if (pathname !== urlObj.pathname) {
+        urlObj.pathname = pathname;
+        result.scrubbed.push(`/${scrub.pattern}/${scrub.flags}`);
+      }
+    });
+
+  result.url = urlObj.toString();
+  return result;
+}
+
+/**
+ * Build a sanitize function from rules
+ * @param {Object} rules - config.urlSanitizer (defaults when missing)
+ * @returns {Function} - (url) => sanitized url
+ */
+export function createUrlSanitizer(rules) {
+  const compiled = compileSanitizer(rules);
+  return url => applySanitizer(url, compiled).url;
+}
+
+/**
+ * Sanitize every URL in a tree in place
+ * @param {Object} tabTree - Tab tree keyed by root id
+ * @param {Function} sanitize - (url) => sanitized url
+ * @returns {Array} - Nodes whose URL changed
+ */
+export function sanitizeTreeUrls(tabTree, sanitize) {
+  const changed = [];
+  const visit = node => {
+    const url = node.url ? sanitize(node.url) : node.url;
+    if (url !== node.url) {
+      node.url = url;
+      changed.push(node);
+    }
+    (node.children || []).forEach(visit);
+  };
+  Object.values(tabTree || {}).forEach(visit);
+  return changed;
+}
@@ -0,0 +1,93 @@
+// =============================================================================
+// Annotation Utils Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseTags,
+  normalizeAnnotations,
+  hasAnnotations,
+  normalizeTreeAnnotations,
+  getAnnotationBadges,
+  escapeHtml,
+  renderNotes
+} from '../src/annotation-utils.js';
+import { ANNOTATIONS } from '../src/constants.js';
+
+describe('Annotation Utils', () => {
+  describe('parseTags', () => {
+    it('should split on commas and hashes and drop duplicates', () => {
+      expect(parseTags('research, to read #ML #ml')).toEqual(['research', 'to-read', 'ML']);
+      expect(parseTags(['#a', ' b ', '', 'A'])).toEqual(['a', 'b']);
+      expect(parseTags(undefined)).toEqual([]);
+    });
+
+    it('should enforce tag count and length limits', () => {
+      const many = Array.from({ length: ANNOTATIONS.MAX_TAGS + 5 }, (_, i) => `tag${i}`);
+      expect(parseTags(many)).toHaveLength(ANNOTATIONS.MAX_TAGS);
+      expect(parseTags('x'.repeat(100))[0]).toHaveLength(ANNOTATIONS.MAX_TAG_LENGTH);
+    });
+  });
+
+  describe('normalizeAnnotations', () => {
+    it('should coerce fields to valid types', () => {
+      expect(normalizeAnnotations({ notes: '  why  ', tags: 'a, b', starred: 'yes' }))
+        .toEqual({ notes: 'why', tags: ['a', 'b'], starred: false });
+      expect(normalizeAnnotations({ notes: 42, starred: true }))
+        .toEqual({ notes: '', tags: [], starred: true });
+    });
+  });
+
+  describe('hasAnnotations', () => {
+    it('should detect stars, notes and tags', () => {
+      expect(hasAnnotations({ starred: true })).toBe(true);
+      expect(hasAnnotations({ notes: 'n' })).toBe(true);
+      expect(hasAnnotations({ tags: ['t'] })).toBe(true);
+      expect(hasAnnotations({ notes: '', tags: [], starred: false })).toBe(false);
+    });
+  });
+
+  describe('normalizeTreeAnnotations', () => {
+    it('should clean annotated nodes anywhere in the tree', () => {
+      const tabTree = {
+        root: {
+          id: 'root',
+          starred: 1,
+          children: [{ id: 'child', tags: '#a, b', notes: 'keep', children: [] }]
+        }
+      };
+      expect(normalizeTreeAnnotations(tabTree)).toBe(1);
+      expect(tabTree.root.starred).toBe(false);
+      expect(tabTree.root.children[0].tags).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('getAnnotationBadges', () => {
+    it('should list star, notes and first tag', () => {
+      expect(getAnnotationBadges({ starred: true, notes: 'n', tags: ['a', 'b', 'c'] }))
+        .toEqual([ANNOTATIONS.STAR_BADGE, ANNOTATIONS.NOTES_BADGE, '#a +2']);
+      expect(getAnnotationBadges({ tags: ['solo'] })).toEqual(['#solo']);
+      expect(getAnnotationBadges({})).toEqual([]);
+    });
+  });
+
+  describe('renderNotes', () => {
+    it('should escape HTML', () => {
+      expect(escapeHtml('<b a="1">&')).toBe('&lt;b a=&quot;1&quot;&gt;&amp;');
+      expect(renderNotes('<script>alert(1)</script>')).not.toContain('<script>');
+    });
+
+    it('should render paragraphs, lists and inline formatting', () => {
+      const html = renderNotes('# Why\nSee **this** and `code`\n\n- one\n- [two](https://example.com)');
+      expect(html).toBe(
+        '<p><strong>Why</strong></p>' +
+        '<p>See <strong>this</strong> and <code>code</code></p>' +
+        '<ul><li>one</li><li><a href="https://example.com" target="_blank" rel="noopener noreferrer">two</a></li></ul>'
+      );
+    });
+
+    it('should not turn non-http links into anchors', () => {
+      expect(renderNotes('[x](javascript:alert(1))')).not.toContain('<a');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// =============================================================================
+// Context Utils Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  getTabContext,
+  diffContext,
+  getContextKey,
+  collectContexts,
+  filterTreeByContext,
+  groupRootsByContext,
+  describeContext
+} from '../src/context-utils.js';
+
+describe('Context Utils', () => {
+  const sampleTabTree = {
+    'root-a': {
+      id: 'root-a',
+      createdAt: 1,
+      windowId: 1,
+      groupId: -1,
+      children: [
+        { id: 'child-a', createdAt: 2, windowId: 1, groupId: 7, groupTitle: 'Research', groupColor: 'blue', children: [] }
+      ]
+    },
+    'root-b': {
+      id: 'root-b',
+      createdAt: 3,
+      windowId: 2,
+      groupId: 7,
+      groupTitle: 'Reading',
+      groupColor: 'green',
+      children: []
+    }
+  };
+
+  describe('getTabContext', () => {
+    it('should copy window, position and group details from a tab', () => {
+      const tab = { windowId: 3, index: 2, pinned: true, incognito: false, groupId: 5 };
+      expect(getTabContext(tab, { title: 'Work', color: 'red' })).toEqual({
+        windowId: 3,
+        index: 2,
+        pinned: true,
+        incognito: false,
+        groupId: 5,
+        groupTitle: 'Work',
+        groupColor: 'red'
+      });
+    });
+
+    it('should leave group details empty for ungrouped tabs', () => {
+      const context = getTabContext({ windowId: 1, index: 0, groupId: -1 });
+      expect(context.groupTitle).toBeNull();
+      expect(context.groupColor).toBeNull();
+    });
+  });
+
+  describe('diffContext', () => {
+    it('should return only changed fields', () => {
+      expect(diffContext({ windowId: 1, index: 0 }, { windowId: 1, index: 4 })).toEqual({ index: 4 });
+      expect(diffContext({ windowId: 1 }, { windowId: 1 })).toBeNull();
+    });
+  });
+
+  describe('getContextKey', () => {
+    it('should key nodes by window or group', () => {
+      expect(getContextKey({ windowId: 4 }, 'window')).toBe('window:4');
+      expect(getContextKey({ groupId: 9 }, 'group')).toBe('group:9');
+      expect(getContextKey({ groupId: -1 }, 'group')).toBe('group:none');
+      expect(getContextKey({}, 'group')).toBe('group:none');
+    });
+  });
+
+  describe('collectContexts', () => {
+    it('should list windows then groups with the latest group title', () => {
+      const contexts = collectContexts(sampleTabTree);
+      expect(contexts.map(context => context.key)).toEqual(['window:1', 'window:2', 'group:7']);
+      expect(contexts[2].label).toBe('Reading');
+      expect(contexts[2].count).toBe(2);
+    });
+  });
+
+  describe('filterTreeByContext', () => {
+    it('should keep whole trees that touch the context', () => {
+      expect(Object.keys(filterTreeByContext(sampleTabTree, 'group:7'))).toEqual(['root-a', 'root-b']);
+      expect(Object.keys(filterTreeByContext(sampleTabTree, 'window:2'))).toEqual(['root-b']);
+      expect(filterTreeByContext(sampleTabTree, 'all')).toBe(sampleTabTree);
+    });
+  });
+
+  describe('groupRootsByContext', () => {
+    it('should split roots into lanes by their own context', () => {
+      const lanes = groupRootsByContext(sampleTabTree, 'group');
+      expect(lanes.map(lane => lane.label)).toEqual(['No group', 'Reading']);
+      expect(lanes[1].roots[0].id).toBe('root-b');
+    });
+  });
+
+  describe('describeContext', () => {
+    it('should summarise the context for details panels', () => {
+      expect(describeContext({ windowId: 2, index: 0, pinned: true, groupId: 7, groupTitle: 'Work' }))
+        .toBe('Window 2, tab 1, pinned, group "Work"');
+      expect(describeContext({})).toBe('');
+    });
+  });
+});
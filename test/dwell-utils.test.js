@@ -0,0 +1,60 @@
+// =============================================================================
+// Dwell Utils Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  visitDuration,
+  formatDuration,
+  getMaxTimeSpent,
+  dwellSizeFactor
+} from '../src/dwell-utils.js';
+import { DWELL } from '../src/constants.js';
+
+describe('Dwell Utils', () => {
+  describe('visitDuration', () => {
+    it('should return the elapsed time of a visit', () => {
+      expect(visitDuration(1000, 6000)).toBe(5000);
+    });
+
+    it('should ignore visits that are too short to count', () => {
+      expect(visitDuration(1000, 1000 + DWELL.MIN_VISIT_DURATION - 1)).toBe(0);
+      expect(visitDuration(5000, 1000)).toBe(0);
+    });
+
+    it('should cap very long visits', () => {
+      expect(visitDuration(0, DWELL.MAX_VISIT_DURATION * 2)).toBe(DWELL.MAX_VISIT_DURATION);
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('should format seconds, minutes and hours', () => {
+      expect(formatDuration(45000)).toBe('45s');
+      expect(formatDuration(200000)).toBe('3m 20s');
+      expect(formatDuration(3900000)).toBe('1h 05m');
+      expect(formatDuration(undefined)).toBe('0s');
+    });
+  });
+
+  describe('getMaxTimeSpent', () => {
+    it('should find the largest time spent anywhere in the tree', () => {
+      const tabTree = {
+        root: {
+          id: 'root',
+          timeSpent: 1000,
+          children: [{ id: 'child', timeSpent: 9000, children: [] }]
+        }
+      };
+      expect(getMaxTimeSpent(tabTree)).toBe(9000);
+      expect(getMaxTimeSpent({})).toBe(0);
+    });
+  });
+
+  describe('dwellSizeFactor', () => {
+    it('should scale from 1 up to the maximum factor', () => {
+      expect(dwellSizeFactor(0, 9000)).toBe(1);
+      expect(dwellSizeFactor(9000, 9000)).toBe(DWELL.MAX_SIZE_FACTOR);
+      expect(dwellSizeFactor(2250, 9000)).toBeCloseTo(1 + (DWELL.MAX_SIZE_FACTOR - 1) * 0.5);
+    });
+  });
+});
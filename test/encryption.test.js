@@ -0,0 +1,94 @@
+// =============================================================================
+// Encryption Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  bytesToBase64,
+  base64ToBytes,
+  exportKey,
+  importKey,
+  encryptJson,
+  decryptJson,
+  createPassphraseKey,
+  unlockPassphraseKey,
+  sealRecord,
+  openRecord,
+  isEncryptedExport,
+  encryptExport,
+  decryptExport
+} from '../src/encryption.js';
+import { ENCRYPTION, ERROR_MESSAGES } from '../src/constants.js';
+
+// Keep key derivation fast; the iteration count is stored with the salt
+const ITERATIONS = 1000;
+
+describe('Encryption', () => {
+  it('should round-trip base64', () => {
+    const bytes = new Uint8Array([0, 1, 127, 128, 255]);
+    expect(Array.from(base64ToBytes(bytesToBase64(bytes)))).toEqual(Array.from(bytes));
+  });
+
+  describe('passphrase keys', () => {
+    it('should unlock with the right passphrase only', async () => {
+      const { key, settings } = await createPassphraseKey('correct horse', ITERATIONS);
+      expect(settings.iterations).toBe(ITERATIONS);
+      expect(JSON.stringify(settings)).not.toContain('correct horse');
+
+      const unlocked = await unlockPassphraseKey('correct horse', settings);
+      const payload = await encryptJson(key, { a: 1 });
+      expect(await decryptJson(unlocked, payload)).toEqual({ a: 1 });
+
+      await expect(unlockPassphraseKey('wrong horse', settings)).rejects.toThrow(ERROR_MESSAGES.WRONG_PASSPHRASE);
+    });
+
+    it('should reject short passphrases', async () => {
+      await expect(createPassphraseKey('short', ITERATIONS)).rejects.toThrow(ERROR_MESSAGES.WEAK_PASSPHRASE);
+    });
+
+    it('should survive export and import for session storage', async () => {
+      const { key } = await createPassphraseKey('correct horse', ITERATIONS);
+      const payload = await encryptJson(key, 'secret');
+      expect(await decryptJson(await importKey(await exportKey(key)), payload)).toBe('secret');
+    });
+  });
+
+  describe('node records', () => {
+    it('should encrypt everything but the indexed fields', async () => {
+      const { key } = await createPassphraseKey('correct horse', ITERATIONS);
+      const record = {
+        id: '1-100',
+        parentId: null,
+        createdAt: 100,
+        tabId: 1,
+        domain: 'bank.example',
+        url: 'https://bank.example/statement',
+        title: 'Statement'
+      };
+
+      const sealed = await sealRecord(key, record);
+      expect(Object.keys(sealed).sort()).toEqual([...ENCRYPTION.PLAINTEXT_FIELDS, 'encrypted'].sort());
+      expect(JSON.stringify(sealed)).not.toContain('bank.example');
+
+      const { domain: _domain, ...withoutDomain } = record;
+      expect(await openRecord(key, sealed)).toEqual(withoutDomain);
+      expect(await openRecord(key, record)).toBe(record);
+    });
+  });
+
+  describe('export files', () => {
+    it('should open with the passphrase the key was derived from', async () => {
+      const { key, settings } = await createPassphraseKey('correct horse', ITERATIONS);
+      const data = { metadata: { version: '1.0' }, tabTree: { root: { title: 'Root', children: [] } } };
+
+      const envelope = await encryptExport(key, settings, data);
+      expect(isEncryptedExport(envelope)).toBe(true);
+      expect(isEncryptedExport(data)).toBe(false);
+      expect(envelope.kdf).toMatchObject({ salt: settings.salt, iterations: ITERATIONS });
+      expect(JSON.stringify(envelope)).not.toContain('Root');
+
+      expect(await decryptExport('correct horse', envelope)).toEqual(data);
+      await expect(decryptExport('wrong horse', envelope)).rejects.toThrow(ERROR_MESSAGES.WRONG_PASSPHRASE);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+// =============================================================================
+// Exclusion Rules Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  migrateExcludedDomains,
+  globToRegExp,
+  normalizeExclusionConfig,
+  createUrlPolicy,
+  importExclusionRules
+} from '../src/exclusion-rules.js';
+
+const rule = (type, pattern, scope = 'no-track') => ({ type, pattern, scope });
+
+describe('Exclusion Rules', () => {
+  it('should match host suffixes on label boundaries only', () => {
+    const policy = createUrlPolicy({ exclusionRules: [rule('suffix', 'google.com')] });
+
+    expect(policy('https://google.com/search').track).toBe(false);
+    expect(policy('https://mail.google.com/').track).toBe(false);
+    expect(policy('https://notgoogle.com.example.org/').track).toBe(true);
+    expect(policy('https://example.org/?q=google.com').track).toBe(true);
+  });
+
+  it('should match exact hosts, globs and regexes', () => {
+    const policy = createUrlPolicy({
+      exclusionRules: [
+        rule('host', 'bank.example'),
+        rule('glob', '*://*.internal/*'),
+        rule('regex', '/admin(/|$)')
+      ]
+    });
+
+    expect(policy('https://bank.example/login').track).toBe(false);
+    expect(policy('https://www.bank.example/').track).toBe(true);
+    expect(policy('http://wiki.internal/page').track).toBe(false);
+    expect(policy('https://shop.test/ADMIN/users').track).toBe(false);
+    expect(policy('https://shop.test/administrator').track).toBe(true);
+    expect(globToRegExp('https://a.test/?x=*').test('https://a.test/?x=1')).toBe(true);
+    expect(globToRegExp('https://a.test/?x=*').test('https://a.test/x=1')).toBe(false);
+  });
+
+  it('should apply content and title scopes while still tracking', () => {
+    const policy = createUrlPolicy({
+      exclusionRules: [rule('suffix', 'mail.test', 'redact-title'), rule('suffix', 'test', 'no-content')]
+    });
+
+    expect(policy('https://mail.test/inbox')).toMatchObject({ track: true, analyzeContent: false, redactTitle: true });
+    expect(policy('https://example.org/')).toMatchObject({ track: true, analyzeContent: true, redactTitle: false });
+  });
+
+  it('should track only allowed pages in allowlist mode, with no-track carve-outs', () => {
+    const policy = createUrlPolicy({
+      exclusionMode: 'allowlist',
+      exclusionRules: [
+        rule('suffix', 'docs.test', 'track'),
+        rule('host', 'private.docs.test'),
+        rule('suffix', 'wiki.test', 'no-content')
+      ]
+    });
+
+    expect(policy('https://a.docs.test/').track).toBe(true);
+    expect(policy('https://private.docs.test/').track).toBe(false);
+    expect(policy('https://wiki.test/')).toMatchObject({ track: true, analyzeContent: false });
+    expect(policy('https://example.org/').track).toBe(false);
+  });
+
+  it('should migrate the old excludedDomains list and drop invalid rules', () => {
+    expect(migrateExcludedDomains(['Google.com', 'chrome://', ''])).toEqual([
+      rule('suffix', 'google.com'),
+      rule('glob', 'chrome://*')
+    ]);
+
+    const { mode, rules, errors } = normalizeExclusionConfig({
+      exclusionMode: 'sometimes',
+      excludedDomains: ['ignored.test'],
+      exclusionRules: [rule('regex', '('), rule('suffix', ''), { type: 'host', pattern: 'a.test' }, rule('path', 'x')]
+    });
+    expect(mode).toBe('exclude');
+    expect(rules).toEqual([rule('host', 'a.test')]);
+    expect(errors).toHaveLength(3);
+  });
+
+  it('should import exported files, bare arrays and plain domain lists', () => {
+    const exported = JSON.stringify({ format: 'tab-tree-exclusion-rules', mode: 'allowlist', rules: [rule('host', 'a.test', 'track')] });
+    expect(importExclusionRules(exported)).toEqual({ mode: 'allowlist', rules: [rule('host', 'a.test', 'track')], errors: [] });
+    expect(importExclusionRules(JSON.stringify([rule('glob', '*.pdf')])).rules).toEqual([rule('glob', '*.pdf')]);
+    expect(importExclusionRules('bank.test # finances\n\nshop.test\n').rules).toEqual([
+      rule('suffix', 'bank.test'),
+      rule('suffix', 'shop.test')
+    ]);
+    expect(importExclusionRules('{ nope').errors[0]).toMatch(/^Not valid JSON/);
+  });
+});
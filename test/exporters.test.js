@@ -0,0 +1,111 @@
+// =============================================================================
+// Exporters Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  selectExportTree,
+  flattenTree,
+  escapeCsv,
+  escapeXml,
+  listExportFormats,
+  exportTree
+} from '../src/exporters.js';
+
+const EXPORT_TIME = Date.UTC(2024, 0, 1);
+
+const node = (id, title, url, createdAt, children = []) => ({ id, title, url, createdAt, closedAt: createdAt + 500, children });
+
+const buildTree = () => ({
+  a: node('a', 'Search "python" & more', 'https://www.google.com/search?q=python', 1000, [
+    node('a1', 'Docs', 'https://docs.python.org/3/', 2000, [
+      node('a2', 'Tutorial (intro)', 'https://docs.python.org/3/tutorial (intro)', 3000)
+    ])
+  ]),
+  b: node('b', '=HYPERLINK("x")', 'https://b.com/', 4000)
+});
+
+const exportAs = (formatId, tabTree = buildTree()) => exportTree(tabTree, formatId, { title: 'Test', exportTime: EXPORT_TIME });
+
+describe('Exporters', () => {
+  it('should export the whole forest, one tree or the visible branches', () => {
+    expect(Object.keys(selectExportTree(buildTree()))).toEqual(['a', 'b']);
+
+    const branch = selectExportTree(buildTree(), { rootId: 'a1' });
+    expect(Object.keys(branch)).toEqual(['a1']);
+    expect(branch.a1.children[0].id).toBe('a2');
+    expect(selectExportTree(buildTree(), { rootId: 'missing' })).toEqual({});
+
+    const tree = buildTree();
+    const visible = selectExportTree(tree, { hiddenIds: new Set(['a2', 'b']) });
+    expect(flattenTree(visible).map(row => row.node.id)).toEqual(['a', 'a1']);
+    expect(tree.a.children[0].children).toHaveLength(1);
+  });
+
+  it('should list nodes with their parent and depth', () => {
+    expect(flattenTree(buildTree()).map(({ node: item, parentId, depth }) => [item.id, parentId, depth])).toEqual([
+      ['a', null, 0], ['a1', 'a', 1], ['a2', 'a1', 2], ['b', null, 0]
+    ]);
+  });
+
+  it('should write a nested OPML outline', () => {
+    const { content, fileName, mimeType, nodeCount } = exportAs('opml');
+    const opml = new DOMParser().parseFromString(content, 'application/xml');
+
+    expect(fileName).toBe('tab-tree-2024-01-01T00-00-00-000Z.opml');
+    expect(mimeType).toBe('text/x-opml');
+    expect(nodeCount).toBe(4);
+    expect(opml.querySelector('parsererror')).toBeNull();
+    const first = opml.querySelector('body > outline');
+    expect(first.getAttribute('text')).toBe('Search "python" & more');
+    expect(first.querySelector('outline outline').getAttribute('url')).toBe('https://docs.python.org/3/');
+    expect(first.querySelector('outline outline outline').getAttribute('url')).toBe('https://docs.python.org/3/tutorial (intro)');
+  });
+
+  it('should write a Markdown link outline', () => {
+    const lines = exportAs('markdown').content.split('\n');
+    expect(lines[0]).toBe('# Test');
+    expect(lines[2]).toBe('- [Search "python" & more](https://www.google.com/search?q=python)');
+    expect(lines[4]).toBe('    - [Tutorial (intro)](https://docs.python.org/3/tutorial%20%28intro%29)');
+  });
+
+  it('should write a CSV table that spreadsheets will not evaluate', () => {
+    const [header, first, , , last] = exportAs('csv').content.split('\r\n');
+    expect(header).toBe('id,parentId,depth,title,url,domain,createdAt,closedAt,timeSpent,visitCount');
+    expect(first).toBe('a,,0,"Search ""python"" & more",https://www.google.com/search?q=python,google.com,' +
+      '1970-01-01T00:00:01.000Z,1970-01-01T00:00:01.500Z,0,0');
+    expect(last).toContain('"\'=HYPERLINK(""x"")"');
+    expect(escapeCsv(-1)).toBe('-1');
+  });
+
+  it('should write GraphML and GEXF graphs Gephi can read', () => {
+    ['graphml', 'gexf'].forEach(formatId => {
+      const graph = new DOMParser().parseFromString(exportAs(formatId).content, 'application/xml');
+      expect(graph.querySelector('parsererror')).toBeNull();
+      expect(graph.getElementsByTagName('node')).toHaveLength(4);
+      expect(Array.from(graph.getElementsByTagName('edge')).map(edge =>
+        `${edge.getAttribute('source')}>${edge.getAttribute('target')}`)).toEqual(['a>a1', 'a1>a2']);
+    });
+  });
+
+  it('should write DOT and Mermaid flowcharts with escaped labels', () => {
+    const dot = exportAs('dot').content;
+    expect(dot).toContain('"a" [label="Search \\"python\\" & more", URL="https://www.google.com/search?q=python"');
+    expect(dot).toContain('"a1" -> "a2";');
+
+    const mermaid = exportAs('mermaid').content.split('\n');
+    expect(mermaid[0]).toBe('flowchart LR');
+    expect(mermaid).toContain('  n1["Search #quot;python#quot; & more"]');
+    expect(mermaid).toContain('  n2 --> n3');
+  });
+
+  it('should escape XML and drop the control characters XML 1.0 forbids', () => {
+    expect(escapeXml('a\u0000b\u0008c\u000Bd\u001Fe\tf\rg')).toBe('abcde\tf\rg');
+    expect(escapeXml('<"x" & \'y\'>\n')).toBe('&lt;&quot;x&quot; &amp; &apos;y&apos;&gt;&#10;');
+  });
+
+  it('should list the formats and refuse unknown ones', () => {
+    expect(listExportFormats().map(format => format.id)).toEqual(['opml', 'markdown', 'csv', 'graphml', 'gexf', 'dot', 'mermaid']);
+    expect(() => exportAs('pdf')).toThrow('Unknown export format');
+  });
+});
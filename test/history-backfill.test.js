@@ -0,0 +1,100 @@
+// =============================================================================
+// History Backfill Test Suite
+// =============================================================================
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  normalizeBackfillRange,
+  fetchHistoryVisits,
+  buildHistoryTree
+} from '../src/history-backfill.js';
+import { HISTORY_BACKFILL } from '../src/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A search that leads to docs and an excluded mail page that links onward,
+// plus a typed visit from before the range
+const loadHistory = () => globalThis.setHistoryFixture([
+  {
+    url: 'https://www.google.com/search?q=python',
+    title: 'python - Google Search',
+    visits: [{ visitId: '1', referringVisitId: '0', visitTime: 1000, transition: 'typed' }]
+  },
+  {
+    url: 'https://docs.python.org/',
+    title: 'Python Docs',
+    visits: [
+      { visitId: '2', referringVisitId: '1', visitTime: 2000, transition: 'link' },
+      { visitId: '9', referringVisitId: '0', visitTime: 50, transition: 'typed' }
+    ]
+  },
+  {
+    url: 'https://mail.example.com/inbox',
+    title: 'Inbox',
+    visits: [{ visitId: '3', referringVisitId: '2', visitTime: 3000, transition: 'link' }]
+  },
+  {
+    url: 'https://docs.python.org/tutorial',
+    title: 'Tutorial',
+    visits: [{ visitId: '4', referringVisitId: '3', visitTime: 4000, transition: 'link' }]
+  },
+  {
+    url: 'https://ads.example.net/frame',
+    title: '',
+    visits: [{ visitId: '5', referringVisitId: '2', visitTime: 2500, transition: 'auto_subframe' }]
+  }
+]);
+
+describe('History Backfill', () => {
+  beforeEach(loadHistory);
+
+  it('should default to the last days and refuse bad ranges', () => {
+    const now = 100 * DAY_MS;
+    expect(normalizeBackfillRange(undefined, undefined, now)).toEqual({
+      startTime: now - HISTORY_BACKFILL.DEFAULT_DAYS * DAY_MS,
+      endTime: now
+    });
+    expect(() => normalizeBackfillRange(now, now - 1, now)).toThrow();
+    expect(() => normalizeBackfillRange(1, now, now)).toThrow(`${HISTORY_BACKFILL.MAX_DAYS} days`);
+  });
+
+  it('should read the visits inside the range from chrome.history', async () => {
+    const visits = await fetchHistoryVisits(chrome.history, { startTime: 500, endTime: 5000 });
+
+    expect(chrome.history.search).toHaveBeenCalledWith(expect.objectContaining({ text: '', startTime: 500, endTime: 5000 }));
+    expect(visits.map(visit => visit.visitId).sort()).toEqual(['1', '2', '3', '4', '5']);
+    expect(visits.find(visit => visit.visitId === '2')).toEqual({
+      visitId: '2',
+      referringVisitId: '1',
+      visitTime: 2000,
+      transition: 'link',
+      url: 'https://docs.python.org/',
+      title: 'Python Docs'
+    });
+  });
+
+  it('should link visits to their referrers and mark them as history', async () => {
+    const visits = await fetchHistoryVisits(chrome.history, { startTime: 500, endTime: 5000 });
+    const { tabTree, nodeCount, skippedCount } = buildHistoryTree(visits, {
+      isExcluded: url => url.includes('mail.example.com')
+    });
+
+    expect(Object.keys(tabTree)).toEqual(['history-1']);
+    expect(nodeCount).toBe(3);
+    expect(skippedCount).toBe(2);
+
+    const root = tabTree['history-1'];
+    expect(root).toMatchObject({ source: 'history', transitionType: 'typed', createdAt: 1000, closedAt: 1000 });
+    const docs = root.children[0];
+    expect(docs.title).toBe('Python Docs');
+    // The tutorial was reached through the excluded mail page
+    expect(docs.children.map(child => child.title)).toEqual(['Tutorial']);
+  });
+
+  it('should start a root for visits whose referrer is outside the range', () => {
+    const { tabTree } = buildHistoryTree([
+      { visitId: '7', referringVisitId: '6', visitTime: 10, transition: 'link', url: 'https://a.com/', title: 'A' }
+    ]);
+    expect(Object.keys(tabTree)).toEqual(['history-7']);
+  });
+});
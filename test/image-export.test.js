@@ -0,0 +1,113 @@
+// =============================================================================
+// Image Export Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  inlineStyles,
+  serializeVisualization,
+  fitCanvasScale,
+  planPdfPages,
+  buildPdf
+} from '../src/image-export.js';
+import { IMAGE_EXPORT } from '../src/constants.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// A zoomed-in view of two nodes, as the visualizers draw it
+const buildSvg = () => {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('width', '100%');
+  svg.innerHTML = '<g class="main-group" transform="translate(-300,-50) scale(2)">' +
+    '<g class="nodes"><circle class="node" cx="10" cy="20" r="5"/><circle class="node" cx="110" cy="70" r="5"/></g></g>';
+  document.body.appendChild(svg);
+  return svg;
+};
+
+const stubStyle = element => ({
+  getPropertyValue: property => (element.tagName === 'circle' && property === 'fill' ? 'rgb(26, 115, 232)' : '')
+});
+
+const parse = text => new DOMParser().parseFromString(text, 'image/svg+xml');
+const decode = bytes => new TextDecoder('latin1').decode(bytes);
+
+describe('Image Export', () => {
+  it('should copy computed styles onto the clone', () => {
+    const svg = buildSvg();
+    const clone = /** @type {SVGElement} */ (svg.cloneNode(true));
+    inlineStyles(svg, clone, stubStyle);
+
+    expect(clone.querySelector('circle').getAttribute('style')).toContain('fill: rgb(26, 115, 232)');
+    expect(svg.querySelector('circle').getAttribute('style')).toBeNull();
+  });
+
+  it('should frame the whole content at the current zoom scale', () => {
+    const svg = buildSvg();
+    const image = serializeVisualization(svg, { scale: 2, bounds: { x: 5, y: 15, width: 110, height: 60 }, getStyle: stubStyle });
+    const exported = parse(image.svgText).documentElement;
+    const padding = IMAGE_EXPORT.PADDING;
+
+    expect(image.width).toBe(220 + padding * 2);
+    expect(image.height).toBe(120 + padding * 2);
+    expect(exported.getAttribute('viewBox')).toBe(`0 0 ${image.width} ${image.height}`);
+    expect(exported.querySelector('.main-group').getAttribute('transform'))
+      .toBe(`translate(${padding - 10},${padding - 30}) scale(2)`);
+    expect(exported.querySelector('rect').getAttribute('fill')).toBe(IMAGE_EXPORT.BACKGROUND);
+    expect(exported.querySelectorAll('circle')).toHaveLength(2);
+    // The page itself is left alone
+    expect(svg.querySelector('.main-group').getAttribute('transform')).toBe('translate(-300,-50) scale(2)');
+  });
+
+  it('should add a legend below the content', () => {
+    const image = serializeVisualization(buildSvg(), {
+      bounds: { x: 0, y: 0, width: 100, height: 100 },
+      legend: {
+        title: 'Tab Tree',
+        lines: ['Cluster view, 2 nodes'],
+        items: [{ color: '#ff0000', label: 'a.com (2)' }]
+      }
+    });
+    const legend = parse(image.svgText).querySelector('.export-legend');
+
+    expect(Array.from(legend.querySelectorAll('text')).map(text => text.textContent))
+      .toEqual(['Tab Tree', 'Cluster view, 2 nodes', 'a.com (2)']);
+    expect(legend.querySelector('rect').getAttribute('fill')).toBe('#ff0000');
+    expect(image.height).toBe(100 + IMAGE_EXPORT.PADDING * 2 + IMAGE_EXPORT.LEGEND_LINE_HEIGHT * 3);
+  });
+
+  it('should lower the scale of canvases browsers would refuse', () => {
+    expect(fitCanvasScale(1000, 800, 2)).toBe(2);
+    expect(fitCanvasScale(20000, 500, 2)).toBeCloseTo(IMAGE_EXPORT.MAX_CANVAS_SIDE / 20000);
+    expect(fitCanvasScale(15000, 15000, 1) * 15000).toBeLessThanOrEqual(Math.sqrt(IMAGE_EXPORT.MAX_CANVAS_PIXELS) + 1);
+  });
+
+  it('should tile large pictures across pages in reading order', () => {
+    const tiles = planPdfPages(250, 120, { pageWidth: 120, pageHeight: 80, margin: 10, pointsPerPixel: 1 });
+
+    expect(tiles.map(tile => [tile.row, tile.column, tile.width, tile.height])).toEqual([
+      [1, 1, 100, 60], [1, 2, 100, 60], [1, 3, 50, 60],
+      [2, 1, 100, 60], [2, 2, 100, 60], [2, 3, 50, 60]
+    ]);
+    expect(planPdfPages(50, 50, { pageWidth: 120, pageHeight: 80, margin: 10, pointsPerPixel: 1 })).toHaveLength(1);
+  });
+
+  it('should write a PDF with one picture per page and a valid cross-reference table', () => {
+    const jpeg = new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]);
+    const pages = [1, 2].map(index => ({
+      jpeg, pixelWidth: 2, pixelHeight: 1, drawWidth: 1.5, drawHeight: 0.75, label: `Page ${index} (of 2)`
+    }));
+    const text = decode(buildPdf(pages, { width: 100, height: 50, margin: 5 }));
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(text.match(/\/Type \/Page /g)).toHaveLength(2);
+    expect(text).toContain('/Count 2');
+    expect(text).toContain('(Page 1 \\(of 2\\)) Tj');
+
+    const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(startxref, startxref + 4)).toBe('xref');
+    const offsets = text.slice(startxref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+    expect(offsets).toHaveLength(9);
+    offsets.forEach((offset, index) => expect(text.slice(offset, offset + 8)).toBe(`${index + 1} 0 obj\n`.slice(0, 8)));
+  });
+});
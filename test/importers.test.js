@@ -0,0 +1,137 @@
+// =============================================================================
+// Importers Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { detectImporter, importFile, registerImporter, listImporters } from '../src/importers.js';
+
+const FILE_TIME = Date.UTC(2024, 0, 1);
+
+const ONETAB = [
+  'https://docs.python.org/3/ | Python Docs',
+  'https://pypi.org/',
+  '',
+  'https://news.ycombinator.com/ | Hacker News'
+].join('\n');
+
+const SESSION_BUDDY = JSON.stringify({
+  format: 'nxs.json.v1',
+  sessions: [{
+    name: 'Research',
+    created: '2023-05-01T10:00:00Z',
+    windows: [{ tabs: [{ url: 'https://a.com/', title: 'A' }, { url: 'chrome://newtab/', title: 'New Tab' }] }]
+  }]
+});
+
+const BOOKMARKS = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000">Work</H3>
+    <DL><p>
+        <DT><A HREF="https://jira.example.com/" ADD_DATE="1700000100">Jira</A>
+        <DT><H3>Docs</H3>
+        <DL><p>
+            <DT><A HREF="https://docs.example.com/">Docs home</A>
+        </DL><p>
+    </DL><p>
+    <DT><A HREF="https://example.org/">Loose bookmark</A>
+</DL><p>`;
+
+const HAR = JSON.stringify({
+  log: {
+    pages: [{ id: 'page_1', title: 'https://shop.example.com/', startedDateTime: '2024-02-01T10:00:00Z' }],
+    entries: [
+      { pageref: 'page_1', startedDateTime: '2024-02-01T10:00:00.100Z', request: { url: 'https://shop.example.com/' } },
+      {
+        pageref: 'page_1',
+        startedDateTime: '2024-02-01T10:00:00.300Z',
+        request: { url: 'https://cdn.example.com/app.js' },
+        _initiator: { type: 'parser', url: 'https://shop.example.com/' }
+      },
+      {
+        pageref: 'page_1',
+        startedDateTime: '2024-02-01T10:00:00.500Z',
+        request: { url: 'https://api.example.com/cart' },
+        _initiator: { type: 'script', stack: { callFrames: [{ url: 'https://cdn.example.com/app.js' }] } }
+      },
+      { pageref: 'page_1', startedDateTime: '2024-02-01T10:00:00.600Z', request: { url: 'data:image/png;base64,xyz' } }
+    ]
+  }
+});
+
+const titles = nodes => Object.values(nodes).map(node => node.title);
+
+describe('Importers', () => {
+  it('should detect each format and leave our own exports alone', () => {
+    expect(detectImporter(ONETAB)?.id).toBe('onetab');
+    expect(detectImporter(SESSION_BUDDY)?.id).toBe('sessionbuddy');
+    expect(detectImporter(BOOKMARKS)?.id).toBe('bookmarks');
+    expect(detectImporter(HAR)?.id).toBe('har');
+    expect(detectImporter(JSON.stringify({ metadata: {}, tabTree: {} }))).toBeNull();
+    expect(detectImporter('just some notes')).toBeNull();
+  });
+
+  it('should turn OneTab groups into roots dated by the file', () => {
+    const { tabTree, nodeCount } = importFile(ONETAB, { fileTime: FILE_TIME });
+    const [first, second] = Object.values(tabTree);
+
+    expect(nodeCount).toBe(5);
+    expect(first.children.map(tab => [tab.url, tab.title])).toEqual([
+      ['https://docs.python.org/3/', 'Python Docs'],
+      ['https://pypi.org/', 'pypi.org']
+    ]);
+    expect(second.children[0]).toMatchObject({ title: 'Hacker News', createdAt: FILE_TIME, closedAt: FILE_TIME, source: 'onetab' });
+  });
+
+  it('should turn Session Buddy sessions into session and window nodes', () => {
+    const { tabTree } = importFile(SESSION_BUDDY, { fileTime: FILE_TIME });
+    const [session] = Object.values(tabTree);
+
+    expect(session.title).toBe('Research');
+    expect(session.createdAt).toBe(Date.parse('2023-05-01T10:00:00Z'));
+    expect(session.children[0].title).toBe('Window 1');
+    // Browser pages are not kept
+    expect(session.children[0].children.map(tab => tab.url)).toEqual(['https://a.com/']);
+  });
+
+  it('should turn bookmark folders into subtrees', () => {
+    const { tabTree } = importFile(BOOKMARKS, { fileTime: FILE_TIME });
+    const [work, loose] = Object.values(tabTree);
+
+    expect(titles(tabTree)).toEqual(['Work', 'Loose bookmark']);
+    expect(work.createdAt).toBe(1700000000 * 1000);
+    expect(work.children.map(child => child.title)).toEqual(['Jira', 'Docs']);
+    expect(work.children[1].children[0].url).toBe('https://docs.example.com/');
+    expect(loose).toMatchObject({ url: 'https://example.org/', createdAt: FILE_TIME });
+  });
+
+  it('should follow HAR initiator chains under the page', () => {
+    const { tabTree, nodeCount } = importFile(HAR, { fileTime: FILE_TIME });
+    const [page] = Object.values(tabTree);
+
+    expect(nodeCount).toBe(3);
+    expect(page.url).toBe('https://shop.example.com/');
+    expect(page.children[0].url).toBe('https://cdn.example.com/app.js');
+    expect(page.children[0].children[0].url).toBe('https://api.example.com/cart');
+  });
+
+  it('should give the same ids when a file is imported again', () => {
+    const ids = () => Object.keys(importFile(BOOKMARKS, { fileTime: FILE_TIME }).tabTree);
+    expect(ids()).toEqual(ids());
+  });
+
+  it('should try registered importers first', () => {
+    registerImporter({
+      id: 'custom',
+      label: 'Custom',
+      detect: text => text.startsWith('CUSTOM'),
+      parse: () => ({ x: { id: 'x', title: 'x', url: '', children: [] } })
+    });
+
+    expect(listImporters()[0]).toEqual({ id: 'custom', label: 'Custom' });
+    expect(importFile('CUSTOM\nhttps://a.com/').importer.id).toBe('custom');
+    expect(() => registerImporter({ id: 'broken' })).toThrow();
+  });
+});
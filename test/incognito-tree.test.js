@@ -0,0 +1,80 @@
+// =============================================================================
+// Incognito Tree Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { normalizeIncognitoPolicy, IncognitoTree } from '../src/incognito-tree.js';
+import { recordsToTree } from '../src/node-store.js';
+
+let clock = 1000;
+const page = (tabId, url) => ({
+  id: `${tabId}-${++clock}`,
+  tabId,
+  url,
+  title: url,
+  createdAt: clock,
+  closedAt: null,
+  children: [],
+  incognito: true
+});
+
+describe('Incognito Tree', () => {
+  it('should default to never tracking incognito tabs', () => {
+    expect(normalizeIncognitoPolicy({})).toBe('never');
+    expect(normalizeIncognitoPolicy({ incognitoPolicy: 'always' })).toBe('never');
+    expect(normalizeIncognitoPolicy({ incognitoPolicy: 'ephemeral' })).toBe('ephemeral');
+  });
+
+  it('should nest navigations and tabs opened from a page', () => {
+    const tree = new IncognitoTree();
+    const search = tree.navigate(page(1, 'https://search.test/'));
+    const result = tree.navigate(page(1, 'https://search.test/?q=tree'));
+    tree.setOpener(2, 1);
+    const opened = tree.navigate(page(2, 'https://docs.test/'));
+
+    expect(Object.keys(tree.tabTree)).toEqual([search.id]);
+    expect(search.children).toEqual([result]);
+    expect(result.children).toEqual([opened]);
+    expect(tree.navigate(page(2, 'https://docs.test/'))).toBeNull();
+    expect(tree.navigate(page(2, 'https://other.test/'), { newRoot: true }).id).toBe(Object.keys(tree.tabTree)[1]);
+    expect(tree.nodeCount).toBe(4);
+  });
+
+  it('should close later pages when a tab goes back, and all pages when it closes', () => {
+    const tree = new IncognitoTree({ formatTime: () => 'then' });
+    const first = tree.navigate(page(1, 'https://a.test/'));
+    const second = tree.navigate(page(1, 'https://b.test/'));
+
+    expect(tree.navigate(page(1, 'https://a.test/'))).toBe(first);
+    expect(second.closedAtHuman).toBe('then');
+    expect(tree.getCurrentNode(1)).toBe(first);
+
+    expect(tree.closeTab(1, 5)).toBe(true);
+    expect(first.closedAt).toBe(5);
+    expect(tree.getCurrentNode(1)).toBeNull();
+    expect(tree.closeTab(1)).toBe(false);
+  });
+
+  it('should hand out changed records once and load them back', () => {
+    const tree = new IncognitoTree();
+    const root = tree.navigate(page(1, 'https://a.test/'));
+    tree.navigate(page(1, 'https://b.test/'));
+    const records = tree.takeDirtyRecords();
+
+    expect(records.map(record => record.parentId)).toEqual([null, root.id]);
+    expect(tree.takeDirtyRecords()).toEqual([]);
+    expect(tree.updateCurrentNode(1, { title: 'B' })).toBe(true);
+    expect(tree.updateCurrentNode(1, { title: 'B' })).toBe(false);
+    expect(tree.takeDirtyRecords()).toHaveLength(1);
+    expect(tree.rewriteUrls(url => url.replace('b.test', 'c.test'))).toBe(1);
+    expect(tree.takeDirtyRecords().map(record => record.url)).toEqual(['https://c.test/']);
+
+    const restored = new IncognitoTree();
+    restored.load(recordsToTree(records));
+    expect(restored.nodeCount).toBe(2);
+    expect(restored.getCurrentNode(1).url).toBe('https://b.test/');
+    restored.closeAllTabs(9);
+    expect(restored.getCurrentNode(1)).toBeNull();
+    expect(restored.takeDirtyRecords().every(record => record.closedAt === 9)).toBe(true);
+  });
+});
@@ -0,0 +1,91 @@
+// =============================================================================
+// Navigation Utils Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  describeTransition,
+  shouldStartNewRoot,
+  classifyTabNavigation,
+  isFragmentOnlyChange,
+  matchesDomainList
+} from '../src/navigation-utils.js';
+import { createUrlSanitizer } from '../src/url-sanitizer.js';
+
+describe('Navigation Utils', () => {
+  describe('describeTransition', () => {
+    it('should label transitions with their qualifiers', () => {
+      expect(describeTransition('link')).toBe('Link');
+      expect(describeTransition('typed', ['from_address_bar'])).toBe('Typed URL (address bar)');
+      expect(describeTransition(null)).toBe('Unknown');
+    });
+
+    it('should pass through transitions and qualifiers it has no label for', () => {
+      expect(describeTransition('future_type', ['server_redirect', 'new_qualifier']))
+        .toBe('future_type (server redirect, new_qualifier)');
+      expect(describeTransition('link', null)).toBe('Link');
+    });
+  });
+
+  describe('shouldStartNewRoot', () => {
+    it('should start roots for typed URLs and bookmarks only when enabled', () => {
+      expect(shouldStartNewRoot({ transitionType: 'typed' }, true)).toBe(true);
+      expect(shouldStartNewRoot({ transitionType: 'auto_bookmark' }, true)).toBe(true);
+      expect(shouldStartNewRoot({ transitionType: 'link' }, true)).toBe(false);
+      expect(shouldStartNewRoot({ transitionType: 'typed' }, false)).toBe(false);
+      expect(shouldStartNewRoot(null, true)).toBe(false);
+    });
+
+    it('should keep back/forward navigations in place', () => {
+      const transition = { transitionType: 'typed', transitionQualifiers: ['forward_back'] };
+      expect(shouldStartNewRoot(transition, true)).toBe(false);
+      expect(shouldStartNewRoot({ transitionType: 'auto_bookmark', transitionQualifiers: ['forward_back'] }, true)).toBe(false);
+    });
+
+    it('should keep reloads, form submits and generated navigations in place', () => {
+      ['reload', 'form_submit', 'generated', 'keyword', 'auto_toplevel'].forEach(transitionType => {
+        expect(shouldStartNewRoot({ transitionType, transitionQualifiers: [] }, true)).toBe(false);
+      });
+    });
+  });
+
+  describe('classifyTabNavigation', () => {
+    it('should match sanitized tab URLs against stored nodes under custom rules', () => {
+      const sanitize = createUrlSanitizer({
+        deniedParams: ['session'],
+        pathScrubs: [{ pattern: '/users/[0-9]+', replacement: '/users/:id' }]
+      });
+      const history = [
+        { id: 'list', url: sanitize('https://app.test/users/7?session=a') },
+        { id: 'page', url: sanitize('https://app.test/users/7/posts?session=a') }
+      ];
+
+      // A reload and a back navigation with fresh raw URLs reuse the stored nodes
+      expect(classifyTabNavigation(history, sanitize('https://app.test/users/7/posts?session=b'))).toEqual({ type: 'same' });
+      expect(classifyTabNavigation(history, sanitize('https://app.test/users/8?session=c'))).toEqual({ type: 'back', index: 0 });
+      expect(classifyTabNavigation(history, 'https://app.test/users/7?session=c')).toEqual({ type: 'new' });
+      expect(classifyTabNavigation(history, sanitize('https://app.test/about'))).toEqual({ type: 'new' });
+    });
+  });
+
+  describe('isFragmentOnlyChange', () => {
+    it('should detect hash-only changes', () => {
+      expect(isFragmentOnlyChange('https://mail.google.com/#inbox', 'https://mail.google.com/#sent')).toBe(true);
+      expect(isFragmentOnlyChange('https://example.com/a', 'https://example.com/a#top')).toBe(true);
+      expect(isFragmentOnlyChange('https://example.com/a', 'https://example.com/b')).toBe(false);
+      expect(isFragmentOnlyChange('https://example.com/a#x', 'https://example.com/a#x')).toBe(false);
+      expect(isFragmentOnlyChange('invalid-url', 'https://example.com')).toBe(false);
+    });
+  });
+
+  describe('matchesDomainList', () => {
+    it('should match exact hosts and subdomains only', () => {
+      const domains = ['google.com'];
+      expect(matchesDomainList('https://google.com/', domains)).toBe(true);
+      expect(matchesDomainList('https://mail.google.com/', domains)).toBe(true);
+      expect(matchesDomainList('https://notgoogle.com/', domains)).toBe(false);
+      expect(matchesDomainList('https://google.com.example.org/', domains)).toBe(false);
+      expect(matchesDomainList('https://google.com/', [])).toBe(false);
+    });
+  });
+});
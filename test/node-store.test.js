@@ -0,0 +1,87 @@
+// =============================================================================
+// Node Store Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  nodeToRecord,
+  treeToRecords,
+  recordsToTree
+} from '../src/node-store.js';
+
+describe('Node Store', () => {
+  const sampleTabTree = {
+    '1-1640995200000': {
+      id: '1-1640995200000',
+      tabId: 1,
+      url: 'https://github.com/user/repo',
+      title: 'GitHub Repository',
+      createdAt: 1640995200000,
+      closedAt: null,
+      children: [
+        {
+          id: '1-1640995260000',
+          tabId: 1,
+          url: 'https://docs.python.org/3/',
+          title: 'Python Docs',
+          createdAt: 1640995260000,
+          closedAt: null,
+          children: []
+        }
+      ]
+    }
+  };
+
+  describe('nodeToRecord', () => {
+    it('should drop children and add parentId and domain', () => {
+      const record = nodeToRecord(sampleTabTree['1-1640995200000'].children[0], '1-1640995200000');
+
+      expect(record.children).toBeUndefined();
+      expect(record.parentId).toBe('1-1640995200000');
+      expect(record.domain).toBe('docs.python.org');
+      expect(record.title).toBe('Python Docs');
+    });
+  });
+
+  describe('treeToRecords', () => {
+    it('should flatten every node with its parent id', () => {
+      const records = treeToRecords(sampleTabTree);
+
+      expect(records).toHaveLength(2);
+      expect(records[0].parentId).toBeNull();
+      expect(records[1].parentId).toBe('1-1640995200000');
+    });
+
+    it('should assign ids to nodes that have none', () => {
+      const records = treeToRecords({ a: { url: 'https://example.com', children: [] } });
+      expect(records[0].id).toBeTruthy();
+    });
+
+    it('should handle null/undefined input', () => {
+      expect(treeToRecords(null)).toEqual([]);
+      expect(treeToRecords(undefined)).toEqual([]);
+    });
+  });
+
+  describe('recordsToTree', () => {
+    it('should round-trip a tree through records', () => {
+      const tree = recordsToTree(treeToRecords(sampleTabTree));
+      expect(tree).toEqual(sampleTabTree);
+    });
+
+    it('should order children by creation time', () => {
+      const records = [
+        { id: 'root', createdAt: 1, parentId: null },
+        { id: 'late', createdAt: 30, parentId: 'root' },
+        { id: 'early', createdAt: 20, parentId: 'root' }
+      ];
+      const tree = recordsToTree(records);
+      expect(tree.root.children.map(child => child.id)).toEqual(['early', 'late']);
+    });
+
+    it('should promote orphaned records to roots', () => {
+      const tree = recordsToTree([{ id: 'orphan', createdAt: 1, parentId: 'missing' }]);
+      expect(Object.keys(tree)).toEqual(['orphan']);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+// =============================================================================
+// Node Visibility Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  createVisibilityState,
+  serializeVisibilityState,
+  countDescendants,
+  findNodePath,
+  applyNodeVisibility,
+  revealNode
+} from '../src/node-visibility.js';
+
+// Viewer hierarchy: Root > a > (b > c, d), e
+const leaf = id => ({ name: id, url: '', data: { id }, children: [] });
+const buildTree = () => ({
+  name: 'Root',
+  data: null,
+  children: [
+    {
+      name: 'a',
+      url: '',
+      data: { id: 'a' },
+      children: [{ name: 'b', url: '', data: { id: 'b' }, children: [leaf('c')] }, leaf('d')]
+    },
+    leaf('e')
+  ]
+});
+
+const names = node => [node.name, ...node.children.flatMap(names)];
+
+describe('Node Visibility', () => {
+  describe('createVisibilityState', () => {
+    it('should round-trip through its stored form and drop invalid entries', () => {
+      const state = createVisibilityState({ collapsed: ['a', 3], hidden: 'b', focusedId: 'e' });
+      expect([...state.collapsed]).toEqual(['a']);
+      expect(state.hidden.size).toBe(0);
+      expect(serializeVisibilityState(state)).toEqual({ collapsed: ['a'], hidden: [], focusedId: 'e' });
+      expect(createVisibilityState(undefined).focusedId).toBeNull();
+    });
+  });
+
+  describe('findNodePath', () => {
+    it('should return the chain from the root to a node', () => {
+      expect(findNodePath(buildTree(), 'c').map(node => node.name)).toEqual(['Root', 'a', 'b', 'c']);
+      expect(findNodePath(buildTree(), 'missing')).toBeNull();
+      expect(countDescendants(buildTree())).toBe(5);
+    });
+  });
+
+  describe('applyNodeVisibility', () => {
+    it('should fold collapsed branches and count what they contain', () => {
+      const tree = buildTree();
+      const { root, collapsedNodes } = applyNodeVisibility(tree, createVisibilityState({ collapsed: ['a', 'e'] }));
+      expect(names(root)).toEqual(['Root', 'a', 'e']);
+      expect(root.children[0]).toMatchObject({ childCount: 2, collapsedCount: 3 });
+      // Leaves have nothing to collapse
+      expect(collapsedNodes).toBe(1);
+      expect(tree.children[0].children).toHaveLength(2);
+    });
+
+    it('should drop hidden branches', () => {
+      const { root, hiddenCount } = applyNodeVisibility(buildTree(), createVisibilityState({ hidden: ['b'] }));
+      expect(names(root)).toEqual(['Root', 'a', 'd', 'e']);
+      expect(root.children[0].childCount).toBe(2);
+      expect(hiddenCount).toBe(2);
+    });
+
+    it('should re-root on the focused node, or show everything if it is missing', () => {
+      const focused = applyNodeVisibility(buildTree(), createVisibilityState({ focusedId: 'b' }));
+      expect(names(focused.root)).toEqual(['b', 'c']);
+      expect(focused.focused.name).toBe('b');
+
+      const missing = applyNodeVisibility(buildTree(), createVisibilityState({ focusedId: 'gone' }));
+      expect(missing.focused).toBeNull();
+      expect(names(missing.root)).toHaveLength(6);
+    });
+  });
+
+  describe('revealNode', () => {
+    it('should expand ancestors, unhide the branch and drop a focus elsewhere', () => {
+      const state = createVisibilityState({ collapsed: ['a', 'c'], hidden: ['b'], focusedId: 'e' });
+      expect(revealNode(buildTree(), state, 'c')).toBe(true);
+      expect(serializeVisibilityState(state)).toEqual({ collapsed: ['c'], hidden: [], focusedId: null });
+      expect(revealNode(buildTree(), state, 'c')).toBe(false);
+    });
+
+    it('should keep a focus that contains the node', () => {
+      const state = createVisibilityState({ focusedId: 'a' });
+      expect(revealNode(buildTree(), state, 'c')).toBe(false);
+      expect(state.focusedId).toBe('a');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// =============================================================================
+// Recovery Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  createSnapshot,
+  attachSnapshotVisits,
+  readSnapshotVisits,
+  createTrashEntry,
+  readRecoveryTree,
+  selectExcessSnapshots,
+  selectExpiredTrash,
+  summarizeRecoveryEntry,
+  findBranchRoots
+} from '../src/recovery.js';
+import { RECOVERY, SCHEMA } from '../src/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const node = (id, children = []) => ({ id, title: `Page ${id}`, url: `https://example.com/${id}`, createdAt: 1, children });
+
+const buildTree = () => ({
+  a: node('a', [node('a1', [node('a2')])]),
+  b: node('b')
+});
+
+describe('Recovery', () => {
+  describe('createSnapshot', () => {
+    it('should compress the whole tree and describe it', async () => {
+      const tree = buildTree();
+      const snapshot = await createSnapshot(tree, 'clear', 1000);
+
+      expect(snapshot).toMatchObject({
+        id: 'snapshot-1000',
+        kind: 'snapshot',
+        createdAt: 1000,
+        reason: 'clear',
+        rootCount: 2,
+        nodeCount: 4,
+        bytes: snapshot.data.byteLength,
+        schemaVersion: SCHEMA.VERSION
+      });
+      expect(await readRecoveryTree(snapshot)).toEqual(tree);
+    });
+
+    it('should capture the tree before the caller changes it', async () => {
+      const tree = buildTree();
+      const pending = createSnapshot(tree, 'clear', 1000);
+      delete tree.a;
+      tree.b.title = 'changed';
+
+      expect(await readRecoveryTree(await pending)).toEqual(buildTree());
+    });
+
+    it('should keep visit records with the snapshot when given', async () => {
+      const visits = [{ nodeId: 'a', timestamp: 5, timeSpent: 1200 }];
+      const snapshot = await createSnapshot(buildTree(), 'clear', 1000);
+      const withVisits = await attachSnapshotVisits(snapshot, visits);
+
+      expect(withVisits.visitCount).toBe(1);
+      expect(await readSnapshotVisits(withVisits)).toEqual(visits);
+      expect(await readSnapshotVisits(snapshot)).toEqual([]);
+      expect(await attachSnapshotVisits(snapshot, [])).toBe(snapshot);
+      expect(summarizeRecoveryEntry(withVisits)).not.toHaveProperty('visitData');
+    });
+  });
+
+  it('should keep a deleted branch with the parent it was removed from', async () => {
+    const tree = buildTree();
+    const entry = await createTrashEntry(tree.a.children[0], 'a', 'age', 2000);
+
+    expect(summarizeRecoveryEntry(entry)).toEqual({
+      id: 'trash-a1-2000',
+      kind: 'trash',
+      createdAt: 2000,
+      reason: 'age',
+      nodeId: 'a1',
+      parentId: 'a',
+      title: 'Page a1',
+      url: 'https://example.com/a1',
+      nodeCount: 2,
+      bytes: entry.bytes,
+      schemaVersion: SCHEMA.VERSION,
+      label: 'Page a1'
+    });
+    expect(await readRecoveryTree(entry)).toEqual({ a1: buildTree().a.children[0] });
+  });
+
+  it('should label snapshots by the operation they precede', () => {
+    const label = reason => summarizeRecoveryEntry({ kind: 'snapshot', reason, data: new Uint8Array(1) }).label;
+    expect(label('import')).toBe(RECOVERY.REASON_LABELS.import);
+    expect(label('unknown')).toBe('Snapshot');
+  });
+
+  it('should drop the oldest snapshots beyond the limit', () => {
+    const snapshots = [3, 1, 4, 2].map(createdAt => ({ id: `s${createdAt}`, createdAt }));
+    expect(selectExcessSnapshots(snapshots, 2)).toEqual(['s2', 's1']);
+    expect(selectExcessSnapshots(snapshots, 10)).toEqual([]);
+  });
+
+  it('should purge trash entries older than the trash period', () => {
+    const now = 100 * DAY_MS;
+    const entries = [
+      { id: 'old', createdAt: now - 8 * DAY_MS },
+      { id: 'recent', createdAt: now - 6 * DAY_MS }
+    ];
+    expect(selectExpiredTrash(entries, 7, now)).toEqual(['old']);
+    expect(selectExpiredTrash(entries, 30, now)).toEqual([]);
+  });
+
+  it('should reduce deleted nodes to the roots of their branches', () => {
+    const parents = { a: null, a1: 'a', a2: 'a1', b1: 'b', c: null };
+    const getParentId = nodeId => parents[nodeId];
+
+    expect(findBranchRoots(['a2', 'a', 'a1', 'b1', 'c'], getParentId)).toEqual(['a', 'b1', 'c']);
+    expect(findBranchRoots(['a2'], getParentId)).toEqual(['a2']);
+  });
+});
@@ -0,0 +1,108 @@
+// =============================================================================
+// Redaction Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeRedactionProfile,
+  listRedactionProfiles,
+  isRedacting,
+  describeRedaction,
+  redactTree,
+  diffRedaction
+} from '../src/redaction.js';
+import { REDACTION } from '../src/constants.js';
+
+const buildTree = () => ({
+  a: {
+    id: 'a',
+    title: 'Inbox (3)',
+    url: 'https://mail.example.com/inbox?token=secret#msg-1',
+    groupTitle: 'Work',
+    topWords: [{ word: 'invoice', count: 4 }],
+    notes: 'Ask about the invoice',
+    tags: ['billing'],
+    children: [
+      { id: 'a1', title: 'Pricing', url: 'https://shop.test/pricing?ref=mail', children: [] }
+    ]
+  }
+});
+
+const profile = rules => normalizeRedactionProfile({ id: 'test', label: 'Test', rules });
+
+describe('Redaction', () => {
+  it('should list built-in and saved profiles without letting saved ones replace built-ins', () => {
+    const profiles = listRedactionProfiles([
+      { id: 'none', label: 'Sneaky', rules: { hashUrls: true } },
+      { id: 'custom-team', label: 'Team', rules: { stripQuery: true, redactTitleDomains: ['*.Example.com'] } },
+      { label: 'No id' }
+    ]);
+
+    expect(profiles.map(entry => entry.id)).toEqual([...REDACTION.PROFILES.map(entry => entry.id), 'custom-team']);
+    expect(profiles.find(entry => entry.id === 'none').rules.hashUrls).toBe(false);
+    expect(profiles.at(-1).rules.redactTitleDomains).toEqual(['example.com']);
+    expect(isRedacting(profiles[0])).toBe(false);
+    expect(isRedacting(profiles.at(-1))).toBe(true);
+  });
+
+  it('should strip query strings and fragments', async () => {
+    const { tabTree, redactedCount } = await redactTree(buildTree(), profile({ stripQuery: true }));
+
+    expect(tabTree.a.url).toBe('https://mail.example.com/inbox');
+    expect(tabTree.a.children[0].url).toBe('https://shop.test/pricing');
+    expect(tabTree.a.title).toBe('Inbox (3)');
+    expect(redactedCount).toBe(2);
+  });
+
+  it('should keep only domains and drop page content', async () => {
+    const { tabTree } = await redactTree(buildTree(), REDACTION.PROFILES.find(entry => entry.id === 'domains-only'));
+
+    expect(tabTree.a).toMatchObject({
+      url: 'https://mail.example.com/',
+      title: REDACTION.REDACTED_TITLE,
+      groupTitle: REDACTION.REDACTED_TITLE,
+      topWords: null,
+      notes: '',
+      tags: []
+    });
+  });
+
+  it('should hash URLs the same way for the same salt', async () => {
+    const hashed = profile({ hashUrls: true });
+    const first = (await redactTree(buildTree(), hashed, { salt: 'pepper' })).tabTree.a.url;
+    const again = (await redactTree(buildTree(), hashed, { salt: 'pepper' })).tabTree.a.url;
+    const otherSalt = (await redactTree(buildTree(), hashed, { salt: 'salt' })).tabTree.a.url;
+
+    expect(first).toMatch(new RegExp(`^${REDACTION.HASH_PREFIX}[0-9a-f]{${REDACTION.HASH_LENGTH}}$`));
+    expect(again).toBe(first);
+    expect(otherSalt).not.toBe(first);
+  });
+
+  it('should redact titles only on listed domains and their subdomains', async () => {
+    const { tabTree } = await redactTree(buildTree(), profile({ redactTitleDomains: ['example.com'] }));
+
+    expect(tabTree.a.title).toBe(REDACTION.REDACTED_TITLE);
+    expect(tabTree.a.url).toBe(buildTree().a.url);
+    expect(tabTree.a.children[0].title).toBe('Pricing');
+  });
+
+  it('should leave the original tree unchanged and list the differences', async () => {
+    const original = buildTree();
+    const { tabTree } = await redactTree(original, REDACTION.PROFILES.find(entry => entry.id === 'sharing'));
+    const diff = diffRedaction(original, tabTree, 2);
+
+    expect(original).toEqual(buildTree());
+    expect(diff.total).toBe(5);
+    expect(diff.counts).toEqual({ url: 2, topWords: 1, notes: 1, tags: 1 });
+    expect(diff.changes).toEqual([
+      { id: 'a', field: 'url', before: buildTree().a.url, after: 'https://mail.example.com/inbox' },
+      { id: 'a', field: 'topWords', before: 'invoice', after: '' }
+    ]);
+  });
+
+  it('should describe the profile for export metadata', () => {
+    const described = describeRedaction(profile({ hashUrls: true }));
+    expect(described).toEqual({ id: 'test', label: 'Test', rules: expect.objectContaining({ hashUrls: true }) });
+    expect(JSON.stringify(described)).not.toContain('salt');
+  });
+});
@@ -0,0 +1,155 @@
+// =============================================================================
+// Retention Policy Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeRetentionPolicy,
+  findDomainRule,
+  isExemptNode,
+  planRetention,
+  summarizeRetentionPlan
+} from '../src/retention.js';
+import { DATA } from '../src/constants.js';
+
+describe('Retention Policy', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = new Date(2024, 2, 10, 12, 0, 0).getTime();
+
+  const node = (id, url, createdAt, closedAt, children = [], extra = {}) => ({
+    id, url, title: id, createdAt, closedAt, children, ...extra
+  });
+
+  describe('normalizeRetentionPolicy', () => {
+    it('should fill in defaults', () => {
+      expect(normalizeRetentionPolicy({})).toEqual({
+        retentionDays: DATA.DEFAULT_RETENTION_DAYS,
+        maxTreeSize: DATA.MAX_TREE_SIZE,
+        domainRules: [],
+        exemptStarred: true,
+        exemptAnnotated: true
+      });
+    });
+
+    it('should drop malformed domain rules', () => {
+      const policy = normalizeRetentionPolicy({
+        dataRetentionDays: 7,
+        retentionDomainRules: [{ domain: 'Docs.Python.org', days: 365 }, { domain: '', days: 3 }, { domain: 'a.com', days: 0 }],
+        retentionExemptStarred: false
+      });
+      expect(policy.retentionDays).toBe(7);
+      expect(policy.domainRules).toEqual([{ domain: 'docs.python.org', days: 365 }]);
+      expect(policy.exemptStarred).toBe(false);
+    });
+  });
+
+  describe('findDomainRule', () => {
+    const rules = [{ domain: 'python.org', days: 90 }, { domain: 'docs.python.org', days: 365 }];
+
+    it('should prefer the most specific matching domain', () => {
+      expect(findDomainRule('https://docs.python.org/3/', rules).days).toBe(365);
+      expect(findDomainRule('https://www.python.org/', rules).days).toBe(90);
+    });
+
+    it('should not match unrelated or invalid URLs', () => {
+      expect(findDomainRule('https://notpython.org/', rules)).toBeNull();
+      expect(findDomainRule('not a url', rules)).toBeNull();
+    });
+  });
+
+  describe('isExemptNode', () => {
+    it('should exempt starred and annotated nodes only when enabled', () => {
+      const policy = normalizeRetentionPolicy({});
+      expect(isExemptNode({ starred: true }, policy)).toBe(true);
+      expect(isExemptNode({ notes: 'read later' }, policy)).toBe(true);
+      expect(isExemptNode({ tags: ['work'] }, policy)).toBe(true);
+      expect(isExemptNode({ notes: '  ', tags: [] }, policy)).toBe(false);
+      expect(isExemptNode({ starred: true }, { ...policy, exemptStarred: false })).toBe(false);
+    });
+  });
+
+  describe('planRetention', () => {
+    it('should expire old closed nodes and keep open ones', () => {
+      const tabTree = {
+        old: node('old', 'https://a.com/', now - 40 * DAY, now - 40 * DAY),
+        open: node('open', 'https://b.com/', now - 40 * DAY, null),
+        recent: node('recent', 'https://c.com/', now - 2 * DAY, now - DAY)
+      };
+      const plan = planRetention(tabTree, normalizeRetentionPolicy({}), now);
+      expect(plan.expired.map(entry => entry.id)).toEqual(['old']);
+      expect(plan.remainingNodes).toBe(2);
+    });
+
+    it('should keep an expired parent while a child is kept', () => {
+      const tabTree = {
+        parent: node('parent', 'https://a.com/', now - 40 * DAY, now - 40 * DAY, [
+          node('child', 'https://a.com/x', now - 40 * DAY, now - 2 * DAY)
+        ])
+      };
+      const plan = planRetention(tabTree, normalizeRetentionPolicy({}), now);
+      expect(plan.expired).toEqual([]);
+    });
+
+    it('should apply per-domain rules', () => {
+      const tabTree = {
+        docs: node('docs', 'https://docs.python.org/', now - 100 * DAY, now - 100 * DAY),
+        social: node('social', 'https://facebook.com/', now - 2 * DAY, now - 2 * DAY)
+      };
+      const policy = normalizeRetentionPolicy({
+        retentionDomainRules: [{ domain: 'docs.python.org', days: 365 }, { domain: 'facebook.com', days: 1 }]
+      });
+      const plan = planRetention(tabTree, policy, now);
+      expect(plan.expired).toHaveLength(1);
+      expect(plan.expired[0]).toMatchObject({ id: 'social', reason: 'domainRule', ruleDomain: 'facebook.com' });
+    });
+
+    it('should never expire exempt nodes', () => {
+      const tabTree = {
+        starred: node('starred', 'https://a.com/', now - 90 * DAY, now - 90 * DAY, [], { starred: true })
+      };
+      const plan = planRetention(tabTree, normalizeRetentionPolicy({}), now);
+      expect(plan.expired).toEqual([]);
+      expect(plan.exemptCount).toBe(1);
+    });
+
+    it('should remove the oldest closed subtrees when over the size limit', () => {
+      const tabTree = {
+        first: node('first', 'https://a.com/', now - 3 * DAY, now - DAY, [
+          node('first-child', 'https://a.com/x', now - 3 * DAY, now - DAY)
+        ]),
+        second: node('second', 'https://b.com/', now - 2 * DAY, now - DAY),
+        open: node('open', 'https://c.com/', now - 5 * DAY, null)
+      };
+      const plan = planRetention(tabTree, normalizeRetentionPolicy({ maxTreeSize: 2 }), now);
+      expect(plan.excess.map(entry => entry.id)).toEqual(['first']);
+      expect(plan.remainingNodes).toBe(2);
+    });
+
+    it('should cap the tree size when unclosed nodes are no longer in a tab', () => {
+      const tabTree = Object.fromEntries(Array.from({ length: 20 }, (_, index) => [
+        `stale-${index}`, node(`stale-${index}`, 'https://a.com/', now - (20 - index) * DAY, null)
+      ]));
+      const policy = normalizeRetentionPolicy({ maxTreeSize: 5 });
+
+      expect(planRetention(tabTree, policy, now).remainingNodes).toBe(20);
+      const plan = planRetention(tabTree, policy, now, new Set(['stale-0']));
+      expect(plan.remainingNodes).toBe(5);
+      expect(plan.excess).toHaveLength(15);
+      expect(plan.excess.map(entry => entry.id)).not.toContain('stale-0');
+    });
+  });
+
+  describe('summarizeRetentionPlan', () => {
+    it('should count deletions and group them by domain', () => {
+      const tabTree = {
+        a: node('a', 'https://a.com/1', now - 40 * DAY, now - 40 * DAY),
+        b: node('b', 'https://a.com/2', now - 40 * DAY, now - 40 * DAY),
+        c: node('c', 'https://c.com/', now - 40 * DAY, now - 40 * DAY)
+      };
+      const summary = summarizeRetentionPlan(planRetention(tabTree, normalizeRetentionPolicy({}), now), 1);
+      expect(summary.deletedNodeCount).toBe(3);
+      expect(summary.topDomains).toEqual([{ domain: 'a.com', count: 2 }]);
+      expect(summary.samples).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// =============================================================================
+// Schema Migrations Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  MIGRATIONS,
+  normalizeSchemaVersion,
+  migrateTree,
+  migrateExport
+} from '../src/schema-migrations.js';
+import { SCHEMA, ERROR_MESSAGES } from '../src/constants.js';
+
+const runStep = (version, tabTree) => MIGRATIONS.find(step => step.version === version).migrate(tabTree);
+
+// A 1.0 save: no ids, no dwell or navigation fields, topWords as pairs
+const buildLegacyTree = () => ({
+  tab1: {
+    tabId: 1,
+    title: 'Docs',
+    url: 'https://docs.python.org/',
+    createdAt: 100,
+    topWords: [['python', 4], ['docs', 2]],
+    children: [{ tabId: 1, title: 'Tutorial', url: 'https://docs.python.org/tutorial', createdAt: 200 }]
+  }
+});
+
+describe('Schema Migrations', () => {
+  it('should end at the current schema version', () => {
+    expect(Math.max(...MIGRATIONS.map(step => step.version))).toBe(SCHEMA.VERSION);
+  });
+
+  it('should treat missing or invalid versions as unversioned', () => {
+    expect(normalizeSchemaVersion(undefined)).toBe(SCHEMA.UNVERSIONED);
+    expect(normalizeSchemaVersion('2')).toBe(2);
+    expect(normalizeSchemaVersion(-1)).toBe(SCHEMA.UNVERSIONED);
+  });
+
+  describe('step 2', () => {
+    it('should add ids, children and tracking fields and key roots by id', () => {
+      const tabTree = runStep(2, buildLegacyTree());
+      const [root] = Object.values(tabTree);
+
+      expect(Object.keys(tabTree)).toEqual([root.id]);
+      expect(root.children[0]).toMatchObject({
+        closedAt: null,
+        timeSpent: 0,
+        visitCount: 0,
+        transitionType: null,
+        transitionQualifiers: [],
+        children: []
+      });
+      expect(root.children[0].id).not.toBe(root.id);
+    });
+
+    it('should keep values that are already there', () => {
+      const tabTree = runStep(2, { 'n-1': { id: 'n-1', title: 'a', timeSpent: 500, closedAt: 9, children: [] } });
+      expect(tabTree['n-1']).toMatchObject({ timeSpent: 500, closedAt: 9 });
+    });
+  });
+
+  describe('step 3', () => {
+    it('should convert topWords to { word, count } entries', () => {
+      const tabTree = runStep(3, {
+        a: { id: 'a', topWords: [['python', 4], 'docs', { word: 'api', count: 2 }, 7], children: [] },
+        b: { id: 'b', topWords: 'broken', children: [] }
+      });
+      expect(tabTree.a.topWords).toEqual([
+        { word: 'python', count: 4 },
+        { word: 'docs', count: 1 },
+        { word: 'api', count: 2 }
+      ]);
+      expect(tabTree.b.topWords).toBeNull();
+    });
+  });
+
+  describe('migrateTree', () => {
+    it('should run only the steps after the given version, in order', () => {
+      const calls = [];
+      const steps = [3, 2].map(version => ({ version, migrate: tree => (calls.push(version), tree) }));
+
+      expect(migrateTree({}, 1, steps).applied).toEqual([2, 3]);
+      expect(migrateTree({}, 2, steps).applied).toEqual([3]);
+      expect(migrateTree({}, 3, steps).applied).toEqual([]);
+      expect(calls).toEqual([2, 3, 3]);
+    });
+
+    it('should refuse data from a newer version', () => {
+      expect(() => migrateTree({}, SCHEMA.VERSION + 1)).toThrow(ERROR_MESSAGES.SCHEMA_TOO_NEW);
+    });
+  });
+
+  describe('migrateExport', () => {
+    it('should upgrade files with metadata and record the new version', () => {
+      const file = { metadata: { version: '1.0', exportDate: '2024-01-01' }, tabTree: buildLegacyTree() };
+      const upgraded = migrateExport(file);
+
+      expect(upgraded.metadata).toEqual({ version: '1.0', exportDate: '2024-01-01', schemaVersion: SCHEMA.VERSION });
+      expect(Object.values(upgraded.tabTree)[0].topWords).toEqual([
+        { word: 'python', count: 4 },
+        { word: 'docs', count: 2 }
+      ]);
+    });
+
+    it('should leave current files alone and keep bare trees bare', () => {
+      const current = { metadata: { schemaVersion: SCHEMA.VERSION }, tabTree: { a: { id: 'a', topWords: [['x', 1]] } } };
+      expect(migrateExport(current).tabTree.a.topWords).toEqual([['x', 1]]);
+
+      const bare = migrateExport(buildLegacyTree());
+      expect(bare.metadata).toBeUndefined();
+      expect(Object.values(bare)[0].id).toBeTruthy();
+    });
+  });
+});
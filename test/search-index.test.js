@@ -0,0 +1,101 @@
+// =============================================================================
+// Search Index Test Suite
+// =============================================================================
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  tokenize,
+  parseSearchQuery,
+  isEmptyQuery,
+  SearchIndex,
+  buildAncestorPath
+} from '../src/search-index.js';
+
+describe('Search Index', () => {
+  describe('tokenize', () => {
+    it('should lowercase and split on punctuation, skipping URL noise', () => {
+      expect(tokenize('https://www.GitHub.com/user/Repo-Name')).toEqual(['github', 'com', 'user', 'repo', 'name']);
+      expect(tokenize('a b cd')).toEqual(['cd']);
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('should parse operators, phrases and terms', () => {
+      const query = parseSearchQuery('react domain:GitHub.com is:open "state management" after:2024-03-01 before:2024-04-01');
+      expect(query.terms).toEqual(['react']);
+      expect(query.domains).toEqual(['github.com']);
+      expect(query.status).toBe('open');
+      expect(query.phrases).toEqual(['state management']);
+      expect(query.after).toBe(new Date(2024, 2, 1).getTime());
+      expect(query.before).toBe(new Date(2024, 3, 1).getTime());
+      expect(query.invalid).toEqual([]);
+    });
+
+    it('should report operators it does not understand', () => {
+      const query = parseSearchQuery('before:yesterday is:pinned after:2024-02-31');
+      expect(query.invalid).toEqual(['before:yesterday', 'is:pinned', 'after:2024-02-31']);
+      expect(isEmptyQuery(query)).toBe(true);
+    });
+  });
+
+  describe('SearchIndex', () => {
+    const march = new Date(2024, 2, 10).getTime();
+    const april = new Date(2024, 3, 10).getTime();
+    let index;
+
+    beforeEach(() => {
+      index = new SearchIndex();
+      index.addNode({ id: 'a', title: 'React hooks guide', url: 'https://react.dev/learn', createdAt: march, closedAt: march + 1 });
+      index.addNode({ id: 'b', title: 'Issue tracker', url: 'https://github.com/facebook/react/issues', createdAt: april });
+      index.addNode({
+        id: 'c',
+        title: 'Weekly notes',
+        url: 'https://docs.example.com/notes',
+        createdAt: april,
+        notes: 'Compare state management libraries',
+        tags: ['research'],
+        topWords: [{ word: 'redux', count: 4 }]
+      });
+    });
+
+    it('should rank title matches above URL matches', () => {
+      const results = index.search(parseSearchQuery('react'));
+      expect(results.map(result => result.id)).toEqual(['a', 'b']);
+    });
+
+    it('should match prefixes, notes, tags and top words', () => {
+      expect(index.search(parseSearchQuery('hoo')).map(result => result.id)).toEqual(['a']);
+      expect(index.search(parseSearchQuery('research redux')).map(result => result.id)).toEqual(['c']);
+      expect(index.search(parseSearchQuery('"state management"')).map(result => result.id)).toEqual(['c']);
+    });
+
+    it('should apply domain, date and status filters', () => {
+      expect(index.search(parseSearchQuery('react domain:github.com')).map(result => result.id)).toEqual(['b']);
+      expect(index.search(parseSearchQuery('react before:2024-04-01')).map(result => result.id)).toEqual(['a']);
+      expect(index.search(parseSearchQuery('is:closed')).map(result => result.id)).toEqual(['a']);
+      expect(index.search(parseSearchQuery('is:open after:2024-04-10')).map(result => result.id).sort()).toEqual(['b', 'c']);
+    });
+
+    it('should reindex updated nodes and forget removed ones', () => {
+      index.addNode({ id: 'a', title: 'Vue guide', url: 'https://vuejs.org/', createdAt: march });
+      expect(index.search(parseSearchQuery('hooks'))).toEqual([]);
+      expect(index.search(parseSearchQuery('vue')).map(result => result.id)).toEqual(['a']);
+
+      index.removeNode('b');
+      expect(index.search(parseSearchQuery('issue'))).toEqual([]);
+      expect(index.size).toBe(2);
+      expect(index.postings.has('tracker')).toBe(false);
+    });
+  });
+
+  describe('buildAncestorPath', () => {
+    it('should list ancestors from the root down', () => {
+      const parents = { c: { id: 'b', title: 'Parent' }, b: { id: 'a', url: 'https://root.example' } };
+      expect(buildAncestorPath('c', nodeId => parents[nodeId] || null)).toEqual([
+        { id: 'a', title: 'https://root.example' },
+        { id: 'b', title: 'Parent' }
+      ]);
+    });
+  });
+});
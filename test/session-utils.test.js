@@ -0,0 +1,111 @@
+// =============================================================================
+// Session Utils Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  createSessionId,
+  segmentRootsByGap,
+  summarizeSessions,
+  resolveSessionScope,
+  filterTreeBySessions,
+  getSessionIds,
+  describeSession
+} from '../src/session-utils.js';
+
+describe('Session Utils', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = new Date(2024, 2, 10, 12, 0, 0).getTime();
+  const yesterday = now - 24 * HOUR;
+
+  const sessions = [
+    { id: 'session-old', startedAt: yesterday, endedAt: yesterday + HOUR, reason: 'startup' },
+    { id: 'session-new', startedAt: now - HOUR, endedAt: null, reason: 'idle' }
+  ];
+
+  const sampleTabTree = {
+    a: {
+      id: 'a',
+      url: 'https://github.com/user/repo',
+      createdAt: yesterday,
+      sessionId: 'session-old',
+      children: [
+        { id: 'a1', url: 'https://github.com/user/other', createdAt: yesterday + 1000, children: [] },
+        { id: 'a2', url: 'https://docs.python.org/3/', createdAt: now - 1000, sessionId: 'session-new', children: [] }
+      ]
+    },
+    b: {
+      id: 'b',
+      url: 'https://example.com',
+      createdAt: now - HOUR,
+      sessionId: 'session-new',
+      children: []
+    }
+  };
+
+  describe('segmentRootsByGap', () => {
+    it('should start a new segment after the idle gap', () => {
+      const roots = [{ createdAt: 0 }, { createdAt: 10 }, { createdAt: 100 }];
+      const segments = segmentRootsByGap(roots, 50);
+      expect(segments).toHaveLength(2);
+      expect(segments[0].roots).toHaveLength(2);
+      expect(segments[0].endedAt).toBe(10);
+      expect(segments[1].startedAt).toBe(100);
+    });
+  });
+
+  describe('summarizeSessions', () => {
+    it('should count nodes, inheriting the session of the nearest ancestor', () => {
+      const summaries = summarizeSessions(sampleTabTree, sessions);
+      const old = summaries.find(summary => summary.id === 'session-old');
+      const current = summaries.find(summary => summary.id === 'session-new');
+
+      expect(old.nodeCount).toBe(2);
+      expect(old.rootCount).toBe(1);
+      expect(old.dominantDomains[0]).toEqual({ domain: 'github.com', count: 2 });
+      expect(current.nodeCount).toBe(2);
+      expect(current.lastActivityAt).toBe(now - 1000);
+    });
+
+    it('should list newest sessions first and skip sessions without nodes', () => {
+      const summaries = summarizeSessions(sampleTabTree, [
+        ...sessions,
+        { id: createSessionId(1), startedAt: 1, endedAt: 2 }
+      ]);
+      expect(summaries.map(summary => summary.id)).toEqual(['session-new', 'session-old']);
+    });
+  });
+
+  describe('resolveSessionScope', () => {
+    it('should resolve named scopes to session ids', () => {
+      expect(resolveSessionScope('all', sessions, 'session-new', now)).toBeNull();
+      expect([...resolveSessionScope('current', sessions, 'session-new', now)]).toEqual(['session-new']);
+      expect([...resolveSessionScope('yesterday', sessions, 'session-new', now)]).toEqual(['session-old']);
+      expect([...resolveSessionScope('today', sessions, 'session-new', now)]).toEqual(['session-new']);
+      expect(resolveSessionScope('last7days', sessions, 'session-new', now).size).toBe(2);
+      expect([...resolveSessionScope('session:session-old', sessions, null, now)]).toEqual(['session-old']);
+    });
+  });
+
+  describe('filterTreeBySessions', () => {
+    it('should keep trees with any node in scope', () => {
+      expect(Object.keys(filterTreeBySessions(sampleTabTree, new Set(['session-new'])))).toEqual(['a', 'b']);
+      expect(Object.keys(filterTreeBySessions(sampleTabTree, new Set(['session-old'])))).toEqual(['a']);
+      expect(filterTreeBySessions(sampleTabTree, null)).toBe(sampleTabTree);
+    });
+  });
+
+  describe('getSessionIds', () => {
+    it('should collect every session id in the tree', () => {
+      expect([...getSessionIds(sampleTabTree)].sort()).toEqual(['session-new', 'session-old']);
+    });
+  });
+
+  describe('describeSession', () => {
+    it('should mention node count and dominant domains', () => {
+      const label = describeSession(summarizeSessions(sampleTabTree, sessions)[1]);
+      expect(label).toContain('2 nodes');
+      expect(label).toContain('github.com');
+    });
+  });
+});
@@ -4,6 +4,12 @@
 
 import { vi } from 'vitest';
 
+// History items for the chrome.history mock: [{ url, title, visits: [...] }]
+let historyFixture = [];
+global.setHistoryFixture = items => {
+  historyFixture = items;
+};
+
 // Mock Chrome Extension APIs
 global.chrome = {
   runtime: {
@@ -64,7 +70,21 @@ global.chrome = {
   action: {
     setBadgeText: vi.fn(),
     setBadgeBackgroundColor: vi.fn()
-  }
+  },
+
+  // Optional permission used by the history backfill; tests load visits
+  // with setHistoryFixture
+  history: /** @type {any} */ ({
+    search: vi.fn(async ({ startTime = 0, endTime = Infinity } = {}) => historyFixture
+      .filter(item => item.visits.some(visit => visit.visitTime >= startTime && visit.visitTime <= endTime))
+      .map(({ visits: _visits, ...item }) => item)),
+    getVisits: vi.fn(async ({ url }) => historyFixture.find(item => item.url === url)?.visits || [])
+  }),
+
+  permissions: /** @type {any} */ ({
+    contains: vi.fn(async () => true),
+    request: vi.fn(async () => true)
+  })
 };
 
 // Mock D3.js for tests that don't need full D3 functionality
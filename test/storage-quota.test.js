@@ -0,0 +1,94 @@
+// =============================================================================
+// Storage Quota Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  summarizeUsage,
+  isQuotaError,
+  formatBytes,
+  compressJson,
+  decompressJson,
+  selectArchiveRoots,
+  createArchive,
+  readArchive,
+  summarizeArchive
+} from '../src/storage-quota.js';
+import { SCHEMA } from '../src/constants.js';
+
+const node = (id, createdAt, closedAt, children = []) => ({ id, title: id, createdAt, closedAt, children });
+
+// Closed tree last active at 300, closed tree last active at 150, open tree
+const buildTree = () => ({
+  a: node('a', 100, 200, [node('a1', 110, 300)]),
+  b: node('b', 50, 150),
+  c: node('c', 10, null, [node('c1', 20, 30)])
+});
+
+describe('Storage Quota', () => {
+  describe('summarizeUsage', () => {
+    it('should warn when either store crosses the threshold', () => {
+      const local = summarizeUsage({ localBytes: 850, localQuota: 1000, originBytes: 10, originQuota: 1000 });
+      expect(local.ratio).toBeCloseTo(0.85);
+      expect(local.warning).toBe(true);
+
+      const origin = summarizeUsage({ localBytes: 100, localQuota: 1000, originBytes: 500, originQuota: 1000 });
+      expect(origin.ratio).toBeCloseTo(0.5);
+      expect(origin.warning).toBe(false);
+    });
+
+    it('should ignore a store whose quota is unknown', () => {
+      const usage = summarizeUsage({ localBytes: 100, localQuota: 1000 });
+      expect(usage.ratio).toBeCloseTo(0.1);
+      expect(usage.originQuota).toBe(0);
+    });
+  });
+
+  it('should recognize quota errors from IndexedDB and chrome.storage', () => {
+    expect(isQuotaError(new DOMException('full', 'QuotaExceededError'))).toBe(true);
+    expect(isQuotaError(new Error('QUOTA_BYTES quota exceeded'))).toBe(true);
+    expect(isQuotaError(new Error('Transaction aborted'))).toBe(false);
+    expect(isQuotaError(null)).toBe(false);
+  });
+
+  it('should format byte counts', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(10485760)).toBe('10.0 MB');
+  });
+
+  it('should round-trip JSON through gzip', async () => {
+    const value = { tabTree: { a: { title: 'x'.repeat(1000) } } };
+    const bytes = await compressJson(value);
+    expect(bytes.byteLength).toBeLessThan(JSON.stringify(value).length);
+    expect(await decompressJson(bytes)).toEqual(value);
+  });
+
+  describe('selectArchiveRoots', () => {
+    it('should pick closed trees, least recently active first', () => {
+      expect(selectArchiveRoots(buildTree(), 1).map(root => root.id)).toEqual(['b']);
+      expect(selectArchiveRoots(buildTree(), 2).map(root => root.id)).toEqual(['b', 'a']);
+      // Trees with an open tab are never archived
+      expect(selectArchiveRoots(buildTree(), 100).map(root => root.id)).toEqual(['b', 'a']);
+    });
+  });
+
+  describe('createArchive', () => {
+    it('should compress whole trees and describe them', async () => {
+      const tree = buildTree();
+      const archive = await createArchive([tree.b, tree.a], 1000);
+
+      expect(summarizeArchive(archive)).toEqual({
+        id: 'archive-1000',
+        archivedAt: 1000,
+        rootCount: 2,
+        nodeCount: 3,
+        firstCreatedAt: 50,
+        lastActivityAt: 300,
+        bytes: archive.data.byteLength,
+        schemaVersion: SCHEMA.VERSION
+      });
+      expect(await readArchive(archive)).toEqual({ b: tree.b, a: tree.a });
+    });
+  });
+});
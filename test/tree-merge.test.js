@@ -0,0 +1,71 @@
+// =============================================================================
+// Tree Merge Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import { isSameVisit, planMerge, describeMergeSummary } from '../src/tree-merge.js';
+
+const node = (id, url, createdAt, children = []) => ({ id, title: id, url, createdAt, children });
+
+const buildExisting = () => ({
+  a: node('a', 'https://a.com/', 1000, [node('a1', 'https://a.com/1', 2000)])
+});
+
+describe('Tree Merge', () => {
+  it('should treat the same URL opened close together as one visit', () => {
+    expect(isSameVisit(node('x', 'https://a.com/', 1000), node('y', 'https://a.com/', 2500), 2000)).toBe(true);
+    expect(isSameVisit(node('x', 'https://a.com/', 1000), node('y', 'https://a.com/', 5000), 2000)).toBe(false);
+    expect(isSameVisit(node('x', 'https://a.com/', 1000), node('y', 'https://b.com/', 1000), 2000)).toBe(false);
+    expect(isSameVisit({ url: 'https://a.com/' }, { url: 'https://a.com/', createdAt: 1 }, 2000)).toBe(false);
+  });
+
+  it('should skip duplicates and merge their children under the existing node', () => {
+    const incoming = {
+      a: node('a', 'https://a.com/', 1000, [
+        node('other-id', 'https://a.com/1', 2500),
+        node('a2', 'https://a.com/2', 3000, [node('a3', 'https://a.com/3', 4000)])
+      ])
+    };
+    const { additions, summary } = planMerge(buildExisting(), incoming);
+
+    expect(summary).toEqual({ added: 2, skipped: 2, conflicts: 0 });
+    expect(additions).toHaveLength(1);
+    expect(additions[0].parentId).toBe('a');
+    expect(additions[0].node.id).toBe('a2');
+    expect(additions[0].node.children.map(child => child.id)).toEqual(['a3']);
+  });
+
+  it('should rename ids taken by a different node and relink their children', () => {
+    const incoming = {
+      a: node('a', 'https://elsewhere.com/', 9000, [node('b1', 'https://elsewhere.com/1', 9100)])
+    };
+    const { additions, summary, remappedIds } = planMerge(buildExisting(), incoming);
+
+    expect(summary).toEqual({ added: 2, skipped: 0, conflicts: 1 });
+    expect(remappedIds).toEqual({ a: 'a-merged-1' });
+    expect(additions[0]).toMatchObject({ parentId: null, node: { id: 'a-merged-1', url: 'https://elsewhere.com/' } });
+    expect(additions[0].node.children[0].id).toBe('b1');
+  });
+
+  it('should leave both trees unchanged', () => {
+    const existing = buildExisting();
+    const incoming = { b: node('b', 'https://b.com/', 5000, [node('b1', 'https://b.com/1', 6000)]) };
+    planMerge(existing, incoming);
+
+    expect(existing).toEqual(buildExisting());
+    expect(incoming.b.children).toHaveLength(1);
+  });
+
+  it('should skip everything when a file is merged twice', () => {
+    const incoming = { b: node('b', 'https://b.com/', 5000, [node('b1', 'https://b.com/1', 6000)]) };
+    const { additions } = planMerge(buildExisting(), incoming);
+    const merged = { ...buildExisting(), b: additions[0].node };
+
+    expect(planMerge(merged, incoming).summary).toEqual({ added: 0, skipped: 2, conflicts: 0 });
+  });
+
+  it('should describe a summary', () => {
+    expect(describeMergeSummary({ added: 3, skipped: 2, conflicts: 1 }))
+      .toBe('3 added, 2 skipped as duplicates, 1 conflicting id renamed');
+  });
+});
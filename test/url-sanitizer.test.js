@@ -0,0 +1,100 @@
+// =============================================================================
+// URL Sanitizer Test Suite
+// =============================================================================
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSanitizerRules,
+  compileSanitizer,
+  applySanitizer,
+  createUrlSanitizer,
+  sanitizeTreeUrls
+} from '../src/url-sanitizer.js';
+import { SANITIZER } from '../src/constants.js';
+
+const TOKEN = 'abcdefghijklmnopqrstuvwxyz0123';
+
+describe('URL Sanitizer', () => {
+  it('should remove the default sensitive parameters and token-like values', () => {
+    const sanitize = createUrlSanitizer();
+
+    expect(sanitize(`https://example.com/a?q=tree&token=1&sid=2&ref=${TOKEN}`))
+      .toBe('https://example.com/a?q=tree');
+    expect(sanitize('not a url')).toBe('not a url');
+  });
+
+  it('should remove every matching parameter, not every other one', () => {
+    const sanitize = createUrlSanitizer();
+    expect(sanitize('https://example.com/?token=1&key=2&pass=3&keep=4')).toBe('https://example.com/?keep=4');
+  });
+
+  it('should keep allowed parameters over the token heuristic but not over the deny list', () => {
+    const compiled = compileSanitizer({ deniedParams: ['Secret'], allowedParams: ['ref', 'secret'] });
+    const result = applySanitizer(`https://example.com/?ref=${TOKEN}&secret=x&other=${TOKEN}`, compiled);
+
+    expect(result.url).toBe(`https://example.com/?ref=${TOKEN}`);
+    expect(result.removed).toEqual([
+      { param: 'secret', reason: 'denied' },
+      { param: 'other', reason: 'token-like value' }
+    ]);
+  });
+
+  it('should let the most specific domain rule override the global lists', () => {
+    const compiled = compileSanitizer({
+      deniedParams: ['id'],
+      domainRules: [
+        { domain: 'google.com', deniedParams: ['usp'] },
+        { domain: '*.docs.google.com', allowedParams: ['id'], stripTokenLikeValues: false }
+      ]
+    });
+
+    expect(applySanitizer(`https://a.docs.google.com/d?id=1&usp=x&t=${TOKEN}`, compiled).url)
+      .toBe(`https://a.docs.google.com/d?id=1&usp=x&t=${TOKEN}`);
+    expect(applySanitizer('https://mail.google.com/?id=1&usp=x', compiled).removed).toEqual([
+      { param: 'id', reason: 'denied' },
+      { param: 'usp', reason: 'denied on google.com' }
+    ]);
+  });
+
+  it('should scrub path parts with regexes, optionally per domain', () => {
+    const compiled = compileSanitizer({
+      deniedParams: [],
+      pathScrubs: [
+        { pattern: '/users/[0-9]+', replacement: '/users/:id' },
+        { domain: 'shop.test', pattern: '[0-9a-f]{8}-[0-9a-f-]{27}', flags: 'gi' }
+      ]
+    });
+    const uuid = '1B4E28BA-2FA1-11D2-883F-0016D3CCA427';
+
+    expect(applySanitizer('https://example.com/users/42/posts', compiled)).toEqual({
+      url: 'https://example.com/users/:id/posts',
+      removed: [],
+      scrubbed: ['//users/[0-9]+/g']
+    });
+    expect(applySanitizer(`https://shop.test/order/${uuid}`, compiled).url)
+      .toBe(`https://shop.test/order/${SANITIZER.DEFAULT_REPLACEMENT}`);
+    expect(applySanitizer(`https://other.test/order/${uuid}`, compiled).url)
+      .toBe(`https://other.test/order/${uuid}`);
+  });
+
+  it('should drop invalid rules and report them', () => {
+    const { rules, errors } = normalizeSanitizerRules({
+      domainRules: [{ allowedParams: ['a'] }, { domain: 'Example.com' }],
+      pathScrubs: [{ pattern: '(' }, { pattern: 'x', flags: 'q' }, { pattern: 'ok' }]
+    });
+
+    expect(rules.domainRules.map(rule => rule.domain)).toEqual(['example.com']);
+    expect(rules.pathScrubs.map(scrub => scrub.pattern)).toEqual(['ok']);
+    expect(rules.stripTokenLikeValues).toBe(true);
+    expect(errors).toHaveLength(3);
+  });
+
+  it('should sanitize every URL of a stored tree in place', () => {
+    const child = { id: 'b', url: 'https://example.com/b?token=1', children: [] };
+    const tabTree = { a: { id: 'a', url: 'https://example.com/a?q=1', children: [child, { id: 'c', url: '', children: [] }] } };
+
+    expect(sanitizeTreeUrls(tabTree, createUrlSanitizer())).toEqual([child]);
+    expect(child.url).toBe('https://example.com/b');
+    expect(tabTree.a.url).toBe('https://example.com/a?q=1');
+  });
+});
@@ -0,0 +1,74 @@
+// =============================================================================
+// Annotation Panel - notes, tags and star section of the node details panels
+// =============================================================================
+
+import { escapeHtml, hasAnnotations, renderNotes } from '../../src/annotation-utils.js';
+
+/**
+ * HTML for the annotation part of a details panel
+ * @param {Object} node - Tree node (or enhanced node) with optional notes, tags and starred
+ * @param {boolean} editing - Show the edit form instead of the read-only view
+ * @returns {string} - HTML
+ */
+export function renderAnnotationSection(node, editing = false) {
+  if (editing) {
+    return `
+      <form class="node-details-section annotation-form">
+        <label><input type="checkbox" name="starred" ${node.starred ? 'checked' : ''}> Star</label>
+        <label>Tags (comma separated)
+          <input type="text" name="tags" value="${escapeHtml((node.tags || []).join(', '))}">
+        </label>
+        <label>Notes (markdown)
+          <textarea name="notes" rows="6">${escapeHtml(node.notes || '')}</textarea>
+        </label>
+        <div class="annotation-actions">
+          <button type="submit">Save</button>
+          <button type="button" data-action="cancel">Cancel</button>
+        </div>
+      </form>
+    `;
+  }
+
+  if (!hasAnnotations(node)) {
+    return '<div class="node-details-section annotation-hint">Right-click to add notes and tags</div>';
+  }
+
+  const tags = (node.tags || [])
+    .map(tag => `<span class="annotation-tag">#${escapeHtml(tag)}</span>`)
+    .join(' ');
+  return `
+    <div class="node-details-section annotations">
+      ${node.starred ? '<strong class="annotation-star">★ Starred</strong><br>' : ''}
+      ${tags ? `<div>${tags}</div>` : ''}
+      ${node.notes ? `<div class="annotation-notes">${renderNotes(node.notes)}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Wire up the edit form rendered by renderAnnotationSection
+ * @param {HTMLElement} panel - Details panel element containing the form
+ * @param {Object} handlers - { onSave(annotations), onClose() }
+ */
+export function bindAnnotationForm(panel, { onSave, onClose }) {
+  const form = /** @type {HTMLFormElement|null} */ (panel.querySelector('.annotation-form'));
+  if (!form) return;
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const fields = new FormData(form);
+    onSave({
+      starred: fields.get('starred') === 'on',
+      tags: String(fields.get('tags') || ''),
+      notes: String(fields.get('notes') || '')
+    });
+  });
+  form.querySelector('[data-action="cancel"]')?.addEventListener('click', () => onClose());
+  form.addEventListener('keydown', (/** @type {KeyboardEvent} */ event) => {
+    // Keep viewer shortcuts from firing while typing
+    event.stopPropagation();
+    if (event.key === 'Escape') onClose();
+  });
+
+  /** @type {HTMLTextAreaElement|null} */ (form.querySelector('textarea'))?.focus();
+}
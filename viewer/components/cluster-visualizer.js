@@ -5,6 +5,11 @@
 import { groupNodesByDomain } from '../../src/domain-utils.js';
 import { buildDomainConnections } from '../../src/connection-mapper.js';
 import { createEnhancedNodeCollection } from '../../src/enhanced-node.js';
+import { describeTransition } from '../../src/navigation-utils.js';
+import { formatDuration, getMaxTimeSpent, dwellSizeFactor } from '../../src/dwell-utils.js';
+import { describeContext } from '../../src/context-utils.js';
+import { getAnnotationBadges, escapeHtml } from '../../src/annotation-utils.js';
+import { renderAnnotationSection, bindAnnotationForm } from './annotation-panel.js';
 import { ClusterBoundaryManager } from './cluster-boundaries.js';
 
 export class ClusterVisualizer {
@@ -22,6 +27,9 @@ export class ClusterVisualizer {
       enableClustering: true,
       showDomainBoundaries: true,
       animationDuration: 750,
+      nodeRadius: 8,
+      sizeByTimeSpent: false,
+      onAnnotate: null, // async (nodeId, annotations) => saved annotations
       ...options
     };
 
@@ -30,6 +38,9 @@ export class ClusterVisualizer {
     this.connections = null;
     this.enhancedNodes = null;
     this.simulation = null;
+    this.maxTimeSpent = 0;
+    this.collisionForce = null;
+    this.zoom = null;
     this.nodes = [];
     this.links = [];
 
@@ -49,6 +60,7 @@ export class ClusterVisualizer {
 
     // Add property for details panel (like tree view)
     this.detailsPanel = null;
+    this.annotatingNode = null; // node whose annotation editor is open
 
     this.init();
   }
@@ -76,6 +88,7 @@ export class ClusterVisualizer {
     // Create enhanced nodes
     this.enhancedNodes = createEnhancedNodeCollection(this.originalData);
     console.log(`Created ${this.enhancedNodes.size} enhanced nodes`);
+    this.maxTimeSpent = getMaxTimeSpent(this.originalData);
 
     // Prepare nodes and links for D3 simulation
     this.prepareSimulationData();
@@ -170,6 +183,7 @@ export class ClusterVisualizer {
       });
 
     this.svg.call(zoom);
+    this.zoom = zoom;
 
     // Initialize boundary manager
     this.boundaryManager = new ClusterBoundaryManager(this.clustersGroup, {
@@ -230,8 +244,10 @@ export class ClusterVisualizer {
   }
 
   // Reuse tree view's updateDetailsPanel logic
-  updateDetailsPanel(d, event) {
+  updateDetailsPanel(d, event, editing = false) {
     console.log('updateDetailsPanel called with:', d ? d.title : 'null');
+    // Keep the annotation editor open while the pointer moves over other nodes
+    if (this.annotatingNode && !editing) return;
 
     if (!d) {
       this.detailsPanel.style('display', 'none');
@@ -259,6 +275,9 @@ export class ClusterVisualizer {
         <strong>Domain:</strong> ${d.domain || 'Unknown'}<br>
         <strong>Created:</strong> ${createdAt}<br>
         <strong>Closed:</strong> ${closedAt}
+        ${d.transitionType ? `<br><strong>Reached by:</strong> ${escapeHtml(describeTransition(d.transitionType, d.transitionQualifiers))}` : ''}
+        ${describeContext(d) ? `<br><strong>Context:</strong> ${escapeHtml(describeContext(d))}` : ''}
+        ${d.visitMetrics?.totalTimeSpent ? `<br><strong>Time spent:</strong> ${formatDuration(d.visitMetrics.totalTimeSpent)} (${d.visitMetrics.visitCount} ${d.visitMetrics.visitCount === 1 ? 'visit' : 'visits'})` : ''}
       </div>
 
       ${d.topWords ? `
@@ -272,7 +291,16 @@ export class ClusterVisualizer {
           </div>
         </div>
       ` : ''}
+
+      ${renderAnnotationSection(d, editing)}
     `);
+    this.detailsPanel.classed('pinned', editing);
+    if (editing) {
+      bindAnnotationForm(this.detailsPanel.node(), {
+        onSave: annotations => this.saveAnnotations(d, annotations),
+        onClose: () => this.closeAnnotationEditor()
+      });
+    }
 
     // Position the panel near the cursor (same logic as tree view)
     const [x, y] = d3.pointer(event, this.container);
@@ -297,6 +325,9 @@ export class ClusterVisualizer {
   }
 
   setupSimulation() {
+    this.collisionForce = d3.forceCollide()
+      .radius(d => this.getCollisionRadius(d));
+
     // Create force simulation
     this.simulation = d3.forceSimulation(this.nodes)
       .force('link', d3.forceLink(this.links)
@@ -309,8 +340,7 @@ export class ClusterVisualizer {
         this.options.width / 2, 
         this.options.height / 2)
         .strength(this.options.centerStrength))
-      .force('collision', d3.forceCollide()
-        .radius(this.options.collisionRadius))
+      .force('collision', this.collisionForce)
       .force('cluster', this.clusterForce())
       .on('tick', () => this.onTick())
       .on('end', () => this.onSimulationEnd());
@@ -430,7 +460,7 @@ export class ClusterVisualizer {
 
     // Add circles with events attached directly (like tree.js)
     nodesEnter.append('circle')
-      .attr('r', 8)
+      .attr('r', d => this.getNodeRadius(d))
       .attr('fill', d => d.domainColor)
       .attr('stroke', d => d.url ? '#1a73e8' : '#fff') // Blue stroke for clickable nodes
       .attr('stroke-width', 2)
@@ -445,7 +475,7 @@ export class ClusterVisualizer {
         d3.select(event.currentTarget)
           .transition()
           .duration(200)
-          .attr('r', 12);
+          .attr('r', this.getNodeRadius(d) * 1.5);
         // Show tooltip
         this.showNodeTooltip(event, d);
       })
@@ -463,7 +493,7 @@ export class ClusterVisualizer {
         d3.select(event.currentTarget)
           .transition()
           .duration(200)
-          .attr('r', 8);
+          .attr('r', this.getNodeRadius(d));
         // Hide tooltip
         this.hideNodeTooltip();
       })
@@ -476,6 +506,10 @@ export class ClusterVisualizer {
         } else {
           console.log('CLUSTER no URL to open');
         }
+      })
+      .on('contextmenu', (event, d) => {
+        event.preventDefault();
+        this.openAnnotationEditor(d, event);
       });
 
     // Add labels with pointer-events: none so they don't block mouse events
@@ -487,8 +521,17 @@ export class ClusterVisualizer {
       .style('pointer-events', 'none') // Allow mouse events to pass through to circle
       .text(d => d.title ? d.title.substring(0, 10) + '...' : '');
 
+    // Star, notes and tag badges above the node
+    nodesEnter.append('text')
+      .attr('class', 'node-badges')
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '10px')
+      .attr('fill', '#e37400')
+      .style('pointer-events', 'none');
+
     // Merge new and existing nodes and add drag functionality to groups
     const allNodes = nodes.merge(nodesEnter);
+    this.updateNodeBadges(allNodes);
     console.log('CLUSTER allNodes count after merge:', allNodes.size());
 
     // Add drag functionality to the group elements (not the circles)
@@ -557,7 +600,7 @@ export class ClusterVisualizer {
           d3.select(event.currentTarget).select('circle')
             .transition()
             .duration(200)
-            .attr('r', 12);
+            .attr('r', self.getNodeRadius(d) * 1.5);
 
           // Show tooltip (if implemented)
           self.showNodeTooltip(event, d);
@@ -576,7 +619,7 @@ export class ClusterVisualizer {
           d3.select(event.currentTarget).select('circle')
             .transition()
             .duration(200)
-            .attr('r', 8);
+            .attr('r', self.getNodeRadius(d));
 
           // Hide tooltip
           self.hideNodeTooltip();
@@ -595,6 +638,70 @@ export class ClusterVisualizer {
     };
   }
 
+  // Refresh the annotation badges of a node selection
+  updateNodeBadges(selection = this.nodesGroup.selectAll('.node')) {
+    selection.select('.node-badges')
+      .attr('y', d => -(this.getNodeRadius(d) + 4))
+      .text(d => getAnnotationBadges(d).join(' '));
+  }
+
+  // The svg, zoom scale and domain color legend used by Export image
+  getImageExportSource() {
+    const nodes = this.nodes || [];
+    const domains = new Map();
+    nodes.forEach(node => {
+      const entry = domains.get(node.domain) || { color: node.domainColor, count: 0 };
+      entry.count++;
+      domains.set(node.domain, entry);
+    });
+    return {
+      svg: this.svg?.node() || null,
+      scale: this.currentZoom?.k || 1,
+      label: 'Cluster view',
+      nodeCount: nodes.length,
+      legendItems: [...domains.entries()]
+        .sort((a, b) => b[1].count - a[1].count)
+        .map(([domain, entry]) => ({ color: entry.color, label: `${domain} (${entry.count})` }))
+    };
+  }
+
+  // Center the view on a node and highlight it, e.g. for a search result
+  // Returns false if the node is not in the current view
+  focusNode(nodeId) {
+    const target = this.nodesGroup.selectAll('.node').filter(d => d.id === nodeId);
+    if (target.empty() || !this.zoom) return false;
+
+    const d = target.datum();
+    this.nodesGroup.selectAll('circle').classed('search-focus', false);
+    target.select('circle').classed('search-focus', true);
+    this.svg.transition()
+      .duration(this.options.animationDuration)
+      .call(this.zoom.translateTo, d.x, d.y);
+    return true;
+  }
+
+  // Pin the details panel with the notes, tags and star editor
+  openAnnotationEditor(d, event) {
+    if (!d?.id || !this.options.onAnnotate) return;
+    this.annotatingNode = d;
+    this.updateDetailsPanel(d, event, true);
+  }
+
+  closeAnnotationEditor() {
+    this.annotatingNode = null;
+    this.detailsPanel.classed('pinned', false).style('display', 'none');
+  }
+
+  async saveAnnotations(d, annotations) {
+    try {
+      Object.assign(d, await this.options.onAnnotate(d.id, annotations));
+      this.closeAnnotationEditor();
+      this.updateNodeBadges();
+    } catch (error) {
+      console.error('Failed to save annotations:', error);
+    }
+  }
+
   showNodeTooltip(event, d) {
     console.log('showNodeTooltip called for:', d.title);
     // Use the same updateDetailsPanel method as tree view
@@ -632,6 +739,31 @@ export class ClusterVisualizer {
     this.simulation.alpha(0.3).restart();
   }
 
+  // Circle radius, optionally grown by time spent
+  getNodeRadius(d) {
+    const factor = this.options.sizeByTimeSpent
+      ? dwellSizeFactor(d.visitMetrics?.totalTimeSpent, this.maxTimeSpent)
+      : 1;
+    return this.options.nodeRadius * factor;
+  }
+
+  // Keep larger nodes from overlapping their neighbours
+  getCollisionRadius(d) {
+    return this.options.collisionRadius * this.getNodeRadius(d) / this.options.nodeRadius;
+  }
+
+  // Toggle sizing nodes by recorded foreground time
+  setSizeByTimeSpent(enabled) {
+    this.options.sizeByTimeSpent = enabled;
+    this.nodesGroup.selectAll('circle')
+      .transition()
+      .duration(300)
+      .attr('r', d => this.getNodeRadius(d));
+    // Setting the radius again makes the force re-read every node's radius
+    this.collisionForce.radius(d => this.getCollisionRadius(d));
+    this.simulation.alpha(0.3).restart();
+  }
+
   toggleDomainBoundaries(show) {
     this.options.showDomainBoundaries = show;
     if (show) {
@@ -1,6 +1,14 @@
+import { SESSIONS, FEATURES, SCHEMA, EXPORT, IMAGE_EXPORT, INCOGNITO, RECOVERY } from '../../src/constants.js';
+import { describeSession, getSessionIds, summarizeSessions } from '../../src/session-utils.js';
+import { formatBytes } from '../../src/storage-quota.js';
+import { listExportFormats, exportTree } from '../../src/exporters.js';
+import { serializeVisualization, rasterizeSvg, canvasToBlob, canvasToPdf } from '../../src/image-export.js';
+import { isRedacting, redactTree, describeRedaction } from '../../src/redaction.js';
+
 export class ViewerControls {
   constructor(viewer) {
     this.viewer = viewer;
+    this.deleteArmTimer = null; // Delete archive waiting for its confirming click
     this.setupEventListeners();
     this.setupKeyboardShortcuts();
   }
@@ -43,6 +51,17 @@ export class ViewerControls {
         }
       }
     });
+
+    document.getElementById('toggleTimeSize')?.addEventListener('click', () => {
+      const controller = this.viewer.viewModeController;
+      if (controller) {
+        controller.setSizeByTimeSpent(!controller.options.sizeByTimeSpent);
+        const button = document.getElementById('toggleTimeSize');
+        if (button) {
+          button.textContent = controller.options.sizeByTimeSpent ? 'Uniform Size' : 'Size by Time';
+        }
+      }
+    });
     // Toggle layout button
     document.getElementById('toggleLayout')?.addEventListener('click', () => {
       this.viewer.toggleLayout();
@@ -63,6 +82,7 @@ export class ViewerControls {
 
     // Add save/load functionality to viewer
     this.setupSaveLoadControls();
+    this.setupContextControls();
   }
 
   setupKeyboardShortcuts() {
@@ -129,91 +149,409 @@ export class ViewerControls {
       loadButton.textContent = 'Load (Ctrl+O)';
       loadButton.addEventListener('click', () => this.loadTreeFile());
 
-      const fileInput = document.createElement('input');
-      fileInput.type = 'file';
-      fileInput.accept = '.json';
-      fileInput.style.display = 'none';
-      fileInput.id = 'treeFileInput';
-      fileInput.addEventListener('change', (e) => this.handleFileLoad(e));
-
       controlsDiv.appendChild(saveButton);
       controlsDiv.appendChild(loadButton);
-      controlsDiv.appendChild(fileInput);
+    }
+
+    if (controlsDiv && !document.getElementById('exportTree')) {
+      const formatSelect = document.createElement('select');
+      formatSelect.id = 'exportFormat';
+      formatSelect.title = 'Format to export the tree in';
+      listExportFormats().forEach(format => {
+        const optionEl = document.createElement('option');
+        optionEl.value = format.id;
+        optionEl.textContent = format.label;
+        formatSelect.appendChild(optionEl);
+      });
+
+      const scopeSelect = document.createElement('select');
+      scopeSelect.id = 'exportScope';
+      scopeSelect.title = 'Export every tree, what the view shows, or one tree';
+      // Trees come and go, so the list is refreshed when it is opened
+      scopeSelect.addEventListener('focus', () => this.updateExportScopeOptions());
+
+      const exportButton = document.createElement('button');
+      exportButton.id = 'exportTree';
+      exportButton.textContent = 'Export';
+      exportButton.addEventListener('click', () => this.exportCurrentTree());
+
+      controlsDiv.appendChild(formatSelect);
+      controlsDiv.appendChild(scopeSelect);
+      controlsDiv.appendChild(exportButton);
+      this.updateExportScopeOptions();
+    }
+
+    if (controlsDiv && !document.getElementById('exportImage')) {
+      const imageFormatSelect = document.createElement('select');
+      imageFormatSelect.id = 'imageFormat';
+      imageFormatSelect.title = 'Picture format and resolution';
+      IMAGE_EXPORT.FORMATS.forEach(format => {
+        const optionEl = document.createElement('option');
+        optionEl.value = format.value;
+        optionEl.textContent = format.label;
+        imageFormatSelect.appendChild(optionEl);
+      });
+
+      const legendLabel = document.createElement('label');
+      legendLabel.title = 'Add a legend below the picture';
+      const legendToggle = document.createElement('input');
+      legendToggle.type = 'checkbox';
+      legendToggle.id = 'imageLegend';
+      legendToggle.checked = true;
+      legendLabel.append(legendToggle, ' Legend');
+
+      const imageButton = document.createElement('button');
+      imageButton.id = 'exportImage';
+      imageButton.textContent = 'Export image';
+      imageButton.addEventListener('click', () => this.exportImage());
+
+      controlsDiv.appendChild(imageFormatSelect);
+      controlsDiv.appendChild(legendLabel);
+      controlsDiv.appendChild(imageButton);
+      this.updateImageExportState();
     }
   }
 
+  // Pictures are drawn from the view, which shows full titles and URLs, so
+  // image export is off while a redaction profile is active
+  updateImageExportState() {
+    const imageButton = /** @type {HTMLButtonElement|null} */ (document.getElementById('exportImage'));
+    if (!imageButton) return;
+    const redacting = isRedacting(this.viewer.redactionPanel?.getProfile());
+    imageButton.disabled = redacting;
+    imageButton.title = redacting
+      ? 'Off while a redaction profile is active: pictures show full titles and URLs. Use Export for a redacted file.'
+      : '';
+  }
+
+  // Refill the export scope with the fixed scopes and each tree, keeping the
+  // current choice if that tree still exists
+  updateExportScopeOptions() {
+    const scopeSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('exportScope'));
+    if (!scopeSelect) return;
+
+    const selected = scopeSelect.value || 'all';
+    scopeSelect.innerHTML = '';
+    const options = [
+      ...EXPORT.SCOPES.map(scope => ({ value: scope, label: EXPORT.SCOPE_LABELS[scope] })),
+      ...Object.values(this.viewer.rawTabTree || {}).filter(Boolean).map(root => ({
+        value: `root:${root.id}`,
+        label: `Tree: ${root.title || root.url || root.id}`
+      }))
+    ];
+    options.forEach(option => {
+      const optionEl = document.createElement('option');
+      optionEl.value = option.value;
+      optionEl.textContent = option.label;
+      scopeSelect.appendChild(optionEl);
+    });
+    scopeSelect.value = options.some(option => option.value === selected) ? selected : 'all';
+  }
+
+  // Export as an outline, table or graph file. These formats carry no
+  // passphrase, so encrypted history is exported in the clear.
+  async exportCurrentTree() {
+    const formatSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('exportFormat'));
+    const scopeSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('exportScope'));
+    try {
+      const { tabTree, redaction } = await this.redactForExport(this.viewer.getExportTree(scopeSelect?.value || 'all'));
+      const redacted = redaction ? ` (redacted: ${redaction.label})` : '';
+      const result = exportTree(tabTree, formatSelect?.value || 'opml', {
+        title: `Tab Tree ${new Date().toLocaleDateString()}${redacted}`
+      });
+      if (result.nodeCount === 0) {
+        this.showNotification('Nothing to export', 'info');
+        return;
+      }
+
+      this.downloadFile(new Blob([result.content], { type: result.mimeType }), result.fileName);
+      this.showNotification(`Exported ${result.nodeCount} nodes`, 'success');
+    } catch (error) {
+      console.error('Failed to export tree:', error);
+      this.showNotification(`Failed to export tree: ${error.message}`, 'error');
+    }
+  }
+
+  // Export a picture of the whole tree or cluster view, not just the part
+  // in view, at the current zoom level's text size
+  async exportImage() {
+    if (isRedacting(this.viewer.redactionPanel?.getProfile())) {
+      this.showNotification('Image export is off while a redaction profile is active: pictures show full titles and URLs', 'info');
+      return;
+    }
+    const formatSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('imageFormat'));
+    const legendToggle = /** @type {HTMLInputElement|null} */ (document.getElementById('imageLegend'));
+    const source = this.viewer.viewModeController?.currentVisualizer?.getImageExportSource?.();
+    if (!source?.svg || source.nodeCount === 0) {
+      this.showNotification('Nothing to export', 'info');
+      return;
+    }
+
+    try {
+      const [format, scaleText] = (formatSelect?.value || 'svg').split(':');
+      const scale = Number(scaleText) || 1;
+      const image = serializeVisualization(source.svg, {
+        scale: source.scale,
+        legend: legendToggle?.checked ? {
+          title: 'Tab Tree',
+          lines: [`${source.label}, ${source.nodeCount} nodes, exported ${new Date().toLocaleString()}`],
+          items: source.legendItems
+        } : null,
+        getStyle: element => window.getComputedStyle(element)
+      });
+      const fileName = `${EXPORT.FILE_PREFIX}-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+
+      if (format === 'svg') {
+        this.downloadFile(new Blob([image.svgText], { type: 'image/svg+xml' }), fileName);
+        this.showNotification('Image exported', 'success');
+        return;
+      }
+
+      const raster = await rasterizeSvg(image, scale);
+      let message = 'Image exported';
+      if (format === 'pdf') {
+        const pdf = await canvasToPdf(raster.canvas, raster.scale);
+        this.downloadFile(pdf.blob, fileName);
+        message = `Image exported on ${pdf.pageCount} page${pdf.pageCount === 1 ? '' : 's'}`;
+      } else {
+        this.downloadFile(await canvasToBlob(raster.canvas), fileName);
+      }
+      if (raster.scale < scale) message += ' (at a lower resolution: the tree is too large for the chosen one)';
+      this.showNotification(message, 'success');
+    } catch (error) {
+      console.error('Failed to export image:', error);
+      this.showNotification(`Failed to export image: ${error.message}`, 'error');
+    }
+  }
+
+  // Apply the Redact panel's profile to a tree about to be saved or exported
+  async redactForExport(tabTree) {
+    const panel = this.viewer.redactionPanel;
+    const profile = panel?.getProfile();
+    if (!profile || !isRedacting(profile)) return { tabTree, redaction: null };
+
+    const result = await redactTree(tabTree, profile, { salt: panel.salt });
+    return { tabTree: result.tabTree, redaction: describeRedaction(profile) };
+  }
+
+  downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  setupContextControls() {
+    // Add window/group lane and filter selects if they don't exist
+    const controlsDiv = document.getElementById('controls');
+    if (controlsDiv && (FEATURES.ENABLE_STORAGE_ARCHIVING || FEATURES.ENABLE_RECOVERY) && !document.getElementById('treeSource')) {
+      const sourceSelect = document.createElement('select');
+      sourceSelect.id = 'treeSource';
+      sourceSelect.title = 'Browse the live history, trees archived to save space, a previewed snapshot or the incognito tree';
+      sourceSelect.addEventListener('change', () => this.viewer.setTreeSource(sourceSelect.value));
+      // The incognito tree grows and ends while the viewer is open
+      sourceSelect.addEventListener('focus', () => this.viewer.loadIncognitoStatus());
+      controlsDiv.appendChild(sourceSelect);
+
+      // Shown while an archive is open; clearing the tree keeps archives
+      const deleteButton = document.createElement('button');
+      deleteButton.id = 'deleteArchive';
+      deleteButton.textContent = 'Delete archive';
+      deleteButton.title = 'Delete the open archive for good';
+      deleteButton.addEventListener('click', () => this.confirmDeleteArchive());
+      controlsDiv.appendChild(deleteButton);
+      this.updateArchiveOptions([]);
+    }
+
+    if (controlsDiv && !document.getElementById('sessionScope')) {
+      const sessionSelect = document.createElement('select');
+      sessionSelect.id = 'sessionScope';
+      sessionSelect.title = 'Show only trees from some browsing sessions';
+      sessionSelect.addEventListener('change', () => this.viewer.setSessionScope(sessionSelect.value));
+      controlsDiv.appendChild(sessionSelect);
+      this.updateSessionOptions([]);
+    }
+
+    if (controlsDiv && !document.getElementById('contextLanes')) {
+      const laneSelect = document.createElement('select');
+      laneSelect.id = 'contextLanes';
+      laneSelect.title = 'Arrange trees in lanes by window or tab group';
+      [
+        { value: 'none', label: 'No lanes' },
+        { value: 'window', label: 'Lanes by window' },
+        { value: 'group', label: 'Lanes by group' }
+      ].forEach(option => {
+        const optionEl = document.createElement('option');
+        optionEl.value = option.value;
+        optionEl.textContent = option.label;
+        laneSelect.appendChild(optionEl);
+      });
+      laneSelect.addEventListener('change', () => this.viewer.setLaneMode(laneSelect.value));
+
+      const filterSelect = document.createElement('select');
+      filterSelect.id = 'contextFilter';
+      filterSelect.title = 'Show only trees from one window or tab group';
+      filterSelect.addEventListener('change', () => this.viewer.setContextFilter(filterSelect.value));
+
+      controlsDiv.appendChild(laneSelect);
+      controlsDiv.appendChild(filterSelect);
+      this.updateContextOptions([]);
+    }
+  }
+
+  // Refill the window/group filter, keeping the current choice if it still exists
+  updateContextOptions(contexts) {
+    const filterSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('contextFilter'));
+    if (!filterSelect) return;
+
+    const selected = this.viewer.contextFilter || 'all';
+    filterSelect.innerHTML = '';
+    [{ key: 'all', label: 'All windows and groups' }, ...contexts].forEach(context => {
+      const optionEl = document.createElement('option');
+      optionEl.value = context.key;
+      const label = context.by === 'group' ? `Group: ${context.label}` : context.label;
+      optionEl.textContent = context.count ? `${label} (${context.count})` : label;
+      filterSelect.appendChild(optionEl);
+    });
+    filterSelect.value = contexts.some(context => context.key === selected) ? selected : 'all';
+  }
+
+  // Refill the session scope selector with fixed scopes and recorded sessions
+  updateSessionOptions(sessions) {
+    const sessionSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('sessionScope'));
+    if (!sessionSelect) return;
+
+    const selected = this.viewer.sessionScope || 'all';
+    sessionSelect.innerHTML = '';
+    const options = [
+      ...SESSIONS.SCOPES.map(scope => ({ value: scope, label: SESSIONS.SCOPE_LABELS[scope] })),
+      ...sessions.map(session => ({ value: `session:${session.id}`, label: describeSession(session) }))
+    ];
+    options.forEach(option => {
+      const optionEl = document.createElement('option');
+      optionEl.value = option.value;
+      optionEl.textContent = option.label;
+      sessionSelect.appendChild(optionEl);
+    });
+    sessionSelect.value = options.some(option => option.value === selected) ? selected : 'all';
+  }
+
+  // Refill the source selector with the live history, stored archives and
+  // the snapshot or trashed branch being previewed
+  updateArchiveOptions(archives) {
+    const sourceSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('treeSource'));
+    if (!sourceSelect) return;
+
+    sourceSelect.innerHTML = '';
+    const options = [
+      { value: 'live', label: 'Live history' },
+      ...archives.map(archive => ({
+        value: `archive:${archive.id}`,
+        label: `Archive ${new Date(archive.archivedAt).toLocaleDateString()}: ` +
+          `${archive.nodeCount} nodes, ${formatBytes(archive.bytes)}`
+      }))
+    ];
+    const previewing = /^(snapshot|trash):/.test(this.viewer.treeSource || '');
+    if (previewing) {
+      options.push({ value: this.viewer.treeSource, label: `Preview: ${this.viewer.treeSourceLabel || 'recovered tree'}` });
+    }
+    const incognito = this.viewer.incognitoStatus;
+    const showIncognito = incognito?.nodeCount > 0 || this.viewer.treeSource === INCOGNITO.SOURCE;
+    if (showIncognito) {
+      options.push({
+        value: INCOGNITO.SOURCE,
+        label: `Incognito: ${incognito?.nodeCount || 0} nodes` +
+          (incognito?.policy === 'ephemeral' ? ' (until the last incognito window closes)' : '')
+      });
+    }
+    options.forEach(option => {
+      const optionEl = document.createElement('option');
+      optionEl.value = option.value;
+      optionEl.textContent = option.label;
+      sourceSelect.appendChild(optionEl);
+    });
+    sourceSelect.hidden = archives.length === 0 && !previewing && !showIncognito;
+    sourceSelect.value = this.viewer.treeSource || 'live';
+
+    const deleteButton = document.getElementById('deleteArchive');
+    if (deleteButton) deleteButton.hidden = !(this.viewer.treeSource || '').startsWith('archive:');
+  }
+
+  // Deleting an archive can't be undone, so it needs a second click within a few seconds
+  confirmDeleteArchive() {
+    const deleteButton = document.getElementById('deleteArchive');
+    if (!this.deleteArmTimer) {
+      deleteButton.textContent = 'Click again to delete';
+      this.deleteArmTimer = setTimeout(() => this.disarmDeleteArchive(), RECOVERY.CONFIRM_TIMEOUT);
+      return;
+    }
+    this.disarmDeleteArchive();
+    this.viewer.deleteArchive(this.viewer.treeSource.slice('archive:'.length));
+  }
+
+  disarmDeleteArchive() {
+    clearTimeout(this.deleteArmTimer);
+    this.deleteArmTimer = null;
+    const deleteButton = document.getElementById('deleteArchive');
+    if (deleteButton) deleteButton.textContent = 'Delete archive';
+  }
+
   async saveCurrentTree() {
     try {
-      // Get current tree data from the viewer
-      const treeData = this.viewer.data;
+      // Export the selected sessions, including nodes hidden by window/group filters
+      const { tabTree: treeData, redaction } = await this.redactForExport(this.viewer.getSessionScopedTree());
+      const exportedSessionIds = getSessionIds(treeData);
+      let sessions = this.viewer.sessions.filter(session => exportedSessionIds.has(session.id));
+      // Session summaries list their top domains, so they are rebuilt from the redacted tree
+      if (redaction) sessions = summarizeSessions(treeData, sessions);
 
       // Create enhanced export data
       const exportData = {
         metadata: {
           version: '1.0',
+          schemaVersion: SCHEMA.VERSION,
           exportDate: new Date().toISOString(),
           exportTimestamp: Date.now(),
           exportedFrom: 'viewer',
           layout: this.viewer.currentLayout,
+          sessionScope: this.viewer.sessionScope,
+          sessions,
+          redaction,
           extensionVersion: this.getExtensionVersion()
         },
         tabTree: treeData,
         exportedBy: 'TabTreeTracker'
       };
 
-      const blob = new Blob([JSON.stringify(exportData, null, 2)], {
+      const fileData = await this.encryptExportData(exportData);
+      const blob = new Blob([JSON.stringify(fileData, null, 2)], {
         type: 'application/json'
       });
 
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `tab-tree-viewer-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      this.downloadFile(blob, `tab-tree-viewer-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
 
-      this.showNotification('Tree saved successfully', 'success');
+      this.showNotification(redaction ? `Tree saved with "${redaction.label}" redaction` : 'Tree saved successfully', 'success');
     } catch (error) {
       console.error('Failed to save tree:', error);
       this.showNotification('Failed to save tree', 'error');
     }
   }
 
-  loadTreeFile() {
-    document.getElementById('treeFileInput')?.click();
+  // Encrypted history is exported encrypted, under the same passphrase
+  async encryptExportData(exportData) {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return exportData;
+    const response = await chrome.runtime.sendMessage({ action: 'encryptExport', data: exportData });
+    if (response?.error) throw new Error(response.error);
+    return response?.envelope || exportData;
   }
 
-  async handleFileLoad(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-
-      let treeData;
-      if (data.tabTree && data.metadata) {
-        treeData = data.tabTree;
-        this.showNotification(`Loaded tree from ${new Date(data.metadata.exportDate).toLocaleDateString()}`, 'success');
-      } else if (typeof data === 'object') {
-        treeData = data;
-        this.showNotification('Loaded tree data', 'success');
-      } else {
-        throw new Error('Invalid file format');
-      }
-
-      // Update the viewer with new data
-      this.viewer.handleTreeUpdate(treeData);
-
-    } catch (error) {
-      console.error('Failed to load tree:', error);
-      this.showNotification(`Failed to load tree: ${error.message}`, 'error');
-    }
-
-    // Reset file input
-    event.target.value = '';
+  // Open the file loader's picker, which handles every supported format
+  loadTreeFile() {
+    document.getElementById('jsonFileInput')?.click();
   }
 
   showNotification(message, type = 'info') {
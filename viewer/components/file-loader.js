@@ -1,6 +1,14 @@
+import { isEncryptedExport, decryptExport } from '../../src/encryption.js';
+import { migrateExport } from '../../src/schema-migrations.js';
+import { ERROR_MESSAGES, IMPORTERS } from '../../src/constants.js';
+import { describeMergeSummary } from '../../src/tree-merge.js';
+import { importFile } from '../../src/importers.js';
+import { requestPassphrase } from './passphrase-dialog.js';
+
 export class FileLoader {
   constructor(viewer) {
     this.viewer = viewer;
+    this.mergeBar = null;
     this.setupFileLoader();
   }
 
@@ -13,13 +21,14 @@ export class FileLoader {
     // Create hidden file input
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
-    fileInput.accept = '.json';
+    fileInput.accept = IMPORTERS.FILE_TYPES;
     fileInput.style.display = 'none';
     fileInput.id = 'jsonFileInput';
 
     // Create visible button
     const loadButton = document.createElement('button');
-    loadButton.textContent = 'Load JSON';
+    loadButton.textContent = 'Load File';
+    loadButton.title = 'Open a saved tree, or a OneTab, Session Buddy, bookmark HTML or HAR export (or drop it here)';
     loadButton.className = 'control-button';
     loadButton.onclick = () => fileInput.click();
 
@@ -40,27 +49,57 @@ export class FileLoader {
     if (controls) {
       controls.insertBefore(loadContainer, controls.firstChild);
     }
+
+    this.setupDropTarget();
+  }
+
+  // Load files dropped anywhere on the viewer
+  setupDropTarget() {
+    const hasFiles = event => Array.from(event.dataTransfer?.types || []).includes('Files');
+    document.addEventListener('dragover', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      document.body.classList.add('file-drag-over');
+    });
+    document.addEventListener('dragleave', (event) => {
+      if (!event.relatedTarget) document.body.classList.remove('file-drag-over');
+    });
+    document.addEventListener('drop', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      document.body.classList.remove('file-drag-over');
+      const file = event.dataTransfer.files[0];
+      if (file) {
+        this.loadJsonFile(file);
+      }
+    });
   }
 
+  // Load one of our saved trees, or any format a registered importer detects
   loadJsonFile(file) {
     const reader = new FileReader();
     
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
-        const jsonData = JSON.parse(e.target.result);
+        const imported = importFile(String(e.target.result), { fileName: file.name, fileTime: file.lastModified });
+        const jsonData = imported ? imported.tabTree : await this.openFileData(JSON.parse(e.target.result));
         
         // Validate the data structure
         if (this.validateTreeData(jsonData)) {
           // Process the data into D3-friendly format
-          const processedData = this.viewer.processTreeData(jsonData);
+          const processedData = this.viewer.processTreeData('tabTree' in jsonData ? jsonData.tabTree : jsonData);
           // Update the visualization
           this.viewer.treeVisualizer.updateData(processedData);
+          if (imported) {
+            this.viewer.controls?.showNotification(`Read ${imported.nodeCount} entries from a ${imported.importer.label} file`, 'success');
+          }
+          await this.offerMerge('tabTree' in jsonData ? jsonData.tabTree : jsonData);
         } else {
           throw new Error('Invalid tree data structure');
         }
       } catch (error) {
         console.error('Error loading JSON:', error);
-        alert('Error loading JSON file. Please ensure it matches the expected format.');
+        alert(`Error loading JSON file: ${error.message}`);
       }
     };
 
@@ -72,6 +111,68 @@ export class FileLoader {
     reader.readAsText(file);
   }
 
+  // Decrypt an encrypted export after asking for its passphrase, then
+  // upgrade files written by older versions to the current schema
+  async openFileData(data, message = 'This file is encrypted. Enter the passphrase it was exported with.') {
+    if (!isEncryptedExport(data)) return migrateExport(data);
+
+    const passphrase = await requestPassphrase(message);
+    if (passphrase === null) throw new Error('No passphrase entered');
+    try {
+      return migrateExport(await decryptExport(passphrase, data));
+    } catch (error) {
+      if (error.message !== ERROR_MESSAGES.WRONG_PASSPHRASE) throw error;
+      return this.openFileData(data, `${error.message}. Try again.`);
+    }
+  }
+
+  // Show what merging the loaded file into the stored history would add,
+  // skip and rename, with a button to do it
+  async offerMerge(tabTree) {
+    this.dismissMerge();
+    if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+
+    const preview = await chrome.runtime.sendMessage({ action: 'previewImport', tabTree });
+    if (!preview || preview.error) return;
+
+    this.mergeBar = document.createElement('div');
+    this.mergeBar.className = 'merge-bar';
+
+    const summary = document.createElement('span');
+    summary.textContent = `Loaded file. Merging it into your history: ${describeMergeSummary(preview.summary)}.`;
+
+    const mergeButton = document.createElement('button');
+    mergeButton.textContent = 'Merge into history';
+    mergeButton.addEventListener('click', () => this.mergeIntoHistory(tabTree));
+
+    const dismissButton = document.createElement('button');
+    dismissButton.textContent = 'Dismiss';
+    dismissButton.addEventListener('click', () => this.dismissMerge());
+
+    this.mergeBar.appendChild(summary);
+    this.mergeBar.appendChild(mergeButton);
+    this.mergeBar.appendChild(dismissButton);
+    document.getElementById('controls')?.appendChild(this.mergeBar);
+  }
+
+  async mergeIntoHistory(tabTree) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'importTabTree', tabTree, mode: 'merge' });
+      if (response?.error) throw new Error(response.error);
+      this.dismissMerge();
+      this.viewer.controls?.showNotification(`Merged: ${describeMergeSummary(response.summary)}`, 'success');
+      await this.viewer.setTreeSource('live');
+    } catch (error) {
+      console.error('Merge failed:', error);
+      this.viewer.controls?.showNotification(`Merge failed: ${error.message}`, 'error');
+    }
+  }
+
+  dismissMerge() {
+    this.mergeBar?.remove();
+    this.mergeBar = null;
+  }
+
   validateTreeData(data) {
     // Basic validation of tree data structure
     if (!data || typeof data !== 'object') return false;
@@ -0,0 +1,47 @@
+// =============================================================================
+// Passphrase Dialog - modal prompt for locked history and encrypted files
+// =============================================================================
+
+/**
+ * Ask for a passphrase in a modal dialog
+ * @param {string} message - Why the passphrase is needed
+ * @returns {Promise<string|null>} - Passphrase, or null if cancelled
+ */
+export function requestPassphrase(message) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'passphrase-overlay';
+    overlay.innerHTML = `
+      <form class="passphrase-dialog">
+        <p class="passphrase-message"></p>
+        <input type="password" name="passphrase" autocomplete="current-password" aria-label="Passphrase">
+        <div class="passphrase-actions">
+          <button type="button" data-action="cancel">Cancel</button>
+          <button type="submit">Unlock</button>
+        </div>
+      </form>
+    `;
+
+    const form = /** @type {HTMLFormElement} */ (overlay.querySelector('form'));
+    const input = /** @type {HTMLInputElement} */ (form.querySelector('input'));
+    form.querySelector('.passphrase-message').textContent = message;
+
+    const finish = passphrase => {
+      overlay.remove();
+      resolve(passphrase);
+    };
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      finish(input.value);
+    });
+    form.querySelector('[data-action="cancel"]').addEventListener('click', () => finish(null));
+    form.addEventListener('keydown', (/** @type {KeyboardEvent} */ event) => {
+      // Keep viewer shortcuts from firing while typing
+      event.stopPropagation();
+      if (event.key === 'Escape') finish(null);
+    });
+
+    document.body.appendChild(overlay);
+    input.focus();
+  });
+}
@@ -0,0 +1,278 @@
+// =============================================================================
+// Redaction Panel - choose, edit and preview the profile applied to exports
+// =============================================================================
+
+import { REDACTION, STORAGE_KEYS } from '../../src/constants.js';
+import {
+  listRedactionProfiles,
+  normalizeRedactionProfile,
+  isRedacting,
+  redactTree,
+  diffRedaction
+} from '../../src/redaction.js';
+
+const RULE_LABELS = {
+  stripQuery: 'Strip query strings and #fragments',
+  domainOnly: 'Keep only the domain of each URL',
+  hashUrls: 'Replace URLs with salted hashes',
+  redactTitles: 'Redact all titles',
+  dropTopWords: 'Drop top words',
+  dropNotes: 'Drop notes and tags'
+};
+
+const FIELD_LABELS = {
+  url: 'URL',
+  title: 'Title',
+  groupTitle: 'Group',
+  topWords: 'Top words',
+  notes: 'Notes',
+  tags: 'Tags'
+};
+
+export class RedactionPanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.savedProfiles = [];
+    this.profiles = listRedactionProfiles();
+    this.profile = this.profiles[0];
+    this.salt = '';
+    this.button = null;
+    this.panel = null;
+    this.setupRedactionPanel();
+    this.loadProfiles();
+  }
+
+  // The profile Save and Export apply
+  getProfile() {
+    return this.profile;
+  }
+
+  setupRedactionPanel() {
+    const controls = document.getElementById('controls');
+    if (!controls || document.getElementById('redactionButton')) return;
+
+    const container = document.createElement('div');
+    container.className = 'restore-container';
+
+    this.button = document.createElement('button');
+    this.button.id = 'redactionButton';
+    this.button.title = 'Strip or mask URLs, titles and page content in saved and exported files';
+    this.button.addEventListener('click', () => this.toggle());
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'restore-list redaction-panel';
+    this.panel.style.display = 'none';
+
+    container.appendChild(this.button);
+    container.appendChild(this.panel);
+    controls.appendChild(container);
+    this.updateButton();
+  }
+
+  async loadProfiles() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+    try {
+      const stored = await chrome.storage.local.get(STORAGE_KEYS.REDACTION_PROFILES);
+      this.savedProfiles = listRedactionProfiles(stored[STORAGE_KEYS.REDACTION_PROFILES])
+        .slice(REDACTION.PROFILES.length);
+      this.profiles = listRedactionProfiles(this.savedProfiles);
+    } catch (error) {
+      console.warn('Failed to load redaction profiles:', error);
+    }
+  }
+
+  async saveProfiles() {
+    this.profiles = listRedactionProfiles(this.savedProfiles);
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+    await chrome.storage.local.set({ [STORAGE_KEYS.REDACTION_PROFILES]: this.savedProfiles });
+  }
+
+  updateButton() {
+    if (!this.button) return;
+    this.button.textContent = `Redact: ${this.profile.label}`;
+    this.button.classList.toggle('redaction-active', isRedacting(this.profile));
+    this.viewer.controls?.updateImageExportState();
+  }
+
+  toggle() {
+    if (this.panel.style.display !== 'none') {
+      this.panel.style.display = 'none';
+      return;
+    }
+    this.render();
+    this.panel.style.display = 'block';
+  }
+
+  render() {
+    this.panel.innerHTML = '';
+
+    const heading = document.createElement('h4');
+    heading.textContent = 'Redaction for Save and Export';
+    this.panel.appendChild(heading);
+
+    const profileSelect = document.createElement('select');
+    this.profiles.forEach(profile => {
+      const optionEl = document.createElement('option');
+      optionEl.value = profile.id;
+      optionEl.textContent = profile.label;
+      profileSelect.appendChild(optionEl);
+    });
+    if (!this.profiles.some(profile => profile.id === this.profile.id)) {
+      const optionEl = document.createElement('option');
+      optionEl.value = this.profile.id;
+      optionEl.textContent = this.profile.label;
+      profileSelect.appendChild(optionEl);
+    }
+    profileSelect.value = this.profile.id;
+    profileSelect.addEventListener('change', () => {
+      this.profile = this.profiles.find(profile => profile.id === profileSelect.value) || this.profiles[0];
+      this.updateButton();
+      this.render();
+    });
+    this.panel.appendChild(profileSelect);
+
+    Object.entries(RULE_LABELS).forEach(([rule, text]) => {
+      const label = document.createElement('label');
+      label.className = 'redaction-rule';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.profile.rules[rule];
+      checkbox.addEventListener('change', () => this.editRules({ [rule]: checkbox.checked }));
+      label.append(checkbox, ` ${text}`);
+      this.panel.appendChild(label);
+    });
+
+    const domainsLabel = document.createElement('label');
+    domainsLabel.className = 'redaction-field';
+    domainsLabel.textContent = 'Redact titles on these domains (one per line)';
+    const domainsInput = document.createElement('textarea');
+    domainsInput.rows = 3;
+    domainsInput.value = this.profile.rules.redactTitleDomains.join('\n');
+    domainsInput.addEventListener('change', () => {
+      this.editRules({ redactTitleDomains: domainsInput.value.split(/[\s,]+/) });
+    });
+    domainsLabel.appendChild(domainsInput);
+    this.panel.appendChild(domainsLabel);
+
+    if (this.profile.rules.hashUrls) {
+      const saltLabel = document.createElement('label');
+      saltLabel.className = 'redaction-field';
+      saltLabel.textContent = 'Salt for hashes (keep it to match URLs across exports; empty for a new one each time)';
+      const saltInput = document.createElement('input');
+      saltInput.type = 'password';
+      saltInput.value = this.salt;
+      saltInput.addEventListener('change', () => { this.salt = saltInput.value; });
+      saltLabel.appendChild(saltInput);
+      this.panel.appendChild(saltLabel);
+    }
+
+    this.renderProfileActions();
+
+    const previewButton = document.createElement('button');
+    previewButton.textContent = 'Preview changes';
+    previewButton.addEventListener('click', () => this.preview());
+    this.panel.appendChild(previewButton);
+
+    this.previewArea = document.createElement('div');
+    this.previewArea.className = 'redaction-preview';
+    this.panel.appendChild(this.previewArea);
+  }
+
+  // Save the current rules under a name, or delete a saved profile
+  renderProfileActions() {
+    const actions = document.createElement('div');
+    actions.className = 'redaction-actions';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Profile name';
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Save profile';
+    saveButton.addEventListener('click', () => this.saveProfile(nameInput.value));
+    actions.append(nameInput, saveButton);
+
+    if (this.savedProfiles.some(profile => profile.id === this.profile.id)) {
+      const deleteButton = document.createElement('button');
+      deleteButton.textContent = 'Delete profile';
+      deleteButton.addEventListener('click', () => this.deleteProfile(this.profile.id));
+      actions.appendChild(deleteButton);
+    }
+    this.panel.appendChild(actions);
+  }
+
+  // Changing a rule turns the chosen profile into an unsaved edited copy
+  editRules(changes) {
+    const edited = this.profile.id === 'edited';
+    this.profile = normalizeRedactionProfile({
+      id: 'edited',
+      label: edited ? this.profile.label : `${this.profile.label} (edited)`,
+      rules: { ...this.profile.rules, ...changes }
+    });
+    this.updateButton();
+    this.render();
+  }
+
+  async saveProfile(name) {
+    const label = name.trim();
+    if (!label) {
+      this.viewer.controls?.showNotification('Name the profile to save it', 'info');
+      return;
+    }
+    const id = `custom-${label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+    const profile = normalizeRedactionProfile({ id, label, rules: this.profile.rules });
+    this.savedProfiles = [...this.savedProfiles.filter(saved => saved.id !== id), profile];
+    try {
+      await this.saveProfiles();
+      this.profile = profile;
+      this.updateButton();
+      this.render();
+      this.viewer.controls?.showNotification(`Saved redaction profile "${label}"`, 'success');
+    } catch (error) {
+      console.error('Failed to save redaction profile:', error);
+      this.viewer.controls?.showNotification(`Failed to save profile: ${error.message}`, 'error');
+    }
+  }
+
+  async deleteProfile(id) {
+    this.savedProfiles = this.savedProfiles.filter(profile => profile.id !== id);
+    try {
+      await this.saveProfiles();
+      this.profile = this.profiles[0];
+      this.updateButton();
+      this.render();
+    } catch (error) {
+      console.error('Failed to delete redaction profile:', error);
+      this.viewer.controls?.showNotification(`Failed to delete profile: ${error.message}`, 'error');
+    }
+  }
+
+  // Show what the profile would change in the trees Save exports
+  async preview() {
+    const original = this.viewer.getSessionScopedTree();
+    const { tabTree } = await redactTree(original, this.profile, { salt: this.salt || 'preview' });
+    const { changes, counts, total } = diffRedaction(original, tabTree);
+
+    this.previewArea.innerHTML = '';
+    const summary = document.createElement('div');
+    summary.className = 'restore-entry-details';
+    summary.textContent = total === 0
+      ? 'Nothing would change'
+      : `${total} changes: ` + Object.entries(counts).map(([field, count]) => `${FIELD_LABELS[field]} ${count}`).join(', ') +
+        (changes.length < total ? ` (first ${changes.length} shown)` : '');
+    this.previewArea.appendChild(summary);
+
+    changes.forEach(change => {
+      const row = document.createElement('div');
+      row.className = 'redaction-change';
+      const field = document.createElement('span');
+      field.className = 'redaction-field-name';
+      field.textContent = FIELD_LABELS[change.field];
+      const before = document.createElement('del');
+      before.textContent = change.before || '(empty)';
+      const after = document.createElement('ins');
+      after.textContent = change.after || '(empty)';
+      row.append(field, before, after);
+      this.previewArea.appendChild(row);
+    });
+  }
+}
@@ -0,0 +1,156 @@
+// =============================================================================
+// Restore Panel - browse snapshots and trashed branches, preview and restore
+// =============================================================================
+
+import { RECOVERY } from '../../src/constants.js';
+import { formatBytes } from '../../src/storage-quota.js';
+
+export class RestorePanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.button = null;
+    this.list = null;
+    this.armedButton = null; // restore button waiting for its confirming click
+    this.armTimer = null;
+    this.setupRestorePanel();
+  }
+
+  setupRestorePanel() {
+    const controls = document.getElementById('controls');
+    if (!controls || document.getElementById('restoreButton')) return;
+
+    const container = document.createElement('div');
+    container.className = 'restore-container';
+
+    this.button = document.createElement('button');
+    this.button.id = 'restoreButton';
+    this.button.textContent = 'Restore';
+    this.button.title = 'Undo a clear, import or cleanup, or bring back pruned branches';
+    this.button.addEventListener('click', () => this.toggle());
+
+    this.list = document.createElement('div');
+    this.list.className = 'restore-list';
+    this.list.style.display = 'none';
+
+    container.appendChild(this.button);
+    container.appendChild(this.list);
+    controls.appendChild(container);
+  }
+
+  async toggle() {
+    if (this.list.style.display !== 'none') {
+      this.list.style.display = 'none';
+      return;
+    }
+    await this.refresh();
+    this.list.style.display = 'block';
+  }
+
+  async refresh() {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getRecoveryEntries' });
+      if (response?.error) throw new Error(response.error);
+      this.render(response.snapshots || [], response.trash || []);
+    } catch (error) {
+      console.error('Failed to load snapshots and trash:', error);
+      this.viewer.controls?.showNotification(`Failed to load snapshots: ${error.message}`, 'error');
+    }
+  }
+
+  render(snapshots, trash) {
+    this.list.innerHTML = '';
+    this.renderSection('Snapshots', snapshots, 'No snapshots yet');
+    this.renderSection('Trash', trash, 'The trash is empty');
+  }
+
+  renderSection(heading, entries, emptyText) {
+    const title = document.createElement('h4');
+    title.textContent = heading;
+    this.list.appendChild(title);
+
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'restore-empty';
+      empty.textContent = emptyText;
+      this.list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'restore-entry';
+
+      const label = document.createElement('div');
+      label.className = 'restore-entry-label';
+      label.textContent = entry.label;
+      label.title = entry.url || entry.label;
+
+      const details = document.createElement('div');
+      details.className = 'restore-entry-details';
+      const reason = entry.kind === 'trash' ? ` · ${entry.reason}` : '';
+      details.textContent = `${new Date(entry.createdAt).toLocaleString()} · ${entry.nodeCount} nodes, ` +
+        `${formatBytes(entry.bytes)}${reason}`;
+
+      const previewButton = document.createElement('button');
+      previewButton.textContent = 'Preview';
+      previewButton.addEventListener('click', () => {
+        this.viewer.setTreeSource(`${entry.kind}:${entry.id}`, entry.label);
+      });
+
+      const restoreButton = document.createElement('button');
+      restoreButton.textContent = 'Restore';
+      restoreButton.title = entry.kind === 'snapshot'
+        ? 'Replace the tree with this snapshot (the current tree is snapshotted first)'
+        : 'Put this branch back where it was';
+      restoreButton.addEventListener('click', () => this.confirmRestore(restoreButton, entry));
+
+      item.appendChild(label);
+      item.appendChild(details);
+      item.appendChild(previewButton);
+      item.appendChild(restoreButton);
+      this.list.appendChild(item);
+    });
+  }
+
+  // Restoring needs a second click on the same button within a few seconds
+  confirmRestore(button, entry) {
+    if (this.armedButton !== button) {
+      this.disarm();
+      this.armedButton = button;
+      button.textContent = 'Click again to restore';
+      button.classList.add('restore-armed');
+      this.armTimer = setTimeout(() => this.disarm(), RECOVERY.CONFIRM_TIMEOUT);
+      return;
+    }
+    this.disarm();
+    this.restore(entry);
+  }
+
+  disarm() {
+    clearTimeout(this.armTimer);
+    if (this.armedButton) {
+      this.armedButton.textContent = 'Restore';
+      this.armedButton.classList.remove('restore-armed');
+      this.armedButton = null;
+    }
+  }
+
+  async restore(entry) {
+    const message = entry.kind === 'snapshot'
+      ? { action: 'restoreSnapshot', snapshotId: entry.id }
+      : { action: 'restoreTrash', entryId: entry.id };
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (response?.error) throw new Error(response.error);
+
+      const restored = entry.kind === 'snapshot' ? 'Snapshot restored' : `Restored ${response.nodeCount} nodes`;
+      this.viewer.controls?.showNotification(restored, 'success');
+      await this.viewer.setTreeSource('live');
+      await this.refresh();
+    } catch (error) {
+      console.error('Restore failed:', error);
+      this.viewer.controls?.showNotification(`Restore failed: ${error.message}`, 'error');
+    }
+  }
+}
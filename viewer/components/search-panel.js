@@ -0,0 +1,125 @@
+// =============================================================================
+// Search Panel - query box and ranked results for tree search
+// =============================================================================
+
+import { SEARCH } from '../../src/constants.js';
+
+export class SearchPanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.input = null;
+    this.resultsList = null;
+    this.results = [];
+    this.debounceTimer = null;
+    this.requestId = 0; // ignore responses to queries that were replaced
+    this.setupSearchPanel();
+  }
+
+  setupSearchPanel() {
+    const controls = document.getElementById('controls');
+    if (!controls || document.getElementById('treeSearch')) return;
+
+    const container = document.createElement('div');
+    container.className = 'search-container';
+
+    this.input = document.createElement('input');
+    this.input.type = 'search';
+    this.input.id = 'treeSearch';
+    this.input.placeholder = 'Search (domain: before: after: is:open "phrase")';
+    this.input.title = 'Search titles, URLs, top words, notes and tags';
+    this.input.addEventListener('input', () => this.scheduleSearch());
+    this.input.addEventListener('keydown', event => {
+      // Keep viewer shortcuts from firing while typing
+      event.stopPropagation();
+      if (event.key === 'Escape') this.clear();
+      if (event.key === 'Enter') this.focusResult(0);
+    });
+
+    this.resultsList = document.createElement('ol');
+    this.resultsList.className = 'search-results';
+    this.resultsList.style.display = 'none';
+
+    container.appendChild(this.input);
+    container.appendChild(this.resultsList);
+    controls.appendChild(container);
+  }
+
+  scheduleSearch() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.search(this.input.value), SEARCH.DEBOUNCE_DELAY);
+  }
+
+  async search(query) {
+    const requestId = ++this.requestId;
+    if (!query.trim() || typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) {
+      this.renderResults([], []);
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'searchTree', query });
+      if (requestId !== this.requestId) return;
+      this.renderResults(response?.results || [], response?.invalid || []);
+    } catch (error) {
+      console.error('Search failed:', error);
+    }
+  }
+
+  renderResults(results, invalid) {
+    this.results = results;
+    this.resultsList.innerHTML = '';
+
+    if (invalid.length > 0) {
+      const warning = document.createElement('li');
+      warning.className = 'search-warning';
+      warning.textContent = `Ignored: ${invalid.join(' ')}`;
+      this.resultsList.appendChild(warning);
+    }
+
+    if (results.length === 0 && this.input.value.trim()) {
+      const empty = document.createElement('li');
+      empty.className = 'search-empty';
+      empty.textContent = 'No matching pages';
+      this.resultsList.appendChild(empty);
+    }
+
+    results.forEach((result, index) => {
+      const item = document.createElement('li');
+      item.className = 'search-result';
+      item.tabIndex = 0;
+
+      const title = document.createElement('div');
+      title.className = 'search-result-title';
+      title.textContent = `${result.starred ? '★ ' : ''}${result.title || result.url || 'Untitled'}`;
+
+      const path = document.createElement('div');
+      path.className = 'search-result-path';
+      const ancestors = result.path.map(ancestor => ancestor.title).join(' › ') || 'Root page';
+      path.textContent = `${ancestors} · ${result.closedAt ? 'closed' : 'open'}`;
+
+      item.title = result.url;
+      item.appendChild(title);
+      item.appendChild(path);
+      item.addEventListener('click', () => this.focusResult(index));
+      item.addEventListener('keydown', event => {
+        if (event.key === 'Enter') this.focusResult(index);
+      });
+      this.resultsList.appendChild(item);
+    });
+
+    this.resultsList.style.display = this.resultsList.children.length > 0 ? 'block' : 'none';
+  }
+
+  focusResult(index) {
+    const result = this.results?.[index];
+    if (!result) return;
+    if (!this.viewer.focusNode(result.id)) {
+      this.viewer.controls?.showNotification('This page is not shown in the current view', 'info');
+    }
+  }
+
+  clear() {
+    this.input.value = '';
+    this.renderResults([], []);
+  }
+}
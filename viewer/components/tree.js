@@ -1,3 +1,11 @@
+import { describeTransition } from '../../src/navigation-utils.js';
+import { formatDuration, dwellSizeFactor } from '../../src/dwell-utils.js';
+import { describeContext } from '../../src/context-utils.js';
+import { getAnnotationBadges, escapeHtml } from '../../src/annotation-utils.js';
+import { createVisibilityState, applyNodeVisibility, revealNode } from '../../src/node-visibility.js';
+import { FEATURES } from '../../src/constants.js';
+import { renderAnnotationSection, bindAnnotationForm } from './annotation-panel.js';
+
 export class TreeVisualizer {
   constructor(container, data, options = {}) {
     this.container = container;
@@ -11,6 +19,10 @@ export class TreeVisualizer {
       maxLineLength: 20,
       maxLines: 2,
       showText: true,
+      sizeByTimeSpent: false,
+      onAnnotate: null, // async (nodeId, annotations) => saved annotations
+      nodeVisibility: null, // shared state from createVisibilityState
+      onVisibilityChange: null, // (state) => void, e.g. to persist it
       ...options
     };
     
@@ -18,9 +30,14 @@ export class TreeVisualizer {
     this.height = container.clientHeight;
     this.zoomLevel = 1;
     this.axisScales = { x: 1, y: 1 };
+    this.maxTimeSpent = 0;
     
     // Add property for details panel
     this.detailsPanel = null;
+    this.annotatingNode = null; // node whose annotation editor is open
+    this.hoveredNode = null; // target of the collapse/hide/focus shortcuts
+    // Kept outside this.data so it survives updateData and re-creation
+    this.visibility = this.options.nodeVisibility || createVisibilityState();
     this.setupKeyboardShortcuts();
 
     this.init();
@@ -47,6 +64,12 @@ export class TreeVisualizer {
       .attr('class', 'node-details')
       .style('display', 'none');
 
+    // Focused branch and hidden branch summary
+    this.visibilityBar = d3.select(this.container)
+      .append('div')
+      .attr('class', 'visibility-bar')
+      .style('display', 'none');
+
     // Create SVG container
     this.svg = d3.select(this.container)
       .append('svg')
@@ -69,6 +92,7 @@ export class TreeVisualizer {
       });
 
     this.svg.call(zoom);
+    this.zoom = zoom;
     
     this.render();
   }
@@ -85,7 +109,7 @@ export class TreeVisualizer {
       this.nodesGroup.selectAll('circle')
         .transition()
         .duration(300)  // Optional: add smooth transition
-        .attr('r', this.options.nodeSize / 2 / currentScale);
+        .attr('r', d => this.getNodeRadius(d, currentScale));
       
       this.render();
     }
@@ -100,11 +124,25 @@ export class TreeVisualizer {
     this.nodesGroup.selectAll('circle')
       .transition()
       .duration(300)  // Optional: add smooth transition
-      .attr('r', this.options.nodeSize / 2 / currentScale);
+      .attr('r', d => this.getNodeRadius(d, currentScale));
 
     this.render();
   }
 
+  // Circle radius at the given zoom scale, optionally grown by time spent
+  getNodeRadius(d, scale = this.zoomLevel || 1) {
+    const factor = this.options.sizeByTimeSpent
+      ? dwellSizeFactor(d.data.data?.timeSpent, this.maxTimeSpent)
+      : 1;
+    return this.options.nodeSize / 2 / scale * factor;
+  }
+
+  // Toggle sizing nodes by recorded foreground time
+  setSizeByTimeSpent(enabled) {
+    this.options.sizeByTimeSpent = enabled;
+    this.render();
+  }
+
   // Add text wrapping utility method to TreeVisualizer class
   wrapLongText(text, maxLength = 40, maxLines = 3) {
     if (!text) return '';
@@ -161,9 +199,13 @@ export class TreeVisualizer {
   }
 
   // Add method to update details panel content
-  updateDetailsPanel(d, event) {
+  updateDetailsPanel(d, event, editing = false) {
     console.log('TREE updateDetailsPanel called with:', d ? d.data.name : 'null');
-    if (!d) {
+    // Keep the annotation editor open while the pointer moves over other nodes
+    if (this.annotatingNode && !editing) return;
+
+    // The virtual root and window/group lanes have no node data to show
+    if (!d || !d.data.data) {
       this.detailsPanel.style('display', 'none');
       return;
     }
@@ -192,6 +234,10 @@ export class TreeVisualizer {
       <div class="node-details-section">
         <strong>Created:</strong> ${createdAt}<br>
         <strong>Closed:</strong> ${closedAt}
+        ${nodeData.transitionType ? `<br><strong>Reached by:</strong> ${escapeHtml(describeTransition(nodeData.transitionType, nodeData.transitionQualifiers))}` : ''}
+        ${describeContext(nodeData) ? `<br><strong>Context:</strong> ${escapeHtml(describeContext(nodeData))}` : ''}
+        ${nodeData.source === 'history' ? '<br><strong>Source:</strong> Browser history (backfilled)' : ''}
+        ${nodeData.timeSpent ? `<br><strong>Time spent:</strong> ${formatDuration(nodeData.timeSpent)} (${nodeData.visitCount || 1} ${nodeData.visitCount === 1 ? 'visit' : 'visits'})` : ''}
       </div>
       
       ${nodeData.topWords ? `
@@ -205,7 +251,18 @@ export class TreeVisualizer {
           </div>
         </div>
       ` : ''}
+
+      ${renderAnnotationSection(nodeData, editing)}
+      ${editing ? this.renderBranchActions(d) : ''}
     `);
+    this.detailsPanel.classed('pinned', editing);
+    if (editing) {
+      bindAnnotationForm(this.detailsPanel.node(), {
+        onSave: annotations => this.saveAnnotations(nodeData, annotations),
+        onClose: () => this.closeAnnotationEditor()
+      });
+      this.bindBranchActions(d);
+    }
 
     // Position the panel near the cursor but not overlapping
     const [x, y] = d3.pointer(event, this.container);
@@ -268,8 +325,15 @@ export class TreeVisualizer {
       return;
     }
 
-    const root = d3.hierarchy(this.data);
+    const visible = FEATURES.ENABLE_NODE_HIDING
+      ? applyNodeVisibility(this.data, this.visibility)
+      : { root: this.data, hiddenCount: 0, collapsedNodes: 0, focused: null };
+    this.updateVisibilityBar(visible);
+
+    const root = d3.hierarchy(visible.root);
     const treeData = this.treeLayout(root);
+    this.maxTimeSpent = root.descendants()
+      .reduce((max, d) => Math.max(max, d.data.data?.timeSpent || 0), 0);
 
     // Rest of your existing render code remains the same
     const transition = d3.transition()
@@ -318,10 +382,10 @@ export class TreeVisualizer {
       .style('opacity', 1)
       .attr('d', linkGenerator);
 
-    // Nodes
+    // Nodes, keyed so collapsing a branch does not shift the rest
     const nodes = this.nodesGroup
       .selectAll('.node')
-      .data(treeData.descendants());
+      .data(treeData.descendants(), d => d.data.data?.id || d.ancestors().map(a => a.data.name).join('/'));
 
     nodes.exit()
       .transition(transition)
@@ -344,7 +408,7 @@ export class TreeVisualizer {
     // Node circles
     nodesEnter
       .append('circle')
-      .attr('r', this.options.nodeSize / 2 / currentScale)
+      .attr('r', d => this.getNodeRadius(d, currentScale))
       .attr('fill', '#fff')
       .attr('stroke', d => d.data.url ? '#1a73e8' : '#666')
       .attr('stroke-width', 2)
@@ -356,6 +420,7 @@ export class TreeVisualizer {
         }
       })
       .on('mouseover', (event, d) => {
+        this.hoveredNode = d;
         d3.select(event.currentTarget)
           .transition()
           .duration(200)
@@ -366,11 +431,16 @@ export class TreeVisualizer {
         this.updateDetailsPanel(d, event);
       })
       .on('mouseout', (event) => {
+        this.hoveredNode = null;
         d3.select(event.currentTarget)
           .transition()
           .duration(200)
           .attr('fill', '#fff');
         this.updateDetailsPanel(null);
+      })
+      .on('contextmenu', (event, d) => {
+        event.preventDefault();
+        this.openAnnotationEditor(d, event);
       });
 
     // Text groups
@@ -381,7 +451,10 @@ export class TreeVisualizer {
     textGroup.append('g').attr('class', 'text-background');
     textGroup.append('g').attr('class', 'text-foreground');
 
-    const allNodes = nodes.merge(nodesEnter)
+    const allNodes = nodes.merge(nodesEnter);
+    allNodes.select('circle')
+      .classed('collapsed', d => d.data.collapsedCount > 0);
+    allNodes
       .transition(transition)
       .style('opacity', 1)
       .attr('transform', d => isVertical ?
@@ -389,11 +462,13 @@ export class TreeVisualizer {
         `translate(${d.y},${d.x})`
       );
 
+    // Existing circles may have gained time spent since the last render
+    nodes.select('circle')
+      .transition(transition)
+      .attr('r', d => this.getNodeRadius(d, currentScale));
+
     // Update text
-    this.nodesGroup.selectAll('.node').each((d, i, nodes) => {
-      const node = d3.select(nodes[i]);
-      this.updateNodeText(node, d);
-    });
+    this.updateAllNodeText();
 
     // Store positions for next transition
     nodes.each(d => {
@@ -411,6 +486,13 @@ export class TreeVisualizer {
   }
   
   // Updated updateNodeText method with constant text size
+  updateAllNodeText() {
+    this.nodesGroup.selectAll('.node').each((d, i, nodes) => {
+      const node = d3.select(nodes[i]);
+      this.updateNodeText(node, d);
+    });
+  }
+
   updateNodeText(node, d) {
     const scale = this.zoomLevel || 1;
     const baseOffset = 8; // Base offset distance from node
@@ -448,9 +530,184 @@ export class TreeVisualizer {
         .text(line);
     });
 
+    // Star, notes and tag badges above the node
+    const badges = getAnnotationBadges(d.data.data);
+    if (badges.length > 0) {
+      foreground
+        .append('text')
+        .attr('class', 'node-badges')
+        .attr('y', -(this.getNodeRadius(d, scale) + 4 / scale))
+        .attr('text-anchor', 'middle')
+        .attr('fill', '#e37400')
+        .style('font-size', `${11 / scale}px`)
+        .text(badges.join(' '));
+    }
+
+    this.updateCollapseToggle(node, d, scale);
+
     node.select('title').remove();
     node.append('title')
-      .text(d.data.name + (d.data.url ? '\nClick node to open URL' : ''));
+      .text(d.data.name + (d.data.url ? '\nClick node to open URL' : '') +
+        (d.data.data ? '\nRight-click to add notes and tags' : ''));
+  }
+
+  // Child-count badge below nodes with children; click to collapse or expand
+  updateCollapseToggle(node, d, scale) {
+    node.select('.collapse-toggle').remove();
+    if (!FEATURES.ENABLE_NODE_HIDING || !d.data.childCount || !d.data.data?.id) return;
+
+    node.append('text')
+      .attr('class', 'collapse-toggle')
+      .attr('y', this.getNodeRadius(d, scale) + 12 / scale)
+      .attr('text-anchor', 'middle')
+      .style('font-size', `${11 / scale}px`)
+      .text(d.data.collapsedCount > 0 ? `+${d.data.collapsedCount}` : `−${d.data.childCount}`)
+      .on('click', event => {
+        event.stopPropagation();
+        this.handleBranchAction('collapse', d);
+      })
+      .append('title')
+      .text(d.data.collapsedCount > 0 ? 'Expand (C)' : 'Collapse (C)');
+  }
+
+  // Collapse/expand, hide or focus the branch under a node
+  handleBranchAction(action, d) {
+    const id = d?.data?.data?.id;
+    if (!FEATURES.ENABLE_NODE_HIDING || !id) return;
+
+    if (action === 'collapse') {
+      if (!d.data.childCount) return;
+      if (!this.visibility.collapsed.delete(id)) this.visibility.collapsed.add(id);
+    } else if (action === 'hide') {
+      this.visibility.hidden.add(id);
+      if (this.visibility.focusedId === id) this.visibility.focusedId = null;
+    } else if (action === 'focus') {
+      this.visibility.focusedId = id;
+    }
+    this.hoveredNode = null;
+    this.updateVisibility();
+  }
+
+  clearFocus() {
+    if (this.visibility.focusedId === null) return;
+    this.visibility.focusedId = null;
+    this.updateVisibility();
+  }
+
+  showHiddenBranches() {
+    this.visibility.hidden.clear();
+    this.updateVisibility();
+  }
+
+  expandAll() {
+    this.visibility.collapsed.clear();
+    this.updateVisibility();
+  }
+
+  updateVisibility() {
+    this.options.onVisibilityChange?.(this.visibility);
+    this.render();
+  }
+
+  // Show what the focus and hidden branches leave out, with ways back
+  updateVisibilityBar({ hiddenCount, collapsedNodes, focused }) {
+    if (!this.visibilityBar) return;
+    const parts = [];
+    if (focused) {
+      parts.push(`Focused on <strong>${escapeHtml(focused.name)}</strong> <button type="button" data-visibility="focus">Show whole tree (U)</button>`);
+    }
+    if (hiddenCount > 0) {
+      parts.push(`${hiddenCount} hidden ${hiddenCount === 1 ? 'page' : 'pages'} <button type="button" data-visibility="hidden">Show</button>`);
+    }
+    if (collapsedNodes > 0) {
+      parts.push(`${collapsedNodes} collapsed <button type="button" data-visibility="collapsed">Expand all</button>`);
+    }
+
+    this.visibilityBar
+      .html(parts.join(' · '))
+      .style('display', parts.length > 0 ? 'block' : 'none');
+    const actions = { focus: () => this.clearFocus(), hidden: () => this.showHiddenBranches(), collapsed: () => this.expandAll() };
+    this.visibilityBar.selectAll('button')
+      .on('click', event => actions[event.currentTarget.dataset.visibility]());
+  }
+
+  // Collapse, hide and focus buttons for the pinned details panel
+  renderBranchActions(d) {
+    if (!FEATURES.ENABLE_NODE_HIDING) return '';
+    const collapseLabel = d.data.collapsedCount > 0 ? 'Expand' : 'Collapse';
+    return `
+      <div class="node-details-section branch-actions">
+        ${d.data.childCount ? `<button type="button" data-branch="collapse">${collapseLabel} (C)</button>` : ''}
+        <button type="button" data-branch="hide">Hide branch (H)</button>
+        <button type="button" data-branch="focus">Focus branch (F)</button>
+      </div>
+    `;
+  }
+
+  bindBranchActions(d) {
+    this.detailsPanel.selectAll('[data-branch]')
+      .on('click', event => {
+        this.closeAnnotationEditor();
+        this.handleBranchAction(event.currentTarget.dataset.branch, d);
+      });
+  }
+
+  // The svg, zoom scale and legend used by Export image
+  getImageExportSource() {
+    return {
+      svg: this.svg?.node() || null,
+      scale: this.zoomLevel || 1,
+      label: 'Tree view',
+      nodeCount: this.nodesGroup ? this.nodesGroup.selectAll('.node').size() : 0,
+      legendItems: [
+        { color: '#1a73e8', label: 'Page (outlined in blue)' },
+        { color: '#666', label: 'Node without a page' },
+        { color: '#e37400', label: 'Starred, noted or tagged' }
+      ]
+    };
+  }
+
+  // Center the view on a node and highlight it, e.g. for a search result
+  // Expands, unhides or unfocuses branches that keep it out of view.
+  // Returns false if the node is not in the current view
+  focusNode(nodeId) {
+    if (FEATURES.ENABLE_NODE_HIDING && revealNode(this.data, this.visibility, nodeId)) {
+      this.updateVisibility();
+    }
+    const target = this.nodesGroup.selectAll('.node').filter(d => d.data.data?.id === nodeId);
+    if (target.empty() || !this.zoom) return false;
+
+    const d = target.datum();
+    const isVertical = this.options.layout === 'vertical';
+    this.nodesGroup.selectAll('circle').classed('search-focus', false);
+    target.select('circle').classed('search-focus', true);
+    this.svg.transition()
+      .duration(750)
+      .call(this.zoom.translateTo, isVertical ? d.x : d.y, isVertical ? d.y : d.x);
+    return true;
+  }
+
+  // Pin the details panel with the notes, tags and star editor
+  openAnnotationEditor(d, event) {
+    if (!d?.data?.data || !this.options.onAnnotate) return;
+    this.annotatingNode = d;
+    this.updateDetailsPanel(d, event, true);
+  }
+
+  closeAnnotationEditor() {
+    this.annotatingNode = null;
+    this.detailsPanel.classed('pinned', false).style('display', 'none');
+  }
+
+  async saveAnnotations(nodeData, annotations) {
+    try {
+      Object.assign(nodeData, await this.options.onAnnotate(nodeData.id, annotations));
+      this.closeAnnotationEditor();
+      // Redraw labels so badges reflect the change
+      this.updateAllNodeText();
+    } catch (error) {
+      console.error('Failed to save annotations:', error);
+    }
   }
 
 
@@ -461,14 +718,11 @@ export class TreeVisualizer {
     // Keep node sizes and strokes constant during zoom
     const scale = transform.k;
     this.nodesGroup.selectAll('circle')
-      .attr('r', this.options.nodeSize / 2 / scale)
+      .attr('r', d => this.getNodeRadius(d, scale))
       .attr('stroke-width', 2 );  // Scale stroke width inversely
     
     // Update text positions and scaling
-    this.nodesGroup.selectAll('.node').each((d, i, nodes) => {
-      const node = d3.select(nodes[i]);
-      this.updateNodeText(node, d);
-    });
+    this.updateAllNodeText();
     
     // Scale link stroke width
     this.linksGroup.selectAll('.link')
@@ -516,9 +770,10 @@ export class TreeVisualizer {
   }
   // In TreeVisualizer class, add this method
   setupKeyboardShortcuts() {
+    const branchActions = { c: 'collapse', h: 'hide', f: 'focus' };
     document.addEventListener('keydown', (event) => {
-      // Skip if focus is in an input field
-      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+      // Skip if focus is in an input field, or once this visualizer is destroyed
+      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' || !this.svg) {
         return;
       }
 
@@ -543,6 +798,16 @@ export class TreeVisualizer {
             this.updateNodeSize(-this.options.nodeSizeStep);
           }
           break;
+        case 'c': // Collapse/expand, hide or focus the hovered branch
+        case 'h':
+        case 'f':
+          if (this.hoveredNode && !event.ctrlKey && !event.metaKey) {
+            this.handleBranchAction(branchActions[event.key.toLowerCase()], this.hoveredNode);
+          }
+          break;
+        case 'u': // Back to the whole tree
+          this.clearFocus();
+          break;
       }
     });
   }
@@ -14,6 +14,7 @@ export class ViewModeController {
       transitionDuration: 1000,
       preserveZoom: true,
       preserveSelection: true,
+      sizeByTimeSpent: false,
       ...options
     };
 
@@ -390,6 +391,29 @@ export class ViewModeController {
     }
   }
 
+  /**
+   * Size nodes by time spent, in the current and in later visualizers
+   * @param {boolean} enabled - Whether node size follows time spent
+   */
+  setSizeByTimeSpent(enabled) {
+    this.options.sizeByTimeSpent = enabled;
+    if (this.currentVisualizer && this.currentVisualizer.setSizeByTimeSpent) {
+      this.currentVisualizer.setSizeByTimeSpent(enabled);
+    }
+  }
+
+  /**
+   * Center the current visualizer on a node and highlight it
+   * @param {string} nodeId - Id of the node to show
+   * @returns {boolean} - False if the node is not in the current view
+   */
+  focusNode(nodeId) {
+    if (this.currentVisualizer && this.currentVisualizer.focusNode) {
+      return this.currentVisualizer.focusNode(nodeId);
+    }
+    return false;
+  }
+
   /**
    * Destroy controller and cleanup
    */
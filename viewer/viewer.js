@@ -4,6 +4,16 @@ import { FileLoader } from './components/file-loader.js';
 import { ZoomControls } from './components/zoom-controls.js';
 import { ViewModeController } from './components/view-mode-controller.js';
 import { ClusterControls } from './components/cluster-controls.js';
+import { SearchPanel } from './components/search-panel.js';
+import { RestorePanel } from './components/restore-panel.js';
+import { RedactionPanel } from './components/redaction-panel.js';
+import { requestPassphrase } from './components/passphrase-dialog.js';
+import { collectContexts, filterTreeByContext, groupRootsByContext } from '../src/context-utils.js';
+import { resolveSessionScope, filterTreeBySessions } from '../src/session-utils.js';
+import { normalizeAnnotations } from '../src/annotation-utils.js';
+import { createVisibilityState, serializeVisibilityState } from '../src/node-visibility.js';
+import { selectExportTree } from '../src/exporters.js';
+import { FEATURES, STORAGE_KEYS, INCOGNITO } from '../src/constants.js';
 
 class TabTreeViewer {
   constructor() {
@@ -19,6 +29,30 @@ class TabTreeViewer {
     this.clusterControls = null; // Cluster-specific controls
     this.currentViewMode = 'tree'; // 'tree' or 'cluster'
 
+    // Window and tab group view options
+    this.contextFilter = 'all'; // 'all' or a context key such as 'window:12'
+    this.laneMode = 'none'; // 'none', 'window' or 'group'
+
+    // Browsing session scope
+    this.sessionScope = 'all'; // 'all', 'current', 'today', ... or 'session:<id>'
+    this.sessions = [];
+    this.currentSessionId = null;
+
+    // Live history, or a read-only archive of old trees ('archive:<id>'),
+    // snapshot ('snapshot:<id>'), trashed branch ('trash:<id>') or the
+    // incognito tree ('incognito')
+    this.treeSource = 'live';
+    this.treeSourceLabel = null; // shown in the source selector for previews
+    this.archives = [];
+    this.incognitoStatus = null; // { policy, nodeCount } while incognito tabs are tracked
+
+    this.searchPanel = null;
+    this.restorePanel = null;
+    this.redactionPanel = null;
+
+    // Collapsed, hidden and focused branches, shared by every tree view
+    this.nodeVisibility = createVisibilityState();
+
     this.init();
   }
 
@@ -78,23 +112,29 @@ class TabTreeViewer {
       }
 
       this.controls = new ViewerControls(this);
-      const { tabTree } = await this.requestData();
+      const { tabTree } = await this.requestUnlockedData();
+      await this.loadSessions();
+      await this.loadArchives();
+      await this.loadIncognitoStatus();
+      await this.loadNodeVisibility();
 
       // Store both raw and processed data for different visualizers
       this.rawTabTree = tabTree;
-      this.processedTreeData = this.processTreeData(tabTree);
+      const viewData = this.buildViewData(tabTree);
+      this.processedTreeData = viewData.processed;
+      this.controls.updateContextOptions(collectContexts(tabTree));
 
       // Initialize ViewModeController for both tree and cluster views
       this.viewModeController = new ViewModeController(
         document.getElementById('tree-container'),
-        {
-          raw: this.rawTabTree,
-          processed: this.processedTreeData
-        },
+        viewData,
         {
           defaultMode: 'tree',
           layout: this.currentLayout,
           onNodeClick: this.handleNodeClick.bind(this),
+          onAnnotate: this.saveNodeAnnotations.bind(this),
+          nodeVisibility: this.nodeVisibility,
+          onVisibilityChange: this.saveNodeVisibility.bind(this),
           onModeChange: (mode) => {
             this.currentViewMode = mode;
             if (this.controls) {
@@ -119,6 +159,22 @@ class TabTreeViewer {
       // Keep reference to tree visualizer for backward compatibility
       this.treeVisualizer = this.viewModeController.getCurrentVisualizer();
 
+      if (FEATURES.ENABLE_TREE_SEARCH) {
+        this.searchPanel = new SearchPanel(this);
+      }
+      if (FEATURES.ENABLE_RECOVERY) {
+        this.restorePanel = new RestorePanel(this);
+      }
+      if (FEATURES.ENABLE_REDACTION) {
+        this.redactionPanel = new RedactionPanel(this);
+      }
+
+      // Opened from a popup search result
+      const focusId = new URLSearchParams(window.location.search).get('focus');
+      if (focusId) {
+        this.focusNode(focusId);
+      }
+
       this.setupMessageListener();
       this.showLoading(false);
 
@@ -159,6 +215,170 @@ class TabTreeViewer {
     });
   }
 
+  // Ask for the passphrase while the stored history is encrypted and locked
+  async requestUnlockedData(message = 'Your history is encrypted. Enter your passphrase to unlock it.') {
+    const response = await this.requestData();
+    if (!response.locked) return response;
+
+    const passphrase = await requestPassphrase(message);
+    if (passphrase === null) {
+      this.controls?.showNotification('History is locked', 'info');
+      return response;
+    }
+    const unlocked = await chrome.runtime.sendMessage({ action: 'unlockStorage', passphrase });
+    return this.requestUnlockedData(unlocked?.error ? `${unlocked.error}. Try again.` : message);
+  }
+
+  // Fetch session summaries for the scope selector
+  async loadSessions() {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSessions' });
+      this.sessions = response?.sessions || [];
+      this.currentSessionId = response?.currentSessionId || null;
+      this.controls?.updateSessionOptions(this.sessions);
+    } catch (error) {
+      console.warn('Failed to load sessions:', error);
+    }
+  }
+
+  // Fetch archived tree summaries for the source selector
+  async loadArchives() {
+    if (!FEATURES.ENABLE_STORAGE_ARCHIVING) return;
+    if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getArchives' });
+      this.archives = response?.archives || [];
+      this.controls?.updateArchiveOptions(this.archives);
+    } catch (error) {
+      console.warn('Failed to load archives:', error);
+    }
+  }
+
+  // Delete an archive for good and go back to the live history
+  async deleteArchive(archiveId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'deleteArchive', archiveId });
+      if (response?.error) throw new Error(response.error);
+      this.archives = this.archives.filter(archive => archive.id !== archiveId);
+      this.controls?.showNotification('Archive deleted', 'success');
+      await this.setTreeSource('live');
+    } catch (error) {
+      console.error('Failed to delete archive:', error);
+      this.controls?.showNotification(`Failed to delete archive: ${error.message}`, 'error');
+    }
+  }
+
+  // Check whether there is an incognito tree to offer in the source selector
+  async loadIncognitoStatus() {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getIncognitoStatus' });
+      this.incognitoStatus = response?.policy && response.policy !== 'never' ? response : null;
+      this.controls?.updateArchiveOptions(this.archives);
+    } catch (error) {
+      console.warn('Failed to load incognito status:', error);
+    }
+  }
+
+  // Fetch the tree of a source: the live history, an archive, a snapshot,
+  // a trashed branch or the incognito tree
+  requestTreeSource(source) {
+    if (source === 'live') return this.requestData();
+    if (source === INCOGNITO.SOURCE) return chrome.runtime.sendMessage({ action: 'getIncognitoTree' });
+    const separator = source.indexOf(':');
+    const kind = source.slice(0, separator);
+    const id = source.slice(separator + 1);
+    return kind === 'archive'
+      ? chrome.runtime.sendMessage({ action: 'getArchive', archiveId: id })
+      : chrome.runtime.sendMessage({ action: 'getRecoveryTree', kind, id });
+  }
+
+  // Show the live history or a read-only tree. Archived and recovered trees
+  // may refer to sessions that are gone, so the session scope falls back to all.
+  async setTreeSource(source, label = null) {
+    try {
+      const response = await this.requestTreeSource(source);
+      if (response?.error) throw new Error(response.error);
+
+      this.treeSource = source;
+      this.treeSourceLabel = label;
+      this.sessionScope = 'all';
+      this.controls?.updateSessionOptions(this.sessions);
+      await this.handleTreeUpdate(response.tabTree || {});
+    } catch (error) {
+      console.error('Failed to switch tree source:', error);
+      this.controls?.showNotification(`Failed to open tree: ${error.message}`, 'error');
+    }
+    this.controls?.updateArchiveOptions(this.archives);
+  }
+
+  // Restore collapsed, hidden and focused branches from the last visit.
+  // Updates the state in place because the visualizers share the object.
+  async loadNodeVisibility() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+    try {
+      const stored = await chrome.storage.local.get(STORAGE_KEYS.NODE_VISIBILITY);
+      Object.assign(this.nodeVisibility, createVisibilityState(stored[STORAGE_KEYS.NODE_VISIBILITY]));
+    } catch (error) {
+      console.warn('Failed to load node visibility:', error);
+    }
+  }
+
+  saveNodeVisibility(state) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+    chrome.storage.local.set({ [STORAGE_KEYS.NODE_VISIBILITY]: serializeVisibilityState(state) })
+      .catch(error => console.warn('Failed to save node visibility:', error));
+  }
+
+  // Store a node's notes, tags and star through the background and mirror
+  // them in the displayed tree. Nodes from a loaded file that the background
+  // does not know keep their annotations in this view until the tree is saved.
+  async saveNodeAnnotations(nodeId, annotations) {
+    let saved = normalizeAnnotations(annotations);
+    if (typeof chrome !== 'undefined' && chrome.runtime?.sendMessage) {
+      const response = await chrome.runtime.sendMessage({ action: 'updateNodeAnnotations', nodeId, annotations });
+      if (response?.annotations) {
+        saved = response.annotations;
+      } else {
+        this.controls?.showNotification('Annotations kept in this view only - save the tree to keep them', 'info');
+      }
+    }
+
+    const visit = node => {
+      if (!node) return false;
+      if (node.id === nodeId) {
+        Object.assign(node, saved);
+        return true;
+      }
+      return (node.children || []).some(visit);
+    };
+    Object.values(this.rawTabTree || {}).some(visit);
+    return saved;
+  }
+
+  // The raw tree limited to the selected sessions (used for display and export)
+  getSessionScopedTree(rawTree = this.rawTabTree) {
+    const sessionIds = resolveSessionScope(this.sessionScope, this.sessions, this.currentSessionId);
+    return filterTreeBySessions(rawTree, sessionIds) || {};
+  }
+
+  // The trees to export: all of them, what the view shows (session and
+  // window/group filters, hidden branches and the focused branch) or one tree
+  getExportTree(scope = 'all') {
+    if (scope.startsWith('root:')) {
+      return selectExportTree(this.rawTabTree, { rootId: scope.slice('root:'.length) });
+    }
+    if (scope !== 'view') return selectExportTree(this.rawTabTree);
+
+    const { raw } = this.buildViewData(this.rawTabTree);
+    const hiddenIds = this.nodeVisibility.hidden;
+    const focused = this.nodeVisibility.focusedId
+      ? selectExportTree(raw, { rootId: this.nodeVisibility.focusedId, hiddenIds })
+      : {};
+    return Object.keys(focused).length > 0 ? focused : selectExportTree(raw, { hiddenIds });
+  }
+
   getFallbackData() {
     // Provide some sample data for testing
     return {
@@ -203,6 +423,64 @@ class TabTreeViewer {
     return root;
   }
 
+  // Apply the session scope, window/group filter and lanes to the raw tree
+  buildViewData(rawTree) {
+    const raw = filterTreeByContext(this.getSessionScopedTree(rawTree), this.contextFilter) || {};
+    if (this.laneMode === 'none') {
+      return { raw, processed: this.processTreeData(raw) };
+    }
+
+    const processed = {
+      name: 'Root',
+      children: groupRootsByContext(raw, this.laneMode).map(lane => ({
+        name: lane.label,
+        url: '',
+        data: null,
+        children: lane.roots.map(rootNode => this.processNode(rootNode))
+      }))
+    };
+    return { raw, processed };
+  }
+
+  // Center the view on a node, clearing session and window/group filters
+  // that hide it. Returns false if the node is not in the tree at all.
+  focusNode(nodeId) {
+    if (!this.viewModeController) return false;
+    if (this.viewModeController.focusNode(nodeId)) return true;
+    if (this.sessionScope === 'all' && this.contextFilter === 'all') return false;
+
+    this.sessionScope = 'all';
+    this.contextFilter = 'all';
+    this.controls?.updateSessionOptions(this.sessions);
+    this.controls?.updateContextOptions(collectContexts(this.rawTabTree));
+    this.refreshView();
+    return this.viewModeController.focusNode(nodeId);
+  }
+
+  setContextFilter(key) {
+    this.contextFilter = key;
+    this.refreshView();
+  }
+
+  setSessionScope(scope) {
+    this.sessionScope = scope;
+    this.refreshView();
+  }
+
+  setLaneMode(mode) {
+    this.laneMode = mode;
+    this.refreshView();
+  }
+
+  // Re-render the current visualizer after a filter or lane change
+  refreshView() {
+    const viewData = this.buildViewData(this.rawTabTree);
+    this.processedTreeData = viewData.processed;
+    if (this.viewModeController) {
+      this.viewModeController.updateData(viewData);
+    }
+  }
+
   processNode(node) {
     // Safety check for node
     if (!node) {
@@ -224,24 +502,39 @@ class TabTreeViewer {
 
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-      if (message.action === 'treeUpdated') {
+      // Live updates would replace an archive being browsed
+      if (message.action === 'treeUpdated' && this.treeSource === 'live') {
         this.handleTreeUpdate(message.data);
       }
+      if (message.action === 'incognitoTreeDiscarded') {
+        this.handleIncognitoDiscarded();
+      }
       sendResponse({ received: true });
       return true;
     });
   }
 
+  // The last incognito window closed (or the tree was discarded from options)
+  async handleIncognitoDiscarded() {
+    this.incognitoStatus = this.incognitoStatus && { ...this.incognitoStatus, nodeCount: 0 };
+    if (this.treeSource === INCOGNITO.SOURCE) {
+      this.controls?.showNotification('The incognito tree was discarded', 'info');
+      await this.setTreeSource('live');
+    } else {
+      this.controls?.updateArchiveOptions(this.archives);
+    }
+  }
+
   async handleTreeUpdate(newTree) {
     // Update stored data
     this.rawTabTree = newTree;
-    this.processedTreeData = this.processTreeData(newTree);
+    const viewData = this.buildViewData(newTree);
+    this.processedTreeData = viewData.processed;
+    this.controls?.updateContextOptions(collectContexts(newTree));
+    await this.loadSessions();
 
     if (this.viewModeController) {
-      this.viewModeController.updateData({
-        raw: this.rawTabTree,
-        processed: this.processedTreeData
-      });
+      this.viewModeController.updateData(viewData);
     }
     // Legacy support
     if (this.treeVisualizer) {